@@ -2,6 +2,14 @@
  * Billing Database Module
  * Handles persistent storage of usage tracking data in PostgreSQL
  * Automatically purges data older than 90 days
+ *
+ * Also hosts the optional session archive (sessions + session_segments): the full
+ * bilingual transcript of each session, kept for a configurable number of days, and
+ * per-session quality counters (session_quality, see quality-telemetry.js).
+ *
+ * Days are UTC days, like billing-file-store.js and billing-export.js: session_date is
+ * written as the UTC date and read back as a 'YYYY-MM-DD' string (node-pg would turn a
+ * DATE into local midnight, a day early east of UTC once serialized).
  */
 
 const { Pool } = require('pg');
@@ -9,6 +17,14 @@ const { Pool } = require('pg');
 // PostgreSQL connection pool
 let pool = null;
 
+// Today in UTC, whatever the database session's TimeZone
+const UTC_TODAY = `(CURRENT_TIMESTAMP AT TIME ZONE 'UTC')::date`;
+
+// 'YYYY-MM-DD' (UTC) of a Date or date string, for DATE range parameters
+function dayOf(value) {
+    return typeof value === 'string' ? value.slice(0, 10) : new Date(value).toISOString().split('T')[0];
+}
+
 /**
  * Initialize database connection
  * Uses DATABASE_URL environment variable (automatically set by Heroku)
@@ -41,6 +57,13 @@ function initializeDatabase(logger) {
     }
 }
 
+/**
+ * Whether a connection pool is available (DATABASE_URL set and initialized)
+ */
+function isConnected() {
+    return pool !== null;
+}
+
 /**
  * Create database schema if it doesn't exist
  */
@@ -65,6 +88,14 @@ async function createSchema(logger) {
         CREATE INDEX IF NOT EXISTS idx_billing_source_language ON billing_usage(source_language);
         CREATE INDEX IF NOT EXISTS idx_billing_created_at ON billing_usage(created_at);
 
+        -- Server-metered usage: language pair, provider and session of each provider call
+        ALTER TABLE billing_usage ADD COLUMN IF NOT EXISTS target_language VARCHAR(10);
+        ALTER TABLE billing_usage ADD COLUMN IF NOT EXISTS provider VARCHAR(20);
+        ALTER TABLE billing_usage ADD COLUMN IF NOT EXISTS session_id VARCHAR(64);
+        ALTER TABLE billing_usage ADD COLUMN IF NOT EXISTS metered_by VARCHAR(10) NOT NULL DEFAULT 'client';
+
+        CREATE INDEX IF NOT EXISTS idx_billing_session_id ON billing_usage(session_id);
+
         CREATE TABLE IF NOT EXISTS translation_log (
             id SERIAL PRIMARY KEY,
             session_id VARCHAR(64) NOT NULL,
@@ -80,6 +111,58 @@ async function createSchema(logger) {
 
         CREATE INDEX IF NOT EXISTS idx_tlog_session ON translation_log(session_id);
         CREATE INDEX IF NOT EXISTS idx_tlog_created_at ON translation_log(created_at);
+
+        CREATE TABLE IF NOT EXISTS sessions (
+            id VARCHAR(64) PRIMARY KEY,
+            client_id VARCHAR(64) NOT NULL,
+            source_language VARCHAR(10) NOT NULL,
+            target_language VARCHAR(10) NOT NULL,
+            mode VARCHAR(20),
+            room_code VARCHAR(32),
+            started_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+            ended_at TIMESTAMP WITH TIME ZONE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_sessions_started_at ON sessions(started_at);
+
+        CREATE TABLE IF NOT EXISTS session_segments (
+            id SERIAL PRIMARY KEY,
+            session_id VARCHAR(64) NOT NULL REFERENCES sessions(id) ON DELETE CASCADE,
+            seq INTEGER NOT NULL,
+            source_text TEXT NOT NULL,
+            translated_text TEXT NOT NULL,
+            source_language VARCHAR(10) NOT NULL,
+            target_language VARCHAR(10) NOT NULL,
+            reason VARCHAR(40),
+            created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_segments_session_seq ON session_segments(session_id, seq);
+
+        -- Speech timing: first word of the chunk heard, translation decided (NULL on older rows)
+        ALTER TABLE session_segments ADD COLUMN IF NOT EXISTS heard_at TIMESTAMP WITH TIME ZONE;
+        ALTER TABLE session_segments ADD COLUMN IF NOT EXISTS decided_at TIMESTAMP WITH TIME ZONE;
+
+        CREATE TABLE IF NOT EXISTS session_quality (
+            id SERIAL PRIMARY KEY,
+            client_id VARCHAR(64) NOT NULL,
+            mode VARCHAR(20),
+            source_language VARCHAR(10),
+            target_language VARCHAR(10),
+            started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            ended_at TIMESTAMP WITH TIME ZONE NOT NULL,
+            translations INTEGER NOT NULL DEFAULT 0,
+            lcp_first INTEGER NOT NULL DEFAULT 0,
+            lcp_matched INTEGER NOT NULL DEFAULT 0,
+            lcp_fallbacks INTEGER NOT NULL DEFAULT 0,
+            duplicates_suppressed INTEGER NOT NULL DEFAULT 0,
+            emitted INTEGER NOT NULL DEFAULT 0,
+            emitted_words INTEGER NOT NULL DEFAULT 0,
+            emitted_chars INTEGER NOT NULL DEFAULT 0,
+            reasons JSONB NOT NULL DEFAULT '{}'
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_quality_ended_at ON session_quality(ended_at);
     `;
 
     try {
@@ -94,22 +177,34 @@ async function createSchema(logger) {
 
 /**
  * Track usage (STT, translation, or glossary)
+ * Translation and glossary characters are metered by the server (what it sends to the
+ * provider); STT minutes of the browser recognizer are reported by the client.
  * @param {string} usageType - 'stt', 'translation', or 'glossary'
  * @param {number} amount - Minutes (for STT) or characters (for translation/glossary)
  * @param {string} sourceLanguage - Language code (e.g., 'ro-RO', 'en-US')
+ * @param {Object} details - Optional: targetLanguage, provider, sessionId, meteredBy ('server' | 'client')
  */
-async function trackUsage(usageType, amount, sourceLanguage) {
+async function trackUsage(usageType, amount, sourceLanguage, details = {}) {
     if (!pool) {
         return false; // Database not available
     }
 
     const query = `
-        INSERT INTO billing_usage (session_date, source_language, usage_type, amount)
-        VALUES (CURRENT_DATE, $1, $2, $3)
+        INSERT INTO billing_usage
+            (session_date, source_language, usage_type, amount, target_language, provider, session_id, metered_by)
+        VALUES (${UTC_TODAY}, $1, $2, $3, $4, $5, $6, $7)
     `;
 
     try {
-        await pool.query(query, [sourceLanguage, usageType, amount]);
+        await pool.query(query, [
+            sourceLanguage,
+            usageType,
+            amount,
+            details.targetLanguage || null,
+            details.provider || null,
+            details.sessionId || null,
+            details.meteredBy || 'client'
+        ]);
         return true;
     } catch (error) {
         console.error('Failed to track usage:', error.message);
@@ -117,42 +212,56 @@ async function trackUsage(usageType, amount, sourceLanguage) {
     }
 }
 
+/**
+ * Empty usage counters (one language, pair, provider or the totals)
+ */
+function emptyUsage() {
+    return { sttMinutes: 0, translationChars: 0, glossaryChars: 0 };
+}
+
+/**
+ * Add a usage amount to a counter set by type
+ */
+function addUsage(usage, type, amount) {
+    if (type === 'stt') {
+        usage.sttMinutes += amount;
+    } else if (type === 'translation') {
+        usage.translationChars += amount;
+    } else if (type === 'glossary') {
+        usage.glossaryChars += amount;
+    }
+}
+
 /**
  * Get usage summary for a date range
- * @param {Date} startDate - Start date (inclusive)
- * @param {Date} endDate - End date (inclusive)
- * @returns {Promise<Object>} Usage summary with totals and per-language breakdown
+ * @param {Date|string} startDate - Start date (inclusive, UTC day)
+ * @param {Date|string} endDate - End date (inclusive, UTC day)
+ * @returns {Promise<Object>} Usage summary with totals and per-language breakdown, plus
+ *   per language pair ('ro-RO→en') and per provider breakdowns of server-metered usage
  */
 async function getUsageSummary(startDate, endDate) {
+    const empty = () => ({ totals: emptyUsage(), languages: {}, pairs: {}, providers: {} });
+
     if (!pool) {
-        return {
-            totals: { sttMinutes: 0, translationChars: 0, glossaryChars: 0 },
-            languages: {}
-        };
+        return empty();
     }
 
     const query = `
         SELECT
             source_language,
+            target_language,
+            provider,
             usage_type,
             SUM(amount) as total_amount
         FROM billing_usage
         WHERE session_date >= $1 AND session_date <= $2
-        GROUP BY source_language, usage_type
-        ORDER BY source_language, usage_type
+        GROUP BY source_language, target_language, provider, usage_type
+        ORDER BY source_language, target_language, provider, usage_type
     `;
 
     try {
-        const result = await pool.query(query, [startDate, endDate]);
-
-        const summary = {
-            totals: {
-                sttMinutes: 0,
-                translationChars: 0,
-                glossaryChars: 0
-            },
-            languages: {}
-        };
+        const result = await pool.query(query, [dayOf(startDate), dayOf(endDate)]);
+        const summary = empty();
 
         result.rows.forEach(row => {
             const lang = row.source_language;
@@ -161,33 +270,62 @@ async function getUsageSummary(startDate, endDate) {
 
             // Initialize language entry if needed
             if (!summary.languages[lang]) {
-                summary.languages[lang] = {
-                    sttMinutes: 0,
-                    translationChars: 0,
-                    glossaryChars: 0
-                };
+                summary.languages[lang] = emptyUsage();
             }
-
-            // Update language-specific totals
-            if (type === 'stt') {
-                summary.languages[lang].sttMinutes += amount;
-                summary.totals.sttMinutes += amount;
-            } else if (type === 'translation') {
-                summary.languages[lang].translationChars += amount;
-                summary.totals.translationChars += amount;
-            } else if (type === 'glossary') {
-                summary.languages[lang].glossaryChars += amount;
-                summary.totals.glossaryChars += amount;
+            addUsage(summary.languages[lang], type, amount);
+            addUsage(summary.totals, type, amount);
+
+            // Pair and provider are only known for server-metered rows
+            if (row.target_language) {
+                const pair = `${lang}→${row.target_language}`;
+                if (!summary.pairs[pair]) summary.pairs[pair] = emptyUsage();
+                addUsage(summary.pairs[pair], type, amount);
+            }
+            if (row.provider) {
+                if (!summary.providers[row.provider]) summary.providers[row.provider] = emptyUsage();
+                addUsage(summary.providers[row.provider], type, amount);
             }
         });
 
         return summary;
     } catch (error) {
         console.error('Failed to get usage summary:', error.message);
-        return {
-            totals: { sttMinutes: 0, translationChars: 0, glossaryChars: 0 },
-            languages: {}
-        };
+        return empty();
+    }
+}
+
+/**
+ * Server-metered usage of one session, per language pair
+ * @param {string} sessionId - billingSessionId the usage was metered under (sent in session-started;
+ *   the archived session id when archiving, not the socket's client id)
+ * @returns {Promise<Object>} { totals, pairs }
+ */
+async function getSessionUsage(sessionId) {
+    const usage = { sessionId, totals: emptyUsage(), pairs: {} };
+    if (!pool) {
+        return usage;
+    }
+
+    const query = `
+        SELECT source_language, target_language, usage_type, SUM(amount) as total_amount
+        FROM billing_usage
+        WHERE session_id = $1
+        GROUP BY source_language, target_language, usage_type
+    `;
+
+    try {
+        const result = await pool.query(query, [sessionId]);
+        result.rows.forEach(row => {
+            const amount = parseFloat(row.total_amount);
+            const pair = `${row.source_language}→${row.target_language || '?'}`;
+            if (!usage.pairs[pair]) usage.pairs[pair] = emptyUsage();
+            addUsage(usage.pairs[pair], row.usage_type, amount);
+            addUsage(usage.totals, row.usage_type, amount);
+        });
+        return usage;
+    } catch (error) {
+        console.error('Failed to get session usage:', error.message);
+        return usage;
     }
 }
 
@@ -203,11 +341,11 @@ async function getDailyUsage(days = 30) {
 
     const query = `
         SELECT
-            session_date,
+            to_char(session_date, 'YYYY-MM-DD') AS day,
             usage_type,
             SUM(amount) as total_amount
         FROM billing_usage
-        WHERE session_date >= CURRENT_DATE - ($1 * INTERVAL '1 day')
+        WHERE session_date >= ${UTC_TODAY} - ($1 * INTERVAL '1 day')
         GROUP BY session_date, usage_type
         ORDER BY session_date DESC, usage_type
     `;
@@ -218,7 +356,7 @@ async function getDailyUsage(days = 30) {
         // Group by date
         const dailyUsage = {};
         result.rows.forEach(row => {
-            const date = row.session_date.toISOString().split('T')[0];
+            const date = row.day;
             if (!dailyUsage[date]) {
                 dailyUsage[date] = {
                     date,
@@ -228,14 +366,7 @@ async function getDailyUsage(days = 30) {
                 };
             }
 
-            const amount = parseFloat(row.total_amount);
-            if (row.usage_type === 'stt') {
-                dailyUsage[date].sttMinutes += amount;
-            } else if (row.usage_type === 'translation') {
-                dailyUsage[date].translationChars += amount;
-            } else if (row.usage_type === 'glossary') {
-                dailyUsage[date].glossaryChars += amount;
-            }
+            addUsage(dailyUsage[date], row.usage_type, parseFloat(row.total_amount));
         });
 
         return Object.values(dailyUsage);
@@ -245,6 +376,86 @@ async function getDailyUsage(days = 30) {
     }
 }
 
+/**
+ * Get usage per day, source language, provider and type — what costs are computed from
+ * (pricing.js computeCosts)
+ * @param {Date|string} startDate - Start date (inclusive)
+ * @param {Date|string} endDate - End date (inclusive)
+ * @returns {Promise<Array>} { date: 'YYYY-MM-DD', sourceLanguage, provider, usageType, amount }, oldest first
+ */
+async function getUsageRows(startDate, endDate) {
+    if (!pool) {
+        return [];
+    }
+
+    const query = `
+        SELECT
+            to_char(session_date, 'YYYY-MM-DD') AS day,
+            source_language,
+            provider,
+            usage_type,
+            SUM(amount) as total_amount
+        FROM billing_usage
+        WHERE session_date >= $1 AND session_date <= $2
+        GROUP BY session_date, source_language, provider, usage_type
+        ORDER BY session_date, source_language, provider, usage_type
+    `;
+
+    try {
+        const result = await pool.query(query, [dayOf(startDate), dayOf(endDate)]);
+        return result.rows.map(row => ({
+            date: row.day,
+            sourceLanguage: row.source_language,
+            provider: row.provider,
+            usageType: row.usage_type,
+            amount: parseFloat(row.total_amount)
+        }));
+    } catch (error) {
+        console.error('Failed to get usage rows:', error.message);
+        return [];
+    }
+}
+
+/**
+ * Get the individual billing_usage records of a date range (for exports)
+ * @param {Date|string} startDate - Start date (inclusive)
+ * @param {Date|string} endDate - End date (inclusive)
+ * @returns {Promise<Array>} { id, timestamp, date, sourceLanguage, targetLanguage, provider,
+ *   sessionId, meteredBy, usageType, amount }, oldest first
+ */
+async function listUsageRecords(startDate, endDate) {
+    if (!pool) {
+        return [];
+    }
+
+    const query = `
+        SELECT id, timestamp, to_char(session_date, 'YYYY-MM-DD') AS day, source_language, target_language, provider,
+               session_id, metered_by, usage_type, amount
+        FROM billing_usage
+        WHERE session_date >= $1 AND session_date <= $2
+        ORDER BY timestamp, id
+    `;
+
+    try {
+        const result = await pool.query(query, [dayOf(startDate), dayOf(endDate)]);
+        return result.rows.map(row => ({
+            id: row.id,
+            timestamp: row.timestamp ? row.timestamp.toISOString() : null,
+            date: row.day,
+            sourceLanguage: row.source_language,
+            targetLanguage: row.target_language,
+            provider: row.provider,
+            sessionId: row.session_id,
+            meteredBy: row.metered_by,
+            usageType: row.usage_type,
+            amount: parseFloat(row.amount)
+        }));
+    } catch (error) {
+        console.error('Failed to list usage records:', error.message);
+        return [];
+    }
+}
+
 /**
  * Purge billing data older than specified days
  * @param {number} days - Delete data older than this many days (default: 90)
@@ -267,6 +478,15 @@ async function purgeOldData(days = 90, logger) {
             logger.info(`🗑️ Purged ${deletedCount} billing records older than ${days} days`);
         }
 
+        // Quality counters follow the billing retention
+        const quality = await pool.query(
+            `DELETE FROM session_quality WHERE ended_at < CURRENT_DATE - ($1 * INTERVAL '1 day')`,
+            [days]
+        );
+        if (quality.rowCount > 0) {
+            logger.info(`🗑️ Purged ${quality.rowCount} session quality records older than ${days} days`);
+        }
+
         return deletedCount;
     } catch (error) {
         logger.error('Failed to purge old data:', error.message);
@@ -329,6 +549,304 @@ async function logTranslation(entry) {
     }
 }
 
+// ===== SESSION ARCHIVE =====
+
+/**
+ * Record the start of an archived session
+ * @param {Object} session
+ * @param {string} session.id - Unique session ID (UUID)
+ * @param {string} session.clientId - Socket client ID
+ * @param {string} session.sourceLanguage - e.g. 'ro-RO'
+ * @param {string} session.targetLanguage - e.g. 'en'
+ * @param {string} session.mode - Translation mode ('talks', 'earbuds')
+ * @param {string|null} session.roomCode - Broadcast room, if presenting
+ */
+async function startArchivedSession(session) {
+    if (!pool) return false;
+
+    try {
+        await pool.query(
+            `INSERT INTO sessions (id, client_id, source_language, target_language, mode, room_code)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+                session.id,
+                session.clientId || '',
+                session.sourceLanguage || '',
+                session.targetLanguage || '',
+                session.mode || null,
+                session.roomCode || null
+            ]
+        );
+        return true;
+    } catch (error) {
+        console.error('Failed to archive session start:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Append one translated segment to an archived session
+ * Segments of the same chunk share `seq`; broadcast rooms add one row per listener language.
+ *
+ * @param {Object} segment
+ * @param {string} segment.sessionId - From startArchivedSession()
+ * @param {number} segment.seq - Order within the session (1-based)
+ * @param {string} segment.sourceText - Source (STT) chunk
+ * @param {string} segment.translatedText - Emitted translation
+ * @param {string} segment.sourceLanguage - e.g. 'ro-RO'
+ * @param {string} segment.targetLanguage - e.g. 'en'
+ * @param {string} segment.reason - Decision reason ('sentence_ending', 'max_interval', …)
+ * @param {Date} segment.heardAt - When the first word of the chunk was heard
+ * @param {Date} segment.decidedAt - When the chunk was approved for translation
+ */
+async function archiveSegment(segment) {
+    if (!pool) return false;
+
+    try {
+        await pool.query(
+            `INSERT INTO session_segments
+                (session_id, seq, source_text, translated_text, source_language, target_language, reason, heard_at, decided_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+            [
+                segment.sessionId,
+                segment.seq,
+                segment.sourceText || '',
+                segment.translatedText || '',
+                segment.sourceLanguage || '',
+                segment.targetLanguage || '',
+                segment.reason || '',
+                segment.heardAt || null,
+                segment.decidedAt || null
+            ]
+        );
+        return true;
+    } catch (error) {
+        console.error('Failed to archive segment:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Mark an archived session as ended
+ */
+async function endArchivedSession(sessionId) {
+    if (!pool) return false;
+
+    try {
+        await pool.query(
+            `UPDATE sessions SET ended_at = CURRENT_TIMESTAMP WHERE id = $1 AND ended_at IS NULL`,
+            [sessionId]
+        );
+        return true;
+    } catch (error) {
+        console.error('Failed to archive session end:', error.message);
+        return false;
+    }
+}
+
+function formatSession(row) {
+    return {
+        id: row.id,
+        clientId: row.client_id,
+        sourceLanguage: row.source_language,
+        targetLanguage: row.target_language,
+        mode: row.mode,
+        roomCode: row.room_code,
+        startedAt: row.started_at,
+        endedAt: row.ended_at,
+        segmentCount: row.segment_count !== undefined ? parseInt(row.segment_count, 10) : undefined,
+        languages: row.languages || undefined
+    };
+}
+
+/**
+ * List archived sessions, newest first
+ * @param {Object} options - { limit (default 50), offset (default 0) }
+ * @returns {Promise<Object>} { total, sessions: [...] }
+ */
+async function listArchivedSessions({ limit = 50, offset = 0 } = {}) {
+    if (!pool) {
+        return { total: 0, sessions: [] };
+    }
+
+    try {
+        const [list, count] = await Promise.all([
+            pool.query(
+                `SELECT s.*,
+                        COUNT(DISTINCT g.seq) AS segment_count,
+                        ARRAY_REMOVE(ARRAY_AGG(DISTINCT g.target_language), NULL) AS languages
+                 FROM sessions s
+                 LEFT JOIN session_segments g ON g.session_id = s.id
+                 GROUP BY s.id
+                 ORDER BY s.started_at DESC
+                 LIMIT $1 OFFSET $2`,
+                [limit, offset]
+            ),
+            pool.query('SELECT COUNT(*) AS total FROM sessions')
+        ]);
+
+        return {
+            total: parseInt(count.rows[0].total, 10),
+            sessions: list.rows.map(formatSession)
+        };
+    } catch (error) {
+        console.error('Failed to list archived sessions:', error.message);
+        return { total: 0, sessions: [] };
+    }
+}
+
+/**
+ * Full bilingual transcript of one archived session
+ * Rows sharing a `seq` are merged: one segment per source chunk, with a translation per language.
+ *
+ * @returns {Promise<Object|null>} { session, segments: [{ seq, timestamp, sourceText, reason, translations: { en: '...' } }] }
+ *                                 or null if the session does not exist
+ */
+async function getArchivedSession(sessionId) {
+    if (!pool) return null;
+
+    try {
+        const sessionResult = await pool.query('SELECT * FROM sessions WHERE id = $1', [sessionId]);
+        if (sessionResult.rows.length === 0) return null;
+
+        const segmentResult = await pool.query(
+            `SELECT seq, source_text, translated_text, source_language, target_language, reason, heard_at, decided_at, created_at
+             FROM session_segments
+             WHERE session_id = $1
+             ORDER BY seq, id`,
+            [sessionId]
+        );
+
+        const segments = [];
+        for (const row of segmentResult.rows) {
+            let segment = segments[segments.length - 1];
+            if (!segment || segment.seq !== row.seq) {
+                segment = {
+                    seq: row.seq,
+                    timestamp: row.created_at,
+                    heardAt: row.heard_at || null,
+                    decidedAt: row.decided_at || null,
+                    sourceLanguage: row.source_language,
+                    sourceText: row.source_text,
+                    reason: row.reason,
+                    translations: {}
+                };
+                segments.push(segment);
+            }
+            segment.translations[row.target_language] = row.translated_text;
+        }
+
+        return { session: formatSession(sessionResult.rows[0]), segments };
+    } catch (error) {
+        console.error('Failed to get archived session:', error.message);
+        return null;
+    }
+}
+
+/**
+ * Delete archived sessions (and their segments) older than the retention period
+ * @param {number} days - Retention in days (0 = keep forever)
+ */
+async function purgeArchivedSessions(days, logger) {
+    if (!pool || !days || days <= 0) {
+        return 0;
+    }
+
+    try {
+        const result = await pool.query(
+            `DELETE FROM sessions WHERE started_at < NOW() - ($1 * INTERVAL '1 day')`,
+            [days]
+        );
+        if (result.rowCount > 0) {
+            logger.info(`🗑️ Purged ${result.rowCount} archived sessions older than ${days} days`);
+        }
+        return result.rowCount;
+    } catch (error) {
+        logger.error('Failed to purge archived sessions:', error.message);
+        return 0;
+    }
+}
+
+// ===== QUALITY TELEMETRY =====
+
+/**
+ * Store the quality counters of an ended session (QualityTelemetry.toRecord())
+ * @param {Object} record - clientId, mode, languages, startedAt, endedAt and the raw counts
+ */
+async function saveSessionQuality(record) {
+    if (!pool) return false;
+
+    try {
+        await pool.query(
+            `INSERT INTO session_quality
+                (client_id, mode, source_language, target_language, started_at, ended_at,
+                 translations, lcp_first, lcp_matched, lcp_fallbacks, duplicates_suppressed,
+                 emitted, emitted_words, emitted_chars, reasons)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)`,
+            [
+                record.clientId || '',
+                record.mode || null,
+                record.sourceLanguage || null,
+                record.targetLanguage || null,
+                record.startedAt,
+                record.endedAt,
+                record.translations || 0,
+                record.lcpFirst || 0,
+                record.lcpMatched || 0,
+                record.lcpFallbacks || 0,
+                record.duplicatesSuppressed || 0,
+                record.emitted || 0,
+                record.emittedWords || 0,
+                record.emittedChars || 0,
+                JSON.stringify(record.reasons || {})
+            ]
+        );
+        return true;
+    } catch (error) {
+        console.error('Failed to save session quality:', error.message);
+        return false;
+    }
+}
+
+/**
+ * Stored session quality counters for sessions that ended in a date range
+ * @param {Date|string} startDate - Start date (inclusive, UTC day)
+ * @param {Date|string} endDate - End date (inclusive, UTC day)
+ * @returns {Promise<Array>} Records in the shape saveSessionQuality() takes, oldest first
+ */
+async function listSessionQuality(startDate, endDate) {
+    if (!pool) return [];
+
+    try {
+        const result = await pool.query(
+            `SELECT * FROM session_quality
+             WHERE (ended_at AT TIME ZONE 'UTC')::date >= $1::date AND (ended_at AT TIME ZONE 'UTC')::date <= $2::date
+             ORDER BY ended_at`,
+            [dayOf(startDate), dayOf(endDate)]
+        );
+        return result.rows.map(row => ({
+            clientId: row.client_id,
+            mode: row.mode,
+            sourceLanguage: row.source_language,
+            targetLanguage: row.target_language,
+            startedAt: row.started_at,
+            endedAt: row.ended_at,
+            translations: row.translations,
+            lcpFirst: row.lcp_first,
+            lcpMatched: row.lcp_matched,
+            lcpFallbacks: row.lcp_fallbacks,
+            duplicatesSuppressed: row.duplicates_suppressed,
+            emitted: row.emitted,
+            emittedWords: row.emitted_words,
+            emittedChars: row.emitted_chars,
+            reasons: row.reasons || {}
+        }));
+    } catch (error) {
+        console.error('Failed to list session quality:', error.message);
+        return [];
+    }
+}
+
 /**
  * Close database connection (for graceful shutdown)
  */
@@ -341,11 +859,25 @@ async function closeDatabase(logger) {
 
 module.exports = {
     initializeDatabase,
+    isConnected,
     createSchema,
     trackUsage,
     getUsageSummary,
+    getSessionUsage,
     getDailyUsage,
+    getUsageRows,
+    listUsageRecords,
     purgeOldData,
     logTranslation,
-    closeDatabase
+    startArchivedSession,
+    archiveSegment,
+    endArchivedSession,
+    listArchivedSessions,
+    getArchivedSession,
+    purgeArchivedSessions,
+    saveSessionQuality,
+    listSessionQuality,
+    closeDatabase,
+    emptyUsage,
+    addUsage
 };
@@ -0,0 +1,251 @@
+/**
+ * Billing Export
+ * billing_usage as CSV or JSON for any date range, and monthly statements: totals,
+ * per-language costs, peak days and a projection to the end of the month
+ *
+ * Dates are UTC 'YYYY-MM-DD' days, like the rest of the billing API. Costs come from
+ * pricing.js, so a statement for a past month keeps the prices that applied then.
+ */
+
+const { toCsv } = require('./csv');
+const { USAGE_TYPES } = require('./pricing');
+
+const FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// raw: one line per billing_usage record; daily: summed per day, language, provider and type
+const GRANULARITIES = {
+    raw: [
+        ['id', 'id'], ['timestamp', 'timestamp'], ['date', 'date'], ['source_language', 'sourceLanguage'],
+        ['target_language', 'targetLanguage'], ['provider', 'provider'], ['session_id', 'sessionId'],
+        ['metered_by', 'meteredBy'], ['usage_type', 'usageType'], ['amount', 'amount']
+    ],
+    daily: [
+        ['date', 'date'], ['source_language', 'sourceLanguage'], ['provider', 'provider'],
+        ['usage_type', 'usageType'], ['amount', 'amount']
+    ]
+};
+
+const PEAK_DAYS = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_PATTERN = /^(\d{4})-(0[1-9]|1[0-2])$/;
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'EXPORT_INVALID';
+    return error;
+}
+
+function toDateString(date) {
+    return date.toISOString().split('T')[0];
+}
+
+// Spreadsheets run text cells starting with = + - @ (or a tab / carriage return) as formulas
+function cell(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'string') return String(value);
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+function csvOf(columns, rows) {
+    return toCsv([columns.map(([header]) => header), ...rows.map(row => columns.map(([, key]) => cell(row[key])))]);
+}
+
+/**
+ * Parse startDate/endDate query values (default: the current month up to now)
+ *
+ * @returns {{ startDate: string, endDate: string }} UTC 'YYYY-MM-DD'
+ * @throws {Error} code EXPORT_INVALID for an unparseable date or an inverted range
+ */
+function parseRange({ startDate, endDate } = {}, now = new Date()) {
+    const parse = (value, name) => {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw invalid(`${name} must be a date (YYYY-MM-DD)`);
+        }
+        return toDateString(date);
+    };
+    const start = startDate ? parse(startDate, 'startDate') : `${toDateString(now).slice(0, 7)}-01`;
+    const end = endDate ? parse(endDate, 'endDate') : toDateString(now);
+    if (start > end) {
+        throw invalid('startDate must not be after endDate');
+    }
+    return { startDate: start, endDate: end };
+}
+
+/**
+ * Render usage rows in one format
+ *
+ * @param {Array} rows - billing-db.js listUsageRecords (raw) or getUsageRows (daily)
+ * @param {string} format - 'csv' | 'json'
+ * @param {Object} options - granularity ('raw' | 'daily'), startDate, endDate
+ * @returns {{ body: string, contentType: string, filename: string }}
+ * @throws {Error} code EXPORT_INVALID for an unknown format or granularity
+ */
+function exportUsage(rows, format, { granularity = 'daily', startDate, endDate } = {}) {
+    const spec = FORMATS[format];
+    if (!spec) {
+        throw invalid(`Unknown export format "${format}" (expected: ${Object.keys(FORMATS).join(', ')})`);
+    }
+    const columns = GRANULARITIES[granularity];
+    if (!columns) {
+        throw invalid(`Unknown granularity "${granularity}" (expected: ${Object.keys(GRANULARITIES).join(', ')})`);
+    }
+
+    const body = format === 'csv'
+        ? csvOf(columns, rows)
+        : JSON.stringify({ startDate, endDate, granularity, rows }, null, 2);
+
+    return {
+        body,
+        contentType: spec.contentType,
+        filename: `gtranslate-billing-${granularity}-${startDate}-to-${endDate}.${spec.extension}`
+    };
+}
+
+/**
+ * First and last day of a 'YYYY-MM' month (default: the month of `now`)
+ *
+ * @throws {Error} code EXPORT_INVALID for a malformed month or one that has not started
+ */
+function monthRange(month, now = new Date()) {
+    const key = month || toDateString(now).slice(0, 7);
+    const match = MONTH_PATTERN.exec(key);
+    if (!match) {
+        throw invalid('month must be YYYY-MM');
+    }
+    const first = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+    const next = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+    if (first.getTime() > now.getTime()) {
+        throw invalid(`Month ${key} has not started yet`);
+    }
+    return {
+        month: key,
+        startDate: toDateString(first),
+        endDate: toDateString(new Date(next.getTime() - DAY_MS)),
+        startMs: first.getTime(),
+        endMs: next.getTime()
+    };
+}
+
+// Units and cost per usage type, in the shape of the billing summary
+function usageOf(costs) {
+    return {
+        sttMinutes: costs.byType.stt.units,
+        translationChars: costs.byType.translation.units,
+        glossaryChars: costs.byType.glossary.units,
+        cost: costs.cost
+    };
+}
+
+/**
+ * Monthly statement
+ *
+ * The projection scales every row of the month so far by days in month / days elapsed
+ * and prices the result, so free tiers and free providers are applied the same way as
+ * for the actual usage. Past months are complete and have no projection.
+ *
+ * @param {Object} options
+ * @param {string} options.month - 'YYYY-MM' (default: current month)
+ * @param {Array} options.rows - billing-db.js getUsageRows for the month
+ * @param {PricingTable} options.pricing
+ * @param {Date} options.now
+ * @returns {Object} { month, startDate, endDate, complete, currency, pricingVersions, totals,
+ *   byType, languages, peakDays, projection }
+ */
+function buildMonthlyReport({ month, rows, pricing, now = new Date() }) {
+    const range = monthRange(month, now);
+    const costs = pricing.computeCosts(rows, { startDate: range.startDate, endDate: range.endDate });
+    const complete = now.getTime() >= range.endMs;
+
+    const languages = Object.fromEntries(Object.entries(costs.languages)
+        .sort(([, a], [, b]) => b.cost - a.cost)
+        .map(([code, languageCosts]) => [code, { ...usageOf(languageCosts), byType: languageCosts.byType }]));
+
+    const chars = day => day.translationChars + day.glossaryChars;
+    const peakDays = Object.entries(costs.days)
+        .map(([date, dayCosts]) => ({ date, ...usageOf(dayCosts) }))
+        .sort((a, b) => b.cost - a.cost || chars(b) - chars(a) || b.sttMinutes - a.sttMinutes)
+        .slice(0, PEAK_DAYS);
+
+    let projection = null;
+    if (!complete) {
+        const daysInMonth = Math.round((range.endMs - range.startMs) / DAY_MS);
+        const daysElapsed = Math.max(1, (now.getTime() - range.startMs) / DAY_MS);
+        const factor = daysInMonth / daysElapsed;
+        const projected = pricing.computeCosts(rows.map(row => ({ ...row, amount: row.amount * factor })), {
+            startDate: range.startDate,
+            endDate: range.endDate
+        });
+        projection = {
+            daysElapsed: Math.round(daysElapsed * 10) / 10,
+            daysInMonth,
+            ...usageOf(projected),
+            byType: projected.byType
+        };
+    }
+
+    return {
+        month: range.month,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        complete,
+        currency: costs.currency,
+        pricingVersions: costs.versions,
+        totals: usageOf(costs),
+        byType: costs.byType,
+        languages,
+        peakDays,
+        projection
+    };
+}
+
+/**
+ * A statement as CSV: one line per source language, then the total (and the projection
+ * while the month runs)
+ */
+function reportToCsv(report) {
+    const columns = ['line', 'stt_minutes', 'translation_chars', 'glossary_chars',
+        ...USAGE_TYPES.map(type => `${type}_cost`), `cost_${report.currency.toLowerCase()}`];
+    const line = (label, usage, byType) => [
+        label, usage.sttMinutes, usage.translationChars, usage.glossaryChars,
+        ...USAGE_TYPES.map(type => byType[type].cost), usage.cost
+    ];
+
+    const lines = Object.entries(report.languages).map(([code, usage]) => line(cell(code), usage, usage.byType));
+    lines.push(line('total', report.totals, report.byType));
+    if (report.projection) {
+        lines.push(line('projected_month_end', report.projection, report.projection.byType));
+    }
+    return toCsv([columns, ...lines]);
+}
+
+/**
+ * Render a statement in one format
+ *
+ * @returns {{ body: string, contentType: string, filename: string }}
+ * @throws {Error} code EXPORT_INVALID for an unknown format
+ */
+function exportReport(report, format) {
+    const spec = FORMATS[format];
+    if (!spec) {
+        throw invalid(`Unknown export format "${format}" (expected: ${Object.keys(FORMATS).join(', ')})`);
+    }
+    return {
+        body: format === 'csv' ? reportToCsv(report) : JSON.stringify(report, null, 2),
+        contentType: spec.contentType,
+        filename: `gtranslate-billing-report-${report.month}.${spec.extension}`
+    };
+}
+
+module.exports = {
+    parseRange,
+    exportUsage,
+    monthRange,
+    buildMonthlyReport,
+    exportReport,
+    FORMATS: Object.keys(FORMATS),
+    GRANULARITIES: Object.keys(GRANULARITIES)
+};
@@ -0,0 +1,410 @@
+/**
+ * Billing File Store
+ * Embedded billing backend for installs without DATABASE_URL: append-only JSONL files
+ * in one directory (BILLING_DATA_DIR), read into memory at startup
+ *
+ *   usage.jsonl            One line per metered usage (the billing_usage columns)
+ *   translation-log.jsonl  Rolling translation log (45 minutes, 500 entries)
+ *   session-quality.jsonl  Quality counters of ended sessions
+ *
+ * Same results as the Postgres backend (billing-db.js, see billing-store.js for the
+ * interface). Writes are queued so lines never interleave; purges and translation log
+ * compaction rewrite a file atomically (tmp + rename). Days are UTC dates. The session
+ * archive needs Postgres: its methods are no-ops here (supportsArchive = false).
+ *
+ * Sized for one small install: every usage record of the retention window (90 days, see
+ * purgeOldData) stays in memory, queries scan all of it, and startup re-reads and parses
+ * every file (one record per metered provider call), so memory and startup time grow with
+ * traffic. Busy installs should use Postgres.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { emptyUsage, addUsage } = require('./billing-db');
+
+const FILES = {
+    usage: 'usage.jsonl',
+    translationLog: 'translation-log.jsonl',
+    quality: 'session-quality.jsonl'
+};
+
+const USAGE_TYPES = ['stt', 'translation', 'glossary'];
+const LOG_MAX_AGE_MS = 45 * 60 * 1000;
+const LOG_MAX_ENTRIES = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 'YYYY-MM-DD' of a Date or date string
+function dayOf(value) {
+    return typeof value === 'string' ? value.slice(0, 10) : new Date(value).toISOString().split('T')[0];
+}
+
+// Ascending, nulls last (like ORDER BY in Postgres)
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+}
+
+/**
+ * Sum amounts per group (GROUP BY fields ORDER BY fields)
+ * @returns {Array} { ...fields, amount }
+ */
+function sumBy(records, fields) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = JSON.stringify(fields.map(field => record[field]));
+        if (!groups.has(key)) {
+            groups.set(key, { ...Object.fromEntries(fields.map(field => [field, record[field]])), amount: 0 });
+        }
+        groups.get(key).amount += record.amount;
+    });
+    return [...groups.values()].sort((a, b) => {
+        for (const field of fields) {
+            const order = compareValues(a[field], b[field]);
+            if (order !== 0) return order;
+        }
+        return 0;
+    });
+}
+
+class FileBillingStore {
+    /**
+     * @param {string} directory - Where the JSONL files live (created if missing)
+     * @param {Object} options
+     * @param {Function} options.now - Clock (injectable for tests)
+     */
+    constructor(directory, { now = Date.now } = {}) {
+        this.name = 'file';
+        this.supportsArchive = false;
+        this.directory = directory;
+        this.now = now;
+        this.ready = false;
+        this.usage = [];
+        this.translationLog = [];
+        this.logLines = 0;
+        this.quality = [];
+        this.nextId = 1;
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Create the directory and read existing files
+     * @returns {Promise<boolean>} false if the directory cannot be used
+     */
+    async initialize(logger) {
+        try {
+            await fs.promises.mkdir(this.directory, { recursive: true });
+            this.usage = await this.readLines(FILES.usage, logger);
+            this.translationLog = await this.readLines(FILES.translationLog, logger);
+            this.logLines = this.translationLog.length;
+            this.quality = await this.readLines(FILES.quality, logger);
+        } catch (error) {
+            logger.error(`❌ Cannot use billing data directory ${this.directory}: ${error.message}`);
+            return false;
+        }
+
+        this.nextId = this.usage.reduce((max, record) => Math.max(max, record.id || 0), 0) + 1;
+        this.ready = true;
+        logger.info(`✅ Billing data stored in ${this.directory}`, { usageRecords: this.usage.length });
+        return true;
+    }
+
+    async readLines(file, logger) {
+        let text;
+        try {
+            text = await fs.promises.readFile(path.join(this.directory, file), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = [];
+        let skipped = 0;
+        text.split('\n').forEach(line => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (error) {
+                skipped++; // A line cut short by a crash
+            }
+        });
+        if (skipped > 0) {
+            logger.warn(`⚠️ Skipped ${skipped} unreadable lines in ${file}`);
+        }
+        return records;
+    }
+
+    isConnected() {
+        return this.ready;
+    }
+
+    // Run file writes one after another; a failed write does not block the next
+    enqueue(write) {
+        const result = this.writes.then(write);
+        this.writes = result.catch(() => {});
+        return result;
+    }
+
+    append(file, record) {
+        return this.enqueue(() => fs.promises.appendFile(path.join(this.directory, file), `${JSON.stringify(record)}\n`, 'utf8'));
+    }
+
+    // Records are read when the write runs, so appends queued before it are kept
+    rewrite(file, getRecords) {
+        return this.enqueue(async () => {
+            const filePath = path.join(this.directory, file);
+            const tmpPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tmpPath, getRecords().map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+            await fs.promises.rename(tmpPath, filePath);
+        });
+    }
+
+    today() {
+        return dayOf(new Date(this.now()));
+    }
+
+    /**
+     * Track usage (see billing-db.js trackUsage)
+     */
+    async trackUsage(usageType, amount, sourceLanguage, details = {}) {
+        if (!this.ready) {
+            return false;
+        }
+        if (!USAGE_TYPES.includes(usageType) || !sourceLanguage || !Number.isFinite(amount)) {
+            console.error('Failed to track usage:', `invalid usage ${usageType} ${amount} ${sourceLanguage}`);
+            return false;
+        }
+
+        const record = {
+            id: this.nextId++,
+            timestamp: new Date(this.now()).toISOString(),
+            date: this.today(),
+            sourceLanguage,
+            targetLanguage: details.targetLanguage || null,
+            provider: details.provider || null,
+            sessionId: details.sessionId || null,
+            meteredBy: details.meteredBy || 'client',
+            usageType,
+            amount: Math.round(amount * 10000) / 10000 // NUMERIC(12, 4)
+        };
+
+        this.usage.push(record);
+        try {
+            await this.append(FILES.usage, record);
+            return true;
+        } catch (error) {
+            this.usage = this.usage.filter(stored => stored !== record);
+            console.error('Failed to track usage:', error.message);
+            return false;
+        }
+    }
+
+    inRange(startDate, endDate) {
+        const start = dayOf(startDate);
+        const end = dayOf(endDate);
+        return this.usage.filter(record => record.date >= start && record.date <= end);
+    }
+
+    /**
+     * Usage summary for a date range (see billing-db.js getUsageSummary)
+     */
+    async getUsageSummary(startDate, endDate) {
+        const summary = { totals: emptyUsage(), languages: {}, pairs: {}, providers: {} };
+        const groups = sumBy(this.inRange(startDate, endDate), ['sourceLanguage', 'targetLanguage', 'provider', 'usageType']);
+
+        groups.forEach(({ sourceLanguage: lang, targetLanguage, provider, usageType, amount }) => {
+            if (!summary.languages[lang]) summary.languages[lang] = emptyUsage();
+            addUsage(summary.languages[lang], usageType, amount);
+            addUsage(summary.totals, usageType, amount);
+
+            if (targetLanguage) {
+                const pair = `${lang}→${targetLanguage}`;
+                if (!summary.pairs[pair]) summary.pairs[pair] = emptyUsage();
+                addUsage(summary.pairs[pair], usageType, amount);
+            }
+            if (provider) {
+                if (!summary.providers[provider]) summary.providers[provider] = emptyUsage();
+                addUsage(summary.providers[provider], usageType, amount);
+            }
+        });
+        return summary;
+    }
+
+    /**
+     * Server-metered usage of one session (see billing-db.js getSessionUsage)
+     */
+    async getSessionUsage(sessionId) {
+        const usage = { sessionId, totals: emptyUsage(), pairs: {} };
+        const records = this.usage.filter(record => record.sessionId === sessionId);
+
+        sumBy(records, ['sourceLanguage', 'targetLanguage', 'usageType']).forEach(group => {
+            const pair = `${group.sourceLanguage}→${group.targetLanguage || '?'}`;
+            if (!usage.pairs[pair]) usage.pairs[pair] = emptyUsage();
+            addUsage(usage.pairs[pair], group.usageType, group.amount);
+            addUsage(usage.totals, group.usageType, group.amount);
+        });
+        return usage;
+    }
+
+    /**
+     * Daily totals of the last N days, newest first (see billing-db.js getDailyUsage)
+     */
+    async getDailyUsage(days = 30) {
+        const since = dayOf(new Date(Date.parse(this.today()) - days * DAY_MS));
+        const records = this.usage.filter(record => record.date >= since);
+
+        const dailyUsage = {};
+        sumBy(records, ['date', 'usageType']).reverse().forEach(({ date, usageType, amount }) => {
+            if (!dailyUsage[date]) {
+                dailyUsage[date] = { date, ...emptyUsage() };
+            }
+            addUsage(dailyUsage[date], usageType, amount);
+        });
+        return Object.values(dailyUsage);
+    }
+
+    /**
+     * Usage per day, source language, provider and type (see billing-db.js getUsageRows)
+     */
+    async getUsageRows(startDate, endDate) {
+        return sumBy(this.inRange(startDate, endDate), ['date', 'sourceLanguage', 'provider', 'usageType']);
+    }
+
+    /**
+     * Individual usage records of a date range, oldest first (see billing-db.js listUsageRecords)
+     */
+    async listUsageRecords(startDate, endDate) {
+        return this.inRange(startDate, endDate)
+            .map(record => ({ ...record }))
+            .sort((a, b) => compareValues(a.timestamp, b.timestamp) || a.id - b.id);
+    }
+
+    /**
+     * Delete usage and quality records older than `days` (see billing-db.js purgeOldData)
+     * @returns {Promise<number>} Usage records deleted
+     */
+    async purgeOldData(days = 90, logger) {
+        if (!this.ready) {
+            return 0;
+        }
+        const cutoff = Date.parse(this.today()) - days * DAY_MS;
+
+        try {
+            const count = this.usage.length;
+            this.usage = this.usage.filter(record => Date.parse(record.timestamp) >= cutoff);
+            const deletedCount = count - this.usage.length;
+            if (deletedCount > 0) {
+                await this.rewrite(FILES.usage, () => this.usage);
+                logger.info(`🗑️ Purged ${deletedCount} billing records older than ${days} days`);
+            }
+
+            // Quality counters follow the billing retention
+            const qualityCount = this.quality.length;
+            this.quality = this.quality.filter(record => Date.parse(record.endedAt) >= cutoff);
+            const qualityDeleted = qualityCount - this.quality.length;
+            if (qualityDeleted > 0) {
+                await this.rewrite(FILES.quality, () => this.quality);
+                logger.info(`🗑️ Purged ${qualityDeleted} session quality records older than ${days} days`);
+            }
+
+            return deletedCount;
+        } catch (error) {
+            logger.error('Failed to purge old data:', error.message);
+            return 0;
+        }
+    }
+
+    /**
+     * Log a translation event (see billing-db.js logTranslation): entries older than
+     * 45 minutes and beyond the newest 500 are dropped on every write, and the file is
+     * compacted once it holds twice that many lines
+     */
+    async logTranslation(entry) {
+        if (!this.ready) return false;
+
+        const now = this.now();
+        const record = {
+            sessionId: entry.sessionId || '',
+            clientId: entry.clientId || '',
+            sourceText: (entry.sourceText || '').substring(0, 1000),
+            translatedText: (entry.translatedText || '').substring(0, 1000),
+            sourceLanguage: entry.sourceLanguage || '',
+            targetLanguage: entry.targetLanguage || '',
+            reason: entry.reason || '',
+            appVersion: entry.appVersion || '',
+            createdAt: new Date(now).toISOString()
+        };
+
+        this.translationLog = this.translationLog
+            .filter(logged => now - Date.parse(logged.createdAt) <= LOG_MAX_AGE_MS)
+            .slice(-(LOG_MAX_ENTRIES - 1));
+        this.translationLog.push(record);
+
+        try {
+            if (this.logLines + 1 > LOG_MAX_ENTRIES * 2) {
+                this.logLines = this.translationLog.length;
+                await this.rewrite(FILES.translationLog, () => this.translationLog);
+            } else {
+                this.logLines++;
+                await this.append(FILES.translationLog, record);
+            }
+            return true;
+        } catch (error) {
+            // Non-fatal — don't let logging errors break translation flow
+            console.error('Failed to log translation:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Store the quality counters of an ended session (see billing-db.js saveSessionQuality)
+     */
+    async saveSessionQuality(record) {
+        if (!this.ready) return false;
+
+        const stored = { ...record, reasons: record.reasons || {} };
+        this.quality.push(stored);
+        try {
+            await this.append(FILES.quality, stored);
+            return true;
+        } catch (error) {
+            this.quality = this.quality.filter(kept => kept !== stored);
+            console.error('Failed to save session quality:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Stored session quality for sessions that ended in a date range, oldest first
+     */
+    async listSessionQuality(startDate, endDate) {
+        const start = dayOf(startDate);
+        const end = dayOf(endDate);
+        return this.quality
+            .filter(record => dayOf(record.endedAt) >= start && dayOf(record.endedAt) <= end)
+            .sort((a, b) => compareValues(a.endedAt, b.endedAt));
+    }
+
+    // The session archive needs Postgres
+    async startArchivedSession() { return false; }
+    async archiveSegment() { return false; }
+    async endArchivedSession() { return false; }
+    async listArchivedSessions() { return { total: 0, sessions: [] }; }
+    async getArchivedSession() { return null; }
+    async purgeArchivedSessions() { return 0; }
+
+    /**
+     * Wait for queued writes (for graceful shutdown)
+     */
+    async close(logger) {
+        await this.writes;
+        if (this.ready) {
+            logger.info('Billing data files closed');
+        }
+        this.ready = false;
+    }
+}
+
+module.exports = FileBillingStore;
+module.exports.FILES = FILES;
@@ -0,0 +1,100 @@
+/**
+ * Billing Store
+ * Picks the storage backend for usage metering, the translation log and quality counters
+ *
+ * Every backend implements:
+ *
+ *   initialize(logger)                           → Promise<boolean> (false: not available)
+ *   isConnected()                                → boolean
+ *   trackUsage(usageType, amount, sourceLanguage, details)
+ *   getUsageSummary(startDate, endDate)          → { totals, languages, pairs, providers }
+ *   getSessionUsage(sessionId)                   → { sessionId, totals, pairs }
+ *   getDailyUsage(days)                          → [{ date, sttMinutes, translationChars, glossaryChars }]
+ *   getUsageRows(startDate, endDate)             → [{ date, sourceLanguage, provider, usageType, amount }]
+ *   listUsageRecords(startDate, endDate)         → [{ id, timestamp, date, …, usageType, amount }]
+ *   purgeOldData(days, logger)                   → Promise<number> (usage records deleted)
+ *   logTranslation(entry)
+ *   saveSessionQuality(record) / listSessionQuality(startDate, endDate)
+ *   close(logger)
+ *
+ * plus the session archive methods of billing-db.js, which only Postgres stores
+ * (`supportsArchive: false` elsewhere). Backends:
+ *
+ *   postgres  billing-db.js, DATABASE_URL
+ *   file      billing-file-store.js, JSONL files in BILLING_DATA_DIR
+ *   none      nothing is stored (what installs without DATABASE_URL used to get)
+ *
+ * BILLING_STORE=auto (default) uses postgres when DATABASE_URL is set and file otherwise.
+ */
+
+const billingDb = require('./billing-db');
+const FileBillingStore = require('./billing-file-store');
+
+const BACKENDS = ['auto', 'postgres', 'file', 'none'];
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'BILLING_STORE_INVALID';
+    return error;
+}
+
+/**
+ * billing-db.js behind the backend interface
+ */
+function createPostgresStore() {
+    return {
+        ...billingDb,
+        name: 'postgres',
+        supportsArchive: true,
+        async initialize(logger) {
+            if (!billingDb.initializeDatabase(logger)) {
+                return false;
+            }
+            await billingDb.createSchema(logger);
+            return true;
+        },
+        close: billingDb.closeDatabase
+    };
+}
+
+/**
+ * A store that keeps nothing (billing-db.js without a connection pool)
+ */
+function createNullStore() {
+    return {
+        ...billingDb,
+        name: 'none',
+        supportsArchive: false,
+        isConnected: () => false,
+        async initialize(logger) {
+            logger.warn('⚠️ BILLING_STORE=none - billing data will not be persisted');
+            return false;
+        },
+        async close() {}
+    };
+}
+
+/**
+ * @param {Object} options
+ * @param {string} options.backend - 'auto' | 'postgres' | 'file' | 'none'
+ * @param {string} options.databaseUrl - DATABASE_URL (auto picks postgres when set)
+ * @param {string} options.dataDir - Directory of the file backend
+ * @returns {Object} Store (call initialize before use)
+ * @throws {Error} code BILLING_STORE_INVALID for an unknown backend
+ */
+function createBillingStore({ backend = 'auto', databaseUrl = '', dataDir } = {}) {
+    if (!BACKENDS.includes(backend)) {
+        throw invalid(`Unknown BILLING_STORE "${backend}" (expected: ${BACKENDS.join(', ')})`);
+    }
+    const selected = backend === 'auto' ? (databaseUrl ? 'postgres' : 'file') : backend;
+
+    if (selected === 'postgres') return createPostgresStore();
+    if (selected === 'file') return new FileBillingStore(dataDir);
+    return createNullStore();
+}
+
+module.exports = {
+    createBillingStore,
+    createPostgresStore,
+    BACKENDS
+};
@@ -0,0 +1,123 @@
+/**
+ * Broadcast Rooms
+ * One presenter session, many listener sockets
+ *
+ * A presenter calls `start-session` with a room code; listeners `join-room` with the
+ * same code and the target language they want. The presenter's session translates each
+ * approved chunk once per distinct target language and emits it to a Socket.IO channel
+ * per (room, language) — so 40 listeners in 3 languages cost 3 translations, not 40.
+ *
+ * This module only tracks membership; socket wiring lives in server.js.
+ */
+
+const ROOM_CODE_PATTERN = /^[A-Za-z0-9_-]{3,32}$/;
+
+class BroadcastRoomRegistry {
+    constructor() {
+        this.rooms = new Map(); // code → { code, presenterId, sourceLanguage, targetLanguage, listeners: Map<socketId, lang>, createdAt }
+    }
+
+    /**
+     * Normalize and validate a room code (case-insensitive, so "Hall-1" === "hall-1")
+     * @returns {string|null} Normalized code, or null if invalid
+     */
+    static normalizeCode(code) {
+        if (typeof code !== 'string' || !ROOM_CODE_PATTERN.test(code.trim())) return null;
+        return code.trim().toLowerCase();
+    }
+
+    /**
+     * Socket.IO channel name for one target language of a room
+     */
+    static channelName(code, targetLanguage) {
+        return `room:${code}:${targetLanguage}`;
+    }
+
+    /**
+     * Open (or re-open) a room for a presenter
+     * A room already owned by a different presenter cannot be taken over.
+     *
+     * @returns {Object|null} The room, or null if the code is held by another presenter
+     */
+    openRoom(code, presenterId, { sourceLanguage, targetLanguage }) {
+        const existing = this.rooms.get(code);
+        if (existing && existing.presenterId !== presenterId) {
+            return null;
+        }
+
+        const room = existing || {
+            code,
+            presenterId,
+            listeners: new Map(),
+            createdAt: Date.now()
+        };
+        room.sourceLanguage = sourceLanguage;
+        room.targetLanguage = targetLanguage;
+        this.rooms.set(code, room);
+        return room;
+    }
+
+    /**
+     * Close a room and return the listener socket IDs that were attached to it
+     */
+    closeRoom(code) {
+        const room = this.rooms.get(code);
+        if (!room) return [];
+        this.rooms.delete(code);
+        return [...room.listeners.keys()];
+    }
+
+    getRoom(code) {
+        return this.rooms.get(code) || null;
+    }
+
+    /**
+     * Add a listener, or change its target language if it is already in the room
+     * @returns {string|null} Previous target language (null if newly joined)
+     */
+    addListener(code, socketId, targetLanguage) {
+        const room = this.rooms.get(code);
+        if (!room) throw new Error(`Room ${code} does not exist`);
+
+        const previous = room.listeners.get(socketId) || null;
+        room.listeners.set(socketId, targetLanguage);
+        return previous;
+    }
+
+    /**
+     * Remove a listener
+     * @returns {string|null} The target language it was following (null if not a member)
+     */
+    removeListener(code, socketId) {
+        const room = this.rooms.get(code);
+        if (!room) return null;
+
+        const previous = room.listeners.get(socketId) || null;
+        room.listeners.delete(socketId);
+        return previous;
+    }
+
+    /**
+     * Distinct listener target languages, excluding the presenter's own target
+     * (the presenter's translation is produced anyway and shared with that channel)
+     */
+    getListenerLanguages(code) {
+        const room = this.rooms.get(code);
+        if (!room) return [];
+
+        const languages = new Set(room.listeners.values());
+        languages.delete(room.targetLanguage);
+        return [...languages];
+    }
+
+    /**
+     * Summary for logging/health output
+     */
+    getStats() {
+        let listeners = 0;
+        for (const room of this.rooms.values()) listeners += room.listeners.size;
+        return { rooms: this.rooms.size, listeners };
+    }
+}
+
+module.exports = BroadcastRoomRegistry;
@@ -0,0 +1,305 @@
+/**
+ * Budget Guard
+ * Keeps translation usage under the monthly free tier (BUDGET.md), configured in config/budget.json
+ *
+ *   {
+ *     "enabled": false,                   // Opt-in: nothing is warned or refused until set to true
+ *     "monthlyCharacters": 500000,        // Free-tier characters per calendar month
+ *     "softThreshold": 0.8,               // Share of the budget that warns connected clients
+ *     "hardThreshold": 1.0,               // Share of the budget that triggers hardAction
+ *     "hardAction": "refuse",             // refuse | fallback_provider | slow_down
+ *     "fallbackProvider": "http",         // Provider used by fallback_provider
+ *     "slowDownFactor": 3,                // Interval, pause and sentence ceiling multiplier (slow_down)
+ *     "freeProviders": ["mock", "http"],  // Their characters do not count
+ *     "refreshIntervalMs": 300000         // How often month-to-date usage is re-read
+ *   }
+ *
+ * Month-to-date usage is the translation and glossary characters in billing_usage (metered
+ * by the server, see billing-db.js) plus what was metered since the last read. Like the
+ * translation log it refreshes lazily — on metered usage, not on a timer. A read only
+ * replaces the metered characters whose billing_usage write had finished before it started;
+ * those still being written stay counted until the next read. Without a database only the
+ * characters since server start are counted.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { PROVIDER_NAMES } = require('./translation-providers');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'budget.json');
+
+const HARD_ACTIONS = ['refuse', 'fallback_provider', 'slow_down'];
+
+const DEFAULTS = {
+    enabled: false,
+    monthlyCharacters: 500000,
+    softThreshold: 0.8,
+    hardThreshold: 1.0,
+    hardAction: 'refuse',
+    fallbackProvider: null,
+    slowDownFactor: 3,
+    freeProviders: ['mock', 'http'],
+    refreshIntervalMs: 5 * 60 * 1000
+};
+
+function invalid(message, problems) {
+    const error = new Error(message);
+    error.code = 'BUDGET_INVALID';
+    error.details = problems;
+    return error;
+}
+
+// Calendar month of a timestamp (UTC, like session_date in billing_usage)
+function monthStart(now) {
+    const date = new Date(now);
+    return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+}
+
+function monthKey(now) {
+    return new Date(now).toISOString().slice(0, 7);
+}
+
+class BudgetGuard {
+    /**
+     * @param {Object} config - Parsed budget file (missing fields use DEFAULTS)
+     * @param {Object} options
+     * @param {Object} options.store - getUsageSummary(start, end) and isConnected() (billing-db.js)
+     * @param {Function} options.now - Clock (injectable for tests)
+     * @param {Object} options.logger
+     * @param {Function} options.onChange - Called with (state, previousLevel) when the level changes
+     * @throws {Error} code BUDGET_INVALID, with `details` listing every problem
+     */
+    constructor(config = {}, { store = null, now = Date.now, logger = null, onChange = null } = {}) {
+        const problems = BudgetGuard.validate(config);
+        if (problems.length > 0) {
+            throw invalid(`Invalid budget config: ${problems[0]}`, problems);
+        }
+        this.config = { ...DEFAULTS, ...config };
+        delete this.config.description;
+        this.store = store;
+        this.now = now;
+        this.logger = logger;
+        this.onChange = onChange;
+
+        this.month = monthKey(now());
+        this.storedChars = 0;   // Month to date in billing_usage at the last refresh
+        this.pendingChars = 0;  // Metered since then
+        this.writingChars = 0;  // Part of pendingChars whose billing_usage write has not finished
+        this.source = 'memory';
+        this.level = 'ok';
+        this.lastRefreshAt = null;
+        this.refreshing = null;
+    }
+
+    /**
+     * Load and validate a budget file (config only — the guard needs a store and clock)
+     */
+    static loadConfig(filePath = DEFAULT_FILE) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw invalid(`Cannot read budget config ${filePath}: ${error.message}`, [error.message]);
+        }
+        const problems = BudgetGuard.validate(config);
+        if (problems.length > 0) {
+            throw invalid(`Invalid budget config: ${problems[0]}`, problems);
+        }
+        return config;
+    }
+
+    /**
+     * @returns {string[]} Every problem found (empty when valid)
+     */
+    static validate(config) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            return ['file must contain an object'];
+        }
+        const problems = [];
+        const settings = { ...DEFAULTS, ...config };
+        const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+        Object.keys(config).forEach(field => {
+            if (DEFAULTS[field] === undefined && field !== 'description') {
+                problems.push(`unknown field "${field}"`);
+            }
+        });
+        if (typeof settings.enabled !== 'boolean') {
+            problems.push('enabled must be true or false');
+        }
+        if (!Number.isInteger(settings.monthlyCharacters) || settings.monthlyCharacters < 1) {
+            problems.push('monthlyCharacters must be a positive integer');
+        }
+        if (!isPositive(settings.softThreshold) || !isPositive(settings.hardThreshold)) {
+            problems.push('softThreshold and hardThreshold must be positive numbers');
+        } else if (settings.softThreshold > settings.hardThreshold) {
+            problems.push('softThreshold must not exceed hardThreshold');
+        }
+        if (!HARD_ACTIONS.includes(settings.hardAction)) {
+            problems.push(`hardAction must be one of: ${HARD_ACTIONS.join(', ')}`);
+        }
+        if (settings.fallbackProvider !== null && !PROVIDER_NAMES.includes(settings.fallbackProvider)) {
+            problems.push(`fallbackProvider must be one of: ${PROVIDER_NAMES.join(', ')}`);
+        }
+        if (settings.hardAction === 'fallback_provider' && !settings.fallbackProvider) {
+            problems.push('hardAction "fallback_provider" needs a fallbackProvider');
+        }
+        if (!isPositive(settings.slowDownFactor) || settings.slowDownFactor < 1) {
+            problems.push('slowDownFactor must be a number ≥ 1');
+        }
+        if (!Array.isArray(settings.freeProviders) || !settings.freeProviders.every(name => PROVIDER_NAMES.includes(name))) {
+            problems.push(`freeProviders must list providers from: ${PROVIDER_NAMES.join(', ')}`);
+        }
+        if (!Number.isInteger(settings.refreshIntervalMs) || settings.refreshIntervalMs < 1000) {
+            problems.push('refreshIntervalMs must be an integer ≥ 1000');
+        }
+        return problems;
+    }
+
+    get usedChars() {
+        return this.storedChars + this.pendingChars;
+    }
+
+    // A new month starts from zero
+    rollMonth() {
+        const month = monthKey(this.now());
+        if (month === this.month) return;
+        this.month = month;
+        this.storedChars = 0;
+        this.pendingChars = 0;
+        this.writingChars = 0;
+    }
+
+    /**
+     * Count characters the server just sent to a provider
+     *
+     * @param {string} provider - Provider name (freeProviders do not count)
+     * @param {number} chars - Characters sent
+     * @param {Promise} written - The billing_usage write of this usage: until it settles, a
+     *   refresh cannot see these characters and keeps counting them (default: already written)
+     */
+    recordUsage(provider, chars, written = null) {
+        if (!this.config.enabled) return;
+        this.rollMonth();
+        if (!this.config.freeProviders.includes(provider)) {
+            this.pendingChars += chars;
+            if (written) {
+                const month = this.month;
+                this.writingChars += chars;
+                Promise.resolve(written).catch(() => {}).then(() => {
+                    if (month === this.month) this.writingChars -= chars;
+                });
+            }
+        }
+        this.updateLevel();
+        this.maybeRefresh();
+    }
+
+    /**
+     * Re-read month-to-date usage when the last read is older than refreshIntervalMs
+     */
+    maybeRefresh() {
+        if (this.refreshing) return;
+        if (this.lastRefreshAt !== null && this.now() - this.lastRefreshAt < this.config.refreshIntervalMs) return;
+        this.refresh().catch(error => {
+            if (this.logger) this.logger.warn('⚠️ Budget usage refresh failed', { error: error.message });
+        });
+    }
+
+    /**
+     * Read month-to-date usage from the store
+     *
+     * @returns {Promise<Object>} State after the refresh (see getState)
+     */
+    refresh() {
+        if (this.refreshing) return this.refreshing;
+        this.refreshing = this.readStore().finally(() => {
+            this.refreshing = null;
+        });
+        return this.refreshing;
+    }
+
+    async readStore() {
+        this.rollMonth();
+        const now = this.now();
+        this.lastRefreshAt = now;
+
+        if (this.config.enabled && this.store && this.store.isConnected()) {
+            const month = this.month;
+            // Only what is already written shows up in the read below
+            const written = this.pendingChars - this.writingChars;
+            const summary = await this.store.getUsageSummary(monthStart(now), new Date(now));
+            if (month === this.month) {
+                // Usage only grows within a month: a failed read (empty summary) never lowers it
+                this.storedChars = Math.max(this.storedChars, this.countedChars(summary));
+                this.pendingChars = Math.max(0, this.pendingChars - written);
+                this.source = 'database';
+            }
+        }
+
+        this.updateLevel();
+        return this.getState();
+    }
+
+    // Translation and glossary characters, minus those of free providers
+    countedChars(summary) {
+        const chars = usage => (usage ? usage.translationChars + usage.glossaryChars : 0);
+        const free = this.config.freeProviders.reduce((sum, name) => sum + chars((summary.providers || {})[name]), 0);
+        return Math.max(0, chars(summary.totals) - free);
+    }
+
+    updateLevel() {
+        const { enabled, monthlyCharacters, softThreshold, hardThreshold } = this.config;
+        const used = this.usedChars;
+        const level = !enabled ? 'ok'
+            : used >= monthlyCharacters * hardThreshold ? 'hard'
+                : used >= monthlyCharacters * softThreshold ? 'soft' : 'ok';
+        if (level === this.level) return;
+
+        const previous = this.level;
+        this.level = level;
+        const state = this.getState();
+        if (this.logger) {
+            const details = { usedChars: state.usedChars, monthlyCharacters, action: state.action };
+            if (level === 'ok') this.logger.info('💰 Translation budget back under the soft threshold', details);
+            else this.logger.warn(`💰 Translation budget ${level} threshold reached`, details);
+        }
+        if (this.onChange) this.onChange(state, previous);
+    }
+
+    /**
+     * What the hard cap currently asks for: null, 'refuse', 'fallback_provider' or 'slow_down'
+     */
+    getAction() {
+        return this.level === 'hard' ? this.config.hardAction : null;
+    }
+
+    /**
+     * Multiplier for translation interval and pause threshold (1 unless slowing down)
+     */
+    getTimingFactor() {
+        return this.getAction() === 'slow_down' ? this.config.slowDownFactor : 1;
+    }
+
+    getState() {
+        const { enabled, monthlyCharacters, softThreshold, hardThreshold, hardAction } = this.config;
+        return {
+            enabled,
+            month: this.month,
+            level: this.level,
+            usedChars: Math.round(this.usedChars),
+            monthlyCharacters,
+            ratio: Math.round(this.usedChars / monthlyCharacters * 1000) / 1000,
+            softLimitChars: Math.round(monthlyCharacters * softThreshold),
+            hardLimitChars: Math.round(monthlyCharacters * hardThreshold),
+            hardAction,
+            action: this.getAction(),
+            source: this.source,
+            updatedAt: this.lastRefreshAt !== null ? new Date(this.lastRefreshAt).toISOString() : null
+        };
+    }
+}
+
+module.exports = BudgetGuard;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
+module.exports.HARD_ACTIONS = HARD_ACTIONS;
@@ -0,0 +1,65 @@
+/**
+ * CSV
+ * Reading and writing the RFC 4180 CSV shared by glossaries (glossary-engine.js) and
+ * billing exports (billing-export.js)
+ */
+
+/**
+ * Parse CSV text into rows of fields (RFC 4180 quoting: "a, b" and "" escapes)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const input = text.replace(/^\uFEFF/, ''); // Strip BOM (Excel exports)
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field.length > 0 || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(f => f.trim().length > 0));
+}
+
+/**
+ * Serialize rows to CSV, quoting fields that need it
+ */
+function toCsv(rows) {
+    const quote = (value) => {
+        const str = String(value);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    return rows.map(r => r.map(quote).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
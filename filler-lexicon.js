@@ -0,0 +1,274 @@
+/**
+ * Filler Lexicon
+ * Per-source-language filler and disfluency lexicons, loaded from config/fillers.json
+ *
+ *   {
+ *     "languages": {
+ *       "en": { "fillers": ["uh", "um"], "markers": ["like", "you know"] },
+ *       "ja": { "wordBoundaries": false, "fillers": ["えーと"], "markers": ["あの"] }
+ *     }
+ *   }
+ *
+ * fillers — hesitation sounds; elongated forms match too ("ummm", "ăăă")
+ * markers — discourse words that are fillers only in context ("like", "păi", "you know")
+ *
+ * Both count when deciding whether a chunk is filler-only (the rules engine skips it).
+ * strip() cleans text before translation: fillers everywhere, markers only where they
+ * are set off by commas ("Păi, noi..." / "..., you know, ..."), and immediate repetitions
+ * ("the the church", "we will we will go"). Entries may be phrases. An unknown or missing
+ * source language uses every lexicon combined.
+ *
+ * Without word boundaries (wordBoundaries: false) an entry only matches where it stands
+ * apart: at the start or end of the text, next to punctuation or whitespace, or next to
+ * another entry ("嗯那个"). Inside a word it is left alone (金额 keeps its 额).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'fillers.json');
+
+let defaultInstance = null;
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2}$/;
+const WORD_CHAR = '\\p{L}\\p{M}\\p{N}';
+const MAX_REPEAT_WORDS = 3;
+
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function invalid(message, problems) {
+    const error = new Error(message);
+    error.code = 'FILLERS_INVALID';
+    error.details = problems;
+    return error;
+}
+
+function isStringArray(value) {
+    return Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim());
+}
+
+// "um" → "u+m+" (matches "ummm"); phrase words are separated by any whitespace
+function entryPattern(entry, elongated) {
+    return entry.trim().split(/\s+/)
+        .map(word => [...word].map(ch => escapeRegex(ch) + (elongated ? '+' : '')).join(''))
+        .join('\\s+');
+}
+
+// Longest first, so "you know" wins over "you"
+function alternation(entries, elongated) {
+    return [...entries]
+        .sort((a, b) => b.length - a.length)
+        .map(entry => entryPattern(entry, elongated))
+        .join('|');
+}
+
+function normalizeWord(word) {
+    return word.toLowerCase().replace(new RegExp(`^[^${WORD_CHAR}]+|[^${WORD_CHAR}]+$`, 'gu'), '');
+}
+
+// Put the text back together after removals: no doubled spaces or commas, no comma at the start
+function tidy(text) {
+    return text
+        .replace(/\s+/g, ' ')
+        .replace(/\s+([,;.!?。！？，、])/g, '$1')
+        .replace(/([,，、])(\s*[,，、])+/g, '$1')
+        .replace(/^[\s,;，、]+/, '')
+        .replace(/[,;，、]+(\s*[.!?。！？])/g, '$1')
+        .trim();
+}
+
+class FillerLexicon {
+    /**
+     * @param {Object} config - Parsed lexicon file ({ languages: { code: { fillers, markers } } })
+     * @throws {Error} code FILLERS_INVALID, with `details` listing every problem
+     */
+    constructor(config) {
+        const problems = [];
+        this.languages = FillerLexicon.compile(config, problems);
+        if (problems.length > 0) {
+            throw invalid(`Invalid filler lexicon: ${problems[0]}`, problems);
+        }
+        this.combined = null;
+    }
+
+    static fromFile(filePath = DEFAULT_FILE) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw invalid(`Cannot read filler lexicon ${filePath}: ${error.message}`, [error.message]);
+        }
+        return new FillerLexicon(config);
+    }
+
+    /**
+     * Shared instance of the bundled config/fillers.json (loaded on first use)
+     */
+    static getDefault() {
+        if (!defaultInstance) {
+            defaultInstance = FillerLexicon.fromFile(DEFAULT_FILE);
+        }
+        return defaultInstance;
+    }
+
+    static compile(config, problems) {
+        if (!config || typeof config.languages !== 'object' || config.languages === null) {
+            problems.push('file must contain a "languages" object');
+            return new Map();
+        }
+
+        const languages = new Map();
+        for (const [lang, lexicon] of Object.entries(config.languages)) {
+            const label = `Language "${lang}"`;
+            if (!LANGUAGE_CODE_PATTERN.test(lang)) {
+                problems.push(`${label}: must be a two-letter language code`);
+                continue;
+            }
+            const { fillers = [], markers = [], wordBoundaries = true } = lexicon || {};
+            if (!isStringArray(fillers) || !isStringArray(markers)) {
+                problems.push(`${label}: fillers and markers must be lists of words or phrases`);
+                continue;
+            }
+            if (fillers.length + markers.length === 0) {
+                problems.push(`${label}: needs at least one filler or marker`);
+                continue;
+            }
+            if (typeof wordBoundaries !== 'boolean') {
+                problems.push(`${label}: wordBoundaries must be true or false`);
+                continue;
+            }
+            languages.set(lang, { fillers, markers, wordBoundaries });
+        }
+        return languages;
+    }
+
+    /**
+     * Compiled patterns for a source language ('ro-RO', 'ro'; unknown or null: all combined)
+     */
+    forLanguage(language) {
+        const code = language ? String(language).split('-')[0].toLowerCase() : null;
+        const lexicon = code && this.languages.get(code);
+        if (lexicon) {
+            if (!lexicon.compiled) lexicon.compiled = this.build([lexicon]);
+            return lexicon.compiled;
+        }
+        if (!this.combined) this.combined = this.build([...this.languages.values()]);
+        return this.combined;
+    }
+
+    build(lexicons) {
+        // Spaced and unspaced languages differ only in whether a match needs word boundaries
+        const groups = [true, false].map(bounded => {
+            const selected = lexicons.filter(lexicon => lexicon.wordBoundaries === bounded);
+            const fillers = selected.flatMap(lexicon => lexicon.fillers);
+            const markers = selected.flatMap(lexicon => lexicon.markers);
+            return { bounded, fillers, markers };
+        }).filter(group => group.fillers.length + group.markers.length > 0);
+
+        const entries = ({ fillers, markers }) =>
+            [fillers.length && alternation(fillers, true), markers.length && alternation(markers, false)].filter(Boolean).join('|');
+        // Unspaced languages have no word boundaries: an entry must stand apart instead
+        const unspaced = groups.find(group => !group.bounded);
+        const apart = unspaced ? `[\\s\\p{P}]|${entries(unspaced)}` : '';
+        const before = bounded => bounded ? `(?<![${WORD_CHAR}])` : `(?<=^|${apart})`;
+        const after = bounded => bounded ? `(?![${WORD_CHAR}])` : `(?=$|${apart})`;
+        const regex = (body, flags = 'giu') => new RegExp(body, flags);
+
+        return {
+            spaced: groups.some(group => group.bounded),
+            // Any filler or marker, anywhere
+            all: groups.map(group => regex(`${before(group.bounded)}(?:${entries(group)})${after(group.bounded)}`)),
+            fillers: groups.filter(group => group.fillers.length).map(({ bounded, fillers }) =>
+                regex(`${before(bounded)}(?:${alternation(fillers, true)})${after(bounded)}[,，、]?`)),
+            // Markers at the start of the text or after a comma, followed by a comma
+            markers: groups.filter(group => group.markers.length).map(({ bounded, markers }) =>
+                regex(`(^|[,，、])\\s*(?:${alternation(markers, false)})${after(bounded)}\\s*[,，、]\\s*`))
+        };
+    }
+
+    /**
+     * Is the text made only of fillers and markers (and punctuation)?
+     */
+    isFillerOnly(text, language = null) {
+        if (!text || !text.trim()) return false;
+        const { all } = this.forLanguage(language);
+        const rest = all.reduce((current, pattern) => current.replace(pattern, ' '), text);
+        return !new RegExp(`[${WORD_CHAR}]`, 'u').test(rest);
+    }
+
+    /**
+     * Remove fillers, comma-delimited markers and immediate repetitions
+     *
+     * @param {string} text - Source transcript
+     * @param {string} language - Source language, e.g. 'ro-RO'
+     * @returns {{text: string, removed: Array<{type: string, text: string}>}} type is
+     *          'filler', 'marker' or 'repetition'
+     */
+    strip(text, language = null) {
+        const compiled = this.forLanguage(language);
+        const removed = [];
+        let result = text || '';
+
+        // Fillers first: "We went, uh, you know, home" leaves the marker between commas
+        compiled.fillers.forEach(pattern => {
+            result = result.replace(pattern, match => {
+                removed.push({ type: 'filler', text: match.replace(/[,，、]$/, '') });
+                return ' ';
+            });
+        });
+        compiled.markers.forEach(pattern => {
+            result = result.replace(pattern, (match, lead) => {
+                removed.push({ type: 'marker', text: match.replace(/^[\s,，、]+|[\s,，、]+$/g, '') });
+                return lead ? `${lead} ` : '';
+            });
+        });
+
+        if (compiled.spaced) {
+            result = this.stripRepetitions(result, removed);
+        }
+
+        return { text: tidy(result), removed };
+    }
+
+    /**
+     * "the the church" → "the church", "we will we will go" → "we will go"
+     * The later copy is kept (it carries any punctuation). Numbers are never collapsed.
+     */
+    stripRepetitions(text, removed) {
+        const words = text.split(/\s+/).filter(Boolean);
+        const key = word => normalizeWord(word);
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            for (let size = MAX_REPEAT_WORDS; size >= 1 && !changed; size--) {
+                for (let i = 0; i + size * 2 <= words.length; i++) {
+                    const first = words.slice(i, i + size);
+                    const second = words.slice(i + size, i + size * 2);
+                    const repeated = first.every((word, n) => key(word) && key(word) === key(second[n]));
+                    // A sentence ending between the copies is not a stutter ("Amen. Amen.")
+                    const ended = /[.!?。！？]$/.test(first[first.length - 1]);
+                    if (repeated && !ended && !first.some(word => /^\p{N}+$/u.test(key(word)))) {
+                        removed.push({ type: 'repetition', text: first.join(' ') });
+                        words.splice(i, size);
+                        changed = true;
+                        break;
+                    }
+                }
+            }
+        }
+        return words.join(' ');
+    }
+
+    /**
+     * Languages with their own lexicon
+     */
+    getLanguages() {
+        return [...this.languages.keys()].sort();
+    }
+}
+
+module.exports = FillerLexicon;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
@@ -0,0 +1,428 @@
+/**
+ * Local Glossary Engine
+ * Applies the domain glossaries in glossaries/*.csv on the server, with any provider
+ *
+ * Before translation, glossary source terms are replaced with placeholder tokens
+ * ([G0], [G1], ...) that translation engines pass through unchanged. After translation
+ * the tokens are replaced with the glossary's target terms. This gives the same
+ * "required term" behaviour as a Google-hosted glossary without glossary pricing.
+ *
+ * Which entries are protected:
+ *   - multi-word terms ("congres de circuit", "Sala Regatului") — matched case-insensitively
+ *   - single words written capitalized in the CSV (names, Bible books: "Iehova", "Coloseni")
+ *     — matched case-sensitively so "romani" (Romanians) never becomes "Romans"
+ * Single lowercase words are NOT enforced: they inflect with the sentence, and a
+ * placeholder would cost the translation its grammatical context, so the provider picks
+ * its own rendering ("frați" may come back as "brethren" rather than the glossary's
+ * "brothers"). Only a term-mapping rule (config/term-mappings.json) corrects those after
+ * translation; the glossary listing reports them as entries minus protectedEntries.
+ *
+ * CSV format: header row with the two language codes (e.g. "ro,en"), then source,target rows.
+ *
+ * Entries can be edited at runtime (see /api/glossaries in server.js): every change is
+ * validated, written back to the CSV and recompiled, and bumps `version` so cached
+ * translations made with the old terms are no longer used.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseCsv, toCsv } = require('./csv');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, 'glossaries');
+const DEFAULT_FILES = ['glossary_final.csv', 'glossary_final_en_ro.csv'];
+
+const MAX_TERM_LENGTH = 200;
+
+const LETTER_OR_DIGIT = '\\p{L}\\p{N}';
+const PLACEHOLDER_PATTERN = /\[\s*G\s*(\d+)\s*\]/gi;
+
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function glossaryError(message, code, details) {
+    const error = new Error(message);
+    error.code = code;
+    if (details) error.details = details;
+    return error;
+}
+
+/**
+ * Check a full entry list before it is saved
+ * @returns {string[]} Problems found (empty when valid)
+ */
+function validateEntries(entries) {
+    const problems = [];
+    const seen = new Map();
+
+    entries.forEach((entry, i) => {
+        const label = `Entry ${i + 1}`;
+        const source = typeof entry.source === 'string' ? entry.source.trim() : '';
+        const target = typeof entry.target === 'string' ? entry.target.trim() : '';
+
+        if (!source) problems.push(`${label}: source term is empty`);
+        if (!target) problems.push(`${label}${source ? ` ("${source}")` : ''}: target term is empty`);
+        if (source.length > MAX_TERM_LENGTH || target.length > MAX_TERM_LENGTH) {
+            problems.push(`${label}: terms are limited to ${MAX_TERM_LENGTH} characters`);
+        }
+        if (/[\r\n]/.test(source) || /[\r\n]/.test(target)) {
+            problems.push(`${label}: terms cannot contain line breaks`);
+        }
+
+        const key = source.toLowerCase();
+        if (source && seen.has(key)) {
+            problems.push(`${label}: duplicate source term "${source}" (also entry ${seen.get(key) + 1})`);
+        } else if (source) {
+            seen.set(key, i);
+        }
+    });
+
+    return problems;
+}
+
+/**
+ * Should this entry be protected with a placeholder? (see module header)
+ */
+function isProtectedEntry(source) {
+    return /\s/.test(source.trim()) || /^\p{Lu}/u.test(source.trim());
+}
+
+class GlossaryEngine {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Directory holding the CSV files
+     * @param {string[]} options.files - CSV file names to load (language pair comes from each header)
+     * @param {Object} options.logger - Logger (winston or console)
+     */
+    constructor({ directory = DEFAULT_DIRECTORY, files = DEFAULT_FILES, logger = console } = {}) {
+        this.directory = directory;
+        this.files = files;
+        this.logger = logger;
+        this.glossaries = new Map(); // 'ro-en' → { id, sourceLang, targetLang, file, entries, matchers }
+        this.version = 0; // Bumped on every (re)load — part of the translation cache key
+    }
+
+    /**
+     * (Re)load all configured CSV files
+     * Duplicate source terms keep their first entry; rows with an empty target are skipped.
+     * @returns {Object[]} Summary per glossary: { id, file, entries }
+     */
+    load() {
+        const loaded = new Map();
+
+        for (const file of this.files) {
+            const filePath = path.join(this.directory, file);
+            try {
+                const glossary = this.parseGlossary(fs.readFileSync(filePath, 'utf8'), file);
+                if (loaded.has(glossary.id)) {
+                    this.logger.warn(`⚠️ Glossary ${file} duplicates language pair ${glossary.id} - ignored`);
+                    continue;
+                }
+                loaded.set(glossary.id, glossary);
+            } catch (error) {
+                this.logger.warn(`⚠️ Failed to load glossary ${file}: ${error.message}`);
+            }
+        }
+
+        this.glossaries = loaded;
+        this.version++;
+
+        return this.listGlossaries();
+    }
+
+    /**
+     * Parse one glossary CSV into a compiled glossary
+     */
+    parseGlossary(csvText, file) {
+        const rows = parseCsv(csvText);
+        if (rows.length === 0) throw new Error('empty file');
+
+        const [sourceLang, targetLang] = rows[0].map(h => h.trim().toLowerCase());
+        if (!/^[a-z]{2}$/.test(sourceLang || '') || !/^[a-z]{2}$/.test(targetLang || '')) {
+            throw new Error('header row must name the two language codes, e.g. "ro,en"');
+        }
+
+        const entries = [];
+        const seen = new Set();
+        let skipped = 0;
+        for (const [rawSource = '', rawTarget = ''] of rows.slice(1)) {
+            const source = rawSource.trim();
+            const target = rawTarget.trim();
+            const key = source.toLowerCase();
+            if (!source || !target || seen.has(key)) {
+                skipped++;
+                continue;
+            }
+            seen.add(key);
+            entries.push({ source, target });
+        }
+
+        if (skipped > 0) {
+            this.logger.debug(`Glossary ${file}: skipped ${skipped} empty or duplicate rows`);
+        }
+
+        return this.compile({ id: `${sourceLang}-${targetLang}`, sourceLang, targetLang, file, entries });
+    }
+
+    /**
+     * Build the placeholder matchers for a glossary (longest terms first, so
+     * "congres de circuit" wins over "congres")
+     */
+    compile(glossary) {
+        const matchers = glossary.entries
+            .filter(entry => isProtectedEntry(entry.source))
+            .sort((a, b) => b.source.length - a.source.length)
+            .map(entry => {
+                const caseSensitive = !/\s/.test(entry.source);
+                const body = escapeRegex(entry.source).replace(/\s+/g, '\\s+');
+                return {
+                    entry,
+                    regex: new RegExp(`(?<![${LETTER_OR_DIGIT}])${body}(?![${LETTER_OR_DIGIT}])`, caseSensitive ? 'gu' : 'giu')
+                };
+            });
+
+        return { ...glossary, matchers };
+    }
+
+    /**
+     * Glossary for a language pair (codes like 'ro' or 'ro-RO'), or null
+     */
+    getGlossary(sourceLang, targetLang) {
+        const src = (sourceLang || '').split('-')[0].toLowerCase();
+        const tgt = (targetLang || '').split('-')[0].toLowerCase();
+        return this.glossaries.get(`${src}-${tgt}`) || null;
+    }
+
+    listGlossaries() {
+        return [...this.glossaries.values()].map(g => ({
+            id: g.id,
+            sourceLang: g.sourceLang,
+            targetLang: g.targetLang,
+            file: g.file,
+            entries: g.entries.length,
+            protectedEntries: g.matchers.length
+        }));
+    }
+
+    /**
+     * Replace glossary source terms with placeholder tokens
+     *
+     * @returns {Object} { text, glossaryId, version, terms: [{ token, source, target, capitalized }] }
+     *                   glossaryId is null when no glossary exists for the pair
+     */
+    protect(text, sourceLang, targetLang) {
+        const glossary = this.getGlossary(sourceLang, targetLang);
+        if (!glossary) {
+            return { text, glossaryId: null, version: this.version, terms: [] };
+        }
+
+        let result = text;
+        const terms = [];
+        for (const { entry, regex } of glossary.matchers) {
+            regex.lastIndex = 0;
+            if (!regex.test(result)) continue;
+
+            const token = `[G${terms.length}]`;
+            let capitalized = false;
+            regex.lastIndex = 0;
+            result = result.replace(regex, (match) => {
+                capitalized = capitalized || /^\p{Lu}/u.test(match);
+                return token;
+            });
+            terms.push({ token, source: entry.source, target: entry.target, capitalized });
+        }
+
+        return { text: result, glossaryId: glossary.id, version: this.version, terms };
+    }
+
+    /**
+     * Replace placeholder tokens in the translation with the glossary target terms
+     * Tolerates engines that add spaces inside the brackets ("[ G0 ]") or change case.
+     *
+     * @param {string} translated - Provider output (may contain placeholders)
+     * @param {Object} protection - Result of protect()
+     * @returns {Object} { text, applied, missing } — missing lists source terms whose token was dropped
+     */
+    restore(translated, protection) {
+        if (!protection || protection.terms.length === 0) {
+            return { text: translated, applied: 0, missing: [] };
+        }
+
+        const seen = new Set();
+        const text = translated.replace(PLACEHOLDER_PATTERN, (match, index, offset) => {
+            const term = protection.terms[parseInt(index, 10)];
+            if (!term) return match;
+            seen.add(term.token);
+
+            // Capitalize at the start of a sentence, or when the speaker's source was capitalized
+            const before = translated.slice(0, offset);
+            const atSentenceStart = /(^|[.!?]\s+)$/.test(before);
+            if (atSentenceStart || (term.capitalized && /^\p{Ll}/u.test(term.target) && !/\s/.test(term.source))) {
+                return term.target.charAt(0).toUpperCase() + term.target.slice(1);
+            }
+            return term.target;
+        });
+
+        const missing = protection.terms.filter(t => !seen.has(t.token)).map(t => t.source);
+        return { text, applied: seen.size, missing };
+    }
+
+    // ===== EDITING =====
+
+    /**
+     * Glossary by id ('ro-en'), or throw GLOSSARY_NOT_FOUND
+     */
+    requireGlossary(id) {
+        const glossary = this.glossaries.get(id);
+        if (!glossary) throw glossaryError(`Glossary ${id} not found`, 'GLOSSARY_NOT_FOUND');
+        return glossary;
+    }
+
+    getEntries(id) {
+        return this.requireGlossary(id).entries.map(entry => ({ ...entry }));
+    }
+
+    addEntry(id, { source, target }) {
+        const glossary = this.requireGlossary(id);
+        const entry = { source: String(source || '').trim(), target: String(target || '').trim() };
+        if (this.findEntryIndex(glossary, entry.source) !== -1) {
+            throw glossaryError(`Source term "${entry.source}" already exists`, 'GLOSSARY_DUPLICATE');
+        }
+        this.replaceEntries(id, [...glossary.entries, entry]);
+        return entry;
+    }
+
+    /**
+     * Update the entry whose source term is `source` (case-insensitive); the source itself may change
+     */
+    updateEntry(id, source, { source: newSource, target }) {
+        const glossary = this.requireGlossary(id);
+        const index = this.findEntryIndex(glossary, source);
+        if (index === -1) throw glossaryError(`Source term "${source}" not found`, 'GLOSSARY_NOT_FOUND');
+
+        const entry = {
+            source: String(newSource === undefined ? glossary.entries[index].source : newSource).trim(),
+            target: String(target === undefined ? glossary.entries[index].target : target).trim()
+        };
+        const clash = this.findEntryIndex(glossary, entry.source);
+        if (clash !== -1 && clash !== index) {
+            throw glossaryError(`Source term "${entry.source}" already exists`, 'GLOSSARY_DUPLICATE');
+        }
+
+        const entries = glossary.entries.slice();
+        entries[index] = entry;
+        this.replaceEntries(id, entries);
+        return entry;
+    }
+
+    deleteEntry(id, source) {
+        const glossary = this.requireGlossary(id);
+        const index = this.findEntryIndex(glossary, source);
+        if (index === -1) throw glossaryError(`Source term "${source}" not found`, 'GLOSSARY_NOT_FOUND');
+
+        const removed = glossary.entries[index];
+        this.replaceEntries(id, glossary.entries.filter((_, i) => i !== index));
+        return removed;
+    }
+
+    /**
+     * Import CSV text into a glossary
+     * The header row must name the glossary's own language pair and every row must have
+     * exactly two columns. Unlike load(), problems reject the whole import.
+     *
+     * @param {string} mode - 'merge' (add new terms, update existing targets) or 'replace'
+     * @returns {Object} { added, updated, total }
+     */
+    importCsv(id, csvText, mode = 'merge') {
+        const glossary = this.requireGlossary(id);
+        if (!['merge', 'replace'].includes(mode)) {
+            throw glossaryError(`Invalid import mode "${mode}" (use merge or replace)`, 'GLOSSARY_INVALID');
+        }
+
+        const rows = parseCsv(String(csvText || ''));
+        const header = (rows[0] || []).map(h => h.trim().toLowerCase());
+        if (header.length !== 2 || header[0] !== glossary.sourceLang || header[1] !== glossary.targetLang) {
+            throw glossaryError(
+                `Header row must be "${glossary.sourceLang},${glossary.targetLang}"`,
+                'GLOSSARY_INVALID'
+            );
+        }
+
+        const problems = [];
+        const imported = [];
+        rows.slice(1).forEach((row, i) => {
+            if (row.length !== 2) {
+                problems.push(`Line ${i + 2}: expected 2 columns, found ${row.length}`);
+                return;
+            }
+            imported.push({ source: row[0].trim(), target: row[1].trim() });
+        });
+        problems.push(...validateEntries(imported).map(p => p.replace(/^Entry (\d+)/, (m, n) => `Line ${Number(n) + 1}`)));
+        if (problems.length > 0) {
+            throw glossaryError('CSV import rejected', 'GLOSSARY_INVALID', problems);
+        }
+
+        let added = 0;
+        let updated = 0;
+        let entries;
+        if (mode === 'replace') {
+            entries = imported;
+            added = imported.length;
+        } else {
+            entries = glossary.entries.slice();
+            for (const entry of imported) {
+                const index = this.findEntryIndex({ entries }, entry.source);
+                if (index === -1) {
+                    entries.push(entry);
+                    added++;
+                } else if (entries[index].target !== entry.target) {
+                    entries[index] = { source: entries[index].source, target: entry.target };
+                    updated++;
+                }
+            }
+        }
+
+        this.replaceEntries(id, entries);
+        return { added, updated, total: entries.length };
+    }
+
+    exportCsv(id) {
+        return this.serialize(this.requireGlossary(id));
+    }
+
+    findEntryIndex(glossary, source) {
+        const key = String(source || '').trim().toLowerCase();
+        return glossary.entries.findIndex(entry => entry.source.toLowerCase() === key);
+    }
+
+    /**
+     * Validate, write back to the CSV (atomically) and recompile
+     */
+    replaceEntries(id, entries) {
+        const glossary = this.requireGlossary(id);
+        const problems = validateEntries(entries);
+        if (problems.length > 0) {
+            throw glossaryError(problems[0], 'GLOSSARY_INVALID', problems);
+        }
+
+        const updated = this.compile({ ...glossary, entries });
+        const filePath = path.join(this.directory, glossary.file);
+        const tmpPath = `${filePath}.tmp`;
+        fs.writeFileSync(tmpPath, this.serialize(updated), 'utf8');
+        fs.renameSync(tmpPath, filePath);
+
+        this.glossaries.set(id, updated);
+        this.version++;
+        this.logger.info(`📖 Glossary ${id} saved (${entries.length} entries, version ${this.version})`);
+    }
+
+    serialize(glossary) {
+        return toCsv([[glossary.sourceLang, glossary.targetLang], ...glossary.entries.map(e => [e.source, e.target])]);
+    }
+}
+
+module.exports = GlossaryEngine;
+module.exports.parseCsv = parseCsv;
+module.exports.toCsv = toCsv;
+module.exports.validateEntries = validateEntries;
+module.exports.DEFAULT_FILES = DEFAULT_FILES;
@@ -0,0 +1,264 @@
+/**
+ * Mode Config
+ * Translation mode definitions, loaded from config/modes.json
+ *
+ *   {
+ *     "defaultMode": "talks",
+ *     "overrides": { "minWords": { "min": 1, "max": 30 }, "enableTTS": {} },  // what sessions may change
+ *     "modes": {
+ *       "talks": { "name": "Talks", "translationInterval": 15000, "pauseDetectionMs": 4000,
+ *                  "minWords": 6, "requireSentenceEnding": false, "maxSentenceWaitMs": 30000,
+ *                  "adaptiveTiming": false, "stripDisfluencies": false, "enableTTS": false,
+ *                  "displayVisualCards": true, "enableSummary": false }
+ *     },
+ *     "adaptive": { "windowMs": 30000, "intervalScale": { "min": 0.6, "max": 1.6 }, … }
+ *   }
+ *
+ * Every mode sets every field. A session picks a mode in start-session and may pass
+ * `modeOverrides` for the fields listed in "overrides", within their range; the
+ * resolved config is what TranslationRulesEngine runs with.
+ *
+ * "adaptive" (optional, missing keys fall back to ADAPTIVE_DEFAULTS) tunes how modes with
+ * adaptiveTiming scale their interval and pause threshold to the speaker's rate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'modes.json');
+
+let defaultInstance = null;
+
+const MODE_ID_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// Field → type. Integers are milliseconds or word counts and must be positive.
+const FIELDS = {
+    translationInterval: 'integer',
+    pauseDetectionMs: 'integer',
+    minWords: 'integer',
+    requireSentenceEnding: 'boolean',
+    maxSentenceWaitMs: 'integer',
+    adaptiveTiming: 'boolean',
+    stripDisfluencies: 'boolean',
+    enableTTS: 'boolean',
+    displayVisualCards: 'boolean',
+    enableSummary: 'boolean'
+};
+
+// Speaker-rate adaptation (TranslationRulesEngine). Scales multiply the mode's own values.
+const ADAPTIVE_DEFAULTS = {
+    windowMs: 30000,            // Speech considered when measuring the rate
+    minSpeechMs: 10000,         // Speech needed before the first adjustment
+    slowWordsPerSecond: 1.5,    // Below this: shorter interval (lower latency)
+    fastWordsPerSecond: 3,      // Above this: longer interval (more context)
+    pauseMultiplier: 2.5,       // Pause threshold = speaker's typical gap × this
+    intervalScale: { min: 0.6, max: 1.6 },
+    pauseScale: { min: 0.5, max: 1.5 }
+};
+
+function checkAdaptive(adaptive, problems) {
+    if (adaptive === undefined) return;
+    if (!adaptive || typeof adaptive !== 'object' || Array.isArray(adaptive)) {
+        problems.push('adaptive must be an object');
+        return;
+    }
+    const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    Object.entries(adaptive).forEach(([key, value]) => {
+        const fallback = ADAPTIVE_DEFAULTS[key];
+        if (fallback === undefined) {
+            problems.push(`adaptive: unknown field "${key}"`);
+        } else if (typeof fallback === 'object') {
+            if (!(value && isPositive(value.min) && isPositive(value.max) && value.min <= 1 && value.max >= 1)) {
+                problems.push(`adaptive: ${key} needs "min" ≤ 1 ≤ "max" (positive numbers)`);
+            }
+        } else if (!isPositive(value)) {
+            problems.push(`adaptive: ${key} must be a positive number`);
+        }
+    });
+    const slow = adaptive.slowWordsPerSecond ?? ADAPTIVE_DEFAULTS.slowWordsPerSecond;
+    const fast = adaptive.fastWordsPerSecond ?? ADAPTIVE_DEFAULTS.fastWordsPerSecond;
+    if (isPositive(slow) && isPositive(fast) && slow > fast) {
+        problems.push('adaptive: slowWordsPerSecond must not exceed fastWordsPerSecond');
+    }
+}
+
+function checkValue(field, value, bounds, label, problems) {
+    const prefix = label ? `${label}: ` : '';
+    if (FIELDS[field] === 'boolean') {
+        if (typeof value !== 'boolean') problems.push(`${prefix}${field} must be true or false`);
+        return;
+    }
+    if (!Number.isInteger(value) || value < 1) {
+        problems.push(`${prefix}${field} must be a positive integer`);
+        return;
+    }
+    if (bounds && (value < bounds.min || value > bounds.max)) {
+        problems.push(`${prefix}${field} must be between ${bounds.min} and ${bounds.max}`);
+    }
+}
+
+class ModeConfig {
+    /**
+     * @param {Object} config - Parsed modes file
+     * @throws {Error} code MODES_INVALID, with `details` listing every problem
+     */
+    constructor(config) {
+        const problems = ModeConfig.validate(config);
+        if (problems.length > 0) {
+            const error = new Error(`Invalid mode config: ${problems[0]}`);
+            error.code = 'MODES_INVALID';
+            error.details = problems;
+            throw error;
+        }
+        this.defaultMode = config.defaultMode;
+        this.overrides = config.overrides || {};
+        this.modes = config.modes;
+        this.adaptive = { ...ADAPTIVE_DEFAULTS, ...(config.adaptive || {}) };
+    }
+
+    /**
+     * Load and validate a modes file
+     */
+    static fromFile(filePath = DEFAULT_FILE) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            const wrapped = new Error(`Cannot read mode config ${filePath}: ${error.message}`);
+            wrapped.code = 'MODES_INVALID';
+            wrapped.details = [error.message];
+            throw wrapped;
+        }
+        return new ModeConfig(config);
+    }
+
+    /**
+     * Shared instance of the bundled config/modes.json (loaded on first use)
+     */
+    static getDefault() {
+        if (!defaultInstance) {
+            defaultInstance = ModeConfig.fromFile(DEFAULT_FILE);
+        }
+        return defaultInstance;
+    }
+
+    /**
+     * @returns {string[]} Every problem found (empty when valid)
+     */
+    static validate(config) {
+        const problems = [];
+        if (!config || typeof config !== 'object' || !config.modes || typeof config.modes !== 'object') {
+            return ['file must contain a "modes" object'];
+        }
+
+        checkAdaptive(config.adaptive, problems);
+
+        const overrides = config.overrides || {};
+        Object.entries(overrides).forEach(([field, bounds]) => {
+            if (!FIELDS[field]) {
+                problems.push(`overrides: unknown field "${field}"`);
+            } else if (FIELDS[field] === 'integer' && !(bounds && Number.isInteger(bounds.min) && Number.isInteger(bounds.max) && bounds.min >= 1 && bounds.min <= bounds.max)) {
+                problems.push(`overrides: ${field} needs integer "min" and "max" (1 ≤ min ≤ max)`);
+            }
+        });
+
+        const ids = Object.keys(config.modes);
+        if (ids.length === 0) {
+            problems.push('at least one mode is required');
+        }
+        if (!ids.includes(config.defaultMode)) {
+            problems.push(`defaultMode "${config.defaultMode}" is not a defined mode`);
+        }
+
+        ids.forEach(id => {
+            const mode = config.modes[id];
+            const label = `Mode "${id}"`;
+            if (!MODE_ID_PATTERN.test(id)) {
+                problems.push(`${label}: id must be 2-32 lowercase letters, digits, - or _`);
+            }
+            if (!mode || typeof mode !== 'object') {
+                problems.push(`${label}: must be an object`);
+                return;
+            }
+            if (typeof mode.name !== 'string' || !mode.name.trim()) {
+                problems.push(`${label}: name is required`);
+            }
+            Object.keys(mode).forEach(field => {
+                if (!FIELDS[field] && field !== 'name' && field !== 'description') {
+                    problems.push(`${label}: unknown field "${field}"`);
+                }
+            });
+            Object.keys(FIELDS).forEach(field => {
+                if (mode[field] === undefined) {
+                    problems.push(`${label}: ${field} is required`);
+                } else {
+                    checkValue(field, mode[field], FIELDS[field] === 'integer' ? overrides[field] : null, label, problems);
+                }
+            });
+        });
+
+        return problems;
+    }
+
+    has(modeId) {
+        return Object.prototype.hasOwnProperty.call(this.modes, modeId);
+    }
+
+    /**
+     * Config of one mode (the default mode for unknown ids)
+     */
+    getMode(modeId) {
+        const id = this.has(modeId) ? modeId : this.defaultMode;
+        return { id, ...this.modes[id] };
+    }
+
+    /**
+     * Config of a mode with session overrides applied
+     *
+     * @param {string} modeId - Unknown ids fall back to the default mode
+     * @param {Object} overrides - e.g. { minWords: 4, enableTTS: true }
+     * @throws {Error} code MODE_OVERRIDE_INVALID, with `details`, for fields that may not
+     *                 be overridden or values outside the allowed range
+     */
+    resolve(modeId, overrides = {}) {
+        const config = this.getMode(modeId);
+        if (overrides === null || overrides === undefined) return config;
+
+        const problems = [];
+        if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+            problems.push('mode overrides must be an object');
+        } else {
+            Object.entries(overrides).forEach(([field, value]) => {
+                if (!Object.prototype.hasOwnProperty.call(this.overrides, field)) {
+                    problems.push(`${field} cannot be overridden`);
+                    return;
+                }
+                checkValue(field, value, this.overrides[field], null, problems);
+            });
+        }
+
+        if (problems.length > 0) {
+            const error = new Error(`Invalid mode overrides: ${problems[0]}`);
+            error.code = 'MODE_OVERRIDE_INVALID';
+            error.details = problems;
+            throw error;
+        }
+        return { ...config, ...overrides };
+    }
+
+    /**
+     * Modes and override ranges for clients (mode picker, settings)
+     */
+    describe() {
+        return {
+            defaultMode: this.defaultMode,
+            overrides: this.overrides,
+            modes: Object.keys(this.modes).map(id => this.getMode(id))
+        };
+    }
+}
+
+module.exports = ModeConfig;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
+module.exports.FIELDS = Object.keys(FIELDS);
+module.exports.ADAPTIVE_DEFAULTS = ADAPTIVE_DEFAULTS;
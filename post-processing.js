@@ -0,0 +1,399 @@
+/**
+ * Post-Processing Pipeline
+ * Turns a provider's full-transcript translation into the text emitted to the client
+ *
+ * Stages run in a fixed order:
+ *   1. lcp            — extract only the unemitted tail (word-level LCP vs. the previous full translation)
+ *   2. termMappings   — declarative domain term fixes (config/term-mappings.json)
+ *   3. religiousTerms — canonical religious names for the target language (config/religious-terms.json)
+ *   4. numbers        — keep the speaker's numbers when the engine drifts
+ *   5. dates          — restore a month that dropped out of a date
+ *   6. fallback       — single-word translations for words the engine passes through unchanged
+ *
+ * Stages are configured per language pair in config/post-processing.json, and every
+ * run reports which stages changed the text and which rules fired. The pipeline is
+ * pure (no logging, no session state) so it can be tested on real transcripts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'post-processing.json');
+
+const STAGES = ['lcp', 'termMappings', 'religiousTerms', 'numbers', 'dates', 'fallback'];
+const LANGUAGE_PAIR_PATTERN = /^([a-z]{2}|\*)-([a-z]{2}|\*)$/;
+
+const DEFAULT_CONFIG = {
+    defaults: {
+        lcp: { threshold: 0.75 },
+        termMappings: { enabled: true },
+        religiousTerms: { enabled: true },
+        numbers: { enabled: true },
+        dates: { enabled: true },
+        fallback: { enabled: true, translations: {} }
+    },
+    languagePairs: {}
+};
+
+/**
+ * Extract the unemitted portion of a full translation using word-level LCP matching.
+ *
+ * HOW IT WORKS:
+ *   Normalizes both strings (lowercase, strips edge punctuation per word), then counts
+ *   how many words at the START of translatedFull match committedTranslation.
+ *   If ≥threshold (75%) match, treat that prefix as "committed" and return the tail.
+ *   If below, return null — caller emits the full translation (full context preserved).
+ *
+ * KEY FIX vs v155:
+ *   Caller must set committedTranslation = translatedFull (not += emitted).
+ *   This ensures each call compares the ENTIRE previous full translation against the
+ *   new full translation — no divergence cascade.
+ *
+ * @param {string} translatedFull - Translation of the full STT transcript
+ * @param {string} committedTranslation - Full translation from the previous call
+ * @param {number} threshold - Minimum share of committed words that must match (default 0.75)
+ * @returns {string|null} New tail to emit, or null if the LCP ratio is below threshold
+ */
+function extractByWordLCP(translatedFull, committedTranslation, threshold = 0.75) {
+    const trimmedFull = translatedFull.trim();
+    const trimmedCommitted = committedTranslation.trim();
+    if (!trimmedCommitted) return trimmedFull;
+    if (!trimmedFull) return null;
+
+    // Normalize: split on whitespace, strip leading/trailing punctuation, lowercase
+    const normalizeWords = (s) =>
+        s.split(/\s+/)
+         .map(w => w.toLowerCase().replace(/^[^\w]+|[^\w]+$/g, ''))
+         .filter(w => w.length > 0);
+
+    const committedNorm = normalizeWords(trimmedCommitted);
+    const fullNorm = normalizeWords(trimmedFull);
+    const fullOrigWords = trimmedFull.split(/\s+/); // Preserve original case/punctuation
+
+    if (committedNorm.length === 0) return trimmedFull;
+    if (fullNorm.length <= committedNorm.length) return null; // Nothing new
+
+    // Count consecutive matching words from the start
+    let matchCount = 0;
+    for (let i = 0; i < committedNorm.length && i < fullNorm.length; i++) {
+        if (fullNorm[i] === committedNorm[i]) {
+            matchCount++;
+        } else {
+            break;
+        }
+    }
+
+    const matchRatio = matchCount / committedNorm.length;
+    if (matchRatio < threshold) return null; // LCP match failed
+
+    const tail = fullOrigWords.slice(matchCount).join(' ').trim();
+    return tail || null;
+}
+
+/**
+ * Preserve numbers from source text to avoid numeric drift in translation.
+ */
+function preserveSourceNumbers(sourceText, translatedText) {
+    // Match multi-group Romanian thousands first (e.g. "1.234.567"), then single-group
+    // thousands/decimals (e.g. "68.128" or "3.14"), then bare integers.
+    // Multi-group must come first so the regex engine captures the full token in one pass.
+    const numberRegex = /\d+(?:\.\d{3})+|\d+(?:[.,]\d+)?/g;
+    const sourceNumbers = sourceText.match(numberRegex) || [];
+    if (sourceNumbers.length === 0) return translatedText;
+
+    // Romanian uses '.' as a thousands separator:
+    //   "68.128"    = 68,128 (English)   — one separator group
+    //   "1.234.567" = 1,234,567 (English) — two separator groups
+    // Google Translate correctly converts these to English comma-format; we must NOT
+    // replace them back with the Romanian dot-format or English readers see a decimal.
+    //
+    // Heuristic: one-or-more groups of (digits + dot) followed by exactly 3 digits
+    // unambiguously identifies a thousands-separated number in this domain (religious speech).
+    // Known acceptable false positive: genuine 3-decimal-place values like "3.141"
+    // are essentially impossible in JW meeting content, so the domain risk is negligible.
+    const isRomanianThousands = (n) => /^(\d+\.)+\d{3}$/.test(n);
+
+    let result = translatedText;
+    const translatedNumbers = translatedText.match(numberRegex) || [];
+
+    // Exact one-to-one replacement when counts match
+    if (translatedNumbers.length === sourceNumbers.length) {
+        sourceNumbers.forEach((srcNum, idx) => {
+            if (isRomanianThousands(srcNum)) return; // leave the English comma-format intact
+            const targetNum = translatedNumbers[idx];
+            if (targetNum) {
+                result = result.replace(targetNum, srcNum);
+            }
+        });
+        return result;
+    }
+
+    // Heuristic: if translated has the same digits split across adjacent tokens, merge them
+    sourceNumbers.forEach((srcNum) => {
+        if (isRomanianThousands(srcNum)) return; // leave the English comma-format intact
+        const digits = srcNum.replace(/[.,]/g, '');
+        // Build regex to find runs of numbers separated by space/comma/dot
+        const splitPattern = new RegExp(`(\\d+[\\s.,]+){0,2}\\d+`, 'g');
+        const matches = [...result.matchAll(splitPattern)];
+        for (const m of matches) {
+            const candidate = m[0];
+            const candidateDigits = candidate.replace(/[\s.,]/g, '');
+            if (candidateDigits === digits) {
+                result = result.replace(candidate, srcNum);
+                break;
+            }
+        }
+    });
+
+    return result;
+}
+
+/**
+ * Preserve date components (day month year) if month drops out in translation.
+ */
+function preserveDates(sourceText, translatedText) {
+    const monthNames = [
+        'ianuarie','februarie','martie','aprilie','mai','iunie','iulie','august','septembrie','octombrie','noiembrie','decembrie',
+        'january','february','march','april','may','june','july','august','september','october','november','december'
+    ];
+    const monthRegex = new RegExp(`\\b(${monthNames.join('|')})\\b`, 'i');
+    const dateRegex = /(\d{1,2})\s+([A-Za-zăâîșțéó]+)\s+(\d{4})/gi;
+
+    let result = translatedText;
+    let m;
+    while ((m = dateRegex.exec(sourceText)) !== null) {
+        const [, day, month, year] = m;
+        const hasMonthInTranslation = monthRegex.test(result);
+        const hasDay = result.includes(day);
+        const hasYear = result.includes(year);
+
+        if (hasDay && hasYear && !hasMonthInTranslation) {
+            // Try to replace "day ... year" with full date
+            const dayYearPattern = new RegExp(`${day}[\\s.,]*${year}`);
+            if (dayYearPattern.test(result)) {
+                result = result.replace(dayYearPattern, `${day} ${month} ${year}`);
+            } else {
+                // If not found, append month between day and year occurrences
+                result = result.replace(year, `${month} ${year}`);
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Single-word fallback for a source word the engine passed through unchanged
+ * ("gheata" → "ice"). Lookups ignore case and diacritics.
+ *
+ * @returns {string|null} Replacement, or null when no fallback applies
+ */
+function applyFallbackTranslation(sourceText, emitted, translations) {
+    const normalize = (s) => s.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    const normalizedSource = normalize(sourceText);
+    if (normalizedSource !== normalize(emitted)) return null;
+    return Object.prototype.hasOwnProperty.call(translations, normalizedSource) ? translations[normalizedSource] : null;
+}
+
+/**
+ * Words present in `after` but not in `before` (what a stage wrote)
+ */
+function addedWords(before, after) {
+    const remaining = before.split(/\s+/);
+    return after.split(/\s+/).filter(word => {
+        const index = remaining.indexOf(word);
+        if (index === -1) return true;
+        remaining.splice(index, 1);
+        return false;
+    });
+}
+
+function invalid(message, problems) {
+    const error = new Error(message);
+    error.code = 'POST_PROCESSING_INVALID';
+    error.details = problems;
+    return error;
+}
+
+/**
+ * Check one stage-settings block (defaults or a language-pair override)
+ */
+function validateStageSettings(settings, label, problems) {
+    if (!settings || typeof settings !== 'object') {
+        problems.push(`${label}: must be an object`);
+        return;
+    }
+    for (const [stage, options] of Object.entries(settings)) {
+        if (!STAGES.includes(stage)) {
+            problems.push(`${label}: unknown stage "${stage}" (stages: ${STAGES.join(', ')})`);
+            continue;
+        }
+        if (!options || typeof options !== 'object') {
+            problems.push(`${label}.${stage}: must be an object`);
+            continue;
+        }
+        if (options.enabled !== undefined && typeof options.enabled !== 'boolean') {
+            problems.push(`${label}.${stage}.enabled: must be true or false`);
+        }
+        if (stage === 'lcp') {
+            if (options.enabled !== undefined) {
+                problems.push(`${label}.lcp: cannot be disabled (set threshold instead)`);
+            }
+            if (options.threshold !== undefined &&
+                (typeof options.threshold !== 'number' || options.threshold <= 0 || options.threshold > 1)) {
+                problems.push(`${label}.lcp.threshold: must be a number in (0, 1]`);
+            }
+        }
+        if (stage === 'fallback' && options.translations !== undefined) {
+            const translations = options.translations;
+            if (!translations || typeof translations !== 'object' ||
+                !Object.values(translations).every(v => typeof v === 'string' && v.trim())) {
+                problems.push(`${label}.fallback.translations: must map words to non-empty strings`);
+            }
+        }
+    }
+}
+
+class PostProcessor {
+    /**
+     * @param {Object} options
+     * @param {TermMappings} options.termMappings - From term-mappings.js (stage skipped if absent)
+     * @param {ReligiousTerms} options.religiousTerms - From religious-terms.js (stage skipped if absent)
+     * @param {Object} options.config - Parsed config/post-processing.json (built-in defaults if omitted)
+     * @throws {Error} code POST_PROCESSING_INVALID, with `details` listing every problem
+     */
+    constructor({ termMappings = null, religiousTerms = null, config = DEFAULT_CONFIG } = {}) {
+        const problems = [];
+        validateStageSettings(config.defaults || {}, 'defaults', problems);
+        for (const [pair, settings] of Object.entries(config.languagePairs || {})) {
+            if (!LANGUAGE_PAIR_PATTERN.test(pair)) {
+                problems.push(`languagePairs: "${pair}" must look like "ro-en" ("*" matches any language)`);
+                continue;
+            }
+            validateStageSettings(settings, `languagePairs.${pair}`, problems);
+        }
+        if (problems.length > 0) {
+            throw invalid(`Invalid post-processing config: ${problems[0]}`, problems);
+        }
+
+        this.termMappings = termMappings;
+        this.religiousTerms = religiousTerms;
+        this.defaults = { ...DEFAULT_CONFIG.defaults, ...(config.defaults || {}) };
+        this.languagePairs = config.languagePairs || {};
+    }
+
+    static fromFile(filePath = DEFAULT_FILE, dependencies = {}) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw invalid(`Cannot read post-processing config ${filePath}: ${error.message}`, [error.message]);
+        }
+        return new PostProcessor({ ...dependencies, config });
+    }
+
+    /**
+     * Effective stage settings for a language pair
+     * Overrides apply from least to most specific: defaults, '*-tgt', 'src-*', 'src-tgt'.
+     */
+    getStageConfig(sourceLang, targetLang) {
+        const src = (sourceLang || '').split('-')[0].toLowerCase();
+        const tgt = (targetLang || '').split('-')[0].toLowerCase();
+
+        const resolved = {};
+        for (const stage of STAGES) {
+            resolved[stage] = { enabled: true, ...(this.defaults[stage] || {}) };
+        }
+        for (const key of [`*-${tgt}`, `${src}-*`, `${src}-${tgt}`]) {
+            const overrides = this.languagePairs[key];
+            if (!overrides) continue;
+            for (const [stage, options] of Object.entries(overrides)) {
+                resolved[stage] = { ...resolved[stage], ...options };
+            }
+        }
+        return resolved;
+    }
+
+    /**
+     * Run the pipeline for one target language
+     *
+     * @param {Object} input
+     * @param {string} input.translatedFull - Provider translation of the full transcript
+     * @param {string} input.committed - Previous full translation for this language ('' on first call)
+     * @param {string} input.fullText - Full source transcript (context for term rules)
+     * @param {string} input.newText - Source delta chunk (numbers, dates, fallback)
+     * @param {string} input.sourceLang - e.g. 'ro-RO'
+     * @param {string} input.targetLang - e.g. 'en'
+     * @returns {Object} { emitted, lcp: 'first'|'matched'|'failed', usedLCP, applied: [{ stage, rules }] }
+     */
+    process({ translatedFull, committed = '', fullText, newText, sourceLang, targetLang }) {
+        const config = this.getStageConfig(sourceLang, targetLang);
+        const applied = [];
+        const context = { sourceText: fullText, sourceLang, targetLang };
+
+        // ── 1. Extract only the NEW portion via word-level LCP ──
+        let emitted;
+        let lcp;
+        if (!committed) {
+            // First translation in this session — emit entire full translation
+            emitted = translatedFull.trim();
+            lcp = 'first';
+        } else {
+            const tail = extractByWordLCP(translatedFull, committed, config.lcp.threshold);
+            // Fallback: LCP failed — emit full translation (full context preserved).
+            // Never translate chunks in isolation: a decontextualized fragment loses grammatical
+            // context and produces broken English ("speaking like a foreigner").
+            emitted = tail || translatedFull.trim();
+            lcp = tail ? 'matched' : 'failed';
+        }
+
+        const run = (stage, fn) => {
+            if (!config[stage].enabled) return;
+            const before = emitted;
+            const { text, rules } = fn(before);
+            if (text !== before) {
+                emitted = text;
+                applied.push({ stage, rules });
+            }
+        };
+
+        // ── 2-3. Domain terms, using fullText for source-aware fixes ──
+        if (this.termMappings) {
+            run('termMappings', (text) => {
+                const result = this.termMappings.apply(text, context);
+                return { text: result.text, rules: result.fired };
+            });
+        }
+        if (this.religiousTerms) {
+            run('religiousTerms', (text) => {
+                const result = this.religiousTerms.apply(text, context);
+                return { text: result.text, rules: result.fired };
+            });
+        }
+
+        // ── 4-5. Numbers and dates from the delta chunk ──
+        run('numbers', (text) => {
+            const result = preserveSourceNumbers(newText, text);
+            return { text: result, rules: addedWords(text, result) };
+        });
+        run('dates', (text) => {
+            const result = preserveDates(newText, text);
+            return { text: result, rules: addedWords(text, result) };
+        });
+
+        // ── 6. Single-word fallback translation ──
+        run('fallback', (text) => {
+            const replacement = applyFallbackTranslation(newText, text, config.fallback.translations || {});
+            return replacement ? { text: replacement, rules: [newText.trim()] } : { text, rules: [] };
+        });
+
+        return { emitted, lcp, usedLCP: lcp !== 'failed', applied };
+    }
+}
+
+module.exports = PostProcessor;
+module.exports.STAGES = STAGES;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
+module.exports.extractByWordLCP = extractByWordLCP;
+module.exports.preserveSourceNumbers = preserveSourceNumbers;
+module.exports.preserveDates = preserveDates;
+module.exports.applyFallbackTranslation = applyFallbackTranslation;
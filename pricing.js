@@ -0,0 +1,272 @@
+/**
+ * Pricing
+ * Versioned price table for the billing API, loaded from config/pricing.json
+ *
+ *   {
+ *     "currency": "USD",
+ *     "versions": [
+ *       {
+ *         "version": "2024-01",
+ *         "effectiveFrom": "2024-01-01",
+ *         "freeProviders": ["mock", "http"],
+ *         "rates": {
+ *           "stt":         { "unit": "minute",    "price": 0.024, "per": 1,       "freePerMonth": 60 },
+ *           "translation": { "unit": "character", "price": 20,    "per": 1000000, "freePerMonth": 500000 },
+ *           "glossary":    { "unit": "character", "price": 25,    "per": 1000000, "freePerMonth": 0 }
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * A usage day is priced with the version in effect on that day (the earliest version for
+ * days before it). Free tiers are per calendar month and usage type: days use up what is
+ * left of the month's free units in date order, shared proportionally between the rows of
+ * the day that crosses the limit. So costs for a range that starts mid-month need the rows
+ * from the first of that month (see monthStart). Usage of freeProviders (self-hosted or
+ * offline) costs nothing and does not use up free units.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'pricing.json');
+
+const USAGE_TYPES = ['stt', 'translation', 'glossary'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function invalid(message, problems) {
+    const error = new Error(message);
+    error.code = 'PRICING_INVALID';
+    error.details = problems;
+    return error;
+}
+
+// 'YYYY-MM-DD' of a Date or date string (UTC, like the billing API dates)
+function toDateString(date) {
+    return typeof date === 'string' ? date.slice(0, 10) : date.toISOString().split('T')[0];
+}
+
+function emptyCost() {
+    return { units: 0, freeUnits: 0, billableUnits: 0, cost: 0 };
+}
+
+// { cost, byType: { stt, translation, glossary } }
+function emptyCosts() {
+    return { cost: 0, byType: Object.fromEntries(USAGE_TYPES.map(type => [type, emptyCost()])) };
+}
+
+function addCost(costs, type, entry) {
+    const target = costs.byType[type];
+    target.units += entry.units;
+    target.freeUnits += entry.freeUnits;
+    target.billableUnits += entry.billableUnits;
+    target.cost += entry.cost;
+    costs.cost += entry.cost;
+}
+
+// Float noise from many small additions: costs to 6 decimals, units to 4
+function roundCosts(costs) {
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    costs.cost = round(costs.cost, 6);
+    Object.values(costs.byType).forEach(entry => {
+        entry.units = round(entry.units, 4);
+        entry.freeUnits = round(entry.freeUnits, 4);
+        entry.billableUnits = round(entry.billableUnits, 4);
+        entry.cost = round(entry.cost, 6);
+    });
+    return costs;
+}
+
+class PricingTable {
+    /**
+     * @param {Object} config - Parsed pricing file
+     * @throws {Error} code PRICING_INVALID, with `details` listing every problem
+     */
+    constructor(config) {
+        const problems = PricingTable.validate(config);
+        if (problems.length > 0) {
+            throw invalid(`Invalid pricing config: ${problems[0]}`, problems);
+        }
+        this.currency = config.currency;
+        // Oldest first
+        this.versions = [...config.versions].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+    }
+
+    /**
+     * Load and validate a pricing file
+     */
+    static fromFile(filePath = DEFAULT_FILE) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw invalid(`Cannot read pricing config ${filePath}: ${error.message}`, [error.message]);
+        }
+        return new PricingTable(config);
+    }
+
+    /**
+     * @returns {string[]} Every problem found (empty when valid)
+     */
+    static validate(config) {
+        if (!config || typeof config !== 'object' || !Array.isArray(config.versions)) {
+            return ['file must contain a "versions" array'];
+        }
+        const problems = [];
+        if (typeof config.currency !== 'string' || !/^[A-Z]{3}$/.test(config.currency)) {
+            problems.push('currency must be a 3-letter code (e.g. "USD")');
+        }
+        if (config.versions.length === 0) {
+            problems.push('at least one version is required');
+        }
+
+        const seen = new Set();
+        config.versions.forEach((version, index) => {
+            const label = `Version ${version && version.version ? `"${version.version}"` : index + 1}`;
+            if (!version || typeof version !== 'object') {
+                problems.push(`${label}: must be an object`);
+                return;
+            }
+            if (typeof version.version !== 'string' || !version.version.trim()) {
+                problems.push(`${label}: version is required`);
+            } else if (seen.has(version.version)) {
+                problems.push(`${label}: duplicate version`);
+            }
+            seen.add(version.version);
+            if (typeof version.effectiveFrom !== 'string' || !DATE_PATTERN.test(version.effectiveFrom)) {
+                problems.push(`${label}: effectiveFrom must be a YYYY-MM-DD date`);
+            }
+            if (version.freeProviders !== undefined && !(Array.isArray(version.freeProviders) && version.freeProviders.every(p => typeof p === 'string'))) {
+                problems.push(`${label}: freeProviders must be a list of provider names`);
+            }
+
+            const rates = version.rates || {};
+            USAGE_TYPES.forEach(type => {
+                const rate = rates[type];
+                if (!rate || typeof rate !== 'object') {
+                    problems.push(`${label}: rates.${type} is required`);
+                    return;
+                }
+                if (typeof rate.price !== 'number' || !(rate.price >= 0)) {
+                    problems.push(`${label}: rates.${type}.price must be a number ≥ 0`);
+                }
+                if (typeof rate.per !== 'number' || !(rate.per > 0)) {
+                    problems.push(`${label}: rates.${type}.per must be a positive number`);
+                }
+                if (typeof rate.freePerMonth !== 'number' || !(rate.freePerMonth >= 0)) {
+                    problems.push(`${label}: rates.${type}.freePerMonth must be a number ≥ 0`);
+                }
+            });
+            Object.keys(rates).forEach(type => {
+                if (!USAGE_TYPES.includes(type)) problems.push(`${label}: unknown usage type "${type}"`);
+            });
+        });
+
+        const dates = config.versions.map(version => version && version.effectiveFrom);
+        if (new Set(dates).size !== dates.length) {
+            problems.push('two versions take effect on the same date');
+        }
+        return problems;
+    }
+
+    /**
+     * First day of the calendar month of `date` — where cost computation has to start reading
+     */
+    static monthStart(date) {
+        return `${toDateString(date).slice(0, 7)}-01`;
+    }
+
+    /**
+     * The version in effect on a day (the earliest one for days before every version)
+     */
+    versionFor(date) {
+        const day = toDateString(date);
+        let current = this.versions[0];
+        this.versions.forEach(version => {
+            if (version.effectiveFrom <= day) current = version;
+        });
+        return current;
+    }
+
+    /**
+     * The version in effect today, for showing rates
+     */
+    describe(date = new Date()) {
+        const { version, effectiveFrom, rates, freeProviders = [] } = this.versionFor(date);
+        return { currency: this.currency, version, effectiveFrom, freeProviders, rates };
+    }
+
+    /**
+     * Cost of daily usage rows, with monthly free tiers
+     *
+     * @param {Array} rows - { date: 'YYYY-MM-DD', sourceLanguage, provider, usageType, amount }
+     *   (billing-db.js getUsageRows), starting on the first of the month of `startDate`
+     * @param {Object} range - startDate, endDate (inclusive, Date or 'YYYY-MM-DD'); rows
+     *   before startDate only use up free units
+     * @returns {Object} { currency, versions, cost, byType, languages: { code: costs }, days: { date: costs } }
+     */
+    computeCosts(rows, { startDate = null, endDate = null } = {}) {
+        const from = startDate ? toDateString(startDate) : '';
+        const to = endDate ? toDateString(endDate) : '9999-12-31';
+        const totals = emptyCosts();
+        const languages = {};
+        const days = {};
+        const versions = new Set();
+        const freeUsed = new Map(); // 'YYYY-MM:type' → free units used so far
+
+        // Group by day and type, oldest day first
+        const groups = new Map();
+        rows.forEach(row => {
+            if (!USAGE_TYPES.includes(row.usageType)) return;
+            const key = `${row.date}|${row.usageType}`;
+            if (!groups.has(key)) groups.set(key, { date: row.date, type: row.usageType, rows: [] });
+            groups.get(key).rows.push(row);
+        });
+        const ordered = [...groups.values()].sort((a, b) => a.date.localeCompare(b.date));
+
+        ordered.forEach(({ date, type, rows: dayRows }) => {
+            const version = this.versionFor(date);
+            const rate = version.rates[type];
+            const freeProviders = version.freeProviders || [];
+            const isPriced = row => !freeProviders.includes(row.provider);
+
+            // The day's share of what is left of the month's free units
+            const pricedUnits = dayRows.filter(isPriced).reduce((sum, row) => sum + row.amount, 0);
+            const monthKey = `${date.slice(0, 7)}:${type}`;
+            const freeLeft = Math.max(0, rate.freePerMonth - (freeUsed.get(monthKey) || 0));
+            const freeToday = Math.min(pricedUnits, freeLeft);
+            freeUsed.set(monthKey, (freeUsed.get(monthKey) || 0) + freeToday);
+            const freeShare = pricedUnits > 0 ? freeToday / pricedUnits : 0;
+
+            if (date < from || date > to) return;
+            versions.add(version.version);
+
+            dayRows.forEach(row => {
+                const freeUnits = isPriced(row) ? row.amount * freeShare : row.amount;
+                const billableUnits = row.amount - freeUnits;
+                const entry = { units: row.amount, freeUnits, billableUnits, cost: billableUnits * rate.price / rate.per };
+
+                addCost(totals, type, entry);
+                const lang = row.sourceLanguage || 'unknown';
+                if (!languages[lang]) languages[lang] = emptyCosts();
+                addCost(languages[lang], type, entry);
+                if (!days[date]) days[date] = emptyCosts();
+                addCost(days[date], type, entry);
+            });
+        });
+
+        Object.values(languages).forEach(roundCosts);
+        Object.values(days).forEach(roundCosts);
+        return {
+            currency: this.currency,
+            versions: [...versions],
+            ...roundCosts(totals),
+            languages,
+            days
+        };
+    }
+}
+
+module.exports = PricingTable;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
+module.exports.USAGE_TYPES = USAGE_TYPES;
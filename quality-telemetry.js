@@ -0,0 +1,230 @@
+/**
+ * Quality Telemetry
+ * Counters for how translations come out of the pipeline, per session and across sessions:
+ *
+ *   lcp          — word-level LCP extraction vs. the previous full translation: matched, or
+ *                  below the threshold (fallback: the whole translation is emitted)
+ *   duplicates   — results suppressed as near-duplicates of recent output
+ *   emitted      — results shown, with their average length in words and characters
+ *   reasons      — rules-engine reasons of the translations (sentence_ending, pause_detected, …)
+ *
+ * Sessions are kept in memory while active and for a while after they end; ended sessions
+ * are also stored (billing-db.js saveSessionQuality) so a tweak can be compared across
+ * restarts by date range and mode.
+ */
+
+const REASON_LIMIT = 40; // Distinct reasons kept per counter set (engine reasons are a fixed set)
+
+/**
+ * One set of counters: a session, or everything since server start
+ */
+class QualityCounters {
+    constructor() {
+        this.translations = 0;
+        this.lcpFirst = 0;      // First translation of an utterance: nothing to match against
+        this.lcpMatched = 0;
+        this.lcpFallbacks = 0;
+        this.duplicatesSuppressed = 0;
+        this.emitted = 0;
+        this.emittedWords = 0;
+        this.emittedChars = 0;
+        this.reasons = {};
+    }
+
+    /**
+     * One translation of the primary target language
+     *
+     * @param {Object} result
+     * @param {string} result.reason - Decision reason
+     * @param {string} result.lcp - 'first' | 'matched' | 'failed' (post-processing.js)
+     * @param {string} result.emitted - Text emitted ('' when nothing was new)
+     * @param {boolean} result.duplicate - Suppressed as a duplicate
+     */
+    record({ reason, lcp, emitted, duplicate }) {
+        this.translations++;
+        if (lcp === 'first') this.lcpFirst++;
+        else if (lcp === 'matched') this.lcpMatched++;
+        else if (lcp === 'failed') this.lcpFallbacks++;
+
+        if (reason && (this.reasons[reason] !== undefined || Object.keys(this.reasons).length < REASON_LIMIT)) {
+            this.reasons[reason] = (this.reasons[reason] || 0) + 1;
+        }
+
+        if (duplicate) {
+            this.duplicatesSuppressed++;
+        } else if (emitted) {
+            this.emitted++;
+            this.emittedWords += emitted.trim().split(/\s+/).filter(Boolean).length;
+            this.emittedChars += emitted.length;
+        }
+    }
+
+    /**
+     * Add stored counters (rows of saveSessionQuality) or another counter set
+     */
+    add(counters) {
+        ['translations', 'lcpFirst', 'lcpMatched', 'lcpFallbacks', 'duplicatesSuppressed', 'emitted', 'emittedWords', 'emittedChars']
+            .forEach(field => { this[field] += counters[field] || 0; });
+        Object.entries(counters.reasons || {}).forEach(([reason, count]) => {
+            this.reasons[reason] = (this.reasons[reason] || 0) + count;
+        });
+        return this;
+    }
+
+    /**
+     * Raw counts (what gets stored)
+     */
+    toCounts() {
+        return {
+            translations: this.translations,
+            lcpFirst: this.lcpFirst,
+            lcpMatched: this.lcpMatched,
+            lcpFallbacks: this.lcpFallbacks,
+            duplicatesSuppressed: this.duplicatesSuppressed,
+            emitted: this.emitted,
+            emittedWords: this.emittedWords,
+            emittedChars: this.emittedChars,
+            reasons: { ...this.reasons }
+        };
+    }
+
+    /**
+     * Counts with the derived ratios (what the API reports)
+     */
+    summary() {
+        const attempts = this.lcpMatched + this.lcpFallbacks;
+        const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+        return {
+            translations: this.translations,
+            lcp: {
+                attempts,
+                matched: this.lcpMatched,
+                fallbacks: this.lcpFallbacks,
+                first: this.lcpFirst,
+                successRatio: attempts > 0 ? round(this.lcpMatched / attempts, 3) : null
+            },
+            duplicatesSuppressed: this.duplicatesSuppressed,
+            duplicateRatio: this.translations > 0 ? round(this.duplicatesSuppressed / this.translations, 3) : null,
+            emitted: this.emitted,
+            averageEmittedWords: this.emitted > 0 ? round(this.emittedWords / this.emitted, 1) : null,
+            averageEmittedChars: this.emitted > 0 ? round(this.emittedChars / this.emitted, 1) : null,
+            reasons: { ...this.reasons }
+        };
+    }
+}
+
+class QualityTelemetry {
+    /**
+     * @param {Object} options
+     * @param {number} options.keepEnded - Ended sessions kept in memory (default 50)
+     * @param {Function} options.now - Clock (injectable for tests)
+     */
+    constructor({ keepEnded = 50, now = Date.now } = {}) {
+        this.keepEnded = keepEnded;
+        this.now = now;
+        this.startedAt = now();
+        this.aggregate = new QualityCounters();
+        this.active = new Set();
+        this.ended = []; // Newest last
+        this.nextId = 1;
+    }
+
+    /**
+     * Start counting a session
+     *
+     * @param {Object} info - clientId, mode, sourceLanguage, targetLanguage (reported with the counters)
+     * @returns {Object} Session handle for record() / endSession()
+     */
+    startSession(info = {}) {
+        const session = {
+            id: info.id || `q${this.nextId++}`,
+            clientId: info.clientId || null,
+            mode: info.mode || null,
+            sourceLanguage: info.sourceLanguage || null,
+            targetLanguage: info.targetLanguage || null,
+            startedAt: this.now(),
+            endedAt: null,
+            counters: new QualityCounters()
+        };
+        this.active.add(session);
+        return session;
+    }
+
+    /**
+     * Count one translation for a session and the aggregate
+     */
+    record(session, result) {
+        session.counters.record(result);
+        this.aggregate.record(result);
+    }
+
+    /**
+     * Stop counting a session
+     *
+     * @returns {Object|null} Stored form (see toRecord), or null if it was not active
+     */
+    endSession(session) {
+        if (!session || !this.active.delete(session)) return null;
+        session.endedAt = this.now();
+        this.ended.push(session);
+        if (this.ended.length > this.keepEnded) this.ended.shift();
+        return QualityTelemetry.toRecord(session);
+    }
+
+    /**
+     * Flat form of a session: identity, times and raw counts
+     */
+    static toRecord(session) {
+        return {
+            id: session.id,
+            clientId: session.clientId,
+            mode: session.mode,
+            sourceLanguage: session.sourceLanguage,
+            targetLanguage: session.targetLanguage,
+            startedAt: new Date(session.startedAt).toISOString(),
+            endedAt: session.endedAt !== null ? new Date(session.endedAt).toISOString() : null,
+            ...session.counters.toCounts()
+        };
+    }
+
+    /**
+     * Totals of stored session records (billing-db.js listSessionQuality), overall and per mode
+     *
+     * @returns {{sessions: number, aggregate: Object, modes: Object}} modes: { talks: { sessions, ...summary } }
+     */
+    static summarizeRecords(records) {
+        const aggregate = new QualityCounters();
+        const modes = new Map();
+        records.forEach(record => {
+            aggregate.add(record);
+            const mode = record.mode || 'unknown';
+            if (!modes.has(mode)) modes.set(mode, { sessions: 0, counters: new QualityCounters() });
+            const entry = modes.get(mode);
+            entry.sessions++;
+            entry.counters.add(record);
+        });
+        return {
+            sessions: records.length,
+            aggregate: aggregate.summary(),
+            modes: Object.fromEntries([...modes].map(([mode, { sessions, counters }]) => [mode, { sessions, ...counters.summary() }]))
+        };
+    }
+
+    /**
+     * In-memory report: aggregate since start, active sessions and recently ended ones (newest first)
+     */
+    getReport() {
+        const describe = session => {
+            const { id, clientId, mode, sourceLanguage, targetLanguage, startedAt, endedAt } = QualityTelemetry.toRecord(session);
+            return { id, clientId, mode, sourceLanguage, targetLanguage, startedAt, endedAt, active: session.endedAt === null, ...session.counters.summary() };
+        };
+        return {
+            since: new Date(this.startedAt).toISOString(),
+            aggregate: this.aggregate.summary(),
+            sessions: [...this.active, ...this.ended.slice().reverse()].map(describe)
+        };
+    }
+}
+
+module.exports = QualityTelemetry;
+module.exports.QualityCounters = QualityCounters;
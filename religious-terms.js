@@ -0,0 +1,166 @@
+/**
+ * Religious Terms
+ * Canonical forms of names and terms (Jehovah, Bible, Christ...) per target language,
+ * loaded from config/religious-terms.json
+ *
+ * Translation engines produce inconsistent spellings for these: "Iehvoa" or "Jehova"
+ * in Romanian, "Yahvé" in Spanish, a transliterated "Исус" in Russian. When the source
+ * mentions a term (one of its per-source-language trigger stems), every known bad
+ * variant in the output is replaced with the target language's canonical form.
+ *
+ * Replacement is whole-word with Unicode-aware boundaries: JavaScript's \b only knows
+ * ASCII letters, so "Satan" must not match inside "Satana" or Cyrillic words.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'religious-terms.json');
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2}$/;
+const WORD_CHAR = '\\p{L}\\p{M}\\p{N}';
+
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function invalid(message, problems) {
+    const error = new Error(message);
+    error.code = 'RELIGIOUS_TERMS_INVALID';
+    error.details = problems;
+    return error;
+}
+
+function isNonEmptyStringArray(value) {
+    return Array.isArray(value) && value.length > 0 && value.every(v => typeof v === 'string' && v.trim());
+}
+
+/**
+ * Keep the leading capital of the matched text ("Diavol" → "Diavolul", not "diavolul")
+ */
+function matchCase(match, canonical) {
+    if (/^\p{Lu}/u.test(match) && /^\p{Ll}/u.test(canonical)) {
+        return canonical.charAt(0).toUpperCase() + canonical.slice(1);
+    }
+    return canonical;
+}
+
+class ReligiousTerms {
+    /**
+     * @param {Object} config - Parsed table ({ terms: { id: { triggers, targets } } })
+     * @throws {Error} code RELIGIOUS_TERMS_INVALID, with `details` listing every problem
+     */
+    constructor(config) {
+        const problems = [];
+        this.terms = ReligiousTerms.compile(config, problems);
+        if (problems.length > 0) {
+            throw invalid(`Invalid religious terms: ${problems[0]}`, problems);
+        }
+    }
+
+    static fromFile(filePath = DEFAULT_FILE) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw invalid(`Cannot read religious terms ${filePath}: ${error.message}`, [error.message]);
+        }
+        return new ReligiousTerms(config);
+    }
+
+    static compile(config, problems) {
+        if (!config || typeof config.terms !== 'object' || config.terms === null) {
+            problems.push('file must contain a "terms" object');
+            return [];
+        }
+
+        const terms = [];
+        for (const [id, term] of Object.entries(config.terms)) {
+            const label = `Term "${id}"`;
+            const triggers = new Map(); // source language → RegExp
+            const targets = new Map();  // target language → { canonical, regex }
+
+            for (const [lang, stems] of Object.entries((term && term.triggers) || {})) {
+                if (!LANGUAGE_CODE_PATTERN.test(lang) || !isNonEmptyStringArray(stems)) {
+                    problems.push(`${label}: triggers.${lang} must be a list of stems for a two-letter language code`);
+                    continue;
+                }
+                const alternatives = stems.map(s => escapeRegex(s.trim())).join('|');
+                triggers.set(lang, new RegExp(`(?<![${WORD_CHAR}])(?:${alternatives})`, 'iu'));
+            }
+
+            for (const [lang, target] of Object.entries((term && term.targets) || {})) {
+                const { canonical, variants } = target || {};
+                if (!LANGUAGE_CODE_PATTERN.test(lang)) {
+                    problems.push(`${label}: "${lang}" is not a two-letter language code`);
+                    continue;
+                }
+                if (typeof canonical !== 'string' || !canonical.trim() || !isNonEmptyStringArray(variants)) {
+                    problems.push(`${label}: targets.${lang} needs a canonical form and at least one variant`);
+                    continue;
+                }
+                if (variants.some(v => v.trim().toLowerCase() === canonical.trim().toLowerCase())) {
+                    problems.push(`${label}: targets.${lang} lists the canonical form "${canonical}" as a variant`);
+                    continue;
+                }
+                // Longest first, so the longest variant wins where variants overlap
+                const alternatives = variants
+                    .map(v => v.trim())
+                    .sort((a, b) => b.length - a.length)
+                    .map(escapeRegex)
+                    .join('|');
+                targets.set(lang, {
+                    canonical: canonical.trim(),
+                    regex: new RegExp(`(?<![${WORD_CHAR}])(?:${alternatives})(?![${WORD_CHAR}])`, 'giu')
+                });
+            }
+
+            if (triggers.size === 0) problems.push(`${label}: at least one trigger language is required`);
+            if (targets.size === 0) problems.push(`${label}: at least one target language is required`);
+            terms.push({ id, triggers, targets });
+        }
+
+        return terms;
+    }
+
+    /**
+     * Replace known bad variants with canonical forms
+     *
+     * @param {string} translated - Translated output
+     * @param {Object} context - { sourceText, sourceLang, targetLang } (codes like 'en' or 'en-US')
+     * @returns {Object} { text, fired: [term ids that changed the text] }
+     */
+    apply(translated, { sourceText = '', sourceLang, targetLang }) {
+        const src = (sourceLang || '').split('-')[0].toLowerCase();
+        const tgt = (targetLang || '').split('-')[0].toLowerCase();
+
+        let result = translated;
+        const fired = [];
+        for (const term of this.terms) {
+            const trigger = term.triggers.get(src);
+            const target = term.targets.get(tgt);
+            if (!trigger || !target || !trigger.test(sourceText)) continue;
+
+            const next = result.replace(target.regex, (match) => matchCase(match, target.canonical));
+            if (next !== result) {
+                fired.push(term.id);
+                result = next;
+            }
+        }
+        return { text: result, fired };
+    }
+
+    /**
+     * Target languages with at least one canonical term
+     */
+    getTargetLanguages() {
+        const languages = new Set();
+        for (const term of this.terms) {
+            for (const lang of term.targets.keys()) languages.add(lang);
+        }
+        return [...languages].sort();
+    }
+}
+
+module.exports = ReligiousTerms;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
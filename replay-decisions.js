@@ -0,0 +1,366 @@
+#!/usr/bin/env node
+/**
+ * Decision Replay
+ * Replays a recorded stream of transcript-result events through TranslationRulesEngine
+ * with a fake clock and a mock translator, and prints every decision
+ *
+ *   node replay-decisions.js test/fixtures/sermon-ro.jsonl --mode sermon
+ *   node replay-decisions.js recording.jsonl --mode talks --override minWords=4 --json
+ *
+ * Recording format (JSONL): an optional session header, then one line per event with the
+ * time in ms since the stream started:
+ *   {"type": "session", "sourceLanguage": "ro-RO", "targetLanguage": "en", "mode": "talks"}
+ *   {"type": "transcript", "t": 1250, "text": "Bună ziua", "isFinal": false}
+ *
+ * The replay follows handleTranscript() in server.js: interim / final decisions, the pause
+ * timer, full-text translation with LCP extraction and duplicate suppression. Output is
+ * deterministic — one line per decision — so traces from two configurations can be compared
+ * with diff:
+ *   diff <(node replay-decisions.js rec.jsonl --mode talks) <(node replay-decisions.js rec.jsonl --mode sermon)
+ */
+
+const fs = require('fs');
+const TranslationRulesEngine = require('./translation-rules-engine');
+const ModeConfig = require('./mode-config');
+const FillerLexicon = require('./filler-lexicon');
+const { extractByWordLCP } = require('./post-processing');
+const { createMockProvider } = require('./translation-providers');
+
+const silentLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function wordCount(text) {
+    return (text || '').trim().split(/\s+/).filter(Boolean).length;
+}
+
+function invalid(message, problems) {
+    const error = new Error(message);
+    error.code = 'RECORDING_INVALID';
+    error.details = problems;
+    return error;
+}
+
+/**
+ * Parse a JSONL recording
+ *
+ * @returns {{session: Object, events: Array<{t: number, text: string, isFinal: boolean}>}}
+ * @throws {Error} code RECORDING_INVALID, with `details` listing every bad line
+ */
+function parseRecording(content) {
+    const problems = [];
+    let session = {};
+    const events = [];
+
+    content.split('\n').forEach((line, index) => {
+        if (!line.trim()) return;
+        const label = `Line ${index + 1}`;
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            problems.push(`${label}: not valid JSON`);
+            return;
+        }
+        if (entry.type === 'session') {
+            session = entry;
+            return;
+        }
+        if (entry.type !== undefined && entry.type !== 'transcript') return; // other recorded events
+        if (!Number.isFinite(entry.t) || entry.t < 0 || typeof entry.text !== 'string') {
+            problems.push(`${label}: transcript events need a time "t" (ms ≥ 0) and a "text"`);
+            return;
+        }
+        events.push({ t: entry.t, text: entry.text, isFinal: !!entry.isFinal });
+    });
+
+    if (problems.length > 0) {
+        throw invalid(`Invalid recording: ${problems[0]}`, problems);
+    }
+    // Stable sort: events recorded out of order keep their relative order at equal times
+    events.sort((a, b) => a.t - b.t);
+    return { session, events };
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)];
+}
+
+/**
+ * Run a recording through the rules engine
+ *
+ * @param {Object} recording - parseRecording() result
+ * @param {Object} options
+ * @param {string} options.mode - Mode id (default: the recording's mode, then the default mode)
+ * @param {Object} options.modeOverrides - Session overrides, e.g. { minWords: 4 }
+ * @param {ModeConfig} options.modeConfig - Modes (default config/modes.json)
+ * @param {string} options.sourceLanguage - Default: the recording's
+ * @param {string} options.targetLanguage - Default: the recording's, then 'en'
+ * @param {Object} options.translator - Translation provider (default: mock provider)
+ * @param {FillerLexicon} options.fillers - Default config/fillers.json
+ * @returns {Promise<{config: Object, trace: Object[], summary: Object}>}
+ */
+async function replayDecisions(recording, options = {}) {
+    const { session = {}, events } = recording;
+    const modes = options.modeConfig || ModeConfig.getDefault();
+    const fillers = options.fillers || FillerLexicon.getDefault();
+    const translator = options.translator || createMockProvider();
+    const sourceLanguage = options.sourceLanguage || session.sourceLanguage || null;
+    const targetLanguage = options.targetLanguage || session.targetLanguage || 'en';
+    const config = modes.resolve(options.mode || session.mode || modes.defaultMode, options.modeOverrides || session.modeOverrides);
+
+    let now = 0;
+    const engine = new TranslationRulesEngine(config.id, silentLogger, config, {
+        clock: () => now,
+        adaptive: modes.adaptive,
+        language: sourceLanguage,
+        fillers
+    });
+
+    const trace = [];
+    let lastInterimText = '';
+    let lastTextChangeTime = null;
+    let pauseTimer = null;     // { due, pauseMs }
+    let committedTranslation = '';
+    let wordTimes = [];        // When each word of the current utterance was first heard
+    let heldTimes = [];        // … and each word of text the engine holds from earlier utterances
+
+    async function translate(fullText, decision) {
+        let newText = (decision.newText || '').trim();
+        let sourceText = fullText;
+        if (engine.getConfig().stripDisfluencies) {
+            newText = fillers.strip(newText, sourceLanguage).text;
+            sourceText = fillers.strip(fullText, sourceLanguage).text;
+        }
+        if (!newText) return { emitted: '', duplicate: false };
+
+        const { translatedText } = await translator.translate({ text: sourceText.trim(), sourceLanguage, targetLanguage });
+        const emitted = extractByWordLCP(translatedText, committedTranslation) ?? translatedText;
+        committedTranslation = translatedText;
+        if (!emitted) return { emitted: '', duplicate: false };
+
+        const duplicate = engine.isTranslationDuplicate(emitted);
+        engine.recordTranslatedOutput(emitted);
+        if (!duplicate) engine.recordTranslation(fullText, emitted);
+        return { emitted, duplicate };
+    }
+
+    async function decide(context, eventIndex) {
+        const decision = engine.shouldTranslate({ ...context, clientId: 'replay' });
+        const entry = {
+            t: now,
+            event: eventIndex,
+            trigger: context.trigger,
+            approved: decision.shouldTranslate,
+            reason: decision.reason,
+            newText: decision.newText || ''
+        };
+        if (decision.shouldTranslate) {
+            const fullText = decision.completeText || context.text;
+            // Latency: from when the first translated word was heard to the decision
+            const times = heldTimes.concat(wordTimes);
+            const firstWord = Math.max(0, wordCount(fullText) - wordCount(decision.newText));
+            entry.latencyMs = times[firstWord] !== undefined ? now - times[firstWord] : 0;
+            entry.carryText = decision.carryText || '';
+            Object.assign(entry, await translate(fullText, decision));
+            pauseTimer = null;
+        }
+        trace.push(entry);
+        return decision;
+    }
+
+    async function firePauseTimer() {
+        const timer = pauseTimer;
+        now = timer.due;
+        pauseTimer = null;
+        await decide({ text: lastInterimText, isFinal: false, timeSinceLastChange: timer.pauseMs, trigger: 'pause' }, null);
+    }
+
+    for (let i = 0; i < events.length; i++) {
+        const { t, text, isFinal } = events[i];
+        if (pauseTimer && pauseTimer.due <= t) await firePauseTimer();
+        now = t;
+
+        const textChanged = text !== lastInterimText;
+        lastInterimText = text;
+        if (textChanged) pauseTimer = null;
+
+        const words = wordCount(text);
+        if (words < wordTimes.length) wordTimes = wordTimes.slice(0, words);
+        while (wordTimes.length < words) wordTimes.push(now);
+
+        const decision = await decide({
+            text,
+            isFinal,
+            timeSinceLastChange: textChanged ? 0 : now - (lastTextChangeTime ?? now),
+            trigger: isFinal ? 'final' : 'interim'
+        }, i);
+        if (textChanged) lastTextChangeTime = now;
+
+        if (!decision.shouldTranslate && !isFinal && !pauseTimer && textChanged) {
+            const pauseMs = engine.getConfig().pauseDetectionMs;
+            pauseTimer = { due: now + pauseMs, pauseMs };
+        }
+        if (isFinal) {
+            // Held text always starts with the words held before
+            heldTimes = heldTimes.concat(wordTimes).slice(0, wordCount(engine.heldText));
+            wordTimes = [];
+        }
+    }
+    if (pauseTimer) await firePauseTimer();
+
+    return { config, trace, summary: summarize(trace, events, engine) };
+}
+
+function summarize(trace, events, engine) {
+    const approvals = trace.filter(entry => entry.approved);
+    const latencies = approvals.map(entry => entry.latencyMs).sort((a, b) => a - b);
+    const count = (entries, key) => entries.reduce((counts, entry) => {
+        counts[entry[key]] = (counts[entry[key]] || 0) + 1;
+        return counts;
+    }, {});
+    const metrics = engine.getMetrics();
+
+    return {
+        events: events.length,
+        durationMs: events.length > 0 ? events[events.length - 1].t - events[0].t : 0,
+        decisions: trace.length,
+        approved: approvals.length,
+        rejected: trace.length - approvals.length,
+        approveReasons: count(approvals, 'reason'),
+        blockReasons: metrics.blockReasons,
+        emitted: approvals.filter(entry => entry.emitted && !entry.duplicate).length,
+        duplicates: approvals.filter(entry => entry.duplicate).length,
+        wordsTranslated: approvals.reduce((sum, entry) => sum + wordCount(entry.newText), 0),
+        latencyMs: {
+            mean: latencies.length > 0 ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+            p50: percentile(latencies, 0.5),
+            p90: percentile(latencies, 0.9),
+            max: latencies.length > 0 ? latencies[latencies.length - 1] : null
+        },
+        finalTiming: {
+            translationInterval: metrics.adaptiveTiming.translationInterval,
+            pauseDetectionMs: metrics.adaptiveTiming.pauseDetectionMs
+        }
+    };
+}
+
+function preview(text, length = 60) {
+    const flat = (text || '').replace(/\s+/g, ' ').trim();
+    return JSON.stringify(flat.length > length ? `${flat.slice(0, length - 1)}…` : flat);
+}
+
+/**
+ * One line per decision — stable across runs, so two traces diff cleanly
+ */
+function formatTrace(trace) {
+    return trace.map(entry => {
+        const time = `${(entry.t / 1000).toFixed(3)}s`.padStart(9);
+        const source = (entry.event === null ? 'timer' : `#${entry.event}`).padEnd(6);
+        const head = `${time} ${source} ${entry.trigger.padEnd(7)}`;
+        if (!entry.approved) {
+            return `${head} REJECT  ${entry.reason}`;
+        }
+        let line = `${head} APPROVE ${entry.reason} ${preview(entry.newText)} → ${preview(entry.emitted)}`;
+        if (entry.duplicate) line += ' (duplicate, not shown)';
+        if (entry.carryText) line += ` carry ${preview(entry.carryText, 30)}`;
+        return `${line} latency=${entry.latencyMs}ms`;
+    });
+}
+
+function formatSummary(summary, config) {
+    const reasons = counts => Object.entries(counts).sort().map(([reason, n]) => `${reason}=${n}`).join(' ') || '-';
+    const { latencyMs } = summary;
+    return [
+        `mode ${config.id}: interval ${config.translationInterval}ms, pause ${config.pauseDetectionMs}ms, minWords ${config.minWords}` +
+            (config.requireSentenceEnding ? `, sentences only (ceiling ${config.maxSentenceWaitMs}ms)` : ''),
+        `events ${summary.events} over ${(summary.durationMs / 1000).toFixed(1)}s, decisions ${summary.decisions} ` +
+            `(approved ${summary.approved}, rejected ${summary.rejected})`,
+        `approved: ${reasons(summary.approveReasons)}`,
+        `rejected: ${reasons(summary.blockReasons)}`,
+        `emitted ${summary.emitted} translations (${summary.wordsTranslated} source words), ${summary.duplicates} duplicates suppressed`,
+        latencyMs.mean === null
+            ? 'latency: no translations'
+            : `latency ms: mean ${latencyMs.mean}, p50 ${latencyMs.p50}, p90 ${latencyMs.p90}, max ${latencyMs.max}`,
+        `timing at end: interval ${summary.finalTiming.translationInterval}ms, pause ${summary.finalTiming.pauseDetectionMs}ms`
+    ];
+}
+
+const USAGE = `Usage: node replay-decisions.js <recording.jsonl> [options]
+
+  --mode <id>             Mode to replay with (default: the recording's mode)
+  --override <key=value>  Session override, repeatable (e.g. --override minWords=4)
+  --modes-file <path>     Modes file (default config/modes.json)
+  --language <code>       Source language (default: the recording's)
+  --json                  One JSON object per decision, then the summary
+  --no-summary            Decisions only`;
+
+function parseArgs(argv) {
+    const args = { overrides: {}, summary: true, json: false };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) throw new Error(`${arg} needs a value`);
+            return argv[++i];
+        };
+        if (arg === '--mode') args.mode = value();
+        else if (arg === '--modes-file') args.modesFile = value();
+        else if (arg === '--language') args.language = value();
+        else if (arg === '--json') args.json = true;
+        else if (arg === '--no-summary') args.summary = false;
+        else if (arg === '--override') {
+            const [key, raw] = value().split('=');
+            if (!key || raw === undefined) throw new Error('--override expects key=value');
+            args.overrides[key] = raw === 'true' ? true : raw === 'false' ? false : Number(raw);
+        } else if (arg === '--help' || arg === '-h') args.help = true;
+        else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+        else if (!args.file) args.file = arg;
+        else throw new Error(`Unexpected argument ${arg}`);
+    }
+    return args;
+}
+
+async function main(argv, out = console.log) {
+    const args = parseArgs(argv);
+    if (args.help || !args.file) {
+        out(USAGE);
+        return args.help ? 0 : 2;
+    }
+
+    const recording = parseRecording(fs.readFileSync(args.file, 'utf8'));
+    const { config, trace, summary } = await replayDecisions(recording, {
+        mode: args.mode,
+        modeOverrides: Object.keys(args.overrides).length > 0 ? args.overrides : undefined,
+        modeConfig: args.modesFile ? ModeConfig.fromFile(args.modesFile) : undefined,
+        sourceLanguage: args.language
+    });
+
+    if (args.json) {
+        trace.forEach(entry => out(JSON.stringify(entry)));
+        if (args.summary) out(JSON.stringify({ summary, config }));
+    } else {
+        formatTrace(trace).forEach(line => out(line));
+        if (args.summary) {
+            out('');
+            formatSummary(summary, config).forEach(line => out(line));
+        }
+    }
+    return 0;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => { process.exitCode = code; })
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            (error.details || []).slice(1).forEach(detail => console.error(`   ${detail}`));
+            process.exitCode = 1;
+        });
+}
+
+module.exports = {
+    parseRecording,
+    replayDecisions,
+    formatTrace,
+    formatSummary,
+    main
+};
@@ -0,0 +1,198 @@
+/**
+ * Sentence Segmenter
+ * Splits a transcript into sentences — and, optionally, clauses — so the rules engine
+ * can translate what is complete and carry the unfinished tail into the next decision
+ *
+ *   segment('Bună ziua. Astăzi vom vorbi despre', 'ro-RO')
+ *     → [ { text: 'Bună ziua.', start: 0, end: 10, type: 'sentence', complete: true },
+ *         { text: 'Astăzi vom vorbi despre', start: 11, end: 34, type: null, complete: false } ]
+ *
+ * Sentence boundaries: . ! ? (and 。！？) after a word, except abbreviations from the
+ * language's list ("Dr.", "nr."), single initials ("J.") and ellipses. Abbreviations that
+ * are also ordinary words ("no.", "etc.", "cap.") only count as such when a number or a
+ * lowercase word follows: "No. 5" and "cap. 3" go on, "The answer is no." ends.
+ * Clause boundaries (Web Speech often returns no punctuation at all): , ; : and
+ * conjunction cues ("și", "dar", "because"), once the clause has enough words.
+ *
+ * Languages without a lexicon (or no language) use all lexicons combined. Pure functions,
+ * no state — offsets point into the text as given.
+ */
+
+const LEXICONS = {
+    en: {
+        abbreviations: [
+            'mr', 'mrs', 'ms', 'dr', 'prof', 'jr', 'sr', 'rev', 'mt', 'e.g', 'i.e', 'approx', 'vol',
+            'fig', 'a.m', 'p.m', 'u.s', 'jan', 'feb', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept',
+            'oct', 'nov', 'dec'
+        ],
+        ambiguous: ['no', 'st', 'gen', 'mar', 'ch', 'vs', 'etc'],
+        conjunctions: [
+            'and', 'but', 'so', 'because', 'then', 'however', 'therefore', 'although', 'though',
+            'while', 'so that', 'and then'
+        ]
+    },
+    ro: {
+        abbreviations: [
+            'dl', 'dna', 'dra', 'dlui', 'dnei', 'sf', 'pr', 'prof', 'dr', 'ing', 'nr', 'str', 'bd',
+            'jud', 'pag', 'vol', 'fig', 'ș.a', 'ș.a.m.d', 'd.hr', 'î.hr', 'i.e.n', 'a.c', 'aprox',
+            'ian', 'febr', 'mart', 'apr', 'iun', 'iul', 'aug', 'sept', 'oct', 'nov', 'dec'
+        ],
+        ambiguous: ['art', 'cap', 'ex', 'etc'],
+        conjunctions: [
+            'și', 'dar', 'iar', 'însă', 'deci', 'pentru că', 'fiindcă', 'deoarece', 'căci', 'apoi',
+            'atunci', 'așa că', 'ci', 'și apoi'
+        ]
+    }
+};
+
+const DEFAULT_MIN_CLAUSE_WORDS = 5;
+
+const SENTENCE_END = /[.!?。！？]$/;
+const ELLIPSIS = /(\.{2,}|…)$/;
+const CLAUSE_END = /[,;:，；：]$/;
+// Closing quotes / brackets after the punctuation: 'He said "Amen."'
+const TRAILING_CLOSERS = /["'”’»)\]]+$/;
+const EDGE_PUNCTUATION = /^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu;
+
+const lexiconCache = new Map();
+
+// Old Romanian cedilla forms (ş ţ) are still common in STT output
+function normalizeWord(word) {
+    return word.toLowerCase().replace(/ş/g, 'ș').replace(/ţ/g, 'ț');
+}
+
+/**
+ * Abbreviations (plus the ambiguous ones) and conjunction cues for a language ('ro-RO', 'ro' or null for all)
+ */
+function getLexicon(language) {
+    const code = language ? String(language).split('-')[0].toLowerCase() : '*';
+    const key = LEXICONS[code] ? code : '*';
+    if (!lexiconCache.has(key)) {
+        const sources = key === '*' ? Object.values(LEXICONS) : [LEXICONS[key]];
+        const abbreviations = new Set();
+        const ambiguous = new Set();
+        const conjunctions = [];
+        sources.forEach(lexicon => {
+            lexicon.abbreviations.forEach(abbreviation => abbreviations.add(normalizeWord(abbreviation)));
+            lexicon.ambiguous.forEach(abbreviation => ambiguous.add(normalizeWord(abbreviation)));
+            lexicon.conjunctions.forEach(cue => conjunctions.push(normalizeWord(cue).split(' ')));
+        });
+        // Longest cue first so "pentru că" wins over a shorter match
+        conjunctions.sort((a, b) => b.length - a.length);
+        lexiconCache.set(key, { abbreviations, ambiguous, conjunctions });
+    }
+    return lexiconCache.get(key);
+}
+
+// CJK sentence punctuation ends a token even without a following space
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /[^\s。！？]+[。！？]*|[。！？]+/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        tokens.push({ word: match[0], start: match.index, end: match.index + match[0].length });
+    }
+    return tokens;
+}
+
+// `next` is the following word (null at the end of the text)
+function endsSentence(word, lexicon, next = null) {
+    const bare = word.replace(TRAILING_CLOSERS, '');
+    if (!SENTENCE_END.test(bare) || ELLIPSIS.test(bare)) return false;
+    if (!bare.endsWith('.')) return true;
+
+    const stem = normalizeWord(bare.slice(0, -1)).replace(/^[^\p{L}\p{N}]+/u, '');
+    if (lexicon.abbreviations.has(stem)) return false;
+    // "No. 5", "etc. and" — but "is no." and "etc. Then" end the sentence
+    if (lexicon.ambiguous.has(stem) && next && /^[^\p{L}\p{N}]*(\p{N}|\p{Ll})/u.test(next)) return false;
+    // Single initial: "J. Smith"
+    if (/^\p{L}$/u.test(stem)) return false;
+    return stem.length > 0;
+}
+
+function startsConjunction(tokens, index, lexicon) {
+    return lexicon.conjunctions.some(cue => cue.every((part, offset) => {
+        const token = tokens[index + offset];
+        return token && normalizeWord(token.word.replace(EDGE_PUNCTUATION, '')) === part;
+    }));
+}
+
+/**
+ * Split text into sentences (and clauses)
+ *
+ * @param {string} text
+ * @param {string} language - Source language, e.g. 'ro-RO' (null: all lexicons)
+ * @param {Object} options
+ * @param {boolean} options.clauses - Also split on clause boundaries (default false)
+ * @param {number} options.minClauseWords - Words a clause needs before it may end (default 5)
+ * @returns {Array<{text: string, start: number, end: number, type: string|null, complete: boolean}>}
+ *          `type` is how the segment ended ('sentence' or 'clause'); the last segment has
+ *          type null and complete false when the text stops mid-sentence
+ */
+function segment(text, language = null, { clauses = false, minClauseWords = DEFAULT_MIN_CLAUSE_WORDS } = {}) {
+    const lexicon = getLexicon(language);
+    const tokens = tokenize(text || '');
+    const segments = [];
+    let first = 0;
+
+    const close = (last, type) => {
+        const start = tokens[first].start;
+        const end = tokens[last].end;
+        segments.push({ text: text.slice(start, end), start, end, type, complete: true });
+        first = last + 1;
+    };
+
+    tokens.forEach((token, index) => {
+        // Clause boundary before a conjunction cue
+        if (clauses && index > first && index - first >= minClauseWords && startsConjunction(tokens, index, lexicon)) {
+            close(index - 1, 'clause');
+        }
+
+        const next = tokens[index + 1];
+        if (endsSentence(token.word, lexicon, next ? next.word : null)) {
+            close(index, 'sentence');
+        } else if (clauses && CLAUSE_END.test(token.word) && index + 1 - first >= minClauseWords) {
+            close(index, 'clause');
+        }
+    });
+
+    if (first < tokens.length) {
+        const start = tokens[first].start;
+        const end = tokens[tokens.length - 1].end;
+        segments.push({ text: text.slice(start, end), start, end, type: null, complete: false });
+    }
+    return segments;
+}
+
+/**
+ * Split text at its last boundary into the complete part and the unfinished tail
+ *
+ * @returns {{complete: string, tail: string}} complete is '' when no boundary was found;
+ *          tail is '' when the text ends on a boundary
+ */
+function splitComplete(text, language = null, options = {}) {
+    const segments = segment(text, language, options);
+    const last = segments[segments.length - 1];
+    if (!last) return { complete: '', tail: '' };
+    if (last.complete) return { complete: text.slice(0, last.end).trim(), tail: '' };
+    return {
+        complete: text.slice(0, last.start).trim(),
+        tail: last.text
+    };
+}
+
+/**
+ * Does the text end a sentence? (trailing . ! ? that is not an abbreviation or ellipsis)
+ */
+function isSentenceEnd(text, language = null) {
+    const tokens = tokenize(text || '');
+    return tokens.length > 0 && endsSentence(tokens[tokens.length - 1].word, getLexicon(language));
+}
+
+module.exports = {
+    LEXICONS,
+    getLexicon,
+    segment,
+    splitComplete,
+    isSentenceEnd
+};
@@ -8,12 +8,29 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const { TranslationServiceClient } = require('@google-cloud/translate').v3;
+const { PROVIDER_NAMES, createTranslationProvider } = require('./translation-providers');
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
-const billingDb = require('./billing-db');
+const { createBillingStore } = require('./billing-store');
 const TranslationRulesEngine = require('./translation-rules-engine');
+const ModeConfig = require('./mode-config');
+const FillerLexicon = require('./filler-lexicon');
+const BroadcastRoomRegistry = require('./broadcast-rooms');
+const TranslationCache = require('./translation-cache');
+const BudgetGuard = require('./budget-guard');
+const PricingTable = require('./pricing');
+const GlossaryEngine = require('./glossary-engine');
+const TermMappings = require('./term-mappings');
+const ReligiousTerms = require('./religious-terms');
+const PostProcessor = require('./post-processing');
+const { exportSession } = require('./session-export');
+const { parseRange, exportUsage, monthRange, buildMonthlyReport, exportReport } = require('./billing-export');
+const SessionRecorder = require('./session-recorder');
+const QualityTelemetry = require('./quality-telemetry');
+const { STT_ADAPTER_NAMES, createSttAdapter } = require('./stt-adapters');
 const session = require('express-session');
+const crypto = require('crypto');
 
 // ===== CONFIGURATION =====
 // Load environment variables if .env file exists
@@ -31,6 +48,44 @@ const INACTIVITY_TIMEOUT = parseInt(process.env.INACTIVITY_TIMEOUT || String(30
 
 const APP_PASSWORD = process.env.APP_PASSWORD || null;
 
+// Translation engine: 'google' (Cloud Translation v3, default), 'mock' (offline) or 'http' (self-hosted)
+const TRANSLATION_PROVIDER = (process.env.TRANSLATION_PROVIDER || 'google').toLowerCase();
+const TRANSLATION_CACHE_SIZE = parseInt(process.env.TRANSLATION_CACHE_SIZE || '500');
+const TRANSLATION_CACHE_TTL_MS = parseInt(process.env.TRANSLATION_CACHE_TTL_MS || String(10 * 60 * 1000));
+// Local glossary engine (glossaries/*.csv applied server-side, any provider) — on by default
+const LOCAL_GLOSSARY_ENABLED = process.env.LOCAL_GLOSSARY_ENABLED !== 'false';
+const LOCAL_GLOSSARY_FILES = (process.env.LOCAL_GLOSSARY_FILES || GlossaryEngine.DEFAULT_FILES.join(','))
+    .split(',').map(f => f.trim()).filter(Boolean);
+// Post-translation term fixes (declarative rules, see term-mappings.js)
+const TERM_MAPPINGS_FILE = process.env.TERM_MAPPINGS_FILE || TermMappings.DEFAULT_FILE;
+// Canonical religious terms per target language (see religious-terms.js)
+const RELIGIOUS_TERMS_FILE = process.env.RELIGIOUS_TERMS_FILE || ReligiousTerms.DEFAULT_FILE;
+// Post-translation pipeline stages per language pair (see post-processing.js)
+const POST_PROCESSING_FILE = process.env.POST_PROCESSING_FILE || PostProcessor.DEFAULT_FILE;
+// Translation modes (talks, earbuds, interpreter, …) and the overrides sessions may apply (see mode-config.js)
+const MODES_FILE = process.env.MODES_FILE || ModeConfig.DEFAULT_FILE;
+// Filler and disfluency lexicons per source language (see filler-lexicon.js)
+const FILLERS_FILE = process.env.FILLERS_FILE || FillerLexicon.DEFAULT_FILE;
+// Monthly translation budget: soft warning and hard cap action (see budget-guard.js)
+const BUDGET_FILE = process.env.BUDGET_FILE || BudgetGuard.DEFAULT_FILE;
+// Versioned prices and monthly free tiers the billing API computes costs with (see pricing.js)
+const PRICING_FILE = process.env.PRICING_FILE || PricingTable.DEFAULT_FILE;
+// Billing storage: 'auto' (Postgres with DATABASE_URL, else JSONL files), 'postgres', 'file' or 'none' (see billing-store.js)
+const BILLING_STORE = process.env.BILLING_STORE || 'auto';
+const BILLING_DATA_DIR = process.env.BILLING_DATA_DIR || path.join(__dirname, 'data', 'billing');
+// Session archive: full bilingual transcript of every session (needs DATABASE_URL) — off by default
+const SESSION_ARCHIVE_ENABLED = process.env.SESSION_ARCHIVE_ENABLED === 'true';
+const SESSION_ARCHIVE_RETENTION_DAYS = parseInt(process.env.SESSION_ARCHIVE_RETENTION_DAYS || '30');
+// Session recording: every transcript and translation as a replayable JSONL fixture (see session-recorder.js) — off by default
+const SESSION_RECORDING_DIR = process.env.SESSION_RECORDING_DIR || '';
+const SESSION_RECORDING_SCRUB = process.env.SESSION_RECORDING_SCRUB === 'true';
+// Server-side speech recognition for audio streamed over the socket: 'process' or 'mock' — off by default
+const STT_ADAPTER = (process.env.STT_ADAPTER || '').toLowerCase();
+// Recognizer command for the 'process' adapter, e.g. "python3 stt/vosk-stt.py --lang {lang} --rate {sampleRate}"
+const STT_COMMAND = process.env.STT_COMMAND || '';
+const STT_OPUS_DECODER = process.env.STT_OPUS_DECODER || '';
+const STT_MAX_CHUNK_BYTES = 64 * 1024; // ~2s of 16 kHz PCM per audio-chunk event
+
 // Guard: SESSION_SECRET must be set in production — hardcoded fallback is a security hole
 if (NODE_ENV === 'production' && !process.env.SESSION_SECRET) {
     console.error('FATAL: SESSION_SECRET environment variable is not set. Refusing to start in production.');
@@ -71,134 +126,325 @@ const logger = winston.createLogger({
     ]
 });
 
-// ===== GOOGLE CLOUD CREDENTIALS SETUP =====
-// Support both file-based (local/Docker) and environment variable (Heroku) credentials
-let googleCredentials;
-let CREDENTIALS_PATH;
-let credentialsProjectId = null;
+// ===== TRANSLATION PROVIDER =====
+if (!PROVIDER_NAMES.includes(TRANSLATION_PROVIDER)) {
+    logger.error(`❌ Unknown TRANSLATION_PROVIDER '${TRANSLATION_PROVIDER}'. Must be one of: ${PROVIDER_NAMES.join(', ')}`);
+    process.exit(1);
+}
 
-if (process.env.GOOGLE_CREDENTIALS_JSON) {
-    // Heroku/Cloud deployment: credentials from environment variable
-    try {
-        googleCredentials = JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON);
-        credentialsProjectId = googleCredentials.project_id || null;
-        logger.info('✅ Using Google credentials from environment variable');
-    } catch (error) {
-        logger.error('❌ Failed to parse GOOGLE_CREDENTIALS_JSON environment variable');
-        logger.error('Error:', error.message);
+// opt-in only: set GLOSSARY_ENABLED=true to enable (hosted glossaries exist only for the Google provider)
+const glossaryEnabled = process.env.GLOSSARY_ENABLED === 'true' && TRANSLATION_PROVIDER === 'google';
+const translationModel = process.env.TRANSLATION_MODEL || 'advanced';
+// Hosted glossary per direction ('ro-en' → path), set once the Google provider is configured
+let hostedGlossaries = {};
+
+// Helper: pick the right glossary path for a given translation direction
+// A local CSV glossary for the pair takes precedence (no glossary pricing)
+function getGlossaryPath(sourceLangCode, targetLangCode) {
+    if (!glossaryEnabled) return null;
+    if (LOCAL_GLOSSARY_ENABLED && glossaryEngine.getGlossary(sourceLangCode, targetLangCode)) return null;
+    return hostedGlossaries[`${sourceLangCode}-${targetLangCode}`] || null; // no glossary for other language pairs
+}
+
+/**
+ * Google Cloud credentials: environment variable (Heroku), file path (Docker/VM) or
+ * google-credentials.json (local development). Exits when none can be used.
+ *
+ * @returns {{googleCredentials: Object|undefined, projectId: string|null}}
+ */
+function loadGoogleCredentials() {
+    let googleCredentials;
+    let CREDENTIALS_PATH;
+    let credentialsProjectId = null;
+
+    if (process.env.GOOGLE_CREDENTIALS_JSON) {
+        // Heroku/Cloud deployment: credentials from environment variable
+        try {
+            googleCredentials = JSON.parse(process.env.GOOGLE_CREDENTIALS_JSON);
+            credentialsProjectId = googleCredentials.project_id || null;
+            logger.info('✅ Using Google credentials from environment variable');
+        } catch (error) {
+            logger.error('❌ Failed to parse GOOGLE_CREDENTIALS_JSON environment variable');
+            logger.error('Error:', error.message);
+            process.exit(1);
+        }
+    } else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        // Docker/VM deployment: credentials from file path
+        const credPath = path.resolve(process.env.GOOGLE_APPLICATION_CREDENTIALS);
+        const appDir = path.resolve(__dirname);
+
+        // Resolve symlinks to get real path and prevent traversal attacks
+        let realCredPath;
+        try {
+            realCredPath = fs.realpathSync(credPath);
+        } catch (error) {
+            logger.error('❌ Credentials file does not exist or is not accessible', {
+                providedPath: process.env.GOOGLE_APPLICATION_CREDENTIALS,
+                resolvedPath: credPath,
+                error: error.message
+            });
+            process.exit(1);
+        }
+
+        // Only allow credentials files within the application directory or standard system paths
+        const allowedDirs = [appDir, '/usr/', '/etc/'];
+        const isAllowed = allowedDirs.some(dir => realCredPath.startsWith(path.resolve(dir)));
+        if (isAllowed) {
+            // Ensure it's actually a file, not a directory
+            const stats = fs.statSync(realCredPath);
+            if (!stats.isFile()) {
+                logger.error('❌ Credentials path is not a file', { realCredPath });
+                process.exit(1);
+            }
+            CREDENTIALS_PATH = realCredPath;
+        } else {
+            logger.error('❌ Credentials path outside allowed directories', { credPath, realCredPath });
+            process.exit(1);
+        }
+        try {
+            const rawCreds = fs.readFileSync(CREDENTIALS_PATH, 'utf8');
+            const parsedCreds = JSON.parse(rawCreds);
+            credentialsProjectId = parsedCreds.project_id || null;
+        } catch (error) {
+            logger.warn('⚠️ Unable to read project_id from credentials file', { error: error.message });
+        }
+    } else {
+        // Local development: credentials from default file
+        CREDENTIALS_PATH = path.join(__dirname, 'google-credentials.json');
+        if (fs.existsSync(CREDENTIALS_PATH)) {
+            try {
+                const rawCreds = fs.readFileSync(CREDENTIALS_PATH, 'utf8');
+                const parsedCreds = JSON.parse(rawCreds);
+                credentialsProjectId = parsedCreds.project_id || null;
+            } catch (error) {
+                logger.warn('⚠️ Unable to read project_id from default credentials', { error: error.message });
+            }
+        }
+    }
+
+    // ===== CHECK CREDENTIALS =====
+    if (googleCredentials) {
+        // Using credentials from environment variable (Heroku)
+        // Google Cloud clients will be initialized with explicit credentials
+    } else if (CREDENTIALS_PATH && fs.existsSync(CREDENTIALS_PATH)) {
+        // Using credentials from file (local/Docker)
+        process.env.GOOGLE_APPLICATION_CREDENTIALS = CREDENTIALS_PATH;
+    } else {
+        logger.error('❌ Credentials not found!');
+        logger.error('Please provide credentials via:');
+        logger.error('  1. GOOGLE_CREDENTIALS_JSON environment variable (Heroku/Cloud)');
+        logger.error('  2. GOOGLE_APPLICATION_CREDENTIALS path (Docker/VM)');
+        logger.error('  3. google-credentials.json file (Local development)');
         process.exit(1);
     }
-} else if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-    // Docker/VM deployment: credentials from file path
-    const credPath = path.resolve(process.env.GOOGLE_APPLICATION_CREDENTIALS);
-    const appDir = path.resolve(__dirname);
 
-    // Resolve symlinks to get real path and prevent traversal attacks
-    let realCredPath;
+    const projectId = googleCredentials?.project_id || credentialsProjectId || process.env.GOOGLE_CLOUD_PROJECT || process.env.GCP_PROJECT;
+    return { googleCredentials, projectId };
+}
+
+/**
+ * The provider selected by TRANSLATION_PROVIDER (or `name`, e.g. the budget's fallback
+ * provider) — createApp() uses it unless a translator is passed in. Exits when it cannot
+ * be set up (missing credentials or project ID).
+ */
+function createConfiguredTranslator(name = TRANSLATION_PROVIDER) {
     try {
-        realCredPath = fs.realpathSync(credPath);
+        if (name === 'google') {
+            const { googleCredentials, projectId } = loadGoogleCredentials();
+            if (!projectId) {
+                logger.error('❌ No Google Cloud project ID found - translations will fail');
+                logger.error('Set project ID via:');
+                logger.error('  1. GOOGLE_CLOUD_PROJECT environment variable');
+                logger.error('  2. GCP_PROJECT environment variable');
+                logger.error('  3. project_id in credentials JSON');
+                process.exit(1);
+            }
+
+            // v3 API parent; two unidirectional glossaries — one per translation direction.
+            // Both contain the same 734 JW domain entries; the en→ro one has columns swapped.
+            const location = process.env.GOOGLE_CLOUD_LOCATION || 'us-central1';
+            const parent = `projects/${projectId}/locations/${location}`;
+            hostedGlossaries = {
+                'ro-en': `${parent}/glossaries/ro-en-religious-terms`,
+                'en-ro': `${parent}/glossaries/en-ro-religious-terms`
+            };
+
+            const translateClient = googleCredentials
+                ? new TranslationServiceClient({ credentials: googleCredentials })
+                : new TranslationServiceClient();
+
+            const provider = createTranslationProvider('google', {
+                client: translateClient,
+                parent,
+                model: translationModel
+            });
+
+            logger.info('✅ Google Cloud Translation v3 client initialized', {
+                projectId,
+                location,
+                translationModel,
+                glossaryEnabled,
+                roEnGlossary: glossaryEnabled ? hostedGlossaries['ro-en'] : 'disabled',
+                enRoGlossary: glossaryEnabled ? hostedGlossaries['en-ro'] : 'disabled',
+            });
+            return provider;
+        }
+
+        if (name === 'http') {
+            const provider = createTranslationProvider('http', {
+                url: process.env.TRANSLATION_HTTP_URL,
+                format: process.env.TRANSLATION_HTTP_FORMAT || 'libretranslate',
+                apiKey: process.env.TRANSLATION_HTTP_API_KEY || null,
+                model: process.env.TRANSLATION_HTTP_MODEL || null,
+                timeoutMs: parseInt(process.env.TRANSLATION_HTTP_TIMEOUT_MS || '15000')
+            });
+
+            logger.info('✅ HTTP translation provider initialized', {
+                url: process.env.TRANSLATION_HTTP_URL,
+                format: process.env.TRANSLATION_HTTP_FORMAT || 'libretranslate'
+            });
+            return provider;
+        }
+
+        logger.warn('⚠️ Using mock translation provider - output is NOT a real translation');
+        return createTranslationProvider('mock');
     } catch (error) {
-        logger.error('❌ Credentials file does not exist or is not accessible', {
-            providedPath: process.env.GOOGLE_APPLICATION_CREDENTIALS,
-            resolvedPath: credPath,
-            error: error.message
-        });
+        logger.error('❌ Failed to initialize translation provider', { provider: name, error: error.message });
         process.exit(1);
     }
+}
 
-    // Only allow credentials files within the application directory or standard system paths
-    const allowedDirs = [appDir, '/usr/', '/etc/'];
-    const isAllowed = allowedDirs.some(dir => realCredPath.startsWith(path.resolve(dir)));
-    if (isAllowed) {
-        // Ensure it's actually a file, not a directory
-        const stats = fs.statSync(realCredPath);
-        if (!stats.isFile()) {
-            logger.error('❌ Credentials path is not a file', { realCredPath });
-            process.exit(1);
-        }
-        CREDENTIALS_PATH = realCredPath;
-    } else {
-        logger.error('❌ Credentials path outside allowed directories', { credPath, realCredPath });
+// ===== SERVER-SIDE SPEECH RECOGNITION (optional) =====
+let configuredSttAdapter = null;
+if (STT_ADAPTER) {
+    if (!STT_ADAPTER_NAMES.includes(STT_ADAPTER)) {
+        logger.error(`❌ Unknown STT_ADAPTER '${STT_ADAPTER}'. Must be one of: ${STT_ADAPTER_NAMES.join(', ')}`);
         process.exit(1);
     }
     try {
-        const rawCreds = fs.readFileSync(CREDENTIALS_PATH, 'utf8');
-        const parsedCreds = JSON.parse(rawCreds);
-        credentialsProjectId = parsedCreds.project_id || null;
+        const [command, ...args] = STT_COMMAND.split(/\s+/).filter(Boolean);
+        const [decoderCommand, ...decoderArgs] = STT_OPUS_DECODER.split(/\s+/).filter(Boolean);
+        const decoder = decoderCommand ? { command: decoderCommand, args: decoderArgs } : null;
+        configuredSttAdapter = createSttAdapter(STT_ADAPTER, { command, args, decoder });
+        logger.info('✅ Server-side STT adapter initialized', {
+            adapter: configuredSttAdapter.name,
+            command: command || null,
+            encodings: configuredSttAdapter.encodings
+        });
     } catch (error) {
-        logger.warn('⚠️ Unable to read project_id from credentials file', { error: error.message });
-    }
-} else {
-    // Local development: credentials from default file
-    CREDENTIALS_PATH = path.join(__dirname, 'google-credentials.json');
-    if (fs.existsSync(CREDENTIALS_PATH)) {
-        try {
-            const rawCreds = fs.readFileSync(CREDENTIALS_PATH, 'utf8');
-            const parsedCreds = JSON.parse(rawCreds);
-            credentialsProjectId = parsedCreds.project_id || null;
-        } catch (error) {
-            logger.warn('⚠️ Unable to read project_id from default credentials', { error: error.message });
-        }
+        logger.error('❌ Failed to initialize STT adapter', { adapter: STT_ADAPTER, error: error.message });
+        process.exit(1);
     }
 }
 
-// ===== CHECK CREDENTIALS =====
-if (googleCredentials) {
-    // Using credentials from environment variable (Heroku)
-    // Google Cloud clients will be initialized with explicit credentials
-} else if (CREDENTIALS_PATH && fs.existsSync(CREDENTIALS_PATH)) {
-    // Using credentials from file (local/Docker)
-    process.env.GOOGLE_APPLICATION_CREDENTIALS = CREDENTIALS_PATH;
-} else {
-    logger.error('❌ Credentials not found!');
-    logger.error('Please provide credentials via:');
-    logger.error('  1. GOOGLE_CREDENTIALS_JSON environment variable (Heroku/Cloud)');
-    logger.error('  2. GOOGLE_APPLICATION_CREDENTIALS path (Docker/VM)');
-    logger.error('  3. google-credentials.json file (Local development)');
+// ===== LOCAL GLOSSARY ENGINE =====
+const glossaryEngine = new GlossaryEngine({
+    directory: path.join(__dirname, 'glossaries'),
+    files: LOCAL_GLOSSARY_FILES,
+    logger
+});
+// Always loaded so the glossary admin page works; only applied to translations when enabled
+const loadedGlossaries = glossaryEngine.load();
+logger.info('✅ Local glossaries loaded', {
+    glossaries: loadedGlossaries.map(g => `${g.id} (${g.entries} entries, ${g.protectedEntries} protected)`)
+});
+if (!LOCAL_GLOSSARY_ENABLED) {
+    logger.info('ℹ️ Local glossaries not applied to translations (LOCAL_GLOSSARY_ENABLED=false)');
+}
+
+// ===== POST-PROCESSING (term mappings, religious terms) =====
+// Invalid rules are a deploy error — refuse to start rather than translate without them
+let postProcessor;
+try {
+    const termMappings = TermMappings.fromFile(TERM_MAPPINGS_FILE);
+    logger.info(`✅ Term mappings loaded: ${termMappings.rules.length} rules`, { file: TERM_MAPPINGS_FILE });
+    const religiousTerms = ReligiousTerms.fromFile(RELIGIOUS_TERMS_FILE);
+    logger.info(`✅ Religious terms loaded: ${religiousTerms.terms.length} terms`, {
+        file: RELIGIOUS_TERMS_FILE,
+        targets: religiousTerms.getTargetLanguages()
+    });
+    postProcessor = PostProcessor.fromFile(POST_PROCESSING_FILE, { termMappings, religiousTerms });
+} catch (error) {
+    logger.error(`❌ ${error.message}`, { problems: error.details });
     process.exit(1);
 }
 
-// ===== INITIALIZE GOOGLE CLOUD CLIENTS =====
-const translateClient = googleCredentials
-    ? new TranslationServiceClient({ credentials: googleCredentials })
-    : new TranslationServiceClient();
-
-// Get project ID and location for v3 API
-const projectId = googleCredentials?.project_id || credentialsProjectId || process.env.GOOGLE_CLOUD_PROJECT || process.env.GCP_PROJECT;
-const location = process.env.GOOGLE_CLOUD_LOCATION || 'us-central1';
-const parent = projectId ? `projects/${projectId}/locations/${location}` : null;
-// Two unidirectional glossaries — one per translation direction.
-// Both contain the same 734 JW domain entries; the en→ro one has columns swapped.
-const roEnGlossaryPath = parent ? `${parent}/glossaries/ro-en-religious-terms` : null;
-const enRoGlossaryPath = parent ? `${parent}/glossaries/en-ro-religious-terms` : null;
-const glossaryEnabled = process.env.GLOSSARY_ENABLED === 'true'; // opt-in only: set GLOSSARY_ENABLED=true to enable
+// ===== TRANSLATION MODES =====
+let modeConfig;
+try {
+    modeConfig = ModeConfig.fromFile(MODES_FILE);
+    logger.info('✅ Translation modes loaded', {
+        file: MODES_FILE,
+        modes: Object.keys(modeConfig.modes),
+        defaultMode: modeConfig.defaultMode
+    });
+} catch (error) {
+    logger.error(`❌ ${error.message}`, { problems: error.details });
+    process.exit(1);
+}
 
-// Helper: pick the right glossary path for a given translation direction
-function getGlossaryPath(sourceLangCode, targetLangCode) {
-    if (!glossaryEnabled) return null;
-    if (sourceLangCode === 'ro' && targetLangCode === 'en') return roEnGlossaryPath;
-    if (sourceLangCode === 'en' && targetLangCode === 'ro') return enRoGlossaryPath;
-    return null; // no glossary for other language pairs
+// ===== FILLER LEXICONS =====
+let fillerLexicon;
+try {
+    fillerLexicon = FillerLexicon.fromFile(FILLERS_FILE);
+    logger.info('✅ Filler lexicons loaded', { file: FILLERS_FILE, languages: fillerLexicon.getLanguages() });
+} catch (error) {
+    logger.error(`❌ ${error.message}`, { problems: error.details });
+    process.exit(1);
 }
-const translationModel = process.env.TRANSLATION_MODEL || 'advanced';
 
-if (!projectId) {
-    logger.error('❌ No Google Cloud project ID found - translations will fail');
-    logger.error('Set project ID via:');
-    logger.error('  1. GOOGLE_CLOUD_PROJECT environment variable');
-    logger.error('  2. GCP_PROJECT environment variable');
-    logger.error('  3. project_id in credentials JSON');
+// ===== TRANSLATION BUDGET =====
+let budgetConfig;
+try {
+    budgetConfig = BudgetGuard.loadConfig(BUDGET_FILE);
+    logger.info('✅ Translation budget loaded', {
+        file: BUDGET_FILE,
+        enabled: budgetConfig.enabled !== false,
+        monthlyCharacters: budgetConfig.monthlyCharacters,
+        hardAction: budgetConfig.hardAction
+    });
+} catch (error) {
+    logger.error(`❌ ${error.message}`, { problems: error.details });
     process.exit(1);
 }
 
-logger.info('✅ Google Cloud Translation v3 client initialized', {
-    projectId,
-    location,
-    translationModel,
-    glossaryEnabled,
-    roEnGlossary: glossaryEnabled ? roEnGlossaryPath : 'disabled',
-    enRoGlossary: glossaryEnabled ? enRoGlossaryPath : 'disabled',
-});
+// ===== BILLING STORE =====
+let billingBackend;
+try {
+    billingBackend = createBillingStore({
+        backend: BILLING_STORE,
+        databaseUrl: process.env.DATABASE_URL,
+        dataDir: BILLING_DATA_DIR
+    });
+} catch (error) {
+    logger.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// ===== PRICING =====
+let pricingTable;
+try {
+    pricingTable = PricingTable.fromFile(PRICING_FILE);
+    logger.info('✅ Pricing table loaded', {
+        file: PRICING_FILE,
+        currency: pricingTable.currency,
+        version: pricingTable.versionFor(new Date()).version
+    });
+} catch (error) {
+    logger.error(`❌ ${error.message}`, { problems: error.details });
+    process.exit(1);
+}
+
+// ===== SESSION RECORDING =====
+if (SESSION_RECORDING_DIR) {
+    try {
+        fs.mkdirSync(SESSION_RECORDING_DIR, { recursive: true });
+        logger.info('⏺️ Session recording enabled', { directory: SESSION_RECORDING_DIR, scrub: SESSION_RECORDING_SCRUB });
+    } catch (error) {
+        logger.error(`❌ Cannot create session recording directory ${SESSION_RECORDING_DIR}: ${error.message}`);
+        process.exit(1);
+    }
+}
 
 // Log startup configuration
 logger.info('Server Configuration', {
@@ -206,1111 +452,1721 @@ logger.info('Server Configuration', {
     port: PORT,
     maxConnections: MAX_CONNECTIONS,
     maxConnectionsPerIP: MAX_CONNECTIONS_PER_IP,
-    inactivityTimeoutMs: INACTIVITY_TIMEOUT
+    inactivityTimeoutMs: INACTIVITY_TIMEOUT,
+    translationCacheSize: TRANSLATION_CACHE_SIZE
 });
 
-// ===== EXPRESS SETUP =====
-const app = express();
-const server = http.createServer(app);
-
-app.set('trust proxy', 1);
-app.use(sessionMiddleware);
-
-// Security headers middleware
-app.use((req, res, next) => {
-    // Content Security Policy
-    res.setHeader('Content-Security-Policy',
-        "default-src 'self'; " +
-        "script-src 'self' 'unsafe-inline'; " +
-        "style-src 'self' 'unsafe-inline'; " +
-        "connect-src 'self' ws: wss:; " +
-        "img-src 'self' data:; " +
-        "font-src 'self'; " +
-        "object-src 'none'; " +
-        "base-uri 'self'; " +
-        "form-action 'self'; " +
-        "frame-ancestors 'none'; " +
-        "upgrade-insecure-requests"
-    );
-
-    // Other security headers
-    res.setHeader('X-Content-Type-Options', 'nosniff');
-    res.setHeader('X-Frame-Options', 'DENY');
-    res.setHeader('X-XSS-Protection', '1; mode=block');
-    res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-    res.setHeader('Permissions-Policy', 'microphone=*, camera=(), geolocation=(), payment=()');
-
-    next();
-});
+// ===== APP FACTORY =====
+
+// Real time and timers; tests pass a fake clock to drive pause and inactivity timers
+const systemClock = {
+    now: () => Date.now(),
+    setTimeout: (fn, ms) => setTimeout(fn, ms),
+    clearTimeout: (timer) => clearTimeout(timer)
+};
+
+/**
+ * Build the HTTP server, REST API and Socket.IO session handling
+ *
+ * What a session reaches outside the process is injectable, so integration tests run
+ * in-process without credentials, a database or real time:
+ *
+ * @param {Object} options
+ * @param {Object} options.translator - Translation provider (see translation-providers.js; default: TRANSLATION_PROVIDER)
+ * @param {Object} options.clock - { now, setTimeout, clearTimeout } (default: system time)
+ * @param {Object} options.billingStore - Usage, translation log and session archive (default: BILLING_STORE, see billing-store.js)
+ * @param {Object} options.budget - Budget config (see budget-guard.js; default: BUDGET_FILE)
+ * @param {Object} options.fallbackTranslator - Provider for the budget's fallback_provider action
+ *   (default: the configured fallbackProvider)
+ * @param {PricingTable} options.pricing - Prices billing costs are computed with (default: PRICING_FILE)
+ * @param {Object} options.sttAdapter - Server-side recognizer for streamed audio (see stt-adapters.js; default: STT_ADAPTER)
+ * @returns {{app: Object, server: http.Server, io: Object, translator: Object, budgetGuard: BudgetGuard}}
+ */
+function createApp({ translator, clock = systemClock, billingStore = billingBackend, budget = budgetConfig, fallbackTranslator, pricing = pricingTable, sttAdapter = configuredSttAdapter } = {}) {
+    const translationProvider = translator || createConfiguredTranslator();
+    const budgetFallbackProvider = budget.hardAction === 'fallback_provider' && budget.enabled !== false
+        ? fallbackTranslator || createConfiguredTranslator(budget.fallbackProvider)
+        : null;
+
+    // Shared across all sessions: one provider call per (text, languages, glossary)
+    const translationCache = new TranslationCache({
+        maxEntries: TRANSLATION_CACHE_SIZE,
+        ttlMs: TRANSLATION_CACHE_TTL_MS,
+        now: clock.now
+    });
+
+    // Pipeline quality counters per session and since start (see quality-telemetry.js)
+    const qualityTelemetry = new QualityTelemetry({ now: clock.now });
+
+    // Month-to-date translation budget; every client hears when its level changes
+    const budgetGuard = new BudgetGuard(budget, {
+        store: billingStore,
+        now: clock.now,
+        logger,
+        onChange: (state) => io.emit('budget-status', state)
+    });
+
+    // ===== EXPRESS SETUP =====
+    const app = express();
+    const server = http.createServer(app);
+
+    app.set('trust proxy', 1);
+    app.use(sessionMiddleware);
+
+    // Security headers middleware
+    app.use((req, res, next) => {
+        // Content Security Policy
+        res.setHeader('Content-Security-Policy',
+            "default-src 'self'; " +
+            "script-src 'self' 'unsafe-inline'; " +
+            "style-src 'self' 'unsafe-inline'; " +
+            "connect-src 'self' ws: wss:; " +
+            "img-src 'self' data:; " +
+            "font-src 'self'; " +
+            "object-src 'none'; " +
+            "base-uri 'self'; " +
+            "form-action 'self'; " +
+            "frame-ancestors 'none'; " +
+            "upgrade-insecure-requests"
+        );
+
+        // Other security headers
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+        res.setHeader('X-Frame-Options', 'DENY');
+        res.setHeader('X-XSS-Protection', '1; mode=block');
+        res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
+        res.setHeader('Permissions-Policy', 'microphone=*, camera=(), geolocation=(), payment=()');
+
+        next();
+    });
+
+    // Strengthen CORS configuration
+    const io = socketIo(server, {
+        cors: {
+            origin: (origin, callback) => {
+                // Allow same-origin requests (no origin header)
+                if (!origin) return callback(null, true);
+
+                // Whitelist of allowed origins
+                const allowedOrigins = [
+                    'http://localhost:3003',
+                    'http://127.0.0.1:3003',
+                    'https://freetranslate.farace.net',
+                ];
+
+                // Allow any Koyeb app URL
+                if (origin && origin.endsWith('.koyeb.app')) {
+                    return callback(null, true);
+                }
+
+                // Also allow app URL from environment (any platform)
+                if (process.env.APP_URL) {
+                    allowedOrigins.push(process.env.APP_URL);
+                }
+
+                if (allowedOrigins.includes(origin)) {
+                    callback(null, true);
+                } else {
+                    logger.warn('CORS blocked origin', { origin });
+                    callback(new Error('Not allowed by CORS'));
+                }
+            },
+            methods: ["GET", "POST"],
+            credentials: true,
+            allowedHeaders: ["Content-Type"]
+        },
+        // Additional Socket.IO security
+        maxHttpBufferSize: 1e6, // 1MB max
+        pingTimeout: 60000,
+        pingInterval: 25000
+    });
+
+    io.engine.use(sessionMiddleware);
+
+    function requireAuth(req, res, next) {
+        if (!APP_PASSWORD) return next();
+        if (req.session && req.session.authenticated) return next();
+        if (req.path && req.path.startsWith('/api/')) return res.status(401).json({ error: 'Authentication required' });
+        res.redirect('/login');
+    }
+
+    app.get('/login', (req, res) => {
+        if (!APP_PASSWORD || (req.session && req.session.authenticated)) return res.redirect('/');
+        res.sendFile(path.join(__dirname, 'login.html'));
+    });
+
+    app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
+        const password = (req.body && req.body.password) || '';
+        if (APP_PASSWORD && password === APP_PASSWORD) {
+            req.session.authenticated = true;
+            return res.redirect('/');
+        }
+        res.redirect('/login?error=1');
+    });
+
+    app.get('/logout', (req, res) => {
+        req.session.destroy(() => res.redirect('/login'));
+    });
+
+    app.get('/', requireAuth, (req, res) => {
+        res.sendFile(path.join(__dirname, 'index.html'));
+    });
+
+    app.get('/billing', requireAuth, (req, res) => {
+        res.sendFile(path.join(__dirname, 'billing.html'));
+    });
 
-// Strengthen CORS configuration
-const io = socketIo(server, {
-    cors: {
-        origin: (origin, callback) => {
-            // Allow same-origin requests (no origin header)
-            if (!origin) return callback(null, true);
-
-            // Whitelist of allowed origins
-            const allowedOrigins = [
-                'http://localhost:3003',
-                'http://127.0.0.1:3003',
-                'https://freetranslate.farace.net',
-            ];
-
-            // Allow any Koyeb app URL
-            if (origin && origin.endsWith('.koyeb.app')) {
-                return callback(null, true);
+    app.get('/favicon.ico', (req, res) => res.status(204).end());
+
+    app.get('/health', (req, res) => {
+        res.json({
+            status: 'ok',
+            uptime: process.uptime(),
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    // ===== BILLING API ENDPOINTS =====
+
+    // Track browser STT minutes (called from client)
+    // Translation and glossary characters are metered by the server itself (meterTranslation)
+    app.post('/api/billing/track', requireAuth, express.json(), async (req, res) => {
+        try {
+            const { type, amount, language } = req.body;
+
+            // Validate input
+            if (!type || !amount || !language) {
+                return res.status(400).json({ error: 'Missing required fields: type, amount, language' });
             }
 
-            // Also allow app URL from environment (any platform)
-            if (process.env.APP_URL) {
-                allowedOrigins.push(process.env.APP_URL);
+            if (type !== 'stt') {
+                return res.status(400).json({ error: 'Invalid type. Must be: stt (translation usage is metered by the server)' });
             }
 
-            if (allowedOrigins.includes(origin)) {
-                callback(null, true);
-            } else {
-                logger.warn('CORS blocked origin', { origin });
-                callback(new Error('Not allowed by CORS'));
+            if (typeof amount !== 'number' || amount < 0) {
+                return res.status(400).json({ error: 'Amount must be a positive number' });
             }
-        },
-        methods: ["GET", "POST"],
-        credentials: true,
-        allowedHeaders: ["Content-Type"]
-    },
-    // Additional Socket.IO security
-    maxHttpBufferSize: 1e6, // 1MB max
-    pingTimeout: 60000,
-    pingInterval: 25000
-});
 
-io.engine.use(sessionMiddleware);
+            // Cap per-request amount to prevent data inflation from malformed/malicious clients
+            const MAX_STT_MINUTES = 720;
+            if (amount > MAX_STT_MINUTES) {
+                return res.status(400).json({ error: `Amount exceeds maximum allowed value (${MAX_STT_MINUTES} minutes)` });
+            }
 
-function requireAuth(req, res, next) {
-    if (!APP_PASSWORD) return next();
-    if (req.session && req.session.authenticated) return next();
-    if (req.path && req.path.startsWith('/api/')) return res.status(401).json({ error: 'Authentication required' });
-    res.redirect('/login');
-}
+            // Track usage in database
+            const success = await billingStore.trackUsage('stt', amount, language, { meteredBy: 'client' });
 
-app.get('/login', (req, res) => {
-    if (!APP_PASSWORD || (req.session && req.session.authenticated)) return res.redirect('/');
-    res.sendFile(path.join(__dirname, 'login.html'));
-});
+            if (success) {
+                res.json({ success: true });
+            } else {
+                res.status(500).json({ error: 'Failed to track usage' });
+            }
+        } catch (error) {
+            logger.error('Error tracking billing usage:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
 
-app.post('/login', express.urlencoded({ extended: false }), (req, res) => {
-    const password = (req.body && req.body.password) || '';
-    if (APP_PASSWORD && password === APP_PASSWORD) {
-        req.session.authenticated = true;
-        return res.redirect('/');
-    }
-    res.redirect('/login?error=1');
-});
+    // Get usage summary
+    app.get('/api/billing/summary', requireAuth, async (req, res) => {
+        try {
+            // UTC days, default: the current month up to today (like the exports)
+            const { startDate: start, endDate: end } = parseRange(req.query);
+
+            const summary = await billingStore.getUsageSummary(start, end);
+
+            // Free tiers are monthly: the rows before start still use them up
+            const rows = await billingStore.getUsageRows(PricingTable.monthStart(start), end);
+            const costs = pricing.computeCosts(rows, { startDate: start, endDate: end });
+
+            res.json({
+                success: true,
+                startDate: start,
+                endDate: end,
+                data: summary,
+                costs,
+                pricing: pricing.describe(end),
+                cache: translationCache.getStats() // In-memory since server start
+            });
+        } catch (error) {
+            if (error.code === 'EXPORT_INVALID') {
+                return res.status(400).json({ error: error.message });
+            }
+            logger.error('Error getting billing summary:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
 
-app.get('/logout', (req, res) => {
-    req.session.destroy(() => res.redirect('/login'));
-});
+    // Get daily usage for charts
+    app.get('/api/billing/daily', requireAuth, async (req, res) => {
+        try {
+            const days = parseInt(req.query.days || '30');
 
-app.get('/', requireAuth, (req, res) => {
-    res.sendFile(path.join(__dirname, 'index.html'));
-});
+            if (days < 1 || days > 365) {
+                return res.status(400).json({ error: 'Days must be between 1 and 365' });
+            }
 
-app.get('/billing', requireAuth, (req, res) => {
-    res.sendFile(path.join(__dirname, 'billing.html'));
-});
+            const dailyUsage = await billingStore.getDailyUsage(days);
+
+            const end = new Date();
+            const start = new Date(end.getTime() - days * 24 * 60 * 60 * 1000);
+            const rows = await billingStore.getUsageRows(PricingTable.monthStart(start), end);
+            const costs = pricing.computeCosts(rows, { startDate: start, endDate: end });
+            const data = dailyUsage.map(day => {
+                const dayCosts = costs.days[day.date];
+                return {
+                    ...day,
+                    cost: dayCosts ? dayCosts.cost : 0,
+                    costs: dayCosts ? dayCosts.byType : null
+                };
+            });
 
-app.get('/favicon.ico', (req, res) => res.status(204).end());
+            res.json({
+                success: true,
+                days,
+                currency: costs.currency,
+                data
+            });
+        } catch (error) {
+            logger.error('Error getting daily usage:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
 
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        uptime: process.uptime(),
-        timestamp: new Date().toISOString()
+    // Month-to-date budget state (see budget-guard.js), re-read from billing_usage
+    app.get('/api/billing/budget', requireAuth, async (req, res) => {
+        try {
+            res.json({ success: true, data: await budgetGuard.refresh() });
+        } catch (error) {
+            logger.error('Error getting budget state:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
     });
-});
 
-// ===== BILLING API ENDPOINTS =====
+    // Server-metered usage of one session (billingSessionId from session-started)
+    app.get('/api/billing/sessions/:id', requireAuth, async (req, res) => {
+        try {
+            const usage = await billingStore.getSessionUsage(req.params.id);
+            res.json({ success: true, data: usage });
+        } catch (error) {
+            logger.error('Error getting session usage:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
 
-// Track usage (called from client)
-app.post('/api/billing/track', requireAuth, express.json(), async (req, res) => {
-    try {
-        const { type, amount, language } = req.body;
+    // Download billing_usage for a date range: raw records or daily totals, as csv or json
+    app.get('/api/billing/export', requireAuth, async (req, res) => {
+        try {
+            const { startDate, endDate } = parseRange(req.query);
+            const granularity = req.query.granularity || 'daily';
+            const rows = granularity === 'raw'
+                ? await billingStore.listUsageRecords(startDate, endDate)
+                : await billingStore.getUsageRows(startDate, endDate);
+
+            const { body, contentType, filename } = exportUsage(rows, req.query.format || 'json', {
+                granularity,
+                startDate,
+                endDate
+            });
 
-        // Validate input
-        if (!type || !amount || !language) {
-            return res.status(400).json({ error: 'Missing required fields: type, amount, language' });
+            res.set('Content-Type', contentType);
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(body);
+        } catch (error) {
+            if (error.code === 'EXPORT_INVALID') {
+                return res.status(400).json({ error: error.message });
+            }
+            logger.error('Error exporting billing usage:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
+    });
+
+    // Monthly statement (?month=YYYY-MM, default: current month); ?format=csv|json downloads it
+    app.get('/api/billing/report', requireAuth, async (req, res) => {
+        try {
+            const now = new Date();
+            const { month, startDate, endDate } = monthRange(req.query.month, now);
+            const rows = await billingStore.getUsageRows(startDate, endDate);
+            const report = buildMonthlyReport({ month, rows, pricing, now });
 
-        if (!['stt', 'translation', 'glossary'].includes(type)) {
-            return res.status(400).json({ error: 'Invalid type. Must be: stt, translation, or glossary' });
+            if (!req.query.format) {
+                return res.json({ success: true, data: report });
+            }
+            const { body, contentType, filename } = exportReport(report, req.query.format);
+            res.set('Content-Type', contentType);
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(body);
+        } catch (error) {
+            if (error.code === 'EXPORT_INVALID') {
+                return res.status(400).json({ error: error.message });
+            }
+            logger.error('Error building billing report:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
+    });
+
+    // ===== QUALITY TELEMETRY API =====
+
+    // LCP success ratio, fallbacks, duplicate suppressions, emitted length and decision reasons:
+    // live since server start (per session), and stored per mode for a date range
+    app.get('/api/quality', requireAuth, async (req, res) => {
+        try {
+            const { startDate, endDate } = req.query;
+
+            // Default to current month (UTC days, like session_date) if no dates provided
+            const today = new Date();
+            const start = startDate ? new Date(startDate) : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), 1));
+            const end = endDate ? new Date(endDate) : new Date();
+            if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+                return res.status(400).json({ error: 'Invalid startDate or endDate' });
+            }
 
-        if (typeof amount !== 'number' || amount < 0) {
-            return res.status(400).json({ error: 'Amount must be a positive number' });
+            const records = await billingStore.listSessionQuality(start, end);
+
+            res.json({
+                success: true,
+                ...qualityTelemetry.getReport(),
+                stored: {
+                    enabled: billingStore.isConnected(),
+                    startDate: start.toISOString().split('T')[0],
+                    endDate: end.toISOString().split('T')[0],
+                    ...QualityTelemetry.summarizeRecords(records)
+                }
+            });
+        } catch (error) {
+            logger.error('Error getting quality telemetry:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
+    });
 
-        // Cap per-request amount to prevent data inflation from malformed/malicious clients
-        const MAX_BILLING_AMOUNT = 50000;
-        if (amount > MAX_BILLING_AMOUNT) {
-            return res.status(400).json({ error: `Amount exceeds maximum allowed value (${MAX_BILLING_AMOUNT})` });
+    // ===== SESSION ARCHIVE API ENDPOINTS =====
+    // Past sessions and their bilingual transcripts (SESSION_ARCHIVE_ENABLED + DATABASE_URL)
+
+    // List archived sessions, newest first
+    app.get('/api/sessions', requireAuth, async (req, res) => {
+        try {
+            const limit = parseInt(req.query.limit || '50');
+            const offset = parseInt(req.query.offset || '0');
+
+            if (!(limit >= 1 && limit <= 200)) {
+                return res.status(400).json({ error: 'Limit must be between 1 and 200' });
+            }
+            if (!(offset >= 0)) {
+                return res.status(400).json({ error: 'Offset must be 0 or more' });
+            }
+
+            const { total, sessions } = await billingStore.listArchivedSessions({ limit, offset });
+
+            res.json({
+                success: true,
+                enabled: SESSION_ARCHIVE_ENABLED && billingStore.isConnected() && billingStore.supportsArchive !== false,
+                retentionDays: SESSION_ARCHIVE_RETENTION_DAYS,
+                total,
+                limit,
+                offset,
+                data: sessions
+            });
+        } catch (error) {
+            logger.error('Error listing archived sessions:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
+    });
 
-        // Track usage in database
-        const success = await billingDb.trackUsage(type, amount, language);
+    // Full bilingual transcript of one session
+    app.get('/api/sessions/:id', requireAuth, async (req, res) => {
+        try {
+            const transcript = await billingStore.getArchivedSession(req.params.id);
 
-        if (success) {
-            res.json({ success: true });
-        } else {
-            res.status(500).json({ error: 'Failed to track usage' });
+            if (!transcript) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            res.json({ success: true, data: transcript });
+        } catch (error) {
+            logger.error('Error getting archived session:', error);
+            res.status(500).json({ error: 'Internal server error' });
         }
-    } catch (error) {
-        logger.error('Error tracking billing usage:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+    });
 
-// Get usage summary
-app.get('/api/billing/summary', requireAuth, async (req, res) => {
-    try {
-        const { startDate, endDate } = req.query;
+    // Download one session as subtitles (srt, vtt), bilingual document (md, html) or json
+    app.get('/api/sessions/:id/export', requireAuth, async (req, res) => {
+        try {
+            const transcript = await billingStore.getArchivedSession(req.params.id);
 
-        // Default to current month if no dates provided
-        const start = startDate ? new Date(startDate) : new Date(new Date().getFullYear(), new Date().getMonth(), 1);
-        const end = endDate ? new Date(endDate) : new Date();
+            if (!transcript) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
 
-        const summary = await billingDb.getUsageSummary(start, end);
+            const { body, contentType, filename } = exportSession(transcript, req.query.format || 'json', {
+                language: req.query.lang
+            });
 
-        res.json({
-            success: true,
-            startDate: start.toISOString().split('T')[0],
-            endDate: end.toISOString().split('T')[0],
-            data: summary
-        });
-    } catch (error) {
-        logger.error('Error getting billing summary:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+            res.set('Content-Type', contentType);
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(body);
+        } catch (error) {
+            if (error.code === 'EXPORT_INVALID') {
+                return res.status(400).json({ error: error.message });
+            }
+            logger.error('Error exporting archived session:', error);
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    });
 
-// Get daily usage for charts
-app.get('/api/billing/daily', requireAuth, async (req, res) => {
-    try {
-        const days = parseInt(req.query.days || '30');
+    // ===== GLOSSARY API ENDPOINTS =====
+    // Edits are validated, written back to glossaries/*.csv and applied to running sessions
+    // immediately (the engine version is part of the translation cache key).
 
-        if (days < 1 || days > 365) {
-            return res.status(400).json({ error: 'Days must be between 1 and 365' });
+    const GLOSSARY_ERROR_STATUS = {
+        GLOSSARY_NOT_FOUND: 404,
+        GLOSSARY_DUPLICATE: 409,
+        GLOSSARY_INVALID: 400
+    };
+
+    function sendGlossaryError(res, error, action) {
+        const status = GLOSSARY_ERROR_STATUS[error.code];
+        if (status) {
+            return res.status(status).json({ error: error.message, details: error.details || [] });
         }
+        logger.error(`Error ${action}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
 
-        const dailyUsage = await billingDb.getDailyUsage(days);
+    app.get('/glossary', requireAuth, (req, res) => {
+        res.sendFile(path.join(__dirname, 'glossary.html'));
+    });
 
+    // List glossaries
+    app.get('/api/glossaries', requireAuth, (req, res) => {
         res.json({
             success: true,
-            days,
-            data: dailyUsage
+            enabled: LOCAL_GLOSSARY_ENABLED,
+            version: glossaryEngine.version,
+            data: glossaryEngine.listGlossaries()
         });
-    } catch (error) {
-        logger.error('Error getting daily usage:', error);
-        res.status(500).json({ error: 'Internal server error' });
-    }
-});
+    });
 
-// ===== HELPER FUNCTIONS =====
+    // View one glossary with its entries
+    app.get('/api/glossaries/:id', requireAuth, (req, res) => {
+        try {
+            const entries = glossaryEngine.getEntries(req.params.id);
+            const glossary = glossaryEngine.listGlossaries().find(g => g.id === req.params.id);
+            res.json({ success: true, data: { ...glossary, entries } });
+        } catch (error) {
+            sendGlossaryError(res, error, 'reading glossary');
+        }
+    });
 
-/**
- * Translation with exponential backoff retry logic
- * Uses Translation API v3 with glossary support for improved accuracy
- * Handles transient failures (503, 429, network errors) and glossary fallback
- */
-async function translateWithRetry(text, targetLang, sourceLanguage, clientId, maxRetries = 3) {
-    if (!parent) {
-        logger.error('Translation failed - no project ID configured', { clientId });
-        throw new Error('Translation service not properly configured');
-    }
+    // Add an entry
+    app.post('/api/glossaries/:id/entries', requireAuth, express.json(), (req, res) => {
+        try {
+            const { source, target } = req.body || {};
+            const entry = glossaryEngine.addEntry(req.params.id, { source, target });
+            logger.info('📖 Glossary entry added', { glossary: req.params.id, source: entry.source });
+            res.status(201).json({ success: true, data: entry, version: glossaryEngine.version });
+        } catch (error) {
+            sendGlossaryError(res, error, 'adding glossary entry');
+        }
+    });
 
-    // Validate source language
-    if (!sourceLanguage || typeof sourceLanguage !== 'string') {
-        logger.error('Invalid source language parameter', { clientId, sourceLanguage });
-        throw new Error('Source language is required for translation');
-    }
+    // Edit an entry (identified by its current source term)
+    app.put('/api/glossaries/:id/entries/:source', requireAuth, express.json(), (req, res) => {
+        try {
+            const { source, target } = req.body || {};
+            const entry = glossaryEngine.updateEntry(req.params.id, req.params.source, { source, target });
+            logger.info('📖 Glossary entry updated', { glossary: req.params.id, source: req.params.source });
+            res.json({ success: true, data: entry, version: glossaryEngine.version });
+        } catch (error) {
+            sendGlossaryError(res, error, 'updating glossary entry');
+        }
+    });
+
+    // Delete an entry
+    app.delete('/api/glossaries/:id/entries/:source', requireAuth, (req, res) => {
+        try {
+            const entry = glossaryEngine.deleteEntry(req.params.id, req.params.source);
+            logger.info('📖 Glossary entry deleted', { glossary: req.params.id, source: entry.source });
+            res.json({ success: true, data: entry, version: glossaryEngine.version });
+        } catch (error) {
+            sendGlossaryError(res, error, 'deleting glossary entry');
+        }
+    });
+
+    // Export as CSV
+    app.get('/api/glossaries/:id/export', requireAuth, (req, res) => {
+        try {
+            const csv = glossaryEngine.exportCsv(req.params.id);
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="glossary_${req.params.id}.csv"`);
+            res.send(csv);
+        } catch (error) {
+            sendGlossaryError(res, error, 'exporting glossary');
+        }
+    });
+
+    // Import CSV (body: { csv, mode: 'merge' | 'replace' })
+    app.post('/api/glossaries/:id/import', requireAuth, express.json({ limit: '2mb' }), (req, res) => {
+        try {
+            const { csv, mode = 'merge' } = req.body || {};
+            const result = glossaryEngine.importCsv(req.params.id, csv, mode);
+            logger.info('📖 Glossary imported', { glossary: req.params.id, mode, ...result });
+            res.json({ success: true, data: result, version: glossaryEngine.version });
+        } catch (error) {
+            sendGlossaryError(res, error, 'importing glossary');
+        }
+    });
 
-    // Pick direction-appropriate glossary (ro→en or en→ro; null for other pairs)
-    const sourceLangCode = sourceLanguage.includes('-')
-        ? sourceLanguage.split('-')[0]
-        : sourceLanguage;
-    let activeGlossaryPath = getGlossaryPath(sourceLangCode, targetLang);
+    // ===== HELPER FUNCTIONS =====
 
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            // Build translation request
-            const request = {
-                parent: parent,
-                contents: [text],
-                mimeType: 'text/plain',
-                sourceLanguageCode: sourceLangCode,
-                targetLanguageCode: targetLang,
-            };
+    /**
+     * Translation with exponential backoff retry logic
+     * Delegates to the configured translation provider (see translation-providers.js)
+     * Handles transient failures (503, 429, network errors) and glossary fallback
+     * Every successful provider call is metered for billing (see meterTranslation)
+     */
+    async function translateWithRetry(text, targetLang, sourceLanguage, clientId, sessionId = clientId, maxRetries = 3) {
+        const provider = activeProvider();
 
-            // Add model parameter only if using 'nmt' (standard neural translation)
-            // Don't specify model to use Google's latest/best automatic model selection
-            if (translationModel === 'nmt') {
-                request.model = `${parent}/models/nmt`;
-            }
-            // For 'advanced', omit model parameter to use Google's best available model
+        // Validate source language
+        if (!sourceLanguage || typeof sourceLanguage !== 'string') {
+            logger.error('Invalid source language parameter', { clientId, sourceLanguage });
+            throw new Error('Source language is required for translation');
+        }
 
-            // Add direction-appropriate glossary if available
-            if (activeGlossaryPath) {
-                request.glossaryConfig = {
-                    glossary: activeGlossaryPath,
-                    ignoreCase: true  // Case-insensitive for JW domain terms
-                };
-                logger.debug('Using glossary for translation', { glossaryPath: activeGlossaryPath, clientId });
-            }
+        // Pick direction-appropriate glossary (ro→en or en→ro; null for other pairs)
+        const sourceLangCode = sourceLanguage.includes('-')
+            ? sourceLanguage.split('-')[0]
+            : sourceLanguage;
+        let activeGlossaryPath = provider.supportsGlossary
+            ? getGlossaryPath(sourceLangCode, targetLang)
+            : null;
+
+        for (let attempt = 1; attempt <= maxRetries; attempt++) {
+            try {
+                if (activeGlossaryPath) {
+                    logger.debug('Using glossary for translation', { glossaryPath: activeGlossaryPath, clientId });
+                }
 
-            const [response] = await translateClient.translateText(request);
+                const { translatedText } = await provider.translate({
+                    text,
+                    sourceLanguage: sourceLangCode,
+                    targetLanguage: targetLang,
+                    glossaryPath: activeGlossaryPath
+                });
 
-            // When a glossary was applied, prefer glossary_translations (glossary-aware result)
-            const translation = (activeGlossaryPath && response.glossaryTranslations?.length)
-                ? response.glossaryTranslations[0].translatedText
-                : response.translations[0].translatedText;
+                meterTranslation({ provider, text, sourceLanguage, targetLang, sessionId, usedGlossary: !!activeGlossaryPath });
+                return translatedText;
+            } catch (error) {
+                const errorCode = error.code ? String(error.code) : '';
+                const errorMessage = error.message || '';
 
-            return translation;
-        } catch (error) {
-            const errorCode = error.code ? String(error.code) : '';
-            const errorMessage = error.message || '';
+                // Check if this is a glossary-related error
+                const isGlossaryError = errorMessage.includes('glossary') ||
+                                       errorMessage.includes('NOT_FOUND') ||
+                                       errorCode === '5'; // NOT_FOUND code
 
-            // Check if this is a glossary-related error
-            const isGlossaryError = errorMessage.includes('glossary') ||
-                                   errorMessage.includes('NOT_FOUND') ||
-                                   errorCode === '5'; // NOT_FOUND code
+                // If glossary error on first attempt with glossary, retry without glossary
+                if (isGlossaryError && activeGlossaryPath) {
+                    logger.warn('Glossary not found or error, retrying without glossary', {
+                        clientId,
+                        glossaryPath: activeGlossaryPath,
+                        error: errorMessage
+                    });
+                    activeGlossaryPath = null;
+                    // Don't count this as a retry attempt - try again immediately
+                    attempt--;
+                    continue;
+                }
 
-            // If glossary error on first attempt with glossary, retry without glossary
-            if (isGlossaryError && activeGlossaryPath) {
-                logger.warn('Glossary not found or error, retrying without glossary', {
-                    clientId,
-                    glossaryPath: activeGlossaryPath,
-                    error: errorMessage
-                });
-                activeGlossaryPath = null;
-                // Don't count this as a retry attempt - try again immediately
-                attempt--;
-                continue;
-            }
+                // Check if error is retryable (transient network/service issues)
+                const isRetryable = errorCode === '503' ||
+                                   errorCode === '429' ||
+                                   errorCode === '14' ||  // UNAVAILABLE
+                                   errorCode === '8' ||   // RESOURCE_EXHAUSTED
+                                   error.code === 503 ||
+                                   error.code === 429 ||
+                                   error.code === 14 ||
+                                   error.code === 8 ||
+                                   error.code === 'ECONNRESET' ||
+                                   error.code === 'ETIMEDOUT' ||
+                                   error.code === 'UNAVAILABLE' ||
+                                   error.code === 'RESOURCE_EXHAUSTED';
+
+                if (!isRetryable || attempt === maxRetries) {
+                    logger.error('Translation failed (non-retryable or max retries)', {
+                        clientId,
+                        attempt,
+                        error: errorMessage,
+                        code: error.code,
+                        provider: provider.name,
+                        sourceLanguage,
+                        targetLang,
+                        usedGlossary: !!activeGlossaryPath
+                    });
+                    throw error;
+                }
 
-            // Check if error is retryable (transient network/service issues)
-            const isRetryable = errorCode === '503' ||
-                               errorCode === '429' ||
-                               errorCode === '14' ||  // UNAVAILABLE
-                               errorCode === '8' ||   // RESOURCE_EXHAUSTED
-                               error.code === 503 ||
-                               error.code === 429 ||
-                               error.code === 14 ||
-                               error.code === 8 ||
-                               error.code === 'ECONNRESET' ||
-                               error.code === 'ETIMEDOUT' ||
-                               error.code === 'UNAVAILABLE' ||
-                               error.code === 'RESOURCE_EXHAUSTED';
-
-            if (!isRetryable || attempt === maxRetries) {
-                logger.error('Translation failed (non-retryable or max retries)', {
+                const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
+                logger.warn(`Translation retry ${attempt}/${maxRetries}`, {
                     clientId,
-                    attempt,
                     error: errorMessage,
                     code: error.code,
-                    sourceLanguage,
-                    targetLang,
-                    usedGlossary: !!activeGlossaryPath
+                    delayMs: delay
                 });
-                throw error;
+                await new Promise(resolve => clock.setTimeout(resolve, delay));
             }
-
-            const delay = Math.min(1000 * Math.pow(2, attempt - 1), 5000);
-            logger.warn(`Translation retry ${attempt}/${maxRetries}`, {
-                clientId,
-                error: errorMessage,
-                code: error.code,
-                delayMs: delay
-            });
-            await new Promise(resolve => setTimeout(resolve, delay));
         }
     }
-}
 
-// ===== SOCKET.IO CONNECTION HANDLING =====
-let activeConnections = 0;
-const connectionsByIp = new Map(); // Track connections per IP
-
-io.on('connection', (socket) => {
-    // Reject unauthenticated socket connections
-    if (APP_PASSWORD && !(socket.request.session && socket.request.session.authenticated)) {
-        socket.emit('connection-error', { message: 'Authentication required', code: 'UNAUTHORIZED' });
-        socket.disconnect(true);
-        return;
+    /**
+     * Record the characters of one provider call in billing_usage
+     * The server meters what it actually sends (cache hits cost nothing); calls that used a
+     * hosted glossary are billed as 'glossary'. Fire-and-forget, like the translation log.
+     */
+    function meterTranslation({ provider, text, sourceLanguage, targetLang, sessionId, usedGlossary }) {
+        const written = billingStore.trackUsage(usedGlossary ? 'glossary' : 'translation', text.length, sourceLanguage, {
+            targetLanguage: targetLang,
+            provider: provider.name,
+            sessionId,
+            meteredBy: 'server'
+        }).catch(() => {}); // Non-fatal
+        // The budget keeps counting these characters until the write is visible to its refresh
+        budgetGuard.recordUsage(provider.name, text.length, written);
     }
 
-    // Get client IP address (trust proxy: read x-forwarded-for behind Heroku/Koyeb)
-    const xForwardedFor = socket.handshake.headers['x-forwarded-for'];
-    const clientIp = xForwardedFor
-        ? xForwardedFor.split(',')[0].trim()
-        : (socket.handshake.address || socket.conn.remoteAddress);
-
-    // Check global connection limit
-    if (activeConnections >= MAX_CONNECTIONS) {
-        logger.warn('Connection rejected - max connections reached', {
-            activeConnections,
-            maxConnections: MAX_CONNECTIONS,
-            clientIp
-        });
-        socket.emit('connection-error', {
-            message: 'Server is at maximum capacity. Please try again later.'
-        });
-        socket.disconnect(true);
-        return;
+    /**
+     * Provider for new (uncached) translations: the budget's fallback once its hard cap
+     * switched to it, the configured provider otherwise
+     */
+    function activeProvider() {
+        return budgetGuard.getAction() === 'fallback_provider' ? budgetFallbackProvider : translationProvider;
     }
 
-    // Check per-IP connection limit
-    const ipConnections = connectionsByIp.get(clientIp) || 0;
-    if (ipConnections >= MAX_CONNECTIONS_PER_IP) {
-        logger.warn('Connection rejected - max connections per IP reached', {
-            clientIp,
-            connections: ipConnections,
-            maxPerIp: MAX_CONNECTIONS_PER_IP
-        });
-        socket.emit('connection-error', {
-            message: 'Too many connections from your IP address. Please try again later.'
-        });
-        socket.disconnect(true);
-        return;
-    }
+    /**
+     * Cached, glossary-aware wrapper around translateWithRetry()
+     * Local glossary terms are protected with placeholders before translation and restored
+     * afterwards (see glossary-engine.js). Identical (text, languages, glossary) requests share
+     * one provider call (see translation-cache.js).
+     */
+    async function translateCached(text, targetLang, sourceLanguage, clientId, sessionId = clientId) {
+        const sourceLangCode = sourceLanguage.split('-')[0];
+        const protection = LOCAL_GLOSSARY_ENABLED ? glossaryEngine.protect(text, sourceLangCode, targetLang) : null;
+        const hostedGlossary = activeProvider().supportsGlossary ? getGlossaryPath(sourceLangCode, targetLang) : null;
+        const glossaryKey = hostedGlossary || (protection && protection.glossaryId
+            ? `local:${protection.glossaryId}@v${protection.version}`
+            : null);
+        const providerText = protection ? protection.text : text;
+        const key = TranslationCache.buildKey(providerText, sourceLangCode, targetLang, glossaryKey);
+
+        const { value, cached } = await translationCache.getOrTranslate(
+            key,
+            () => {
+                // Hard cap with 'refuse': cached results still work, new provider calls do not
+                if (budgetGuard.getAction() === 'refuse') {
+                    const error = new Error('Monthly translation budget reached - translation paused until next month');
+                    error.code = 'BUDGET_EXCEEDED';
+                    throw error;
+                }
+                return translateWithRetry(providerText, targetLang, sourceLanguage, clientId, sessionId);
+            },
+            text.length
+        );
 
-    activeConnections++;
-    connectionsByIp.set(clientIp, ipConnections + 1);
+        if (cached) {
+            logger.debug('💾 Translation cache hit', { clientId, targetLang, chars: text.length });
+        }
+        if (!protection || protection.terms.length === 0) {
+            return value;
+        }
 
-    const clientId = socket.id.substring(0, 8);
+        const restored = glossaryEngine.restore(value, protection);
+        logger.debug('📖 Local glossary applied', { clientId, glossary: protection.glossaryId, terms: restored.applied });
+        if (restored.missing.length > 0) {
+            logger.warn('⚠️ Glossary placeholders lost in translation', { clientId, glossary: protection.glossaryId, missing: restored.missing });
+        }
+        return restored.text;
+    }
 
-    logger.info('✅ Client connected', {
-        socketId: socket.id,
-        clientIp,
-        totalConnections: activeConnections,
-        ipConnections: ipConnections + 1
-    });
+    // ===== SOCKET.IO CONNECTION HANDLING =====
+    let activeConnections = 0;
+    const connectionsByIp = new Map(); // Track connections per IP
+    const broadcastRooms = new BroadcastRoomRegistry(); // Presenter rooms with listener sockets
 
-    let currentLanguage = 'ro-RO';
-    let targetLanguage = 'en';
-    let accumulatedText = '';
-    let translationCount = 0;
-    let sessionActive = false;
-    let restartStreamTimer = null;
-    let lastInterimText = '';
-    let lastTranslationTime = null; // Track when last translation happened for 15s max interval
-    let lastTranslatedText = ''; // Track concatenated source text already translated
-    let lastActivityTime = Date.now();
-    let inactivityTimer = null;
-    const INACTIVITY_TIMEOUT_MS = INACTIVITY_TIMEOUT; // Use config value
-    let translationInFlight = false; // Prevent concurrent translations (race condition fix)
-    let pendingTranslation = null; // Deferred final translation waiting for in-flight to complete
-    let translationRules = null; // Centralized translation rules engine
-    let currentMode = 'talks'; // Persist selected mode across restarts
-    let lastTextChangeTime = Date.now(); // Track when text last changed for pause detection
-    // v160: full-text-then-extract restored with the KEY FIX: committedTranslation = translatedFull
-    // (not committedTranslation = prev_committed + emitted, which caused cascade divergence in v155)
-    let committedTranslation = ''; // Full translation emitted so far (reset on session start)
-    let lastFullTranslation = ''; // Last full-transcript translation (for LCP matching)
-
-    // Helper function to update last activity time
-    function updateActivity() {
-        lastActivityTime = Date.now();
-
-        // Clear existing inactivity timer
-        if (inactivityTimer) {
-            clearTimeout(inactivityTimer);
+    io.on('connection', (socket) => {
+        // Reject unauthenticated socket connections
+        if (APP_PASSWORD && !(socket.request.session && socket.request.session.authenticated)) {
+            socket.emit('connection-error', { message: 'Authentication required', code: 'UNAUTHORIZED' });
+            socket.disconnect(true);
+            return;
         }
 
-        // Set new inactivity timer
-        if (sessionActive) {
-            inactivityTimer = setTimeout(() => {
-                const inactiveMinutes = Math.floor((Date.now() - lastActivityTime) / 60000);
-                logger.warn('Session timeout due to inactivity', {
-                    clientId,
-                    inactiveMinutes,
-                    translationCount
-                });
-
-                sessionActive = false;
-                cleanupSession();
+        // Get client IP address (trust proxy: read x-forwarded-for behind Heroku/Koyeb)
+        const xForwardedFor = socket.handshake.headers['x-forwarded-for'];
+        const clientIp = xForwardedFor
+            ? xForwardedFor.split(',')[0].trim()
+            : (socket.handshake.address || socket.conn.remoteAddress);
+
+        // Check global connection limit
+        if (activeConnections >= MAX_CONNECTIONS) {
+            logger.warn('Connection rejected - max connections reached', {
+                activeConnections,
+                maxConnections: MAX_CONNECTIONS,
+                clientIp
+            });
+            socket.emit('connection-error', {
+                message: 'Server is at maximum capacity. Please try again later.'
+            });
+            socket.disconnect(true);
+            return;
+        }
 
-                socket.emit('session-timeout', {
-                    message: `Session stopped due to ${Math.floor(INACTIVITY_TIMEOUT_MS / 60000)} minutes of inactivity`,
-                    inactiveMinutes
-                });
-            }, INACTIVITY_TIMEOUT_MS);
+        // Check per-IP connection limit
+        const ipConnections = connectionsByIp.get(clientIp) || 0;
+        if (ipConnections >= MAX_CONNECTIONS_PER_IP) {
+            logger.warn('Connection rejected - max connections per IP reached', {
+                clientIp,
+                connections: ipConnections,
+                maxPerIp: MAX_CONNECTIONS_PER_IP
+            });
+            socket.emit('connection-error', {
+                message: 'Too many connections from your IP address. Please try again later.'
+            });
+            socket.disconnect(true);
+            return;
         }
-    }
 
-    // Helper function to clean up session state
-    function cleanupSession() {
-        translationInFlight = false;
-        pendingTranslation = null; // Discard any deferred translation
-        lastTranslatedText = '';
-        lastInterimText = '';
+        activeConnections++;
+        connectionsByIp.set(clientIp, ipConnections + 1);
 
-        if (restartStreamTimer) {
-            clearTimeout(restartStreamTimer);
-            restartStreamTimer = null;
-        }
-    }
+        const clientId = socket.id.substring(0, 8);
 
-    // Fallback single-word translations for common Romanian terms that may pass through unchanged
-    const FALLBACK_TRANSLATIONS = {
-        gheata: 'ice',
-        gheată: 'boot',
-        gheață: 'ice'
-    };
+        logger.info('✅ Client connected', {
+            socketId: socket.id,
+            clientIp,
+            totalConnections: activeConnections,
+            ipConnections: ipConnections + 1
+        });
 
-    /**
-     * Replace known domain terms in translated output.
-     * @param {string} text - Translated (English) output to fix
-     * @param {string} sourceText - Original Romanian source text (used for context-aware fixes)
-     */
-    function applyTermMappings(text, sourceText = '') {
-        const mappings = [
-            { pattern: /\bvestitori\b/gi, replacement: 'publishers' },
-            { pattern: /\bMartorii lui Iehova\b/gi, replacement: "Jehovah's Witnesses" },
-            { pattern: /\bnume nou\b/gi, replacement: 'new name' },
-            { pattern: /\bnume noi\b/gi, replacement: 'new names' },
-            // "congres" is a JW convention, not a political congress
-            { pattern: /\bcongresses\b/gi, replacement: 'conventions' },
-            { pattern: /\bcongress\b/gi, replacement: 'convention' },
-        ];
-
-        let result = text;
-        for (const { pattern, replacement } of mappings) {
-            result = result.replace(pattern, replacement);
+        // Tell the client whether it may stream audio instead of using the Web Speech API
+        socket.emit('server-info', {
+            stt: sttAdapter ? { adapter: sttAdapter.name, encodings: sttAdapter.encodings } : null,
+            modes: modeConfig.describe(),
+            budget: budgetGuard.getState()
+        });
+
+        let currentLanguage = 'ro-RO';
+        let targetLanguage = 'en';
+        let accumulatedText = '';
+        let translationCount = 0;
+        let sessionActive = false;
+        let restartStreamTimer = null;
+        let lastInterimText = '';
+        let lastTranslationTime = null; // Track when last translation happened for 15s max interval
+        let lastTranslatedText = ''; // Track concatenated source text already translated
+        let lastActivityTime = clock.now();
+        let inactivityTimer = null;
+        const INACTIVITY_TIMEOUT_MS = INACTIVITY_TIMEOUT; // Use config value
+        let translationInFlight = false; // Prevent concurrent translations (race condition fix)
+        let pendingTranslation = null; // Deferred final translation waiting for in-flight to complete
+        let translationRules = null; // Centralized translation rules engine
+        let currentMode = modeConfig.defaultMode; // Persist selected mode across restarts
+        let lastTextChangeTime = clock.now(); // Track when text last changed for pause detection
+        // v160: full-text-then-extract restored with the KEY FIX: committedTranslation = translatedFull
+        // (not committedTranslation = prev_committed + emitted, which caused cascade divergence in v155)
+        let committedTranslation = ''; // Full translation emitted so far (reset on session start)
+        let lastFullTranslation = ''; // Last full-transcript translation (for LCP matching)
+        let roomCode = null; // Broadcast room this socket presents to (see broadcast-rooms.js)
+        let listeningRoom = null; // { code, targetLanguage } while this socket listens to someone else's room
+        // LCP state for each extra listener language: lang → { committedTranslation, accumulatedText, count, recentTranslations }
+        const listenerTracks = new Map();
+        let archiveSessionId = null; // sessions.id while SESSION_ARCHIVE_ENABLED (see billing-db.js)
+        let archiveSeq = 0; // session_segments.seq: chunks emitted in any language
+        let archiveWrites = Promise.resolve(); // Archive writes run in order (segments reference the session row)
+        let sttStream = null; // Server-side recognizer while the client streams audio (see stt-adapters.js)
+        let recorder = null; // SessionRecorder while SESSION_RECORDING_DIR is set
+        let qualitySession = null; // QualityTelemetry counters of the running session
+        let billingSessionId = null; // Session id the server meters translation usage under (billing_usage.session_id)
+
+        // Queue a session-archive write (fire-and-forget, never blocks translation)
+        function archive(write) {
+            archiveWrites = archiveWrites.then(write).catch(() => {}); // Non-fatal
         }
 
-        // Source-aware fix: "congregație" → "congregation" (not "church").
-        // Google Translate sometimes returns "church" for "congregație" in religious contexts.
-        // JW terminology strictly uses "congregation", never "church".
-        if (/congregați/i.test(sourceText)) {
-            result = result.replace(/\bchurch\b/gi, 'congregation');
-            result = result.replace(/\bchurches\b/gi, 'congregations');
+        // Close the archived session, if one is open
+        function endArchive() {
+            if (!archiveSessionId) return;
+            const id = archiveSessionId;
+            archiveSessionId = null;
+            archive(() => billingStore.endArchivedSession(id));
         }
 
-        // Source-aware fix: STT garbles "congrese speciale" → "congrete fiare" (beasts).
-        // When the source contains "congres" family words, "beast/beasts" in the output
-        // is always a garble artifact — replace with "convention/conventions".
-        if (/congres/i.test(sourceText)) {
-            result = result.replace(/\bbeasts?\b/gi, (match) => match.toLowerCase() === 'beast' ? 'convention' : 'conventions');
+        // Count one translation of the primary target language
+        function recordQuality(result) {
+            if (qualitySession) qualityTelemetry.record(qualitySession, result);
         }
 
-        // Source-aware fix: STT garbles "Tongo" (venue/stadium name) → "Togo" (country).
-        // "Togo" in this domain context is always the venue, never the African country.
-        if (/tongo/i.test(sourceText)) {
-            result = result.replace(/\bTogo\b/g, 'Tongo');
+        // Stop counting the session; store its counters if anything was translated
+        function endQuality() {
+            if (!qualitySession) return;
+            const record = qualityTelemetry.endSession(qualitySession);
+            qualitySession = null;
+            if (record && record.translations > 0) {
+                billingStore.saveSessionQuality(record).catch(() => {}); // Non-fatal
+            }
         }
 
-        // Source-aware fix: "Cartea Bucuriei" = "The Book of Joy" (JW publication).
-        // Google Translate sometimes renders "bucurie" as "Rejoice" without context.
-        if (/cart(?:ea|e)\s+bucur/i.test(sourceText)) {
-            result = result.replace(/\bRejoice\b/gi, 'Joy');
-            result = result.replace(/\bbook\s+rejoice\b/gi, 'Book of Joy');
+        // Close the session recording, if one is open
+        function endRecording() {
+            if (!recorder) return;
+            const closing = recorder;
+            recorder = null;
+            closing.close().then(() => {
+                logger.info('⏺️ Session recording saved', { clientId, file: closing.filePath, events: closing.events });
+            });
         }
 
-        // Source-aware fix: "bunătate" (kindness) garbled to "bani" (money) by STT.
-        // If source contains "bunătate" and output has "money", it's the STT error.
-        if (/bun[ăa]tate/i.test(sourceText)) {
-            result = result.replace(/\bmoney\b/gi, 'kindness');
+        // Stop the server-side recognizer: `abort` drops it, otherwise it flushes its last result
+        function stopSttStream(abort = false) {
+            if (!sttStream) return;
+            const stream = sttStream;
+            sttStream = null;
+            if (abort) stream.destroy();
+            else stream.end();
         }
 
-        return result;
-    }
+        // Helper function to update last activity time
+        function updateActivity() {
+            lastActivityTime = clock.now();
 
-    /**
-     * Verify religious proper nouns survived translation correctly (en→ro direction).
-     *
-     * When translating English to Romanian, Google may produce incorrect variants of
-     * JW proper nouns (e.g. 'Jehova' instead of 'Iehova', 'Biblie' instead of 'Biblia').
-     * This function patches known bad variants to the authoritative Romanian JW form.
-     *
-     * Only runs when targetLang is 'ro'. Ported from PhraseTranslation's
-     * _verify_religious_terms().
-     */
-    function verifyReligiousTerms(translated, sourceText, targetLang) {
-        if (targetLang !== 'ro') return translated;
-
-        // English trigger term → canonical Romanian JW form
-        const religiousTerms = {
-            'jehovah':  'Iehova',
-            'satan':    'Satana',
-            'bible':    'Biblia',
-            'jesus':    'Isus',
-            'christ':   'Hristos',
-            'god':      'Dumnezeu',
-            'devil':    'diavolul',
-            'kingdom':  'regatul',
-            'heaven':   'cerul',
-            'prayer':   'rugăciune',
-            'faith':    'credință',
-        };
-
-        // Canonical Romanian form → incorrect variants Google may produce
-        const romanianVariants = {
-            'Iehova':    ['Iehvoa', 'Ievhova', 'Jehova'],
-            'Satana':    ['Satan'],
-            'Isus':      ['Iisus'],
-            'Hristos':   ['Cristos', 'Christos'],
-            'Dumnezeu':  ['Dumnezău'],
-            'Biblia':    ['Biblie'],
-            'diavolul':  ['diavol'],
-            'regatul':   ['regat'],
-            'cerul':     ['cer'],
-            'rugăciune': ['rugăciunea'],
-            'credință':  ['credința'],
-        };
-
-        const sourceLower = sourceText.toLowerCase();
-        let result = translated;
-
-        for (const [engTerm, roTerm] of Object.entries(religiousTerms)) {
-            if (sourceLower.includes(engTerm)) {
-                for (const variant of (romanianVariants[roTerm] || [])) {
-                    const escaped = variant.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-                    result = result.replace(new RegExp(escaped, 'gi'), roTerm);
-                }
+            // Clear existing inactivity timer
+            if (inactivityTimer) {
+                clock.clearTimeout(inactivityTimer);
+            }
+
+            // Set new inactivity timer
+            if (sessionActive) {
+                inactivityTimer = clock.setTimeout(() => {
+                    const inactiveMinutes = Math.floor((clock.now() - lastActivityTime) / 60000);
+                    logger.warn('Session timeout due to inactivity', {
+                        clientId,
+                        inactiveMinutes,
+                        translationCount
+                    });
+
+                    sessionActive = false;
+                    cleanupSession();
+
+                    socket.emit('session-timeout', {
+                        message: `Session stopped due to ${Math.floor(INACTIVITY_TIMEOUT_MS / 60000)} minutes of inactivity`,
+                        inactiveMinutes
+                    });
+                }, INACTIVITY_TIMEOUT_MS);
             }
         }
 
-        return result;
-    }
+        // Helper function to clean up session state
+        function cleanupSession() {
+            translationInFlight = false;
+            pendingTranslation = null; // Discard any deferred translation
+            lastTranslatedText = '';
+            lastInterimText = '';
+            closeBroadcastRoom();
+            endArchive();
+            endRecording();
+            endQuality();
+            stopSttStream(true);
+
+            if (restartStreamTimer) {
+                clock.clearTimeout(restartStreamTimer);
+                restartStreamTimer = null;
+            }
+        }
 
-    /**
-     * Preserve numbers from source text to avoid numeric drift in translation.
-     */
-    function preserveSourceNumbers(sourceText, translatedText) {
-        // Match multi-group Romanian thousands first (e.g. "1.234.567"), then single-group
-        // thousands/decimals (e.g. "68.128" or "3.14"), then bare integers.
-        // Multi-group must come first so the regex engine captures the full token in one pass.
-        const numberRegex = /\d+(?:\.\d{3})+|\d+(?:[.,]\d+)?/g;
-        const sourceNumbers = sourceText.match(numberRegex) || [];
-        if (sourceNumbers.length === 0) return translatedText;
-
-        // Romanian uses '.' as a thousands separator:
-        //   "68.128"    = 68,128 (English)   — one separator group
-        //   "1.234.567" = 1,234,567 (English) — two separator groups
-        // Google Translate correctly converts these to English comma-format; we must NOT
-        // replace them back with the Romanian dot-format or English readers see a decimal.
-        //
-        // Heuristic: one-or-more groups of (digits + dot) followed by exactly 3 digits
-        // unambiguously identifies a thousands-separated number in this domain (religious speech).
-        // Known acceptable false positive: genuine 3-decimal-place values like "3.141"
-        // are essentially impossible in JW meeting content, so the domain risk is negligible.
-        const isRomanianThousands = (n) => /^(\d+\.)+\d{3}$/.test(n);
-
-        let result = translatedText;
-        const translatedNumbers = translatedText.match(numberRegex) || [];
-
-        // Exact one-to-one replacement when counts match
-        if (translatedNumbers.length === sourceNumbers.length) {
-            sourceNumbers.forEach((srcNum, idx) => {
-                if (isRomanianThousands(srcNum)) return; // leave the English comma-format intact
-                const targetNum = translatedNumbers[idx];
-                if (targetNum) {
-                    result = result.replace(targetNum, srcNum);
-                }
+        // Tell the presenter how many listeners follow the room, and in which languages
+        function notifyPresenter(code) {
+            const room = broadcastRooms.getRoom(code);
+            if (!room) return;
+            io.to(room.presenterId).emit('room-listeners', {
+                roomCode: code,
+                listeners: room.listeners.size,
+                languages: [...new Set(room.listeners.values())]
             });
-            return result;
         }
 
-        // Heuristic: if translated has the same digits split across adjacent tokens, merge them
-        sourceNumbers.forEach((srcNum) => {
-            if (isRomanianThousands(srcNum)) return; // leave the English comma-format intact
-            const digits = srcNum.replace(/[.,]/g, '');
-            // Build regex to find runs of numbers separated by space/comma/dot
-            const splitPattern = new RegExp(`(\\d+[\\s.,]+){0,2}\\d+`, 'g');
-            const matches = [...result.matchAll(splitPattern)];
-            for (const m of matches) {
-                const candidate = m[0];
-                const candidateDigits = candidate.replace(/[\s.,]/g, '');
-                if (candidateDigits === digits) {
-                    result = result.replace(candidate, srcNum);
-                    break;
-                }
+        // Close the room this socket presents to and detach all of its listeners
+        function closeBroadcastRoom() {
+            if (!roomCode) return;
+            const code = roomCode;
+            const room = broadcastRooms.getRoom(code);
+            roomCode = null;
+            listenerTracks.clear();
+            if (!room) return;
+
+            const channels = new Set([...room.listeners.values(), room.targetLanguage]
+                .map(lang => BroadcastRoomRegistry.channelName(code, lang)));
+            broadcastRooms.closeRoom(code);
+            for (const channel of channels) {
+                io.to(channel).emit('room-closed', { roomCode: code });
+                io.socketsLeave(channel);
             }
-        });
-
-        return result;
-    }
+            logger.info('📡 Broadcast room closed', { clientId, roomCode: code });
+        }
 
-    /**
-     * Preserve date components (day month year) if month drops out in translation.
-     */
-    function preserveDates(sourceText, translatedText) {
-        const monthNames = [
-            'ianuarie','februarie','martie','aprilie','mai','iunie','iulie','august','septembrie','octombrie','noiembrie','decembrie',
-            'january','february','march','april','may','june','july','august','september','october','november','december'
-        ];
-        const monthRegex = new RegExp(`\\b(${monthNames.join('|')})\\b`, 'i');
-        const dateRegex = /(\d{1,2})\s+([A-Za-zăâîșțéó]+)\s+(\d{4})/gi;
-
-        let result = translatedText;
-        let m;
-        while ((m = dateRegex.exec(sourceText)) !== null) {
-            const [full, day, month, year] = m;
-            const hasMonthInTranslation = monthRegex.test(result);
-            const hasDay = result.includes(day);
-            const hasYear = result.includes(year);
-
-            if (hasDay && hasYear && !hasMonthInTranslation) {
-                // Try to replace "day ... year" with full date
-                const dayYearPattern = new RegExp(`${day}[\\s.,]*${year}`);
-                if (dayYearPattern.test(result)) {
-                    result = result.replace(dayYearPattern, `${day} ${month} ${year}`);
-                } else {
-                    // If not found, append month between day and year occurrences
-                    result = result.replace(year, `${month} ${year}`);
-                }
+        // Stop listening to another presenter's room
+        function leaveListeningRoom() {
+            if (!listeningRoom) return;
+            const { code, targetLanguage: lang } = listeningRoom;
+            listeningRoom = null;
+            socket.leave(BroadcastRoomRegistry.channelName(code, lang));
+            if (broadcastRooms.removeListener(code, socket.id)) {
+                notifyPresenter(code);
             }
         }
-        return result;
-    }
 
-    /**
-     * Extract the unemitted portion of a full translation using word-level LCP matching.
-     *
-     * HOW IT WORKS:
-     *   Normalizes both strings (lowercase, strips edge punctuation per word), then counts
-     *   how many words at the START of translatedFull match committedTranslation.
-     *   If ≥75% match, treat that prefix as "committed" and return the tail.
-     *   If <75%, return null — caller emits the full translation (full context preserved).
-     *
-     * KEY FIX vs v155:
-     *   Caller must set committedTranslation = translatedFull (not += emitted).
-     *   This ensures each call compares the ENTIRE previous full translation against the
-     *   new full translation — no divergence cascade.
-     *
-     * @param {string} translatedFull - Translation of the full STT transcript
-     * @param {string} committedTranslation - Full translation from the previous call
-     * @returns {string|null} New tail to emit, or null if LCP ratio < 75%
-     */
-    function extractByWordLCP(translatedFull, committedTranslation) {
-        const trimmedFull = translatedFull.trim();
-        const trimmedCommitted = committedTranslation.trim();
-        if (!trimmedCommitted) return trimmedFull;
-        if (!trimmedFull) return null;
-
-        // Normalize: split on whitespace, strip leading/trailing punctuation, lowercase
-        const normalizeWords = (s) =>
-            s.split(/\s+/)
-             .map(w => w.toLowerCase().replace(/^[^\w]+|[^\w]+$/g, ''))
-             .filter(w => w.length > 0);
-
-        const committedNorm = normalizeWords(trimmedCommitted);
-        const fullNorm = normalizeWords(trimmedFull);
-        const fullOrigWords = trimmedFull.split(/\s+/); // Preserve original case/punctuation
-
-        if (committedNorm.length === 0) return trimmedFull;
-        if (fullNorm.length <= committedNorm.length) return null; // Nothing new
-
-        // Count consecutive matching words from the start
-        let matchCount = 0;
-        for (let i = 0; i < committedNorm.length && i < fullNorm.length; i++) {
-            if (fullNorm[i] === committedNorm[i]) {
-                matchCount++;
-            } else {
-                break;
+        // Per-language LCP state for listener languages the presenter doesn't translate into
+        function getListenerTrack(lang) {
+            if (!listenerTracks.has(lang)) {
+                listenerTracks.set(lang, { committedTranslation: '', accumulatedText: '', count: 0, recentTranslations: [] });
             }
+            return listenerTracks.get(lang);
         }
 
-        const matchRatio = matchCount / committedNorm.length;
-        if (matchRatio < 0.75) return null; // LCP match failed (threshold: 75%)
+        /**
+         * Translate the full transcript into one target language, extract the unemitted tail
+         * via word-level LCP and apply post-translation corrections.
+         *
+         * @param {string} fullText - Full STT transcript for this utterance
+         * @param {string} newText - Delta chunk (used for number/date preservation)
+         * @param {string} lang - Target language code
+         * @param {string} committed - Previous full translation for this language ('' on first call)
+         * @returns {Promise<{translatedFull: string, emitted: string, usedLCP: boolean, lcp: string}>}
+         */
+        async function translateForTarget(fullText, newText, lang, committed) {
+            // Listeners following the speaker's own language get the transcript as-is
+            const sourceLangCode = currentLanguage.split('-')[0];
+            const translatedFull = lang === sourceLangCode
+                ? fullText.trim()
+                : await translateCached(fullText.trim(), lang, currentLanguage, clientId, billingSessionId);
+
+            // ── LCP extraction + post-processing (see post-processing.js) ──
+            const { emitted, lcp, usedLCP, applied } = postProcessor.process({
+                translatedFull,
+                committed,
+                fullText,
+                newText,
+                sourceLang: currentLanguage,
+                targetLang: lang
+            });
 
-        const tail = fullOrigWords.slice(matchCount).join(' ').trim();
-        return tail || null;
-    }
+            if (lcp === 'matched') {
+                logger.debug('✂️ LCP extraction succeeded', { clientId, lang, tailWords: emitted.split(/\s+/).length });
+            } else if (lcp === 'failed') {
+                logger.info('⚠️ LCP extraction failed — emitting full translation', {
+                    clientId,
+                    lang,
+                    committedPreview: committed.substring(0, 60),
+                    fullPreview: translatedFull.substring(0, 60)
+                });
+            }
+            if (applied.length > 0) {
+                logger.debug('🔧 Post-processing applied', {
+                    clientId,
+                    lang,
+                    stages: applied.map(a => `${a.stage}${a.rules.length ? `(${a.rules.join(', ')})` : ''}`)
+                });
+            }
 
-    /**
-     * Full-text translation with LCP extraction (v160).
-     *
-     * Sends the full STT transcript to Google Translate for maximum context quality,
-     * then extracts only the new (unemitted) portion using word-level LCP matching.
-     *
-     * KEY FIX vs v155: committedTranslation = translatedFull (not += emitted),
-     * so each subsequent LCP match compares the whole previous full translation —
-     * eliminating the divergence cascade that broke v150–v156.
-     *
-     * Fallback: if LCP match ratio < 60%, translates decision.newText (the delta chunk)
-     * directly — same as v157. committedTranslation is still set to translatedFull so
-     * the next attempt has a clean baseline.
-     *
-     * @param {string} fullText - Full STT transcript for this utterance
-     * @param {Object} decision - Decision object from shouldTranslate()
-     * @param {boolean} clearInterim - If true, clear lastInterimText after a complete translation
-     */
-    async function performTranslation(fullText, decision, clearInterim = false) {
-        const newText = (decision.newText || '').trim();
-        if (!newText) {
-            logger.info('⏭️ Approved but empty newText - skipping emit', { clientId, reason: decision.reason });
-            return;
+            return { translatedFull, emitted, usedLCP, lcp };
         }
 
-        translationInFlight = true;
-        try {
-            // ── Step 1: Translate the FULL current transcript for maximum context ──
-            const translatedFull = await translateWithRetry(fullText.trim(), targetLanguage, currentLanguage, clientId);
+        /**
+         * Emit one listener language's translation of a chunk to its room channel.
+         * The track's LCP baseline only moves on once the chunk is settled for that language
+         * (emitted, nothing new, or already shown), so a chunk the presenter's own language
+         * skips still reaches it. A failed translation keeps the baseline for the next chunk.
+         *
+         * @returns {Object|null} Archive segment { targetLanguage, translatedText } when emitted
+         */
+        function emitListenerTranslation(lang, result, chunk) {
+            if (!result) return null;
+            const track = getListenerTrack(lang);
+            track.committedTranslation = result.translatedFull;
+            if (!result.emitted) return null;
+
+            const isDuplicate = translationRules.isTranslationDuplicate(result.emitted, track);
+            translationRules.recordTranslatedOutput(result.emitted, track);
+            if (isDuplicate) {
+                logger.info('🚫 Listener translation duplicate - skipping emit', { clientId, roomCode, lang });
+                return null;
+            }
 
-            logger.debug('🔤 Full-text translation', {
-                clientId,
-                fullTextWords: fullText.trim().split(/\s+/).length,
-                newTextWords: newText.split(/\s+/).length,
-                hasCommitted: !!committedTranslation,
-                committedWords: committedTranslation ? committedTranslation.split(/\s+/).length : 0
+            const trackRaw = (track.accumulatedText ? track.accumulatedText + ' ' : '') + result.emitted;
+            track.accumulatedText = trackRaw.length > 1000 ? trackRaw.slice(-1000) : trackRaw;
+            track.count++;
+
+            io.to(BroadcastRoomRegistry.channelName(roomCode, lang)).emit('translation-result', {
+                ...chunk,
+                translated: result.emitted,
+                accumulated: track.accumulatedText,
+                count: track.count,
+                targetLanguage: lang
             });
+            return { targetLanguage: lang, translatedText: result.emitted };
+        }
 
-            // ── Step 2: Extract only the NEW portion via word-level LCP ──
-            let emitted = null;
-            let usedLCP = false;
+        /**
+         * Full-text translation with LCP extraction (v160).
+         *
+         * Sends the full STT transcript to Google Translate for maximum context quality,
+         * then extracts only the new (unemitted) portion using word-level LCP matching.
+         *
+         * KEY FIX vs v155: committedTranslation = translatedFull (not += emitted),
+         * so each subsequent LCP match compares the whole previous full translation —
+         * eliminating the divergence cascade that broke v150–v156.
+         *
+         * Fallback: if LCP match ratio < 60%, translates decision.newText (the delta chunk)
+         * directly — same as v157. committedTranslation is still set to translatedFull so
+         * the next attempt has a clean baseline.
+         *
+         * Broadcast rooms: the chunk is also translated once per extra listener language
+         * (in parallel) and emitted to that language's room channel.
+         *
+         * @param {string} fullText - Full STT transcript for this utterance
+         * @param {Object} decision - Decision object from shouldTranslate()
+         * @param {boolean} clearInterim - If true, clear lastInterimText after a complete translation
+         */
+        async function performTranslation(fullText, decision, clearInterim = false) {
+            let newText = (decision.newText || '').trim();
+            if (!newText) {
+                logger.info('⏭️ Approved but empty newText - skipping emit', { clientId, reason: decision.reason });
+                return;
+            }
 
-            if (committedTranslation) {
-                const tail = extractByWordLCP(translatedFull, committedTranslation);
-                if (tail) {
-                    emitted = tail;
-                    usedLCP = true;
-                    logger.debug('✂️ LCP extraction succeeded', { clientId, tailWords: tail.split(/\s+/).length });
-                } else {
-                    logger.info('⚠️ LCP extraction failed (<75% match) — emitting full translation', {
+            // Mode option: the provider gets the text without fillers and stutters ("ă, noi noi am mers")
+            if (translationRules.getConfig().stripDisfluencies) {
+                const stripped = fillerLexicon.strip(newText, currentLanguage);
+                if (stripped.removed.length > 0) {
+                    logger.debug('🧹 Disfluencies stripped', {
                         clientId,
-                        committedPreview: committedTranslation.substring(0, 60),
-                        fullPreview: translatedFull.substring(0, 60)
+                        removed: stripped.removed.map(r => `${r.type}:${r.text}`)
                     });
                 }
-            } else {
-                // First translation in this session — emit entire full translation
-                emitted = translatedFull.trim();
-                usedLCP = true;
+                if (!stripped.text) {
+                    logger.info('⏭️ Only disfluencies left after stripping - skipping emit', { clientId });
+                    return;
+                }
+                newText = stripped.text;
+                fullText = fillerLexicon.strip(fullText, currentLanguage).text;
             }
 
-            // ── Fallback: LCP failed — emit full translation (full context preserved) ──
-            // Never translate chunks in isolation: a decontextualized fragment loses grammatical
-            // context and produces broken English ("speaking like a foreigner").
-            if (!emitted) {
-                emitted = translatedFull.trim();
-            }
+            translationInFlight = true;
+            try {
+                // ── Step 1: Translate the FULL current transcript for maximum context ──
+                // One translation per distinct target language, however many listeners share it
+                const listenerLanguages = roomCode ? broadcastRooms.getListenerLanguages(roomCode) : [];
+                for (const lang of listenerTracks.keys()) {
+                    if (!listenerLanguages.includes(lang)) listenerTracks.delete(lang);
+                }
 
-            // ── KEY FIX: committedTranslation = translatedFull (not += emitted) ──
-            // This prevents the divergence cascade that broke v150-v156:
-            // each subsequent LCP starts from the WHOLE previous full translation.
-            committedTranslation = translatedFull;
-            lastFullTranslation = translatedFull;
-
-            // ── Step 3: Post-processing ──
-            // Apply domain term mappings using fullText for source-aware fixes
-            emitted = applyTermMappings(emitted, fullText);
-            emitted = verifyReligiousTerms(emitted, fullText, targetLanguage);
-            emitted = preserveSourceNumbers(newText, emitted);
-            emitted = preserveDates(newText, emitted);
-
-            // Single-word fallback translation
-            const normalizedSource = newText.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-            const normalizedEmitted = emitted.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
-            if (normalizedSource === normalizedEmitted && FALLBACK_TRANSLATIONS[normalizedSource]) {
-                emitted = FALLBACK_TRANSLATIONS[normalizedSource];
-            }
+                const [primary, ...listenerResults] = await Promise.all([
+                    translateForTarget(fullText, newText, targetLanguage, committedTranslation),
+                    ...listenerLanguages.map(lang =>
+                        translateForTarget(fullText, newText, lang, getListenerTrack(lang).committedTranslation)
+                            .catch(error => {
+                                logger.error('Listener translation error', { clientId, roomCode, lang, error: error.message });
+                                return null;
+                            }))
+                ]);
+
+                logger.debug('🔤 Full-text translation', {
+                    clientId,
+                    fullTextWords: fullText.trim().split(/\s+/).length,
+                    newTextWords: newText.split(/\s+/).length,
+                    hasCommitted: !!committedTranslation,
+                    committedWords: committedTranslation ? committedTranslation.split(/\s+/).length : 0,
+                    listenerLanguages
+                });
 
-            // Update source tracking
-            const ltRaw = `${lastTranslatedText} ${newText}`.trim();
-            lastTranslatedText = ltRaw.length > 2000 ? ltRaw.slice(-2000) : ltRaw;
-            lastTranslationTime = Date.now();
+                const { translatedFull, emitted, usedLCP } = primary;
 
-            if (!emitted) {
-                logger.info('⏭️ Empty translation result - skipping emit', { clientId });
-            } else {
-                const isDuplicate = translationRules.isTranslationDuplicate(emitted);
+                // ── KEY FIX: committedTranslation = translatedFull (not += emitted) ──
+                // This prevents the divergence cascade that broke v150-v156:
+                // each subsequent LCP starts from the WHOLE previous full translation.
+                committedTranslation = translatedFull;
+                lastFullTranslation = translatedFull;
 
-                if (isDuplicate) {
-                    logger.info('🚫 POST-TRANSLATION DUPLICATE detected - skipping emit', {
-                        clientId,
-                        emittedPreview: emitted.substring(0, 200)
-                    });
-                }
+                // Update source tracking
+                const ltRaw = `${lastTranslatedText} ${newText}`.trim();
+                lastTranslatedText = ltRaw.length > 2000 ? ltRaw.slice(-2000) : ltRaw;
+                lastTranslationTime = clock.now();
+
+                const chunk = { original: newText, isInterim: !decision.isComplete, reason: decision.reason };
+                const segments = []; // Archived translations of this chunk, one per language that got it
 
-                translationRules.recordTranslatedOutput(emitted);
+                if (!emitted) {
+                    logger.info('⏭️ Empty translation result - skipping emit', { clientId });
+                    recordQuality({ reason: decision.reason, lcp: primary.lcp, emitted, duplicate: false });
+                } else {
+                    const isDuplicate = translationRules.isTranslationDuplicate(emitted);
+                    recordQuality({ reason: decision.reason, lcp: primary.lcp, emitted, duplicate: isDuplicate });
+
+                    if (isDuplicate) {
+                        logger.info('🚫 POST-TRANSLATION DUPLICATE detected - skipping emit', {
+                            clientId,
+                            emittedPreview: emitted.substring(0, 200)
+                        });
+                    }
+
+                    translationRules.recordTranslatedOutput(emitted);
+
+                    if (!isDuplicate) {
+                        const acRaw = (accumulatedText ? accumulatedText + ' ' : '') + emitted;
+                        accumulatedText = acRaw.length > 1000 ? acRaw.slice(-1000) : acRaw;
+                        translationCount++;
+
+                        logger.info('✅ Translation completed', {
+                            clientId,
+                            reason: decision.reason,
+                            confidence: decision.confidence,
+                            method: usedLCP ? 'full+lcp' : 'chunk_fallback',
+                            newContent: emitted.substring(0, 200),
+                            sourceText: newText.substring(0, 200),
+                            count: translationCount,
+                            isComplete: decision.isComplete
+                        });
+
+                        translationRules.recordTranslation(fullText, emitted);
+
+                        const payload = {
+                            ...chunk,
+                            translated: emitted,
+                            accumulated: accumulatedText,
+                            count: translationCount
+                        };
+                        socket.emit('translation-result', payload);
+                        if (recorder) recorder.recordTranslation(payload);
+
+                        // Room listeners of the presenter's language share this result
+                        if (roomCode) {
+                            socket.to(BroadcastRoomRegistry.channelName(roomCode, targetLanguage))
+                                .emit('translation-result', { ...payload, targetLanguage });
+                        }
+                        segments.push({ targetLanguage, translatedText: emitted });
+
+                        // Persist to translation_log for debugging (fire-and-forget)
+                        billingStore.logTranslation({
+                            sessionId: clientId,
+                            clientId: clientId,
+                            sourceText: newText,
+                            translatedText: emitted,
+                            sourceLanguage: currentLanguage,
+                            targetLanguage: targetLanguage,
+                            reason: decision.reason,
+                            appVersion: 'v1'
+                        }).catch(() => {}); // Non-fatal
+                    }
+                }
 
-                if (!isDuplicate) {
-                    const acRaw = (accumulatedText ? accumulatedText + ' ' : '') + emitted;
-                    accumulatedText = acRaw.length > 1000 ? acRaw.slice(-1000) : acRaw;
-                    translationCount++;
+                // Every other listener language gets its own translation of the same chunk,
+                // emitted or skipped on its own result (not the presenter's)
+                listenerResults.forEach((result, idx) => {
+                    const segment = emitListenerTranslation(listenerLanguages[idx], result, chunk);
+                    if (segment) segments.push(segment);
+                });
 
-                    logger.info('✅ Translation completed', {
-                        clientId,
+                if (archiveSessionId && segments.length > 0) {
+                    const sessionId = archiveSessionId;
+                    const seq = ++archiveSeq;
+                    const sourceLanguage = currentLanguage;
+                    // Speech timing for subtitle cues (see session-export.js)
+                    const heardAt = decision.heardAt ? new Date(decision.heardAt) : null;
+                    const decidedAt = decision.decidedAt ? new Date(decision.decidedAt) : null;
+                    segments.forEach(segment => archive(() => billingStore.archiveSegment({
+                        sessionId,
+                        seq,
+                        sourceText: newText,
+                        sourceLanguage,
                         reason: decision.reason,
-                        confidence: decision.confidence,
-                        method: usedLCP ? 'full+lcp' : 'chunk_fallback',
-                        newContent: emitted.substring(0, 200),
-                        sourceText: newText.substring(0, 200),
-                        count: translationCount,
-                        isComplete: decision.isComplete
-                    });
+                        heardAt,
+                        decidedAt,
+                        ...segment
+                    })));
+                }
 
-                    translationRules.recordTranslation(fullText, emitted);
+                // Clear interim text after a complete result (main handler only)
+                if (clearInterim && decision.isComplete) {
+                    lastInterimText = '';
+                }
 
-                    socket.emit('translation-result', {
-                        original: newText,
-                        translated: emitted,
-                        accumulated: accumulatedText,
-                        count: translationCount,
-                        isInterim: !decision.isComplete,
-                        reason: decision.reason
+            } catch (error) {
+                // A refused budget is expected until the month ends; clients already got budget-status
+                logger[error.code === 'BUDGET_EXCEEDED' ? 'debug' : 'error']('Translation error', {
+                    clientId,
+                    reason: decision.reason,
+                    error: error.message
+                });
+                socket.emit('translation-error', {
+                    message: error.message,
+                    code: error.code || null
+                });
+            } finally {
+                translationInFlight = false;
+                // Run any pending final translation that was deferred while we were in-flight
+                if (pendingTranslation && sessionActive) {
+                    const { transcript: pt, decision: pd } = pendingTranslation;
+                    pendingTranslation = null;
+                    logger.info('▶️ Running deferred pending translation', { clientId, preview: pt.substring(0, 60) });
+                    performTranslation(pt, pd, true).catch(err => {
+                        logger.error('Deferred translation error', { clientId, error: err.message });
                     });
-
-                    // Persist to translation_log for debugging (fire-and-forget)
-                    billingDb.logTranslation({
-                        sessionId: clientId,
-                        clientId: clientId,
-                        sourceText: newText,
-                        translatedText: emitted,
-                        sourceLanguage: currentLanguage,
-                        targetLanguage: targetLanguage,
-                        reason: decision.reason,
-                        appVersion: 'v1'
-                    }).catch(() => {}); // Non-fatal
                 }
             }
+        }
+
+        socket.on('start-session', ({ sourceLanguage, targetLang, mode, modeOverrides, roomCode: requestedRoomCode }) => {
+            const validLanguageCodes = /^[a-z]{2}-[A-Z]{2}$/;
+            const validTargetLanguages = /^[a-z]{2}(-[A-Z]{2})?$/;
 
-            // Clear interim text after a complete result (main handler only)
-            if (clearInterim && decision.isComplete) {
-                lastInterimText = '';
+            if (sourceLanguage && !validLanguageCodes.test(sourceLanguage)) {
+                socket.emit('start-error', { message: 'Invalid source language code' });
+                return;
+            }
+            if (targetLang && !validTargetLanguages.test(targetLang)) {
+                socket.emit('start-error', { message: 'Invalid target language code' });
+                return;
+            }
+            const normalizedRoomCode = requestedRoomCode ? BroadcastRoomRegistry.normalizeCode(requestedRoomCode) : null;
+            if (requestedRoomCode && !normalizedRoomCode) {
+                socket.emit('start-error', { message: 'Invalid room code (3-32 letters, digits, - or _)' });
+                return;
+            }
+            const existingRoom = normalizedRoomCode ? broadcastRooms.getRoom(normalizedRoomCode) : null;
+            if (existingRoom && existingRoom.presenterId !== socket.id) {
+                socket.emit('start-error', { message: 'Room code is already in use by another presenter' });
+                return;
+            }
+            // Unknown modes fall back to the default mode; overrides must stay within config/modes.json bounds
+            let sessionModeConfig;
+            try {
+                sessionModeConfig = modeConfig.resolve(mode, modeOverrides);
+            } catch (error) {
+                socket.emit('start-error', { message: error.message, details: error.details || [] });
+                return;
             }
 
-        } catch (error) {
-            logger.error('Translation error', {
-                clientId,
-                reason: decision.reason,
-                error: error.message
-            });
-            socket.emit('translation-error', {
-                message: error.message
+            currentLanguage = sourceLanguage || 'ro-RO';
+            targetLanguage = targetLang || 'en';
+            accumulatedText = '';
+            translationCount = 0;
+            archiveSeq = 0;
+            committedTranslation = '';
+            lastFullTranslation = '';
+            lastTranslatedText = '';
+            lastInterimText = '';
+
+            currentMode = sessionModeConfig.id;
+
+            translationRules = new TranslationRulesEngine(currentMode, logger, sessionModeConfig, {
+                clock: clock.now,
+                adaptive: modeConfig.adaptive,
+                language: currentLanguage,
+                fillers: fillerLexicon
             });
-        } finally {
-            translationInFlight = false;
-            // Run any pending final translation that was deferred while we were in-flight
-            if (pendingTranslation && sessionActive) {
-                const { transcript: pt, decision: pd } = pendingTranslation;
-                pendingTranslation = null;
-                logger.info('▶️ Running deferred pending translation', { clientId, preview: pt.substring(0, 60) });
-                performTranslation(pt, pd, true).catch(err => {
-                    logger.error('Deferred translation error', { clientId, error: err.message });
+
+            // Broadcast room: (re)open it for this presenter, or close the previous one
+            if (roomCode && roomCode !== normalizedRoomCode) {
+                closeBroadcastRoom();
+            }
+            listenerTracks.clear();
+            if (normalizedRoomCode) {
+                if (listeningRoom) leaveListeningRoom();
+                const room = broadcastRooms.openRoom(normalizedRoomCode, socket.id, {
+                    sourceLanguage: currentLanguage,
+                    targetLanguage
                 });
+                roomCode = normalizedRoomCode;
+                logger.info('📡 Broadcast room opened', { clientId, roomCode, listeners: room.listeners.size });
             }
-        }
-    }
 
-    socket.on('start-session', ({ sourceLanguage, targetLang, mode }) => {
-        const validLanguageCodes = /^[a-z]{2}-[A-Z]{2}$/;
-        const validTargetLanguages = /^[a-z]{2}(-[A-Z]{2})?$/;
+            // Session archive: a restart begins a new archived session
+            endArchive();
+            if (SESSION_ARCHIVE_ENABLED && billingStore.isConnected() && billingStore.supportsArchive !== false) {
+                const archived = {
+                    id: crypto.randomUUID(),
+                    clientId,
+                    sourceLanguage: currentLanguage,
+                    targetLanguage,
+                    mode: currentMode,
+                    roomCode
+                };
+                archiveSessionId = archived.id;
+                archive(() => billingStore.startArchivedSession(archived));
+            }
+            billingSessionId = archiveSessionId || crypto.randomUUID();
 
-        if (sourceLanguage && !validLanguageCodes.test(sourceLanguage)) {
-            socket.emit('start-error', { message: 'Invalid source language code' });
-            return;
-        }
-        if (targetLang && !validTargetLanguages.test(targetLang)) {
-            socket.emit('start-error', { message: 'Invalid target language code' });
-            return;
-        }
+            // Quality counters: a restart begins a new session
+            endQuality();
+            qualitySession = qualityTelemetry.startSession({
+                clientId,
+                mode: currentMode,
+                sourceLanguage: currentLanguage,
+                targetLanguage
+            });
+
+            // Session recording: a restart begins a new file
+            endRecording();
+            if (SESSION_RECORDING_DIR) {
+                recorder = SessionRecorder.start(SESSION_RECORDING_DIR, {
+                    clientId,
+                    sourceLanguage: currentLanguage,
+                    targetLanguage,
+                    mode: currentMode,
+                    modeOverrides
+                }, { scrub: SESSION_RECORDING_SCRUB, now: clock.now, logger });
+            }
 
-        currentLanguage = sourceLanguage || 'ro-RO';
-        targetLanguage = targetLang || 'en';
-        accumulatedText = '';
-        translationCount = 0;
-        committedTranslation = '';
-        lastFullTranslation = '';
-        lastTranslatedText = '';
-        lastInterimText = '';
+            sessionActive = true;
+            updateActivity();
 
-        const validModes = ['talks', 'earbuds'];
-        currentMode = mode && validModes.includes(mode) ? mode : 'talks';
+            logger.info('🎤 Session started (Web Speech API)', { clientId, sourceLanguage: currentLanguage, targetLanguage, mode: currentMode, modeOverrides, roomCode, archiveSessionId });
 
-        translationRules = new TranslationRulesEngine(currentMode, logger);
+            socket.emit('session-started', {
+                sourceLanguage: currentLanguage,
+                targetLanguage,
+                roomCode,
+                archiveSessionId,
+                billingSessionId,
+                mode: sessionModeConfig
+            });
+            if (roomCode) notifyPresenter(roomCode);
+        });
 
-        sessionActive = true;
-        updateActivity();
+        // Listener: follow a presenter's room in the chosen target language
+        socket.on('join-room', ({ roomCode: requestedRoomCode, targetLang } = {}) => {
+            const code = BroadcastRoomRegistry.normalizeCode(requestedRoomCode);
+            if (!code) {
+                socket.emit('room-error', { message: 'Invalid room code' });
+                return;
+            }
+            const lang = targetLang || 'en';
+            if (!/^[a-z]{2}(-[A-Z]{2})?$/.test(lang)) {
+                socket.emit('room-error', { message: 'Invalid target language code' });
+                return;
+            }
+            const room = broadcastRooms.getRoom(code);
+            if (!room) {
+                socket.emit('room-error', { message: 'Room not found - has the presenter started?' });
+                return;
+            }
+            if (code === roomCode) {
+                socket.emit('room-error', { message: 'You are the presenter of this room' });
+                return;
+            }
 
-        logger.info('🎤 Session started (Web Speech API)', { clientId, sourceLanguage: currentLanguage, targetLanguage, mode: currentMode });
+            if (listeningRoom) {
+                socket.leave(BroadcastRoomRegistry.channelName(listeningRoom.code, listeningRoom.targetLanguage));
+                if (listeningRoom.code !== code) broadcastRooms.removeListener(listeningRoom.code, socket.id);
+            }
+            broadcastRooms.addListener(code, socket.id, lang);
+            socket.join(BroadcastRoomRegistry.channelName(code, lang));
+            listeningRoom = { code, targetLanguage: lang };
+            updateActivity();
+
+            logger.info('👂 Listener joined room', { clientId, roomCode: code, targetLanguage: lang });
+            socket.emit('room-joined', { roomCode: code, sourceLanguage: room.sourceLanguage, targetLanguage: lang });
+            notifyPresenter(code);
+        });
 
-        socket.emit('session-started', { sourceLanguage: currentLanguage, targetLanguage });
-    });
+        socket.on('leave-room', () => {
+            const code = listeningRoom && listeningRoom.code;
+            leaveListeningRoom();
+            socket.emit('room-left', { roomCode: code });
+        });
 
-    socket.on('transcript-result', async ({ text, isFinal }) => {
-        if (!sessionActive || !translationRules) return;
+        // Feed one recognition result ({ text, isFinal }) into the rules engine and translation pipeline.
+        // Browser Web Speech API results arrive as transcript-result; server-side STT calls this directly.
+        async function handleTranscript({ text, isFinal }) {
+            if (!sessionActive || !translationRules) return;
 
-        updateActivity();
+            updateActivity();
+            if (recorder) recorder.recordTranscript({ text, isFinal });
+            translationRules.setTimingFactor(budgetGuard.getTimingFactor()); // Budget slow_down at the hard cap
 
-        const textChanged = text !== lastInterimText;
-        const previousText = lastInterimText;
-        lastInterimText = text;
+            const textChanged = text !== lastInterimText;
+            const previousText = lastInterimText;
+            lastInterimText = text;
 
-        // Echo transcript back for interim display
-        socket.emit('interim-result', { text, isFinal });
+            // Echo transcript back for interim display
+            socket.emit('interim-result', { text, isFinal });
 
-        // Clear pause timer if text changed
-        if (textChanged && restartStreamTimer) {
-            clearTimeout(restartStreamTimer);
-            restartStreamTimer = null;
-        }
+            // Clear pause timer if text changed
+            if (textChanged && restartStreamTimer) {
+                clock.clearTimeout(restartStreamTimer);
+                restartStreamTimer = null;
+            }
 
-        const decision = translationRules.shouldTranslate({
-            text,
-            isFinal,
-            timeSinceLastChange: textChanged ? 0 : (Date.now() - (lastTextChangeTime || Date.now())),
-            trigger: isFinal ? 'final' : 'interim',
-            clientId
-        });
+            const decision = translationRules.shouldTranslate({
+                text,
+                isFinal,
+                timeSinceLastChange: textChanged ? 0 : (clock.now() - (lastTextChangeTime || clock.now())),
+                trigger: isFinal ? 'final' : 'interim',
+                clientId
+            });
 
-        if (textChanged) lastTextChangeTime = Date.now();
+            if (textChanged) lastTextChangeTime = clock.now();
 
-        if (decision.shouldTranslate) {
-            if (translationInFlight) {
-                logger.debug('⏳ Translation in flight, deferring', { clientId });
-                // For final results, save the latest deferred translation to run after in-flight completes
-                if (isFinal) {
-                    pendingTranslation = { transcript: text, decision };
-                    logger.info('📋 Queued pending final translation', { clientId, preview: text.substring(0, 60) });
+            if (decision.shouldTranslate) {
+                if (translationInFlight) {
+                    logger.debug('⏳ Translation in flight, deferring', { clientId });
+                    // For final results, save the latest deferred translation to run after in-flight completes
+                    if (isFinal) {
+                        pendingTranslation = { transcript: decision.completeText || text, decision };
+                        logger.info('📋 Queued pending final translation', { clientId, preview: text.substring(0, 60) });
+                    }
+                } else {
+                    if (restartStreamTimer) {
+                        clock.clearTimeout(restartStreamTimer);
+                        restartStreamTimer = null;
+                    }
+                    // completeText leaves out an unfinished tail the engine carries to the next decision
+                    await performTranslation(decision.completeText || text, decision, true);
                 }
-            } else {
-                if (restartStreamTimer) {
-                    clearTimeout(restartStreamTimer);
+            } else if (!isFinal && !restartStreamTimer && textChanged && translationRules) {
+                const pauseMs = translationRules.getConfig().pauseDetectionMs;
+                restartStreamTimer = clock.setTimeout(async () => {
+                    const pauseDecision = translationRules.shouldTranslate({
+                        text: lastInterimText,
+                        isFinal: false,
+                        timeSinceLastChange: pauseMs,
+                        trigger: 'pause',
+                        clientId
+                    });
+                    if (pauseDecision.shouldTranslate && sessionActive && !translationInFlight) {
+                        await performTranslation(pauseDecision.completeText || lastInterimText, pauseDecision, false);
+                    }
                     restartStreamTimer = null;
-                }
-                await performTranslation(text, decision, true);
+                }, pauseMs);
             }
-        } else if (!isFinal && !restartStreamTimer && textChanged && translationRules) {
-            const pauseMs = translationRules.getConfig().pauseDetectionMs;
-            restartStreamTimer = setTimeout(async () => {
-                const pauseDecision = translationRules.shouldTranslate({
-                    text: lastInterimText,
-                    isFinal: false,
-                    timeSinceLastChange: pauseMs,
-                    trigger: 'pause',
-                    clientId
-                });
-                if (pauseDecision.shouldTranslate && sessionActive && !translationInFlight) {
-                    await performTranslation(lastInterimText, pauseDecision, false);
-                }
-                restartStreamTimer = null;
-            }, pauseMs);
         }
-    });
 
-    socket.on('stop-session', () => {
-        logger.info('⏹️ Session stopped', { clientId, translationCount });
+        socket.on('transcript-result', handleTranscript);
 
-        sessionActive = false;
+        // Server-side STT: the client streams raw audio, the adapter produces transcript results
+        socket.on('audio-start', ({ encoding = 'pcm16', sampleRate = 16000 } = {}) => {
+            if (!sttAdapter) {
+                socket.emit('stt-error', { message: 'Server-side speech recognition is not enabled' });
+                return;
+            }
+            if (!sessionActive) {
+                socket.emit('stt-error', { message: 'Start a session before streaming audio' });
+                return;
+            }
+            if (!sttAdapter.encodings.includes(encoding)) {
+                socket.emit('stt-error', { message: `Unsupported audio encoding (expected: ${sttAdapter.encodings.join(', ')})` });
+                return;
+            }
+            if (!Number.isInteger(sampleRate) || sampleRate < 8000 || sampleRate > 48000) {
+                socket.emit('stt-error', { message: 'Sample rate must be between 8000 and 48000 Hz' });
+                return;
+            }
 
-        if (inactivityTimer) {
-            clearTimeout(inactivityTimer);
-            inactivityTimer = null;
-        }
+            stopSttStream(true);
+            const stream = sttAdapter.createStream({
+                language: currentLanguage,
+                encoding,
+                sampleRate,
+                onResult: result => {
+                    handleTranscript(result).catch(error => {
+                        logger.error('STT result handling error', { clientId, error: error.message });
+                    });
+                },
+                onError: error => {
+                    logger.error('STT stream error', { clientId, error: error.message });
+                    socket.emit('stt-error', { message: error.message });
+                },
+                onClose: () => {
+                    if (sttStream === stream) sttStream = null;
+                }
+            });
+            sttStream = stream;
 
-        cleanupSession();
+            logger.info('🎙️ Server-side STT started', { clientId, adapter: sttAdapter.name, language: currentLanguage, encoding, sampleRate });
+            socket.emit('stt-started', { adapter: sttAdapter.name, encoding, sampleRate });
+        });
 
-        socket.emit('session-stopped', { translationCount, accumulatedText });
-    });
+        socket.on('audio-chunk', (chunk) => {
+            if (!sttStream || !sessionActive) return;
 
-    // Disconnect
-    socket.on('disconnect', () => {
-        activeConnections--;
-        sessionActive = false;
+            const data = Buffer.isBuffer(chunk) ? chunk
+                : chunk instanceof ArrayBuffer ? Buffer.from(chunk)
+                : ArrayBuffer.isView(chunk) ? Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength)
+                : null;
+            if (!data || data.length === 0 || data.length > STT_MAX_CHUNK_BYTES) {
+                socket.emit('stt-error', { message: `Audio chunks must be binary and at most ${STT_MAX_CHUNK_BYTES} bytes` });
+                return;
+            }
 
-        // Decrement IP connection count
-        const currentIpConnections = connectionsByIp.get(clientIp) || 1;
-        if (currentIpConnections <= 1) {
-            connectionsByIp.delete(clientIp);
-        } else {
-            connectionsByIp.set(clientIp, currentIpConnections - 1);
-        }
+            updateActivity();
+            sttStream.write(data);
+        });
 
-        // Clear forced translation timer
-        if (restartStreamTimer) {
-            clearTimeout(restartStreamTimer);
-            restartStreamTimer = null;
-        }
+        socket.on('audio-stop', () => {
+            if (!sttStream) return;
+            logger.info('🎙️ Server-side STT stopped', { clientId });
+            stopSttStream();
+        });
 
-        // Clear inactivity timer
-        if (inactivityTimer) {
-            clearTimeout(inactivityTimer);
-            inactivityTimer = null;
-        }
+        socket.on('stop-session', () => {
+            logger.info('⏹️ Session stopped', { clientId, translationCount });
 
-        cleanupSession();
+            sessionActive = false;
 
-        logger.info('❌ Client disconnected', {
-            socketId: socket.id,
-            clientIp,
-            remainingConnections: activeConnections,
-            translationCount
+            if (inactivityTimer) {
+                clock.clearTimeout(inactivityTimer);
+                inactivityTimer = null;
+            }
+
+            cleanupSession();
+
+            socket.emit('session-stopped', { translationCount, accumulatedText });
+        });
+
+        // Disconnect
+        socket.on('disconnect', () => {
+            activeConnections--;
+            sessionActive = false;
+
+            // Decrement IP connection count
+            const currentIpConnections = connectionsByIp.get(clientIp) || 1;
+            if (currentIpConnections <= 1) {
+                connectionsByIp.delete(clientIp);
+            } else {
+                connectionsByIp.set(clientIp, currentIpConnections - 1);
+            }
+
+            // Clear forced translation timer
+            if (restartStreamTimer) {
+                clock.clearTimeout(restartStreamTimer);
+                restartStreamTimer = null;
+            }
+
+            // Clear inactivity timer
+            if (inactivityTimer) {
+                clock.clearTimeout(inactivityTimer);
+                inactivityTimer = null;
+            }
+
+            cleanupSession();
+            leaveListeningRoom();
+
+            logger.info('❌ Client disconnected', {
+                socketId: socket.id,
+                clientIp,
+                remainingConnections: activeConnections,
+                translationCount
+            });
         });
     });
-});
+
+    return { app, server, io, translator: translationProvider, budgetGuard };
+}
 
 // ===== START SERVER =====
-server.listen(PORT, async () => {
-    logger.info('═══════════════════════════════════════');
-    logger.info('🎉 BudgetTranslate - Web Speech API');
-    logger.info('═══════════════════════════════════════');
-    logger.info(`🌐 Server: http://localhost:${PORT}`);
-    logger.info('🎤 Speech Recognition: Web Speech API (browser-side)');
-    logger.info('🌍 Translation: Google Cloud');
-    logger.info(`📝 Logging: ${path.relative(__dirname, LOG_FILE)}`);
-    logger.info('═══════════════════════════════════════');
-
-    // Initialize billing database
-    const dbInitialized = billingDb.initializeDatabase(logger);
-    if (dbInitialized) {
-        await billingDb.createSchema(logger);
-
-        // Purge old billing data (older than 90 days)
-        await billingDb.purgeOldData(90, logger);
-
-        // Schedule daily purge at 2 AM
-        const scheduleDailyPurge = () => {
-            const now = new Date();
-            const next2AM = new Date(
-                now.getFullYear(),
-                now.getMonth(),
-                now.getDate() + 1,
-                2, 0, 0
-            );
-            const timeUntil2AM = next2AM.getTime() - now.getTime();
-
-            setTimeout(async () => {
-                await billingDb.purgeOldData(90, logger);
-                // Schedule next purge
-                setInterval(() => {
-                    billingDb.purgeOldData(90, logger);
-                }, 24 * 60 * 60 * 1000); // Every 24 hours
-            }, timeUntil2AM);
-        };
-
-        scheduleDailyPurge();
-        logger.info('🗑️ Scheduled daily purge of billing data older than 90 days');
-    }
+function startServer() {
+    const { server, translator, budgetGuard } = createApp();
+
+    server.listen(PORT, async () => {
+        logger.info('═══════════════════════════════════════');
+        logger.info('🎉 BudgetTranslate - Web Speech API');
+        logger.info('═══════════════════════════════════════');
+        logger.info(`🌐 Server: http://localhost:${PORT}`);
+        logger.info('🎤 Speech Recognition: Web Speech API (browser-side)');
+        if (configuredSttAdapter) {
+            logger.info(`🎙️ Server-side STT: ${configuredSttAdapter.name} (audio-start / audio-chunk / audio-stop)`);
+        }
+        logger.info(`🌍 Translation: ${translator.name}`);
+        logger.info(`📝 Logging: ${path.relative(__dirname, LOG_FILE)}`);
+        logger.info('═══════════════════════════════════════');
+
+        // Initialize billing storage (Postgres, or JSONL files without DATABASE_URL)
+        const storeInitialized = await billingBackend.initialize(logger);
+        const archiving = SESSION_ARCHIVE_ENABLED && billingBackend.supportsArchive;
+        if (storeInitialized) {
+
+            // Month-to-date usage, so the budget level is right before the first translation
+            const budget = await budgetGuard.refresh();
+            logger.info(`💰 Translation budget: ${budget.usedChars}/${budget.monthlyCharacters} characters this month`, { level: budget.level });
+
+            // Purge old billing data (older than 90 days) and expired archived sessions
+            await billingBackend.purgeOldData(90, logger);
+            if (archiving) {
+                await billingBackend.purgeArchivedSessions(SESSION_ARCHIVE_RETENTION_DAYS, logger);
+            }
 
-    logger.info('✅ Ready to receive connections');
-});
+            // Schedule daily purge at 2 AM
+            const scheduleDailyPurge = () => {
+                const now = new Date();
+                const next2AM = new Date(
+                    now.getFullYear(),
+                    now.getMonth(),
+                    now.getDate() + 1,
+                    2, 0, 0
+                );
+                const timeUntil2AM = next2AM.getTime() - now.getTime();
+
+                const purge = async () => {
+                    await billingBackend.purgeOldData(90, logger);
+                    if (archiving) {
+                        await billingBackend.purgeArchivedSessions(SESSION_ARCHIVE_RETENTION_DAYS, logger);
+                    }
+                };
 
-// ===== GRACEFUL SHUTDOWN =====
-process.on('SIGINT', async () => {
-    logger.info('Shutting down gracefully...');
-    await billingDb.closeDatabase(logger);
-    server.close(() => {
-        logger.info('Server closed');
-        process.exit(0);
+                setTimeout(async () => {
+                    await purge();
+                    // Schedule next purge
+                    setInterval(purge, 24 * 60 * 60 * 1000); // Every 24 hours
+                }, timeUntil2AM);
+            };
+
+            scheduleDailyPurge();
+            logger.info('🗑️ Scheduled daily purge of billing data older than 90 days');
+            if (archiving) {
+                logger.info(SESSION_ARCHIVE_RETENTION_DAYS > 0
+                    ? `🗄️ Session archive enabled (kept for ${SESSION_ARCHIVE_RETENTION_DAYS} days)`
+                    : '🗄️ Session archive enabled (kept forever)');
+            }
+        }
+        if (SESSION_ARCHIVE_ENABLED && !billingBackend.supportsArchive) {
+            logger.warn(`⚠️ SESSION_ARCHIVE_ENABLED is set but the active billing store (${billingBackend.name}) cannot archive sessions - use the postgres store (DATABASE_URL) to archive them`);
+        } else if (SESSION_ARCHIVE_ENABLED && !storeInitialized) {
+            logger.warn(`⚠️ SESSION_ARCHIVE_ENABLED is set but the ${billingBackend.name} billing store failed to initialize - sessions will not be archived`);
+        }
+
+        logger.info('✅ Ready to receive connections');
+    });
+
+    // ===== GRACEFUL SHUTDOWN =====
+    process.on('SIGINT', async () => {
+        logger.info('Shutting down gracefully...');
+        await billingBackend.close(logger);
+        server.close(() => {
+            logger.info('Server closed');
+            process.exit(0);
+        });
     });
-});
 
-process.on('SIGTERM', async () => {
-    logger.info('Shutting down gracefully (SIGTERM)...');
-    await billingDb.closeDatabase(logger);
-    server.close(() => {
-        logger.info('Server closed');
-        process.exit(0);
+    process.on('SIGTERM', async () => {
+        logger.info('Shutting down gracefully (SIGTERM)...');
+        await billingBackend.close(logger);
+        server.close(() => {
+            logger.info('Server closed');
+            process.exit(0);
+        });
     });
-});
+}
+
+if (require.main === module) {
+    startServer();
+}
+
+module.exports = { createApp };
@@ -0,0 +1,268 @@
+/**
+ * Session Export
+ * Renders an archived session (billing-db.js getArchivedSession) as SRT or WebVTT
+ * subtitles, side-by-side bilingual Markdown or HTML, or JSON
+ *
+ * Timing: each segment records when the first word of its chunk was heard (heardAt)
+ * and when the chunk was approved for translation (decidedAt), so a cue runs from one
+ * to the other, never before the previous cue ended. Segments archived before these
+ * were recorded only have the time they were stored: their cue ends there and starts
+ * an estimate (word count at a typical speaking rate) earlier. Offsets are relative to
+ * the session start, so cues line up with a recording started with it.
+ */
+
+const FORMATS = {
+    srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+    vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+    html: { contentType: 'text/html; charset=utf-8', extension: 'html' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const SOURCE = 'source'; // `language` value selecting the speaker's own words
+
+const WORDS_PER_SECOND = 2.5;  // Typical speaking rate (estimate for segments without speech timing)
+const MIN_CUE_MS = 1000;
+const MAX_CUE_MS = 7000;       // Subtitle guidelines: no cue on screen longer than ~7s
+
+function invalid(message) {
+    const error = new Error(message);
+    error.code = 'EXPORT_INVALID';
+    return error;
+}
+
+function toMs(value) {
+    if (value === null || value === undefined) return null;
+    const ms = new Date(value).getTime();
+    return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * Text of a segment in one language ('source' = the original speech)
+ */
+function segmentText(segment, language) {
+    if (language === SOURCE) return segment.sourceText || '';
+    return (segment.translations && segment.translations[language]) || '';
+}
+
+/**
+ * Every language present in the transcript, session target language first
+ */
+function transcriptLanguages({ session, segments }) {
+    const languages = new Set(session.targetLanguage ? [session.targetLanguage] : []);
+    segments.forEach(segment => Object.keys(segment.translations || {}).forEach(lang => languages.add(lang)));
+    return [...languages];
+}
+
+/**
+ * Timed cues for one language: [{ index, seq, startMs, endMs, text }], offsets from session start
+ */
+function buildCues(transcript, language) {
+    const sessionStart = toMs(transcript.session.startedAt);
+    const firstSegment = transcript.segments[0];
+    const first = firstSegment ? toMs(firstSegment.heardAt) || toMs(firstSegment.timestamp) : null;
+    const origin = sessionStart !== null ? sessionStart : (first !== null ? first : 0);
+
+    const cues = [];
+    let previousEnd = 0;
+    transcript.segments.forEach(segment => {
+        const text = segmentText(segment, language).trim();
+        if (!text) return;
+
+        const heardAt = toMs(segment.heardAt);
+        const decidedAt = toMs(segment.decidedAt);
+        let startMs;
+        let endMs;
+        if (heardAt !== null && decidedAt !== null) {
+            startMs = Math.max(previousEnd, heardAt - origin);
+            endMs = Math.max(decidedAt - origin, startMs + MIN_CUE_MS);
+        } else {
+            // Older rows: estimate how long the chunk took to say
+            const at = toMs(segment.timestamp);
+            if (at === null) return;
+            const words = (segment.sourceText || text).split(/\s+/).filter(Boolean).length;
+            const spokenMs = Math.min(MAX_CUE_MS, Math.max(MIN_CUE_MS, Math.round(words / WORDS_PER_SECOND * 1000)));
+            endMs = Math.max(at - origin, previousEnd + MIN_CUE_MS);
+            startMs = Math.max(previousEnd, endMs - spokenMs);
+        }
+
+        cues.push({ index: cues.length + 1, seq: segment.seq, startMs, endMs, text });
+        previousEnd = endMs;
+    });
+    return cues;
+}
+
+function formatTimestamp(ms, separator) {
+    const pad = (n, width = 2) => String(n).padStart(width, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    const seconds = Math.floor(ms / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+function toSrt(transcript, language) {
+    return buildCues(transcript, language).map(cue =>
+        `${cue.index}\n${formatTimestamp(cue.startMs, ',')} --> ${formatTimestamp(cue.endMs, ',')}\n${cue.text}\n`
+    ).join('\n');
+}
+
+function toVtt(transcript, language) {
+    const cues = buildCues(transcript, language).map(cue =>
+        // "-->" is the only sequence that breaks a WebVTT cue payload
+        `${cue.index}\n${formatTimestamp(cue.startMs, '.')} --> ${formatTimestamp(cue.endMs, '.')}\n${cue.text.replace(/-->/g, '→')}\n`
+    );
+    return ['WEBVTT', '', ...cues].join('\n');
+}
+
+function clockTime(value) {
+    const ms = toMs(value);
+    return ms === null ? '' : new Date(ms).toISOString().substring(11, 19);
+}
+
+function title({ session }) {
+    const started = toMs(session.startedAt);
+    const date = started === null ? '' : new Date(started).toISOString().replace('T', ' ').substring(0, 16) + ' UTC';
+    return `Session ${date}`.trim();
+}
+
+/**
+ * Bilingual Markdown table (Time | source | each target language).
+ * Pipe tables paste into Word / Google Docs as real tables.
+ */
+function toMarkdown(transcript) {
+    const { session, segments } = transcript;
+    const languages = transcriptLanguages(transcript);
+    const cell = text => (text || '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+    const lines = [
+        `# ${title(transcript)}`,
+        '',
+        `- Source language: ${session.sourceLanguage || '-'}`,
+        `- Target languages: ${languages.join(', ') || '-'}`,
+        `- Mode: ${session.mode || '-'}${session.roomCode ? ` (room ${session.roomCode})` : ''}`,
+        `- Segments: ${segments.length}`,
+        '',
+        `| Time | ${[session.sourceLanguage || 'Source', ...languages].map(cell).join(' | ')} |`,
+        `|${' --- |'.repeat(languages.length + 2)}`,
+        ...segments.map(segment =>
+            `| ${clockTime(segment.timestamp)} | ${[segment.sourceText, ...languages.map(lang => segmentText(segment, lang))].map(cell).join(' | ')} |`)
+    ];
+    return lines.join('\n') + '\n';
+}
+
+function escapeHtml(text) {
+    return String(text || '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Standalone bilingual HTML page (opens in Word, prints cleanly)
+ */
+function toHtml(transcript) {
+    const { session, segments } = transcript;
+    const languages = transcriptLanguages(transcript);
+    const heading = escapeHtml(title(transcript));
+    const columns = [session.sourceLanguage || 'Source', ...languages];
+
+    const rows = segments.map(segment => {
+        const cells = [segment.sourceText, ...languages.map(lang => segmentText(segment, lang))]
+            .map(text => `<td>${escapeHtml(text)}</td>`).join('');
+        return `<tr><td class="time">${clockTime(segment.timestamp)}</td>${cells}</tr>`;
+    });
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${heading}</title>
+<style>
+body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 2em; color: #333; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ddd; padding: 8px; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+td.time { white-space: nowrap; color: #888; font-size: 0.9em; }
+</style>
+</head>
+<body>
+<h1>${heading}</h1>
+<p>Source language: ${escapeHtml(session.sourceLanguage || '-')} · Mode: ${escapeHtml(session.mode || '-')} · Segments: ${segments.length}</p>
+<table>
+<thead><tr><th>Time</th>${columns.map(col => `<th>${escapeHtml(col)}</th>`).join('')}</tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+</body>
+</html>
+`;
+}
+
+/**
+ * The archived transcript plus each segment's cue offsets (ms from session start)
+ */
+function toJson(transcript) {
+    const cues = new Map(buildCues(transcript, SOURCE).map(cue => [cue.seq, cue]));
+    const segments = transcript.segments.map(segment => {
+        const cue = cues.get(segment.seq);
+        return { ...segment, startMs: cue ? cue.startMs : null, endMs: cue ? cue.endMs : null };
+    });
+    return JSON.stringify({
+        session: transcript.session,
+        languages: transcriptLanguages(transcript),
+        segments
+    }, null, 2);
+}
+
+/**
+ * Render a transcript in one format
+ *
+ * @param {Object} transcript - { session, segments } from billingDb.getArchivedSession()
+ * @param {string} format - 'srt' | 'vtt' | 'md' | 'html' | 'json'
+ * @param {Object} options
+ * @param {string} options.language - Subtitle language (srt/vtt): a target language,
+ *                                    or 'source' for the original speech (default: session target)
+ * @returns {{ body: string, contentType: string, filename: string }}
+ * @throws {Error} code EXPORT_INVALID for an unknown format or a language not in the session
+ */
+function exportSession(transcript, format, { language } = {}) {
+    const spec = FORMATS[format];
+    if (!spec) {
+        throw invalid(`Unknown export format "${format}" (expected: ${Object.keys(FORMATS).join(', ')})`);
+    }
+
+    const languages = transcriptLanguages(transcript);
+    const subtitleLanguage = language || transcript.session.targetLanguage || SOURCE;
+    if ((format === 'srt' || format === 'vtt') && subtitleLanguage !== SOURCE && !languages.includes(subtitleLanguage)) {
+        throw invalid(`Language "${subtitleLanguage}" is not in this session (available: ${[SOURCE, ...languages].join(', ')})`);
+    }
+
+    const renderers = {
+        srt: () => toSrt(transcript, subtitleLanguage),
+        vtt: () => toVtt(transcript, subtitleLanguage),
+        md: () => toMarkdown(transcript),
+        html: () => toHtml(transcript),
+        json: () => toJson(transcript)
+    };
+
+    const started = toMs(transcript.session.startedAt);
+    const stamp = started === null ? 'session' : new Date(started).toISOString().replace(/[:.]/g, '-').substring(0, 19);
+    const suffix = format === 'srt' || format === 'vtt' ? `-${subtitleLanguage}` : '';
+
+    return {
+        body: renderers[format](),
+        contentType: spec.contentType,
+        filename: `gtranslate-session-${stamp}${suffix}.${spec.extension}`
+    };
+}
+
+module.exports = {
+    exportSession,
+    buildCues,
+    formatTimestamp,
+    FORMATS: Object.keys(FORMATS),
+    SOURCE
+};
@@ -0,0 +1,161 @@
+/**
+ * Session Recorder
+ * Captures a live session as a JSONL fixture that replay-decisions.js can run offline:
+ * a session header, then every incoming transcript result and every emitted translation
+ * with its time in ms since the session started
+ *
+ *   {"type":"session","sourceLanguage":"ro-RO","targetLanguage":"en","mode":"talks",...}
+ *   {"type":"transcript","t":1250,"text":"Bună ziua","isFinal":false}
+ *   {"type":"translation","t":1900,"original":"Bună ziua","translated":"Good day",...}
+ *
+ * Scrubbing (privacy switch): every word is replaced by a pseudo-word of the same length,
+ * keyed by a random salt per recording. The same word always gets the same pseudo-word
+ * within a recording and punctuation is kept, so word counts, sentence endings and the
+ * way interim results extend each other — what the rules engine decides on — survive,
+ * while the text itself is not recoverable. Filler and conjunction lexicons no longer
+ * match scrubbed text, so replays of it can differ where those rules fired.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LETTERS = 'abcdefghijklmnopqrstuvwxyz';
+const WORD_PATTERN = /[\p{L}\p{M}]+|\p{N}+/gu;
+
+class SessionRecorder {
+    /**
+     * @param {string} filePath - JSONL file to write (appended to if it exists)
+     * @param {Object} options
+     * @param {boolean} options.scrub - Replace words with pseudo-words
+     * @param {Function} options.now - Clock (injectable for tests)
+     * @param {Object} options.logger - Write errors are logged once, recording stops
+     * @param {Buffer|string} options.salt - Scrub key (default: random; fixed for tests)
+     * @param {number} options.startedAt - Session start (default: now)
+     */
+    constructor(filePath, { scrub = false, now = Date.now, logger = null, salt = crypto.randomBytes(16), startedAt = now() } = {}) {
+        this.filePath = filePath;
+        this.scrub = scrub;
+        this.now = now;
+        this.logger = logger;
+        this.startedAt = startedAt;
+        this.salt = salt;
+        this.pseudoWords = new Map();
+        this.events = 0;
+        this.failed = false;
+
+        this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+        this.stream.on('error', (error) => {
+            if (this.failed) return;
+            this.failed = true;
+            if (this.logger) this.logger.warn('⚠️ Session recording failed, recording stopped', { file: filePath, error: error.message });
+        });
+    }
+
+    /**
+     * File name for a new recording: <start time>-<client id>.jsonl (sorts by time)
+     */
+    static fileName(clientId, startedAt = Date.now()) {
+        const stamp = new Date(startedAt).toISOString().replace(/[:.]/g, '-');
+        const client = String(clientId || 'session').replace(/[^A-Za-z0-9_-]/g, '').slice(0, 16);
+        return `${stamp}-${client}.jsonl`;
+    }
+
+    /**
+     * Start a recording in `directory` for a session
+     *
+     * @param {string} directory - Recording directory (must exist)
+     * @param {Object} session - Header fields: clientId, sourceLanguage, targetLanguage, mode, modeOverrides
+     */
+    static start(directory, session, options = {}) {
+        const startedAt = (options.now || Date.now)();
+        const filePath = path.join(directory, SessionRecorder.fileName(session.clientId, startedAt));
+        const recorder = new SessionRecorder(filePath, { ...options, startedAt });
+        recorder.write({
+            type: 'session',
+            startedAt: new Date(recorder.startedAt).toISOString(),
+            sourceLanguage: session.sourceLanguage,
+            targetLanguage: session.targetLanguage,
+            mode: session.mode,
+            modeOverrides: session.modeOverrides || undefined,
+            scrubbed: recorder.scrub
+        });
+        return recorder;
+    }
+
+    /**
+     * Pseudo-word for one word (letters) or number (digits), stable within this recording
+     */
+    pseudoWord(word) {
+        const key = word.toLowerCase();
+        let pseudo = this.pseudoWords.get(key);
+        if (!pseudo) {
+            const isNumber = /^\p{N}+$/u.test(word);
+            const length = [...word].length;
+            const digest = crypto.createHmac('sha256', this.salt).update(key).digest();
+            pseudo = '';
+            for (let i = 0; i < length; i++) {
+                const byte = digest[i % digest.length] ^ i;
+                pseudo += isNumber ? String(byte % 10) : LETTERS[byte % LETTERS.length];
+            }
+            this.pseudoWords.set(key, pseudo);
+        }
+        // Keep a leading capital (sentence starts, names, initials)
+        return /^\p{Lu}/u.test(word) ? pseudo[0].toUpperCase() + pseudo.slice(1) : pseudo;
+    }
+
+    scrubText(text) {
+        if (!this.scrub || !text) return text;
+        return text.replace(WORD_PATTERN, word => this.pseudoWord(word));
+    }
+
+    write(entry) {
+        if (this.failed || !this.stream) return;
+        this.stream.write(JSON.stringify(entry) + '\n');
+        this.events++;
+    }
+
+    elapsed() {
+        return Math.max(0, this.now() - this.startedAt);
+    }
+
+    /**
+     * An incoming transcript-result (or server-side STT result)
+     */
+    recordTranscript({ text, isFinal }) {
+        this.write({ type: 'transcript', t: this.elapsed(), text: this.scrubText(text || ''), isFinal: !!isFinal });
+    }
+
+    /**
+     * An emitted translation-result payload
+     */
+    recordTranslation({ original, translated, reason, isInterim, count }) {
+        this.write({
+            type: 'translation',
+            t: this.elapsed(),
+            original: this.scrubText(original || ''),
+            translated: this.scrubText(translated || ''),
+            reason,
+            isInterim: !!isInterim,
+            count
+        });
+    }
+
+    /**
+     * Flush and close the file
+     *
+     * @returns {Promise<void>}
+     */
+    close() {
+        const stream = this.stream;
+        if (!stream) return Promise.resolve();
+        this.stream = null;
+        if (stream.destroyed) return Promise.resolve(); // Closed after a write error
+        return new Promise(resolve => {
+            stream.once('close', resolve);
+            stream.end();
+        });
+    }
+}
+
+module.exports = SessionRecorder;
@@ -0,0 +1,288 @@
+/**
+ * Speech-to-Text Adapters
+ * Pluggable server-side recognizers fed by the audio-start / audio-chunk / audio-stop
+ * socket events in server.js (browser-side Web Speech API stays the default)
+ *
+ * Every adapter exposes the same shape:
+ *   {
+ *     name: 'process' | 'mock',
+ *     encodings: ['pcm16', …],   // What createStream accepts (see AUDIO_ENCODINGS)
+ *     createStream({ language, encoding, sampleRate, onResult, onError, onClose })
+ *         → { write(Buffer), end(), destroy() }
+ *   }
+ *
+ * Recognizers read pcm16. Opus (the Ogg/WebM Opus a browser's MediaRecorder produces) is
+ * accepted by the process adapter when it has a decoder command (STT_OPUS_DECODER), which
+ * turns it into pcm16 at the stream's sampleRate in front of the recognizer. createStream
+ * throws for an encoding the adapter does not accept.
+ *
+ * onResult receives `{ text, isFinal }` — exactly what the transcript-result event
+ * carries — so the rules engine and translation pipeline don't know where the
+ * transcript came from. Like the Web Speech API, `text` is the current utterance:
+ * interim results grow until a final result closes the utterance.
+ */
+
+const { spawn } = require('child_process');
+
+const STT_ADAPTER_NAMES = ['process', 'mock'];
+// pcm16: signed 16-bit little-endian mono, what recognizers read from stdin (stt/vosk-stt.py).
+// opus: Ogg/WebM Opus, decoded to pcm16 before the recognizer (process adapter with a decoder)
+const AUDIO_ENCODINGS = ['pcm16', 'opus'];
+
+/**
+ * @throws {Error} code STT_ENCODING_UNSUPPORTED — recognizers would turn other audio into garbage
+ */
+function checkEncoding(encoding, accepted) {
+    if (accepted.includes(encoding)) return;
+    const error = new Error(`Unsupported audio encoding "${encoding}" (expected: ${accepted.join(', ')})`);
+    error.code = 'STT_ENCODING_UNSUPPORTED';
+    throw error;
+}
+
+// Fill in {language}, {lang}, {sampleRate} and {encoding}
+function fillArgs(args, values) {
+    return args.map(arg => arg.replace(/\{(language|lang|sampleRate|encoding)\}/g, (m, key) => values[key]));
+}
+
+/**
+ * Parse one line of recognizer output
+ * Accepts `{"text": "...", "isFinal": true}`, Vosk's `{"partial": "..."}` / `{"text": "..."}`,
+ * or a plain text line (whisper.cpp style: every line is a final result).
+ *
+ * @returns {{text: string, isFinal: boolean}|null} null for empty / unusable lines
+ */
+function parseResultLine(line) {
+    const trimmed = line.trim();
+    if (!trimmed) return null;
+
+    if (trimmed.startsWith('{')) {
+        let parsed;
+        try {
+            parsed = JSON.parse(trimmed);
+        } catch (error) {
+            return null;
+        }
+        if (typeof parsed.partial === 'string') {
+            return parsed.partial.trim() ? { text: parsed.partial.trim(), isFinal: false } : null;
+        }
+        if (typeof parsed.text === 'string' && parsed.text.trim()) {
+            return { text: parsed.text.trim(), isFinal: parsed.isFinal !== undefined ? !!parsed.isFinal : true };
+        }
+        return null;
+    }
+
+    return { text: trimmed, isFinal: true };
+}
+
+/**
+ * External recognizer process (Vosk, whisper.cpp, …) — one process per stream
+ * Audio is written to the process's stdin; results are read line by line from stdout.
+ * `{language}`, `{lang}` (two-letter), `{sampleRate}` and `{encoding}` in the
+ * arguments are filled in per stream. No shell is involved.
+ *
+ * Opus streams go through a second process first: the decoder reads Opus on stdin and
+ * writes pcm16 at `{sampleRate}` to stdout, which is piped into the recognizer (whose
+ * `{encoding}` is then pcm16).
+ *
+ * @param {Object} options
+ * @param {string} options.command - Executable, e.g. 'python3'
+ * @param {string[]} options.args - e.g. ['stt/vosk-stt.py', '--lang', '{lang}', '--rate', '{sampleRate}']
+ * @param {Object} options.decoder - Opus decoder { command, args }, e.g. ffmpeg (default: none, pcm16 only)
+ * @param {number} options.maxBufferedBytes - Audio queued on stdin before chunks are dropped (default 1 MB)
+ * @param {number} options.stopTimeoutMs - Time allowed to flush final results after end() (default 5s)
+ * @param {Function} options.spawnImpl - child_process.spawn (injectable for tests)
+ */
+function createProcessAdapter({ command, args = [], decoder = null, maxBufferedBytes = 1024 * 1024, stopTimeoutMs = 5000, spawnImpl = spawn } = {}) {
+    if (!command) throw new Error('Process STT adapter requires a command (set STT_COMMAND)');
+    if (decoder && !decoder.command) throw new Error('Opus decoder requires a command (set STT_OPUS_DECODER)');
+    const encodings = decoder ? ['pcm16', 'opus'] : ['pcm16'];
+
+    return {
+        name: 'process',
+        encodings,
+
+        createStream({ language, encoding, sampleRate, onResult, onError = () => {}, onClose = () => {} }) {
+            checkEncoding(encoding, encodings);
+            const values = {
+                language,
+                lang: String(language).split('-')[0],
+                sampleRate: String(sampleRate),
+                encoding: 'pcm16' // What the recognizer reads, decoded or not
+            };
+
+            const child = spawnImpl(command, fillArgs(args, values), { stdio: ['pipe', 'pipe', 'pipe'] });
+            const decoding = encoding === 'opus'
+                ? spawnImpl(decoder.command, fillArgs(decoder.args || [], values), { stdio: ['pipe', 'pipe', 'pipe'] })
+                : null;
+            // Where audio chunks go: the decoder in front of the recognizer, or the recognizer itself
+            const input = decoding ? decoding.stdin : child.stdin;
+            let closed = false;
+            let ending = false;
+            let stopTimer = null;
+            let stdoutBuffer = '';
+            let stderrTail = '';
+
+            const finish = () => {
+                if (closed) return;
+                closed = true;
+                if (stopTimer) clearTimeout(stopTimer);
+                if (decoding) decoding.kill('SIGTERM');
+                onClose();
+            };
+
+            if (decoding) {
+                let decoderTail = '';
+                decoding.stdout.pipe(child.stdin);
+                decoding.stdin.on('error', () => {});
+                decoding.stderr.setEncoding('utf8');
+                decoding.stderr.on('data', data => {
+                    decoderTail = (decoderTail + data).slice(-500);
+                });
+                decoding.on('error', error => {
+                    onError(new Error(`Opus decoder failed to start: ${error.message}`));
+                    child.kill('SIGTERM');
+                });
+                decoding.on('exit', (code, signal) => {
+                    if (ending || closed || code === 0) return;
+                    const detail = decoderTail.trim().split('\n').pop() || (signal ? `signal ${signal}` : `exit code ${code}`);
+                    onError(new Error(`Opus decoder stopped unexpectedly (${detail})`));
+                    child.kill('SIGTERM');
+                });
+            }
+
+            child.stdout.setEncoding('utf8');
+            child.stdout.on('data', data => {
+                stdoutBuffer += data;
+                const lines = stdoutBuffer.split('\n');
+                stdoutBuffer = lines.pop();
+                lines.forEach(line => {
+                    const result = parseResultLine(line);
+                    if (result) onResult(result);
+                });
+            });
+
+            child.stderr.setEncoding('utf8');
+            child.stderr.on('data', data => {
+                stderrTail = (stderrTail + data).slice(-500);
+            });
+
+            // stdin errors (EPIPE after the process died) surface through 'exit'
+            child.stdin.on('error', () => {});
+
+            child.on('error', error => {
+                onError(new Error(`STT process failed to start: ${error.message}`));
+                finish();
+            });
+
+            child.on('exit', (code, signal) => {
+                const result = parseResultLine(stdoutBuffer);
+                stdoutBuffer = '';
+                if (result) onResult(result);
+
+                if (!ending && !closed) {
+                    const detail = stderrTail.trim().split('\n').pop() || (signal ? `signal ${signal}` : `exit code ${code}`);
+                    onError(new Error(`STT process stopped unexpectedly (${detail})`));
+                }
+                finish();
+            });
+
+            return {
+                write(chunk) {
+                    if (closed || ending) return false;
+                    if (input.writableLength > maxBufferedBytes) {
+                        onError(new Error('STT process is not keeping up - audio dropped'));
+                        return false;
+                    }
+                    input.write(chunk);
+                    return true;
+                },
+
+                // Close stdin and let the recognizer flush its last result (the decoder's end closes the pipe)
+                end() {
+                    if (closed || ending) return;
+                    ending = true;
+                    input.end();
+                    stopTimer = setTimeout(() => child.kill('SIGKILL'), stopTimeoutMs);
+                },
+
+                destroy() {
+                    if (closed) return;
+                    ending = true;
+                    child.kill('SIGTERM');
+                    finish();
+                }
+            };
+        }
+    };
+}
+
+/**
+ * Offline mock adapter — no recognizer, deterministic output
+ * Reports how much audio arrived: an interim result per chunk, a final result on end().
+ * Useful to exercise the audio path (and the translation pipeline behind it) without a model.
+ *
+ * @param {Object} options
+ * @param {string} options.text - Final transcript (default: "<n> seconds of audio")
+ */
+function createMockAdapter({ text = null } = {}) {
+    const encodings = ['pcm16'];
+
+    return {
+        name: 'mock',
+        encodings,
+
+        createStream({ encoding, sampleRate, onResult, onClose = () => {} }) {
+            checkEncoding(encoding, encodings);
+            let bytes = 0;
+            let closed = false;
+            const seconds = () => (bytes / 2 / sampleRate).toFixed(1);
+            const transcript = () => text || `${seconds()} seconds of audio`;
+
+            const close = () => {
+                if (closed) return;
+                closed = true;
+                onClose();
+            };
+
+            return {
+                write(chunk) {
+                    if (closed) return false;
+                    bytes += chunk.length;
+                    onResult({ text: transcript(), isFinal: false });
+                    return true;
+                },
+                end() {
+                    if (closed) return;
+                    if (bytes > 0) onResult({ text: transcript(), isFinal: true });
+                    close();
+                },
+                destroy: close
+            };
+        }
+    };
+}
+
+/**
+ * Create an adapter by name
+ * @param {string} name - 'process' or 'mock'
+ * @param {Object} options - Adapter-specific options (see factories above)
+ */
+function createSttAdapter(name, options = {}) {
+    switch (name) {
+        case 'process':
+            return createProcessAdapter(options);
+        case 'mock':
+            return createMockAdapter(options);
+        default:
+            throw new Error(`Unknown STT adapter: ${name}. Must be one of: ${STT_ADAPTER_NAMES.join(', ')}`);
+    }
+}
+
+module.exports = {
+    STT_ADAPTER_NAMES,
+    AUDIO_ENCODINGS,
+    parseResultLine,
+    createSttAdapter,
+    createProcessAdapter,
+    createMockAdapter
+};
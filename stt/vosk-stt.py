@@ -0,0 +1,60 @@
+#!/usr/bin/env python3
+"""
+Vosk recognizer for the 'process' STT adapter (see stt-adapters.js)
+
+Reads 16-bit mono PCM from stdin and writes one JSON result per line to stdout:
+  {"partial": "..."}  interim result
+  {"text": "..."}     final result (end of utterance)
+
+Usage (server.js fills in the placeholders per stream):
+  STT_ADAPTER=process
+  STT_COMMAND="python3 stt/vosk-stt.py --lang {lang} --rate {sampleRate}"
+
+Models: https://alphacephei.com/vosk/models — unpack to stt/models/<lang>
+(e.g. stt/models/ro) or pass --model <dir>. Requires `pip install vosk`.
+"""
+
+import argparse
+import json
+import os
+import sys
+
+from vosk import KaldiRecognizer, Model, SetLogLevel
+
+
+def main():
+    parser = argparse.ArgumentParser()
+    parser.add_argument('--lang', required=True, help='two-letter language code, e.g. ro')
+    parser.add_argument('--rate', type=int, default=16000, help='sample rate in Hz')
+    parser.add_argument('--model', help='model directory (default: stt/models/<lang>)')
+    args = parser.parse_args()
+
+    model_dir = args.model or os.path.join(os.path.dirname(__file__), 'models', args.lang)
+    if not os.path.isdir(model_dir):
+        sys.exit(f'No Vosk model for "{args.lang}" at {model_dir}')
+
+    SetLogLevel(-1)
+    recognizer = KaldiRecognizer(Model(model_dir), args.rate)
+    last_partial = ''
+
+    def emit(result):
+        print(json.dumps(result, ensure_ascii=False), flush=True)
+
+    while True:
+        data = sys.stdin.buffer.read(4000)
+        if not data:
+            break
+        if recognizer.AcceptWaveform(data):
+            emit({'text': json.loads(recognizer.Result()).get('text', '')})
+            last_partial = ''
+        else:
+            partial = json.loads(recognizer.PartialResult()).get('partial', '')
+            if partial and partial != last_partial:
+                emit({'partial': partial})
+                last_partial = partial
+
+    emit({'text': json.loads(recognizer.FinalResult()).get('text', '')})
+
+
+if __name__ == '__main__':
+    main()
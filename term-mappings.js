@@ -0,0 +1,212 @@
+/**
+ * Term Mappings
+ * Declarative post-translation term fixes, loaded from config/term-mappings.json
+ *
+ * Each rule is a regex replacement applied to the translated output:
+ *   {
+ *     "id": "church-congregation",
+ *     "languagePair": "ro-en",              // source-target codes, "*" matches any
+ *     "pattern": "\\bchurch\\b", "flags": "gi",
+ *     "replacement": "congregation",        // may use $1, $& like String.replace
+ *     "sourceCondition": { "pattern": "congregați", "flags": "i" },  // optional: source text must match
+ *     "examples": [{ "source": "...", "input": "...", "expected": "..." }]
+ *   }
+ *
+ * Rules run in file order. Every rule carries example sentences; the test suite
+ * runs each rule against its own examples (see runExamples()).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, 'config', 'term-mappings.json');
+
+const LANGUAGE_PAIR_PATTERN = /^([a-z]{2}|\*)-([a-z]{2}|\*)$/;
+const ALLOWED_FLAGS = /^[gimsuy]*$/;
+
+function compileRegex(pattern, flags, label, problems) {
+    if (typeof pattern !== 'string' || pattern.length === 0) {
+        problems.push(`${label}: pattern must be a non-empty string`);
+        return null;
+    }
+    if (flags !== undefined && (typeof flags !== 'string' || !ALLOWED_FLAGS.test(flags))) {
+        problems.push(`${label}: invalid flags "${flags}"`);
+        return null;
+    }
+    try {
+        return new RegExp(pattern, flags || '');
+    } catch (error) {
+        problems.push(`${label}: ${error.message}`);
+        return null;
+    }
+}
+
+class TermMappings {
+    /**
+     * @param {Object} config - Parsed rules file ({ rules: [...] })
+     * @throws {Error} code TERM_MAPPINGS_INVALID, with `details` listing every problem
+     */
+    constructor(config) {
+        const { rules, problems } = TermMappings.compile(config);
+        if (problems.length > 0) {
+            const error = new Error(`Invalid term mappings: ${problems[0]}`);
+            error.code = 'TERM_MAPPINGS_INVALID';
+            error.details = problems;
+            throw error;
+        }
+        this.rules = rules;
+    }
+
+    /**
+     * Load and validate a rules file
+     */
+    static fromFile(filePath = DEFAULT_FILE) {
+        let config;
+        try {
+            config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            const wrapped = new Error(`Cannot read term mappings ${filePath}: ${error.message}`);
+            wrapped.code = 'TERM_MAPPINGS_INVALID';
+            wrapped.details = [error.message];
+            throw wrapped;
+        }
+        return new TermMappings(config);
+    }
+
+    /**
+     * Validate and compile rules
+     * @returns {Object} { rules, problems }
+     */
+    static compile(config) {
+        const problems = [];
+        if (!config || !Array.isArray(config.rules)) {
+            return { rules: [], problems: ['file must contain a "rules" array'] };
+        }
+
+        const ids = new Set();
+        const rules = [];
+        config.rules.forEach((rule, i) => {
+            const label = `Rule ${rule && rule.id ? `"${rule.id}"` : i + 1}`;
+            if (!rule || typeof rule !== 'object') {
+                problems.push(`${label}: must be an object`);
+                return;
+            }
+
+            if (typeof rule.id !== 'string' || !rule.id) {
+                problems.push(`${label}: id is required`);
+            } else if (ids.has(rule.id)) {
+                problems.push(`${label}: duplicate id`);
+            } else {
+                ids.add(rule.id);
+            }
+
+            const pair = typeof rule.languagePair === 'string' ? LANGUAGE_PAIR_PATTERN.exec(rule.languagePair) : null;
+            if (!pair) {
+                problems.push(`${label}: languagePair must look like "ro-en" ("*" matches any language)`);
+            }
+
+            if (typeof rule.replacement !== 'string') {
+                problems.push(`${label}: replacement must be a string`);
+            }
+
+            const regex = compileRegex(rule.pattern, rule.flags, label, problems);
+            let condition = null;
+            if (rule.sourceCondition !== undefined) {
+                const sc = rule.sourceCondition || {};
+                // Conditions are tested, never replaced — drop g/y so .test() is stateless
+                condition = compileRegex(sc.pattern, (sc.flags || '').replace(/[gy]/g, ''), `${label} sourceCondition`, problems);
+            }
+
+            if (!Array.isArray(rule.examples) || rule.examples.length === 0) {
+                problems.push(`${label}: at least one example is required`);
+            } else {
+                rule.examples.forEach((example, j) => {
+                    if (!example || typeof example.input !== 'string' || typeof example.expected !== 'string') {
+                        problems.push(`${label} example ${j + 1}: input and expected must be strings`);
+                    }
+                });
+            }
+
+            if (pair && regex) {
+                rules.push({
+                    id: rule.id,
+                    description: rule.description || '',
+                    sourceLang: pair[1],
+                    targetLang: pair[2],
+                    regex,
+                    replacement: rule.replacement,
+                    condition,
+                    examples: rule.examples || []
+                });
+            }
+        });
+
+        return { rules, problems };
+    }
+
+    /**
+     * Does a rule apply to this translation?
+     */
+    static matches(rule, { sourceText = '', sourceLang, targetLang }) {
+        const src = (sourceLang || '').split('-')[0].toLowerCase();
+        const tgt = (targetLang || '').split('-')[0].toLowerCase();
+        if (rule.sourceLang !== '*' && rule.sourceLang !== src) return false;
+        if (rule.targetLang !== '*' && rule.targetLang !== tgt) return false;
+        if (rule.condition && !rule.condition.test(sourceText)) return false;
+        return true;
+    }
+
+    static applyRule(rule, text) {
+        rule.regex.lastIndex = 0;
+        return text.replace(rule.regex, rule.replacement);
+    }
+
+    /**
+     * Apply every matching rule in order
+     *
+     * @param {string} text - Translated output to fix
+     * @param {Object} context - { sourceText, sourceLang, targetLang }
+     * @returns {Object} { text, fired: [rule ids that changed the text] }
+     */
+    apply(text, context) {
+        let result = text;
+        const fired = [];
+        for (const rule of this.rules) {
+            if (!TermMappings.matches(rule, context)) continue;
+            const next = TermMappings.applyRule(rule, result);
+            if (next !== result) {
+                fired.push(rule.id);
+                result = next;
+            }
+        }
+        return { text: result, fired };
+    }
+
+    /**
+     * Run each rule against its own examples
+     * An example's `source` defaults to '' (so conditional rules need one to fire);
+     * an example whose source fails the condition must come back unchanged.
+     *
+     * @returns {Object[]} One result per example: { ruleId, example, actual, passed }
+     */
+    runExamples() {
+        const results = [];
+        for (const rule of this.rules) {
+            for (const example of rule.examples) {
+                const context = {
+                    sourceText: example.source || '',
+                    sourceLang: rule.sourceLang === '*' ? 'xx' : rule.sourceLang,
+                    targetLang: rule.targetLang === '*' ? 'xx' : rule.targetLang
+                };
+                const actual = TermMappings.matches(rule, context)
+                    ? TermMappings.applyRule(rule, example.input)
+                    : example.input;
+                results.push({ ruleId: rule.id, example, actual, passed: actual === example.expected });
+            }
+        }
+        return results;
+    }
+}
+
+module.exports = TermMappings;
+module.exports.DEFAULT_FILE = DEFAULT_FILE;
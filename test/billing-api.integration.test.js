@@ -0,0 +1,77 @@
+/**
+ * Integration Tests for the billing API
+ * Server-side metering, client STT reports, priced summaries, exports and monthly reports
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const { useApp } = require('./helpers/app-harness');
+
+describe('Billing API Integration', () => {
+    const harness = useApp();
+
+    it('should meter the characters sent to the provider per session', async () => {
+        const started = await harness.startSession({ mode: 'talks' });
+        await harness.translateSentence('Bună dimineața dragi frați și surori.');
+
+        expect(started.billingSessionId).to.be.a('string');
+        expect(harness.billingStore.usage).to.deep.equal([{
+            type: 'translation',
+            amount: 'Bună dimineața dragi frați și surori.'.length,
+            language: 'ro-RO',
+            targetLanguage: 'en',
+            provider: 'fake',
+            sessionId: started.billingSessionId,
+            meteredBy: 'server'
+        }]);
+    });
+
+    it('should accept only browser STT minutes from the client', async () => {
+        expect((await harness.post('/api/billing/track', { type: 'translation', amount: 500, language: 'ro-RO' })).status).to.equal(400);
+        expect((await harness.post('/api/billing/track', { type: 'stt', amount: 2.5, language: 'ro-RO' })).status).to.equal(200);
+        expect(harness.billingStore.usage).to.deep.equal([{ type: 'stt', amount: 2.5, language: 'ro-RO', meteredBy: 'client' }]);
+    });
+
+    it('should price the usage summary with the free tier of the whole month', async () => {
+        harness.billingStore.rows = [
+            { date: '2026-03-01', sourceLanguage: 'ro-RO', provider: 'google', usageType: 'translation', amount: 400000 },
+            { date: '2026-03-10', sourceLanguage: 'ro-RO', provider: 'google', usageType: 'translation', amount: 200000 },
+            { date: '2026-03-10', sourceLanguage: 'en-US', provider: 'google', usageType: 'stt', amount: 90 }
+        ];
+        const { body } = await harness.get('/api/billing/summary?startDate=2026-03-05&endDate=2026-03-31');
+
+        // 500k free characters a month: 400k went before the range, 100k of the 200k are billed
+        expect(body.costs.byType.translation).to.deep.equal({ units: 200000, freeUnits: 100000, billableUnits: 100000, cost: 2 });
+        expect(body.costs.byType.stt).to.include({ freeUnits: 60, billableUnits: 30, cost: 0.72 });
+        expect(body.costs.languages['ro-RO'].cost).to.equal(2);
+        expect(body.costs.cost).to.equal(2.72);
+        expect(body.pricing).to.include({ currency: 'USD' });
+        expect(body).to.include({ startDate: '2026-03-05', endDate: '2026-03-31' });
+    });
+
+    it('should refuse a summary for dates it cannot read', async () => {
+        const bad = await harness.get('/api/billing/summary?startDate=foo');
+        expect(bad.status).to.equal(400);
+        expect(bad.body.error).to.equal('startDate must be a date (YYYY-MM-DD)');
+        expect((await harness.get('/api/billing/summary?startDate=2026-03-31&endDate=2026-03-01')).status).to.equal(400);
+    });
+
+    it('should export usage as CSV and build monthly reports', async () => {
+        harness.billingStore.rows = [
+            { date: '2026-03-01', sourceLanguage: 'ro-RO', provider: 'google', usageType: 'translation', amount: 600000 },
+            { date: '2026-04-01', sourceLanguage: 'ro-RO', provider: 'google', usageType: 'translation', amount: 100 }
+        ];
+
+        const csv = await harness.get('/api/billing/export?startDate=2026-03-01&endDate=2026-03-31&format=csv');
+        expect(csv.status).to.equal(200);
+        expect(csv.headers['content-disposition']).to.include('gtranslate-billing-daily-2026-03-01-to-2026-03-31.csv');
+        expect(csv.body).to.equal('date,source_language,provider,usage_type,amount\n2026-03-01,ro-RO,google,translation,600000\n');
+
+        const report = (await harness.get('/api/billing/report?month=2026-03')).body.data;
+        expect(report).to.include({ month: '2026-03', complete: true });
+        expect(report.totals).to.include({ translationChars: 600000, cost: 2 });
+
+        expect((await harness.get('/api/billing/export?format=xlsx')).status).to.equal(400);
+        expect((await harness.get('/api/billing/report?month=March')).status).to.equal(400);
+    });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit Tests for Billing Export
+ * CSV/JSON usage exports, date ranges and monthly statements
+ */
+
+const { expect } = require('chai');
+const PricingTable = require('../pricing');
+const { parseRange, exportUsage, monthRange, buildMonthlyReport, exportReport } = require('../billing-export');
+
+function row(date, usageType, amount, sourceLanguage = 'ro-RO', provider = 'google') {
+    return { date, sourceLanguage, provider, usageType, amount };
+}
+
+describe('Billing Export', () => {
+    const pricing = PricingTable.fromFile(PricingTable.DEFAULT_FILE);
+
+    describe('Usage exports', () => {
+        it('should default to the current month up to today', () => {
+            expect(parseRange({}, new Date('2026-03-17T09:00:00Z'))).to.deep.equal({ startDate: '2026-03-01', endDate: '2026-03-17' });
+            expect(parseRange({ startDate: '2026-01-05', endDate: '2026-02-01' })).to.deep.equal({ startDate: '2026-01-05', endDate: '2026-02-01' });
+        });
+
+        it('should reject bad dates and inverted ranges', () => {
+            expect(() => parseRange({ startDate: 'yesterday' })).to.throw(/startDate must be a date/).with.property('code', 'EXPORT_INVALID');
+            expect(() => parseRange({ startDate: '2026-02-01', endDate: '2026-01-01' })).to.throw(/must not be after/);
+        });
+
+        it('should write daily totals as CSV', () => {
+            const { body, contentType, filename } = exportUsage([
+                row('2026-03-01', 'translation', 1200),
+                row('2026-03-01', 'stt', 2.5, 'ro-RO', null)
+            ], 'csv', { startDate: '2026-03-01', endDate: '2026-03-31' });
+
+            expect(contentType).to.match(/^text\/csv/);
+            expect(filename).to.equal('gtranslate-billing-daily-2026-03-01-to-2026-03-31.csv');
+            expect(body).to.equal(
+                'date,source_language,provider,usage_type,amount\n' +
+                '2026-03-01,ro-RO,google,translation,1200\n' +
+                '2026-03-01,ro-RO,,stt,2.5\n'
+            );
+        });
+
+        it('should write raw records as JSON and keep formulas out of CSV cells', () => {
+            const record = {
+                id: 7, timestamp: '2026-03-01T10:00:00.000Z', date: '2026-03-01', sourceLanguage: '=cmd()',
+                targetLanguage: 'en', provider: 'google', sessionId: 'abc', meteredBy: 'server', usageType: 'translation', amount: 42
+            };
+            const json = JSON.parse(exportUsage([record], 'json', { granularity: 'raw', startDate: '2026-03-01', endDate: '2026-03-01' }).body);
+            expect(json).to.deep.include({ granularity: 'raw', startDate: '2026-03-01' });
+            expect(json.rows).to.deep.equal([record]);
+
+            const csv = exportUsage([record], 'csv', { granularity: 'raw' }).body.split('\n');
+            expect(csv[0]).to.equal('id,timestamp,date,source_language,target_language,provider,session_id,metered_by,usage_type,amount');
+            expect(csv[1]).to.equal("7,2026-03-01T10:00:00.000Z,2026-03-01,'=cmd(),en,google,abc,server,translation,42");
+        });
+
+        it('should neutralize every cell a spreadsheet would run as a formula', () => {
+            const rows = ['-2+3', '+1', '@SUM(A1)', '\tcmd', '\rcmd', 'ro-RO'].map(sourceLanguage =>
+                ({ date: '2026-03-01', sourceLanguage, provider: 'google', usageType: 'translation', amount: 1 }));
+            const csv = exportUsage(rows, 'csv').body;
+            expect(csv.split('\n').slice(1, 4)).to.deep.equal([
+                "2026-03-01,'-2+3,google,translation,1",
+                "2026-03-01,'+1,google,translation,1",
+                "2026-03-01,'@SUM(A1),google,translation,1"
+            ]);
+            expect(csv).to.include("2026-03-01,'\tcmd,").and.include('2026-03-01,"\'\rcmd",');
+            expect(csv).to.include('2026-03-01,ro-RO,google,translation,1');
+        });
+
+        it('should reject unknown formats and granularities', () => {
+            expect(() => exportUsage([], 'xlsx')).to.throw(/Unknown export format "xlsx"/).with.property('code', 'EXPORT_INVALID');
+            expect(() => exportUsage([], 'csv', { granularity: 'hourly' })).to.throw(/Unknown granularity "hourly"/);
+        });
+    });
+
+    describe('Monthly report', () => {
+        const rows = [
+            row('2026-03-01', 'translation', 300000, 'ro-RO'),
+            row('2026-03-02', 'translation', 300000, 'ro-RO'),
+            row('2026-03-02', 'translation', 100000, 'en-US'),
+            row('2026-03-03', 'stt', 30, 'ro-RO', null),
+            row('2026-03-03', 'translation', 50000, 'ro-RO', 'http')
+        ];
+
+        it('should resolve month ranges and refuse months that have not started', () => {
+            const now = new Date('2026-03-10T12:00:00Z');
+            expect(monthRange('2026-02', now)).to.include({ month: '2026-02', startDate: '2026-02-01', endDate: '2026-02-28' });
+            expect(monthRange(undefined, now)).to.include({ month: '2026-03', endDate: '2026-03-31' });
+            expect(() => monthRange('2026-13', now)).to.throw(/YYYY-MM/).with.property('code', 'EXPORT_INVALID');
+            expect(() => monthRange('2026-04', now)).to.throw(/has not started/);
+        });
+
+        it('should total a past month with per-language costs and peak days', () => {
+            const report = buildMonthlyReport({ month: '2026-03', rows, pricing, now: new Date('2026-04-02T00:00:00Z') });
+
+            expect(report).to.include({ month: '2026-03', complete: true, currency: 'USD', projection: null });
+            // 700k priced characters, 500k free: 200k × $20/1M
+            expect(report.totals).to.deep.equal({ sttMinutes: 30, translationChars: 750000, glossaryChars: 0, cost: 4 });
+            expect(Object.keys(report.languages)).to.deep.equal(['ro-RO', 'en-US']);
+            // The 2nd day crosses the free tier: its 400k characters share the last 200k free ones
+            expect(report.languages['en-US'].cost).to.equal(1);
+            expect(report.peakDays.map(day => day.date)).to.deep.equal(['2026-03-02', '2026-03-01', '2026-03-03']);
+        });
+
+        it('should project the running month to its end', () => {
+            // 10 of 31 days: every row × 3.1
+            const report = buildMonthlyReport({ month: '2026-03', rows, pricing, now: new Date('2026-03-11T00:00:00Z') });
+
+            expect(report.complete).to.be.false;
+            expect(report.projection).to.include({ daysElapsed: 10, daysInMonth: 31, translationChars: 2325000 });
+            // 700k × 3.1 = 2.17M priced characters, 500k free; 93 STT minutes, 60 free
+            expect(report.projection.byType.translation.cost).to.equal(33.4);
+            expect(report.projection.cost).to.equal(34.192);
+        });
+
+        it('should write a statement as CSV', () => {
+            const report = buildMonthlyReport({ month: '2026-03', rows, pricing, now: new Date('2026-04-02T00:00:00Z') });
+            const { body, filename } = exportReport(report, 'csv');
+            const lines = body.trim().split('\n');
+
+            expect(filename).to.equal('gtranslate-billing-report-2026-03.csv');
+            expect(lines[0]).to.equal('line,stt_minutes,translation_chars,glossary_chars,stt_cost,translation_cost,glossary_cost,cost_usd');
+            expect(lines[lines.length - 1]).to.equal('total,30,750000,0,0,4,0,4');
+            expect(() => exportReport(report, 'pdf')).to.throw(/Unknown export format/);
+        });
+    });
+});
@@ -0,0 +1,296 @@
+/**
+ * Unit Tests for the billing storage backends
+ * One suite runs against the JSONL file store and — when TEST_DATABASE_URL points at a
+ * disposable Postgres database — against billing-db.js; then file-store specifics
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Pool } = require('pg');
+const FileBillingStore = require('../billing-file-store');
+const { createBillingStore, createPostgresStore } = require('../billing-store');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Wide enough for a database whose CURRENT_DATE is not the UTC date
+const yesterday = () => new Date(Date.now() - DAY_MS).toISOString().split('T')[0];
+const tomorrow = () => new Date(Date.now() + DAY_MS).toISOString().split('T')[0];
+
+function tempDir() {
+    return fs.mkdtempSync(path.join(os.tmpdir(), 'billing-store-'));
+}
+
+/**
+ * The backend contract: every backend must pass these
+ * @param {string} name
+ * @param {Object} backend - { open() → store, reset(store), close(store) }
+ */
+function describeBackend(name, backend) {
+    describe(`Billing Store contract (${name})`, function () {
+        let store;
+
+        before(async function () {
+            store = await backend.open(this);
+        });
+
+        after(async () => {
+            if (store) await backend.close(store);
+        });
+
+        beforeEach(async () => {
+            await backend.reset(store);
+        });
+
+        async function trackSample() {
+            await store.trackUsage('translation', 300, 'ro-RO', { targetLanguage: 'en', provider: 'google', sessionId: 'session-a', meteredBy: 'server' });
+            await store.trackUsage('translation', 200, 'ro-RO', { targetLanguage: 'en', provider: 'google', sessionId: 'session-a', meteredBy: 'server' });
+            await store.trackUsage('glossary', 120, 'ro-RO', { targetLanguage: 'es', provider: 'google', sessionId: 'session-b', meteredBy: 'server' });
+            await store.trackUsage('translation', 50, 'en-US', { targetLanguage: 'ro', provider: 'http', sessionId: 'session-b', meteredBy: 'server' });
+            await store.trackUsage('stt', 2.5, 'ro-RO');
+        }
+
+        it('should be connected once initialized', () => {
+            expect(store.isConnected()).to.be.true;
+        });
+
+        it('should summarize tracked usage per language, pair and provider', async () => {
+            await trackSample();
+            const summary = await store.getUsageSummary(yesterday(), tomorrow());
+
+            expect(summary.totals).to.deep.equal({ sttMinutes: 2.5, translationChars: 550, glossaryChars: 120 });
+            expect(summary.languages['ro-RO']).to.deep.equal({ sttMinutes: 2.5, translationChars: 500, glossaryChars: 120 });
+            expect(summary.pairs).to.deep.equal({
+                'en-US→ro': { sttMinutes: 0, translationChars: 50, glossaryChars: 0 },
+                'ro-RO→en': { sttMinutes: 0, translationChars: 500, glossaryChars: 0 },
+                'ro-RO→es': { sttMinutes: 0, translationChars: 0, glossaryChars: 120 }
+            });
+            expect(summary.providers.http.translationChars).to.equal(50);
+            expect(summary.providers.google).to.deep.equal({ sttMinutes: 0, translationChars: 500, glossaryChars: 120 });
+        });
+
+        it('should return nothing outside the range', async () => {
+            await trackSample();
+            const summary = await store.getUsageSummary('2000-01-01', '2000-01-31');
+            expect(summary.totals).to.deep.equal({ sttMinutes: 0, translationChars: 0, glossaryChars: 0 });
+            expect(await store.getUsageRows('2000-01-01', '2000-01-31')).to.deep.equal([]);
+        });
+
+        it('should total one session', async () => {
+            await trackSample();
+            const usage = await store.getSessionUsage('session-b');
+            expect(usage.totals).to.deep.equal({ sttMinutes: 0, translationChars: 50, glossaryChars: 120 });
+            expect(Object.keys(usage.pairs).sort()).to.deep.equal(['en-US→ro', 'ro-RO→es']);
+        });
+
+        it('should report daily usage', async () => {
+            await trackSample();
+            const days = await store.getDailyUsage(7);
+            expect(days).to.have.lengthOf(1);
+            expect(days[0]).to.include({ sttMinutes: 2.5, translationChars: 550, glossaryChars: 120 });
+        });
+
+        it('should group usage rows per day, language, provider and type', async () => {
+            await trackSample();
+            const rows = await store.getUsageRows(yesterday(), tomorrow());
+            const find = (language, provider, type) => rows.find(row =>
+                row.sourceLanguage === language && row.provider === provider && row.usageType === type);
+
+            expect(rows).to.have.lengthOf(4);
+            expect(find('ro-RO', 'google', 'translation').amount).to.equal(500);
+            expect(find('ro-RO', null, 'stt').amount).to.equal(2.5);
+        });
+
+        it('should list every record for exports', async () => {
+            await trackSample();
+            const records = await store.listUsageRecords(yesterday(), tomorrow());
+
+            expect(records).to.have.lengthOf(5);
+            expect(records[0]).to.include({
+                sourceLanguage: 'ro-RO', targetLanguage: 'en', provider: 'google', sessionId: 'session-a',
+                meteredBy: 'server', usageType: 'translation', amount: 300
+            });
+            expect(records[4]).to.include({ usageType: 'stt', meteredBy: 'client', provider: null });
+            expect(new Set(records.map(record => record.id)).size).to.equal(5);
+        });
+
+        it('should refuse unknown usage types', async () => {
+            sinon.stub(console, 'error');
+            try {
+                expect(await store.trackUsage('tts', 10, 'ro-RO')).to.be.false;
+            } finally {
+                console.error.restore();
+            }
+            expect((await store.getUsageSummary(yesterday(), tomorrow())).totals.translationChars).to.equal(0);
+        });
+
+        it('should keep recent usage when purging', async () => {
+            await trackSample();
+            expect(await store.purgeOldData(90, logger)).to.equal(0);
+            expect(await store.listUsageRecords(yesterday(), tomorrow())).to.have.lengthOf(5);
+        });
+
+        it('should log translations', async () => {
+            expect(await store.logTranslation({
+                sessionId: 'session-a', clientId: 'client_1', sourceText: 'Bună ziua', translatedText: 'Good day',
+                sourceLanguage: 'ro-RO', targetLanguage: 'en', reason: 'sentence_ending', appVersion: 'v1'
+            })).to.be.true;
+        });
+
+        it('should store and list session quality', async () => {
+            const endedAt = new Date().toISOString();
+            expect(await store.saveSessionQuality({
+                clientId: 'client_1', mode: 'talks', sourceLanguage: 'ro-RO', targetLanguage: 'en',
+                startedAt: endedAt, endedAt, translations: 3, lcpMatched: 2, lcpFallbacks: 1, reasons: { pause_detected: 3 }
+            })).to.be.true;
+
+            const records = await store.listSessionQuality(yesterday(), tomorrow());
+            expect(records).to.have.lengthOf(1);
+            expect(records[0]).to.include({ clientId: 'client_1', mode: 'talks', translations: 3, lcpMatched: 2 });
+            expect(records[0].reasons).to.deep.equal({ pause_detected: 3 });
+        });
+    });
+}
+
+describeBackend('file', {
+    async open() {
+        const store = new FileBillingStore(tempDir());
+        await store.initialize(logger);
+        return store;
+    },
+    async reset(store) {
+        await store.close(logger);
+        fs.rmSync(store.directory, { recursive: true, force: true });
+        await store.initialize(logger);
+    },
+    async close(store) {
+        await store.close(logger);
+        fs.rmSync(store.directory, { recursive: true, force: true });
+    }
+});
+
+describeBackend('postgres', {
+    pool: null,
+    async open(context) {
+        if (!process.env.TEST_DATABASE_URL) {
+            context.skip(); // Needs a disposable database: TEST_DATABASE_URL=postgres://…
+        }
+        this.savedUrl = process.env.DATABASE_URL;
+        process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+        this.pool = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+        const store = createPostgresStore();
+        expect(await store.initialize(logger)).to.be.true;
+        return store;
+    },
+    async reset() {
+        await this.pool.query('DELETE FROM billing_usage; DELETE FROM translation_log; DELETE FROM session_quality');
+    },
+    async close(store) {
+        await store.close(logger);
+        await this.pool.end();
+        if (this.savedUrl === undefined) delete process.env.DATABASE_URL;
+        else process.env.DATABASE_URL = this.savedUrl;
+    }
+});
+
+describe('Billing File Store', () => {
+    let directory;
+    let now;
+
+    beforeEach(() => {
+        directory = tempDir();
+        now = Date.UTC(2026, 2, 10, 12, 0, 0);
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    async function open() {
+        const store = new FileBillingStore(directory, { now: () => now });
+        await store.initialize(logger);
+        return store;
+    }
+
+    it('should keep usage across restarts', async () => {
+        const first = await open();
+        await first.trackUsage('translation', 100, 'ro-RO', { provider: 'google' });
+        await first.close(logger);
+
+        const second = await open();
+        await second.trackUsage('stt', 1.23456, 'ro-RO');
+        const records = await second.listUsageRecords('2026-03-01', '2026-03-31');
+
+        expect(records.map(record => [record.id, record.date, record.amount])).to.deep.equal([
+            [1, '2026-03-10', 100],
+            [2, '2026-03-10', 1.2346]
+        ]);
+    });
+
+    it('should skip a line cut short by a crash', async () => {
+        fs.writeFileSync(path.join(directory, FileBillingStore.FILES.usage),
+            '{"id":1,"timestamp":"2026-03-10T10:00:00.000Z","date":"2026-03-10","sourceLanguage":"ro-RO","usageType":"stt","amount":2}\n{"id":2,"times');
+        const warn = sinon.spy();
+        const store = new FileBillingStore(directory, { now: () => now });
+        await store.initialize({ ...logger, warn });
+
+        expect((await store.getUsageSummary('2026-03-01', '2026-03-31')).totals.sttMinutes).to.equal(2);
+        expect(warn.calledOnce).to.be.true;
+    });
+
+    it('should purge old usage and rewrite the file', async () => {
+        const store = await open();
+        await store.trackUsage('translation', 100, 'ro-RO');
+        now += 100 * DAY_MS;
+        await store.trackUsage('translation', 40, 'ro-RO');
+
+        expect(await store.purgeOldData(90, logger)).to.equal(1);
+        const lines = fs.readFileSync(path.join(directory, FileBillingStore.FILES.usage), 'utf8').trim().split('\n');
+        expect(lines).to.have.lengthOf(1);
+        expect(JSON.parse(lines[0]).amount).to.equal(40);
+    });
+
+    it('should keep the translation log to 45 minutes and compact the file', async () => {
+        const store = await open();
+        for (let i = 0; i < 1001; i++) {
+            await store.logTranslation({ sessionId: 's', sourceText: `text ${i}` });
+        }
+        expect(store.translationLog).to.have.lengthOf(500);
+        const lines = fs.readFileSync(path.join(directory, FileBillingStore.FILES.translationLog), 'utf8').trim().split('\n');
+        expect(lines).to.have.lengthOf(500);
+
+        now += 46 * 60 * 1000;
+        await store.logTranslation({ sessionId: 's', sourceText: 'later' });
+        expect(store.translationLog.map(entry => entry.sourceText)).to.deep.equal(['later']);
+    });
+
+    it('should not archive sessions', async () => {
+        const store = await open();
+        expect(store.supportsArchive).to.be.false;
+        expect(await store.startArchivedSession({ id: 'x' })).to.be.false;
+        expect(await store.listArchivedSessions()).to.deep.equal({ total: 0, sessions: [] });
+    });
+});
+
+describe('Billing store selection', () => {
+    it('should use Postgres with DATABASE_URL and files without', () => {
+        expect(createBillingStore({ databaseUrl: 'postgres://localhost/x', dataDir: '/tmp/x' }).name).to.equal('postgres');
+        expect(createBillingStore({ databaseUrl: '', dataDir: '/tmp/x' })).to.be.an.instanceOf(FileBillingStore);
+        expect(createBillingStore({ backend: 'file', databaseUrl: 'postgres://localhost/x', dataDir: '/tmp/x' }).name).to.equal('file');
+    });
+
+    it('should keep nothing with BILLING_STORE=none', async () => {
+        const store = createBillingStore({ backend: 'none' });
+        expect(await store.initialize(logger)).to.be.false;
+        expect(store.isConnected()).to.be.false;
+        expect(await store.trackUsage('stt', 1, 'ro-RO')).to.be.false;
+    });
+
+    it('should reject an unknown backend', () => {
+        expect(() => createBillingStore({ backend: 'sqlite' })).to.throw(/Unknown BILLING_STORE "sqlite"/)
+            .with.property('code', 'BILLING_STORE_INVALID');
+    });
+});
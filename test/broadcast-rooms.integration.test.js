@@ -0,0 +1,62 @@
+/**
+ * Integration Tests for broadcast rooms
+ * Per-language fan-out from a presenter's session to room listeners
+ */
+
+const { describe, it, afterEach } = require('mocha');
+const { expect } = require('chai');
+const { useApp, nextEvent } = require('./helpers/app-harness');
+
+describe('Broadcast Rooms Integration', () => {
+    const harness = useApp();
+    let listener;
+
+    afterEach(() => {
+        if (listener) listener.disconnect();
+        listener = null;
+    });
+
+    async function joinRoom(roomCode, targetLang) {
+        listener = harness.connect();
+        await nextEvent(listener, 'server-info');
+        const joined = nextEvent(listener, 'room-joined');
+        listener.emit('join-room', { roomCode, targetLang });
+        return joined;
+    }
+
+    it('should translate each chunk once per listener language', async () => {
+        await harness.startSession({ mode: 'talks', roomCode: 'hall-1' });
+        await joinRoom('hall-1', 'es');
+
+        const heard = nextEvent(listener, 'translation-result');
+        await harness.translateSentence('Astăzi vom citi împreună din cartea lui Iona.');
+
+        expect(await heard).to.include({ targetLanguage: 'es', translated: '<es> Astăzi vom citi împreună din cartea lui Iona.', count: 1 });
+    });
+
+    it('should still reach listeners when the presenter language skips a chunk as a duplicate', async () => {
+        // English repeats itself ("Amen."), Spanish translates every chunk
+        const translator = {
+            name: 'fake',
+            async translate({ text, targetLanguage }) {
+                return { translatedText: targetLanguage === 'en' ? 'Amen.' : `<${targetLanguage}> ${text}` };
+            }
+        };
+        await harness.close();
+        await harness.open({ translator });
+        await harness.startSession({ mode: 'talks', roomCode: 'hall-1' });
+        await joinRoom('hall-1', 'es');
+
+        const presenter = [];
+        harness.socket.on('translation-result', data => presenter.push(data.translated));
+
+        const first = nextEvent(listener, 'translation-result');
+        await harness.sendTranscript('Astăzi vom citi împreună din cartea lui Iona.', true);
+        expect((await first).translated).to.equal('<es> Astăzi vom citi împreună din cartea lui Iona.');
+
+        const second = nextEvent(listener, 'translation-result');
+        await harness.sendTranscript('Iona a fost un profet al lui Dumnezeu.', true);
+        expect(await second).to.include({ translated: '<es> Iona a fost un profet al lui Dumnezeu.', count: 2 });
+        expect(presenter).to.deep.equal(['Amen.']);
+    });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit Tests for BroadcastRoomRegistry
+ * Room membership and per-language fan-out bookkeeping
+ */
+
+const { expect } = require('chai');
+const BroadcastRoomRegistry = require('../broadcast-rooms');
+
+describe('BroadcastRoomRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+        registry = new BroadcastRoomRegistry();
+    });
+
+    describe('Room codes', () => {
+        it('should normalize codes case-insensitively', () => {
+            expect(BroadcastRoomRegistry.normalizeCode(' Hall-1 ')).to.equal('hall-1');
+        });
+
+        it('should reject invalid codes', () => {
+            expect(BroadcastRoomRegistry.normalizeCode('ab')).to.be.null;
+            expect(BroadcastRoomRegistry.normalizeCode('has space')).to.be.null;
+            expect(BroadcastRoomRegistry.normalizeCode(undefined)).to.be.null;
+        });
+
+        it('should build one channel per room and language', () => {
+            expect(BroadcastRoomRegistry.channelName('hall-1', 'es')).to.equal('room:hall-1:es');
+        });
+    });
+
+    describe('Presenters', () => {
+        it('should open a room for a presenter', () => {
+            const room = registry.openRoom('hall-1', 'presenter-a', { sourceLanguage: 'ro-RO', targetLanguage: 'en' });
+            expect(room.presenterId).to.equal('presenter-a');
+            expect(registry.getRoom('hall-1')).to.equal(room);
+        });
+
+        it('should not let another presenter take over an open room', () => {
+            registry.openRoom('hall-1', 'presenter-a', { sourceLanguage: 'ro-RO', targetLanguage: 'en' });
+            expect(registry.openRoom('hall-1', 'presenter-b', { sourceLanguage: 'ro-RO', targetLanguage: 'en' })).to.be.null;
+        });
+
+        it('should keep listeners when the same presenter reopens the room', () => {
+            registry.openRoom('hall-1', 'presenter-a', { sourceLanguage: 'ro-RO', targetLanguage: 'en' });
+            registry.addListener('hall-1', 'listener-1', 'es');
+            const room = registry.openRoom('hall-1', 'presenter-a', { sourceLanguage: 'ro-RO', targetLanguage: 'fr' });
+            expect(room.listeners.size).to.equal(1);
+            expect(room.targetLanguage).to.equal('fr');
+        });
+
+        it('should return listener IDs when a room closes', () => {
+            registry.openRoom('hall-1', 'presenter-a', { sourceLanguage: 'ro-RO', targetLanguage: 'en' });
+            registry.addListener('hall-1', 'listener-1', 'es');
+            registry.addListener('hall-1', 'listener-2', 'fr');
+
+            expect(registry.closeRoom('hall-1')).to.have.members(['listener-1', 'listener-2']);
+            expect(registry.getRoom('hall-1')).to.be.null;
+            expect(registry.closeRoom('hall-1')).to.deep.equal([]);
+        });
+    });
+
+    describe('Listeners', () => {
+        beforeEach(() => {
+            registry.openRoom('hall-1', 'presenter-a', { sourceLanguage: 'ro-RO', targetLanguage: 'en' });
+        });
+
+        it('should refuse listeners for unknown rooms', () => {
+            expect(() => registry.addListener('nope', 'listener-1', 'es')).to.throw(/does not exist/);
+        });
+
+        it('should report the previous language when a listener switches', () => {
+            expect(registry.addListener('hall-1', 'listener-1', 'es')).to.be.null;
+            expect(registry.addListener('hall-1', 'listener-1', 'fr')).to.equal('es');
+            expect(registry.removeListener('hall-1', 'listener-1')).to.equal('fr');
+            expect(registry.removeListener('hall-1', 'listener-1')).to.be.null;
+        });
+
+        it('should list each extra listener language once, excluding the presenter target', () => {
+            registry.addListener('hall-1', 'listener-1', 'es');
+            registry.addListener('hall-1', 'listener-2', 'es');
+            registry.addListener('hall-1', 'listener-3', 'en');
+            registry.addListener('hall-1', 'listener-4', 'ru');
+
+            expect(registry.getListenerLanguages('hall-1')).to.have.members(['es', 'ru']);
+            expect(registry.getStats()).to.deep.equal({ rooms: 1, listeners: 4 });
+        });
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * Unit Tests for BudgetGuard
+ * Config validation, soft/hard levels, month-to-date refresh from the billing store
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const BudgetGuard = require('../budget-guard');
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+function usage(translationChars, glossaryChars = 0) {
+    return { sttMinutes: 0, translationChars, glossaryChars };
+}
+
+function createStore(summary, connected = true) {
+    return {
+        summary,
+        calls: [],
+        isConnected: () => connected,
+        async getUsageSummary(start, end) {
+            this.calls.push({ start, end });
+            return this.summary;
+        }
+    };
+}
+
+describe('BudgetGuard', () => {
+    let now;
+    const config = { enabled: true, monthlyCharacters: 1000, softThreshold: 0.8, hardThreshold: 1.0, refreshIntervalMs: 60000 };
+
+    beforeEach(() => {
+        now = Date.UTC(2026, 2, 15, 12, 0, 0);
+    });
+
+    function createGuard(overrides = {}, options = {}) {
+        return new BudgetGuard({ ...config, ...overrides }, { now: () => now, logger, ...options });
+    }
+
+    describe('Config', () => {
+        it('should load the bundled config', () => {
+            const loaded = BudgetGuard.loadConfig(BudgetGuard.DEFAULT_FILE);
+            expect(BudgetGuard.validate(loaded)).to.deep.equal([]);
+            expect(loaded.monthlyCharacters).to.equal(500000);
+        });
+
+        it('should ship disabled', () => {
+            const loaded = BudgetGuard.loadConfig(BudgetGuard.DEFAULT_FILE);
+            expect(loaded.enabled).to.equal(false);
+            expect(new BudgetGuard({}).config.enabled).to.equal(false);
+        });
+
+        it('should list every problem', () => {
+            const problems = BudgetGuard.validate({
+                monthlyCharacters: 0,
+                softThreshold: 1.2,
+                hardThreshold: 1.0,
+                hardAction: 'fallback_provider',
+                freeProviders: ['nope'],
+                colour: 'red'
+            });
+            expect(problems).to.deep.equal([
+                'unknown field "colour"',
+                'monthlyCharacters must be a positive integer',
+                'softThreshold must not exceed hardThreshold',
+                'hardAction "fallback_provider" needs a fallbackProvider',
+                'freeProviders must list providers from: google, mock, http'
+            ]);
+        });
+
+        it('should throw BUDGET_INVALID with details', () => {
+            expect(() => createGuard({ hardAction: 'panic' })).to.throw()
+                .that.satisfies(error => error.code === 'BUDGET_INVALID' && error.details.length === 1);
+        });
+
+        it('should report a missing file as BUDGET_INVALID', () => {
+            expect(() => BudgetGuard.loadConfig(path.join(__dirname, 'missing-budget.json')))
+                .to.throw(/Cannot read budget config/).with.property('code', 'BUDGET_INVALID');
+        });
+    });
+
+    describe('Levels', () => {
+        it('should warn at the soft threshold and act at the hard cap', () => {
+            const changes = [];
+            const guard = createGuard({ hardAction: 'slow_down' }, { onChange: (state, previous) => changes.push([previous, state.level]) });
+
+            guard.recordUsage('google', 700);
+            expect(guard.getState()).to.include({ level: 'ok', usedChars: 700, ratio: 0.7, action: null });
+            guard.recordUsage('google', 100);
+            expect(guard.level).to.equal('soft');
+            expect(guard.getTimingFactor()).to.equal(1);
+            guard.recordUsage('google', 250);
+
+            expect(guard.getState()).to.include({ level: 'hard', usedChars: 1050, action: 'slow_down', softLimitChars: 800, hardLimitChars: 1000 });
+            expect(guard.getTimingFactor()).to.equal(3);
+            expect(changes).to.deep.equal([['ok', 'soft'], ['soft', 'hard']]);
+        });
+
+        it('should not count free providers', () => {
+            const guard = createGuard();
+            guard.recordUsage('http', 5000);
+            guard.recordUsage('mock', 5000);
+            expect(guard.getState()).to.include({ usedChars: 0, level: 'ok' });
+        });
+
+        it('should start over in a new month', () => {
+            const guard = createGuard();
+            guard.recordUsage('google', 1200);
+            expect(guard.getAction()).to.equal('refuse');
+
+            now = Date.UTC(2026, 3, 1, 0, 5, 0);
+            guard.recordUsage('google', 10);
+            expect(guard.getState()).to.include({ month: '2026-04', usedChars: 10, level: 'ok', action: null });
+        });
+
+        it('should never act when disabled', () => {
+            const guard = createGuard({ enabled: false });
+            guard.recordUsage('google', 5000);
+            expect(guard.getAction()).to.be.null;
+        });
+    });
+
+    describe('Month-to-date usage', () => {
+        it('should read the month from the store, minus free providers', async () => {
+            const store = createStore({
+                totals: usage(900, 100),
+                providers: { google: usage(600, 100), http: usage(300) }
+            });
+            const guard = createGuard({}, { store });
+
+            const state = await guard.refresh();
+            expect(store.calls[0].start.getTime()).to.equal(Date.UTC(2026, 2, 1));
+            expect(state).to.include({ usedChars: 700, level: 'ok', source: 'database' });
+            expect(state.updatedAt).to.equal(new Date(now).toISOString());
+        });
+
+        it('should keep counting between refreshes and re-read when stale', async () => {
+            const store = createStore({ totals: usage(500), providers: { google: usage(500) } });
+            const guard = createGuard({}, { store });
+            await guard.refresh();
+
+            guard.recordUsage('google', 350);
+            expect(guard.level).to.equal('soft');
+            expect(store.calls).to.have.lengthOf(1);
+
+            now += 60000;
+            store.summary = { totals: usage(1050), providers: { google: usage(1050) } }; // Both writes landed
+            guard.recordUsage('google', 200);
+            await guard.refreshing;
+            expect(store.calls).to.have.lengthOf(2);
+            expect(guard.getState()).to.include({ usedChars: 1050, level: 'hard' });
+        });
+
+        it('should keep usage whose write has not landed when refreshing', async () => {
+            const store = createStore({ totals: usage(500), providers: { google: usage(500) } });
+            const guard = createGuard({}, { store });
+            await guard.refresh();
+
+            let finishWrite;
+            const write = new Promise(resolve => { finishWrite = resolve; });
+            guard.recordUsage('google', 100);                 // Already written
+            guard.recordUsage('google', 200, write);          // Still being written
+            store.summary = { totals: usage(600), providers: { google: usage(600) } };
+            now += 60000;
+            expect((await guard.refresh()).usedChars).to.equal(800);
+
+            finishWrite(true);
+            await new Promise(resolve => setImmediate(resolve));
+            store.summary = { totals: usage(800), providers: { google: usage(800) } };
+            now += 60000;
+            expect((await guard.refresh()).usedChars).to.equal(800);
+        });
+
+        it('should not lower usage on a failed read', async () => {
+            const store = createStore({ totals: usage(900), providers: {} });
+            const guard = createGuard({}, { store });
+            await guard.refresh();
+
+            store.summary = { totals: usage(0), languages: {} };
+            expect((await guard.refresh()).usedChars).to.equal(900);
+        });
+
+        it('should count in memory without a database', async () => {
+            const store = createStore({ totals: usage(999999) }, false);
+            const guard = createGuard({}, { store });
+            guard.recordUsage('google', 100);
+
+            expect(await guard.refresh()).to.include({ usedChars: 100, source: 'memory' });
+            expect(store.calls).to.have.lengthOf(0);
+        });
+    });
+});
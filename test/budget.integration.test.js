@@ -0,0 +1,49 @@
+/**
+ * Integration Tests for the translation budget
+ * Soft warnings, refused translations and the fallback provider at the hard cap
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const { useApp, createFakeTranslator, nextEvent } = require('./helpers/app-harness');
+
+describe('Translation Budget Integration', () => {
+    const harness = useApp();
+    const budget = { enabled: true, monthlyCharacters: 75, softThreshold: 0.5, hardThreshold: 1.0, freeProviders: [] };
+
+    it('should warn at the soft threshold and refuse new translations at the hard cap', async () => {
+        await harness.close();
+        const info = await harness.open({ budget: { ...budget, hardAction: 'refuse' } });
+        expect(info.budget).to.include({ level: 'ok', monthlyCharacters: 75 });
+        await harness.startSession({ mode: 'talks' });
+
+        const soft = nextEvent(harness.socket, 'budget-status');
+        await harness.translateSentence('Astăzi vom citi împreună din cartea lui Iona.');
+        expect(await soft).to.include({ level: 'soft', action: null });
+
+        const hard = nextEvent(harness.socket, 'budget-status');
+        await harness.translateSentence('Iona a fost un profet al lui Dumnezeu.');
+        expect(await hard).to.include({ level: 'hard', action: 'refuse' });
+
+        const refused = nextEvent(harness.socket, 'translation-error');
+        await harness.sendTranscript('El a fugit de la fața Domnului.', true);
+        expect((await refused).code).to.equal('BUDGET_EXCEEDED');
+        expect(harness.translator.calls).to.have.lengthOf(2);
+    });
+
+    it('should switch to the fallback provider at the hard cap', async () => {
+        const fallback = createFakeTranslator();
+        fallback.name = 'http';
+        await harness.close();
+        await harness.open({ budget: { ...budget, hardAction: 'fallback_provider', fallbackProvider: 'http' }, fallbackTranslator: fallback });
+        await harness.startSession({ mode: 'talks' });
+
+        await harness.translateSentence('Astăzi vom citi împreună din cartea lui Iona.');
+        await harness.translateSentence('Iona a fost un profet al lui Dumnezeu.');
+        await harness.translateSentence('El a fugit de la fața Domnului.');
+
+        expect(harness.translator.calls).to.have.lengthOf(2);
+        expect(fallback.calls).to.have.lengthOf(1);
+        expect(harness.billingStore.usage.map(entry => entry.provider)).to.deep.equal(['fake', 'fake', 'http']);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Unit Tests for FillerLexicon
+ * config/fillers.json validation, filler-only detection and disfluency stripping
+ */
+
+const { expect } = require('chai');
+const FillerLexicon = require('../filler-lexicon');
+const TranslationRulesEngine = require('../translation-rules-engine');
+
+const mockLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+describe('FillerLexicon', () => {
+    const lexicon = FillerLexicon.fromFile();
+
+    describe('config/fillers.json', () => {
+        it('should cover every source language offered in index.html', () => {
+            expect(lexicon.getLanguages()).to.include.members(['ro', 'en', 'es', 'fr', 'de', 'it', 'pt', 'ru', 'ja', 'zh']);
+        });
+
+        it('should report every invalid language entry', () => {
+            try {
+                new FillerLexicon({
+                    languages: {
+                        english: { fillers: ['uh'] },
+                        ro: { fillers: 'ă' },
+                        de: { fillers: [], markers: [] },
+                        ja: { fillers: ['えー'], wordBoundaries: 'no' }
+                    }
+                });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.code).to.equal('FILLERS_INVALID');
+                expect(error.details).to.have.members([
+                    'Language "english": must be a two-letter language code',
+                    'Language "ro": fillers and markers must be lists of words or phrases',
+                    'Language "de": needs at least one filler or marker',
+                    'Language "ja": wordBoundaries must be true or false'
+                ]);
+            }
+        });
+    });
+
+    describe('isFillerOnly', () => {
+        it('should match multi-word phrases and elongated fillers', () => {
+            expect(lexicon.isFillerOnly('you know, I mean, like', 'en-US')).to.be.true;
+            expect(lexicon.isFillerOnly('ummm... uhhh', 'en')).to.be.true;
+            expect(lexicon.isFillerOnly('ăăă păi cum să zic', 'ro-RO')).to.be.true;
+        });
+
+        it('should use the lexicon of the source language only', () => {
+            expect(lexicon.isFillerOnly('euh bon', 'fr-FR')).to.be.true;
+            expect(lexicon.isFillerOnly('euh bon', 'en-US')).to.be.false;
+        });
+
+        it('should combine every lexicon when the language is unknown', () => {
+            expect(lexicon.isFillerOnly('um păi euh ну', null)).to.be.true;
+            expect(lexicon.isFillerOnly('um păi euh ну', 'nl-NL')).to.be.true;
+        });
+
+        it('should not treat words that merely contain a filler as fillers', () => {
+            expect(lexicon.isFillerOnly('umbrella', 'en')).to.be.false;
+            // Romanian "e" (is) is a word, only the drawn-out "eee" is a hesitation
+            expect(lexicon.isFillerOnly('e', 'ro')).to.be.false;
+            expect(lexicon.isFillerOnly('eee', 'ro')).to.be.true;
+        });
+
+        it('should work for languages written without spaces', () => {
+            expect(lexicon.isFillerOnly('えーと、あの', 'ja-JP')).to.be.true;
+            expect(lexicon.isFillerOnly('嗯那个', 'zh-CN')).to.be.true;
+            expect(lexicon.isFillerOnly('嗯我们读圣经', 'zh-CN')).to.be.false;
+        });
+    });
+
+    describe('strip', () => {
+        it('should remove fillers, comma-delimited markers and immediate repetitions', () => {
+            const result = lexicon.strip('So, um, we will we will go to the the church, you know, today.', 'en-US');
+            expect(result.text).to.equal('we will go to the church, today.');
+            expect(result.removed).to.deep.include.members([
+                { type: 'filler', text: 'um' },
+                { type: 'marker', text: 'So' },
+                { type: 'marker', text: 'you know' },
+                { type: 'repetition', text: 'we will' },
+                { type: 'repetition', text: 'the' }
+            ]);
+        });
+
+        it('should clean Romanian transcripts', () => {
+            expect(lexicon.strip('Păi, ăăă, noi am mers la la biserică', 'ro-RO').text).to.equal('noi am mers la biserică');
+        });
+
+        it('should keep markers that are part of the sentence', () => {
+            expect(lexicon.strip('I like the way you know the answer', 'en').text).to.equal('I like the way you know the answer');
+        });
+
+        it('should keep repeated sentences and numbers', () => {
+            expect(lexicon.strip('Amen. Amen.', 'en').text).to.equal('Amen. Amen.');
+            expect(lexicon.strip('verse 10 10 says', 'en').text).to.equal('verse 10 10 says');
+        });
+
+        it('should strip fillers in languages written without spaces', () => {
+            expect(lexicon.strip('えーと、今日は聖書を読みます', 'ja').text).to.equal('今日は聖書を読みます');
+        });
+
+        it('should not strip fillers out of words in languages written without spaces', () => {
+            expect(lexicon.strip('这笔金额很大', 'zh').text).to.equal('这笔金额很大');
+            expect(lexicon.strip('额外的名额', 'zh').text).to.equal('额外的名额');
+            expect(lexicon.strip('嗯，这笔金额很大', 'zh').text).to.equal('这笔金额很大');
+
+            const custom = new FillerLexicon({ languages: { zh: { wordBoundaries: false, fillers: ['额'] } } });
+            expect(custom.strip('这笔金额很大', 'zh')).to.deep.equal({ text: '这笔金额很大', removed: [] });
+            expect(custom.strip('额，额外的名额', 'zh').text).to.equal('额外的名额');
+            expect(custom.isFillerOnly('额', 'zh')).to.be.true;
+        });
+    });
+
+    describe('TranslationRulesEngine', () => {
+        it('should detect filler-only chunks with the session language', () => {
+            const engine = new TranslationRulesEngine('interpreter', mockLogger, null, { language: 'fr-FR' });
+            expect(engine.checkQuality('euh, genre, du coup').reason).to.equal('filler_words_only');
+            expect(engine.checkQuality('euh nous lisons la Bible').meetsMinimum).to.be.true;
+        });
+    });
+});
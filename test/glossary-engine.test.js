@@ -0,0 +1,200 @@
+/**
+ * Unit Tests for GlossaryEngine
+ * CSV loading, placeholder protection and target-term restoration
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GlossaryEngine = require('../glossary-engine');
+const { parseCsv, toCsv, validateEntries } = GlossaryEngine;
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+describe('GlossaryEngine', () => {
+    let tmpDir;
+    let engine;
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'glossary-'));
+        fs.writeFileSync(path.join(tmpDir, 'ro_en.csv'), [
+            'ro,en',
+            'congres de circuit,circuit assembly',
+            'congres,convention',
+            'Sala Regatului,Kingdom Hall',
+            'Iehova,Jehovah',
+            'Romani,Romans',
+            'frați,brothers',
+            'Iehova,Jehova (duplicate)',
+            'vestitor,'
+        ].join('\n'));
+        fs.writeFileSync(path.join(tmpDir, 'en_ro.csv'), 'en,ro\nKingdom Hall,Sala Regatului\n');
+
+        engine = new GlossaryEngine({ directory: tmpDir, files: ['ro_en.csv', 'en_ro.csv'], logger: silentLogger });
+        engine.load();
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    describe('CSV', () => {
+        it('should parse quoted fields and strip a BOM', () => {
+            expect(parseCsv('\uFEFFro,en\n"a, b","say ""hi"""\r\n')).to.deep.equal([
+                ['ro', 'en'],
+                ['a, b', 'say "hi"']
+            ]);
+        });
+
+        it('should round-trip through toCsv', () => {
+            const rows = [['ro', 'en'], ['a, b', 'say "hi"']];
+            expect(parseCsv(toCsv(rows))).to.deep.equal(rows);
+        });
+    });
+
+    describe('Loading', () => {
+        it('should key glossaries by the header language pair', () => {
+            const ids = engine.listGlossaries().map(g => g.id);
+            expect(ids).to.have.members(['ro-en', 'en-ro']);
+            expect(engine.getGlossary('ro-RO', 'en')).to.not.be.null;
+            expect(engine.getGlossary('ro', 'es')).to.be.null;
+        });
+
+        it('should skip duplicate sources and empty targets', () => {
+            const roEn = engine.listGlossaries().find(g => g.id === 'ro-en');
+            expect(roEn.entries).to.equal(6);
+            expect(roEn.protectedEntries).to.equal(4); // multi-word + capitalized only
+        });
+
+        it('should bump the version on every load', () => {
+            const before = engine.version;
+            engine.load();
+            expect(engine.version).to.equal(before + 1);
+        });
+
+        it('should survive a missing file', () => {
+            const partial = new GlossaryEngine({ directory: tmpDir, files: ['missing.csv', 'en_ro.csv'], logger: silentLogger });
+            expect(partial.load().map(g => g.id)).to.deep.equal(['en-ro']);
+        });
+    });
+
+    describe('protect/restore', () => {
+        it('should prefer the longest matching term', () => {
+            const protection = engine.protect('Mergem la congres de circuit', 'ro', 'en');
+            expect(protection.text).to.equal('Mergem la [G0]');
+            expect(protection.terms[0].target).to.equal('circuit assembly');
+        });
+
+        it('should round-trip terms through a translation', () => {
+            const protection = engine.protect('Iehova ne așteaptă la sala regatului.', 'ro', 'en');
+            expect(protection.glossaryId).to.equal('ro-en');
+            expect(protection.text).to.equal('[G1] ne așteaptă la [G0].');
+
+            const restored = engine.restore('[G1] awaits us at the [ g0 ].', protection);
+            expect(restored.text).to.equal('Jehovah awaits us at the Kingdom Hall.');
+            expect(restored.applied).to.equal(2);
+            expect(restored.missing).to.deep.equal([]);
+        });
+
+        it('should match capitalized single words case-sensitively', () => {
+            const protection = engine.protect('romani din Romani', 'ro', 'en');
+            expect(protection.text).to.equal('romani din [G0]');
+        });
+
+        it('should leave single lowercase words to the provider', () => {
+            const protection = engine.protect('Dragi frați, bine ați venit', 'ro', 'en');
+            expect(protection).to.include({ text: 'Dragi frați, bine ați venit', glossaryId: 'ro-en' });
+            expect(protection.terms).to.deep.equal([]);
+            expect(engine.restore('Dear brethren, welcome', protection).text).to.equal('Dear brethren, welcome');
+        });
+
+        it('should not match inside other words', () => {
+            expect(engine.protect('Iehovaaa', 'ro', 'en').terms).to.deep.equal([]);
+        });
+
+        it('should report tokens the engine dropped', () => {
+            const protection = engine.protect('Iehova și Sala Regatului', 'ro', 'en');
+            const restored = engine.restore('[G1] and the hall', protection);
+            expect(restored.missing).to.deep.equal(['Sala Regatului']);
+        });
+
+        it('should pass text through when no glossary covers the pair', () => {
+            const protection = engine.protect('Iehova', 'ro', 'es');
+            expect(protection).to.include({ text: 'Iehova', glossaryId: null });
+            expect(engine.restore('Jehová', protection).text).to.equal('Jehová');
+        });
+    });
+
+    describe('Editing', () => {
+        const readCsv = (file) => parseCsv(fs.readFileSync(path.join(tmpDir, file), 'utf8'));
+
+        it('should validate duplicates and empty targets', () => {
+            expect(validateEntries([
+                { source: 'frați', target: 'brothers' },
+                { source: 'Frați', target: 'brethren' },
+                { source: 'surori', target: ' ' }
+            ])).to.have.lengthOf(2);
+        });
+
+        it('should add an entry, write the CSV and apply it immediately', () => {
+            const version = engine.version;
+            engine.addEntry('ro-en', { source: 'Betel', target: 'Bethel' });
+
+            expect(engine.version).to.equal(version + 1);
+            expect(engine.protect('la Betel', 'ro', 'en').terms[0].target).to.equal('Bethel');
+            expect(readCsv('ro_en.csv')).to.deep.include(['Betel', 'Bethel']);
+        });
+
+        it('should reject a duplicate source term', () => {
+            expect(() => engine.addEntry('ro-en', { source: 'iehova', target: 'Jehovah' }))
+                .to.throw().with.property('code', 'GLOSSARY_DUPLICATE');
+        });
+
+        it('should reject an empty target', () => {
+            expect(() => engine.addEntry('ro-en', { source: 'Betel', target: '' }))
+                .to.throw().with.property('code', 'GLOSSARY_INVALID');
+        });
+
+        it('should update and delete entries by source term', () => {
+            engine.updateEntry('ro-en', 'iehova', { target: 'JEHOVAH' });
+            expect(engine.getEntries('ro-en')).to.deep.include({ source: 'Iehova', target: 'JEHOVAH' });
+
+            engine.deleteEntry('ro-en', 'Iehova');
+            expect(engine.protect('Iehova', 'ro', 'en').terms).to.deep.equal([]);
+            expect(() => engine.deleteEntry('ro-en', 'Iehova')).to.throw().with.property('code', 'GLOSSARY_NOT_FOUND');
+        });
+
+        it('should throw for unknown glossaries', () => {
+            expect(() => engine.getEntries('ro-fr')).to.throw().with.property('code', 'GLOSSARY_NOT_FOUND');
+        });
+
+        it('should merge an imported CSV', () => {
+            const result = engine.importCsv('ro-en', 'ro,en\nIehova,Jehovah God\nBetel,Bethel\n', 'merge');
+            expect(result).to.deep.equal({ added: 1, updated: 1, total: 7 });
+        });
+
+        it('should replace entries from an imported CSV', () => {
+            engine.importCsv('ro-en', 'ro,en\nBetel,Bethel\n', 'replace');
+            expect(engine.getEntries('ro-en')).to.deep.equal([{ source: 'Betel', target: 'Bethel' }]);
+        });
+
+        it('should reject imports with the wrong language pair or columns', () => {
+            expect(() => engine.importCsv('ro-en', 'en,ro\nBethel,Betel\n')).to.throw(/ro,en/);
+
+            try {
+                engine.importCsv('ro-en', 'ro,en\nBetel,Bethel,extra\nfrați,\n');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.code).to.equal('GLOSSARY_INVALID');
+                expect(error.details).to.have.lengthOf(2);
+            }
+            expect(engine.getEntries('ro-en')).to.have.lengthOf(6); // unchanged
+        });
+
+        it('should export what it loaded', () => {
+            const rows = parseCsv(engine.exportCsv('en-ro'));
+            expect(rows).to.deep.equal([['en', 'ro'], ['Kingdom Hall', 'Sala Regatului']]);
+        });
+    });
+});
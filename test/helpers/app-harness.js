@@ -0,0 +1,203 @@
+/**
+ * In-process app harness for the integration tests
+ * Runs createApp with a fake translator, a fake clock for the pause and inactivity timers
+ * and an in-memory billing store — no credentials or database — and connects one client.
+ *
+ *   const harness = useApp();        // registers beforeEach/afterEach
+ *   await harness.startSession({ mode: 'talks' });
+ *   await harness.get('/api/quality');
+ */
+
+const { beforeEach, afterEach } = require('mocha');
+const http = require('http');
+const io = require('socket.io-client');
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+const { createApp } = require('../../server');
+
+// Timers run only when the test advances the clock
+function createFakeClock(start = Date.UTC(2025, 0, 5, 10, 0, 0)) {
+    let now = start;
+    let nextId = 1;
+    let timers = [];
+
+    return {
+        now: () => now,
+        setTimeout(fn, ms) {
+            const timer = { id: nextId++, due: now + ms, fn };
+            timers.push(timer);
+            return timer.id;
+        },
+        clearTimeout(id) {
+            timers = timers.filter(timer => timer.id !== id);
+        },
+        advance(ms) {
+            const target = now + ms;
+            for (;;) {
+                const due = timers.filter(timer => timer.due <= target).sort((a, b) => a.due - b.due || a.id - b.id)[0];
+                if (!due) break;
+                timers = timers.filter(timer => timer !== due);
+                now = due.due;
+                due.fn();
+            }
+            now = target;
+        }
+    };
+}
+
+function createFakeTranslator() {
+    return {
+        name: 'fake',
+        supportsGlossary: false,
+        calls: [],
+        async translate({ text, sourceLanguage, targetLanguage }) {
+            this.calls.push({ text, sourceLanguage, targetLanguage });
+            return { translatedText: `<${targetLanguage}> ${text}` };
+        }
+    };
+}
+
+function createFakeBillingStore() {
+    return {
+        translations: [],
+        quality: [],
+        usage: [],
+        rows: [],
+        isConnected: () => false,
+        async logTranslation(entry) { this.translations.push(entry); return true; },
+        async saveSessionQuality(record) { this.quality.push(record); return true; },
+        async listSessionQuality() { return this.quality; },
+        async trackUsage(type, amount, language, details = {}) { this.usage.push({ type, amount, language, ...details }); return true; },
+        async getUsageSummary() { return []; },
+        async getDailyUsage() { return []; },
+        async getUsageRows(start, end) {
+            const last = new Date(end).toISOString().split('T')[0];
+            return this.rows.filter(row => row.date >= start && row.date <= last);
+        },
+        async listUsageRecords() { return this.rows.map((row, index) => ({ id: index + 1, ...row })); },
+        async listArchivedSessions() { return { total: 0, sessions: [] }; },
+        async getArchivedSession() { return null; }
+    };
+}
+
+function nextEvent(socket, event, timeoutMs = 2000) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`No ${event} within ${timeoutMs}ms`)), timeoutMs);
+        socket.once(event, (data) => {
+            clearTimeout(timer);
+            resolve(data);
+        });
+    });
+}
+
+/**
+ * Start a fresh app before each test of the enclosing describe and close it after
+ * @param {Object} options - Extra createApp options for every test (e.g. a budget)
+ * @returns {Object} Harness; app, clock, translator, billingStore and socket are replaced per test
+ */
+function useApp(options = {}) {
+    const harness = {
+        app: null,
+        clock: null,
+        translator: null,
+        billingStore: null,
+        socket: null,
+
+        // Start the app (extra createApp options) and connect a client; resolves with server-info
+        async open(extra = {}) {
+            harness.app = createApp({
+                translator: harness.translator,
+                clock: harness.clock,
+                billingStore: harness.billingStore,
+                ...options,
+                ...extra
+            });
+            await new Promise(resolve => harness.app.server.listen(0, '127.0.0.1', resolve));
+            harness.socket = harness.connect();
+            return nextEvent(harness.socket, 'server-info');
+        },
+
+        async close() {
+            harness.socket.disconnect();
+            harness.app.io.close();
+            await new Promise(resolve => harness.app.server.close(() => resolve()));
+        },
+
+        // Another client of the same app (e.g. a room listener)
+        connect() {
+            return io(harness.url(''), { reconnection: false, transports: ['websocket'] });
+        },
+
+        url(urlPath) {
+            return `http://127.0.0.1:${harness.app.server.address().port}${urlPath}`;
+        },
+
+        async startSession(sessionOptions = {}) {
+            const started = nextEvent(harness.socket, 'session-started');
+            harness.socket.emit('start-session', { sourceLanguage: 'ro-RO', targetLang: 'en', ...sessionOptions });
+            return started;
+        },
+
+        // Send a transcript and wait until the server has handled it (it echoes interim-result first)
+        async sendTranscript(text, isFinal = false) {
+            const echoed = nextEvent(harness.socket, 'interim-result');
+            harness.socket.emit('transcript-result', { text, isFinal });
+            return echoed;
+        },
+
+        // Send a final sentence and wait for its translation
+        async translateSentence(text) {
+            const result = nextEvent(harness.socket, 'translation-result');
+            await harness.sendTranscript(text, true);
+            return result;
+        },
+
+        // HTTP request → { status, headers, body } (body parsed when JSON)
+        request(method, urlPath, body) {
+            return new Promise((resolve, reject) => {
+                const req = http.request(harness.url(urlPath), {
+                    method,
+                    headers: body === undefined ? {} : { 'Content-Type': 'application/json' }
+                }, (res) => {
+                    let data = '';
+                    res.on('data', chunk => { data += chunk; });
+                    res.on('end', () => {
+                        const isJson = /application\/json/.test(res.headers['content-type'] || '');
+                        resolve({ status: res.statusCode, headers: res.headers, body: isJson ? JSON.parse(data) : data });
+                    });
+                });
+                req.on('error', reject);
+                req.end(body === undefined ? undefined : JSON.stringify(body));
+            });
+        },
+
+        get(urlPath) {
+            return harness.request('GET', urlPath);
+        },
+
+        post(urlPath, body) {
+            return harness.request('POST', urlPath, body);
+        }
+    };
+
+    beforeEach(async () => {
+        harness.clock = createFakeClock();
+        harness.translator = createFakeTranslator();
+        harness.billingStore = createFakeBillingStore();
+        await harness.open();
+    });
+
+    afterEach(async () => {
+        await harness.close();
+    });
+
+    return harness;
+}
+
+module.exports = {
+    useApp,
+    createFakeClock,
+    createFakeTranslator,
+    createFakeBillingStore,
+    nextEvent
+};
@@ -0,0 +1,140 @@
+/**
+ * Unit Tests for ModeConfig
+ * config/modes.json validation, session overrides and the rules engine hookup
+ */
+
+const { expect } = require('chai');
+const ModeConfig = require('../mode-config');
+const TranslationRulesEngine = require('../translation-rules-engine');
+
+const mockLogger = { info: () => {}, debug: () => {}, warn: () => {}, error: () => {} };
+
+function mode(fields = {}) {
+    return {
+        name: 'Test',
+        translationInterval: 10000,
+        pauseDetectionMs: 2000,
+        minWords: 4,
+        requireSentenceEnding: false,
+        maxSentenceWaitMs: 30000,
+        adaptiveTiming: false,
+        stripDisfluencies: false,
+        enableTTS: false,
+        displayVisualCards: true,
+        enableSummary: false,
+        ...fields
+    };
+}
+
+describe('ModeConfig', () => {
+    const modes = ModeConfig.fromFile();
+
+    describe('config/modes.json', () => {
+        it('should define talks, earbuds, interpreter, sentence-strict and sermon', () => {
+            expect(Object.keys(modes.modes)).to.include.members(['talks', 'earbuds', 'interpreter', 'sentence-strict', 'sermon']);
+            expect(modes.defaultMode).to.equal('talks');
+        });
+
+        it('should keep interpreter faster and sermon longer than talks', () => {
+            const talks = modes.getMode('talks');
+            expect(modes.getMode('interpreter').translationInterval).to.be.below(talks.translationInterval);
+            expect(modes.getMode('sermon').translationInterval).to.be.above(talks.translationInterval);
+            expect(modes.getMode('sermon').requireSentenceEnding).to.be.true;
+        });
+
+        it('should fall back to the default mode for unknown ids', () => {
+            expect(modes.getMode('karaoke')).to.include({ id: 'talks', name: 'Talks' });
+        });
+    });
+
+    describe('Session overrides', () => {
+        it('should apply overrides within bounds', () => {
+            const config = modes.resolve('talks', { minWords: 4, pauseDetectionMs: 2500, enableTTS: true });
+            expect(config).to.include({ id: 'talks', minWords: 4, pauseDetectionMs: 2500, enableTTS: true });
+            expect(config.translationInterval).to.equal(15000);
+            // The loaded mode itself is untouched
+            expect(modes.getMode('talks').minWords).to.equal(6);
+        });
+
+        it('should reject out-of-range values, wrong types and fields that are not overridable', () => {
+            try {
+                modes.resolve('talks', { minWords: 0, translationInterval: 500, enableTTS: 'yes', enableSummary: true });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.code).to.equal('MODE_OVERRIDE_INVALID');
+                expect(error.details).to.have.lengthOf(4);
+                expect(error.details).to.include('enableSummary cannot be overridden');
+            }
+        });
+
+        it('should accept a missing overrides object', () => {
+            expect(modes.resolve('earbuds', undefined).enableTTS).to.be.true;
+            expect(modes.resolve('earbuds', null).enableTTS).to.be.true;
+        });
+    });
+
+    describe('Validation', () => {
+        const overrides = { minWords: { min: 2, max: 20 } };
+
+        it('should accept a new mode without code changes', () => {
+            const custom = new ModeConfig({ defaultMode: 'panel', overrides, modes: { panel: mode() } });
+            expect(custom.getMode('panel').translationInterval).to.equal(10000);
+        });
+
+        it('should report missing fields, unknown fields and values outside the override bounds', () => {
+            const broken = mode({ minWords: 1, colour: 'blue' });
+            delete broken.pauseDetectionMs;
+            try {
+                new ModeConfig({ defaultMode: 'x', overrides, modes: { x_1: broken } });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.code).to.equal('MODES_INVALID');
+                expect(error.details).to.have.members([
+                    'defaultMode "x" is not a defined mode',
+                    'Mode "x_1": unknown field "colour"',
+                    'Mode "x_1": pauseDetectionMs is required',
+                    'Mode "x_1": minWords must be between 2 and 20'
+                ]);
+            }
+        });
+
+        it('should reject override ranges without bounds', () => {
+            expect(() => new ModeConfig({ defaultMode: 'a1', overrides: { minWords: {} }, modes: { a1: mode() } }))
+                .to.throw(/needs integer "min" and "max"/);
+        });
+
+        it('should fill in missing adaptive settings from the defaults', () => {
+            const custom = new ModeConfig({ defaultMode: 'a1', adaptive: { windowMs: 20000 }, modes: { a1: mode() } });
+            expect(custom.adaptive).to.deep.equal({ ...ModeConfig.ADAPTIVE_DEFAULTS, windowMs: 20000 });
+        });
+
+        it('should reject invalid adaptive settings', () => {
+            try {
+                new ModeConfig({
+                    defaultMode: 'a1',
+                    adaptive: { windowMs: -1, intervalScale: { min: 1.2, max: 2 }, slowWordsPerSecond: 4, speed: 1 },
+                    modes: { a1: mode() }
+                });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.details).to.have.members([
+                    'adaptive: windowMs must be a positive number',
+                    'adaptive: intervalScale needs "min" ≤ 1 ≤ "max" (positive numbers)',
+                    'adaptive: unknown field "speed"',
+                    'adaptive: slowWordsPerSecond must not exceed fastWordsPerSecond'
+                ]);
+            }
+        });
+    });
+
+    describe('TranslationRulesEngine', () => {
+        it('should run with a resolved session config', () => {
+            const engine = new TranslationRulesEngine('interpreter', mockLogger, modes.resolve('interpreter', { pauseDetectionMs: 1000 }));
+            expect(engine.getConfig()).to.include({ name: 'Interpreter', pauseDetectionMs: 1000 });
+        });
+
+        it('should load modes from config/modes.json when given only a mode id', () => {
+            expect(new TranslationRulesEngine('sermon', mockLogger).getConfig().name).to.equal('Sermon');
+        });
+    });
+});
@@ -1,74 +1,77 @@
 /**
- * Integration Tests for streaming start/stop with Talks mode (8s interval).
- * Requires server running on localhost:3003.
+ * Integration Tests for socket sessions with Talks mode
+ * Runs the app in-process (see helpers/app-harness.js) — no credentials or database.
  */
 
-const { describe, it, beforeEach, afterEach } = require('mocha');
+const { describe, it } = require('mocha');
 const { expect } = require('chai');
-const io = require('socket.io-client');
-
-const SERVER_URL = 'http://localhost:3003';
+const { useApp, nextEvent } = require('./helpers/app-harness');
 
 describe('Mode Integration (Talks)', () => {
-    let clientSocket;
+    const harness = useApp();
 
-    beforeEach((done) => {
-        clientSocket = io(SERVER_URL, {
-            reconnection: false,
-            transports: ['websocket']
-        });
+    it('should start a Talks session with the mode settings', async () => {
+        const started = await harness.startSession({ mode: 'talks' });
 
-        clientSocket.on('connect', () => done());
-        clientSocket.on('connect_error', (error) => done(error));
+        expect(started.sourceLanguage).to.equal('ro-RO');
+        expect(started.targetLanguage).to.equal('en');
+        expect(started.mode.id).to.equal('talks');
+        expect(started.mode.translationInterval).to.equal(15000);
     });
 
-    afterEach((done) => {
-        if (clientSocket && clientSocket.connected) {
-            clientSocket.disconnect();
-        }
-        done();
+    it('should use the default mode when none is specified', async () => {
+        const started = await harness.startSession();
+        expect(started.mode.id).to.equal('talks');
     });
 
-    it('should start streaming with 8-second interval', (done) => {
-        let streamingStarted = false;
+    it('should translate a complete sentence through the injected translator', async () => {
+        await harness.startSession({ mode: 'talks' });
 
-        clientSocket.on('streaming-started', (data) => {
-            streamingStarted = true;
-            expect(data.sourceLanguage).to.equal('ro-RO');
-            expect(data.targetLanguage).to.equal('en');
-        });
+        const translation = await harness.translateSentence('Astăzi vom citi împreună din cartea lui Iona.');
 
-        clientSocket.emit('start-streaming', {
-            sourceLanguage: 'ro-RO',
-            targetLang: 'en',
-            translationInterval: 8000
-        });
+        expect(translation.reason).to.equal('sentence_ending');
+        expect(translation.translated).to.equal('<en> Astăzi vom citi împreună din cartea lui Iona.');
+        expect(harness.translator.calls).to.deep.equal([
+            { text: 'Astăzi vom citi împreună din cartea lui Iona.', sourceLanguage: 'ro', targetLanguage: 'en' }
+        ]);
+        expect(harness.billingStore.translations).to.have.lengthOf(1);
+        expect(harness.billingStore.translations[0].sourceText).to.equal('Astăzi vom citi împreună din cartea lui Iona.');
+    });
 
-        setTimeout(() => {
-            expect(streamingStarted).to.be.true;
-            clientSocket.emit('stop-streaming');
-            done();
-        }, 500);
-    }).timeout(5000);
+    it('should translate after the pause threshold on the injected clock', async () => {
+        await harness.startSession({ mode: 'talks' });
+        const translations = [];
+        harness.socket.on('translation-result', data => translations.push(data));
 
-    it('should use default 8-second interval when not specified', (done) => {
-        let streamingStarted = false;
+        await harness.sendTranscript('Astăzi vom citi împreună din cartea lui Iona');
+        harness.clock.advance(3999);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(translations).to.have.lengthOf(0);
 
-        clientSocket.on('streaming-started', (data) => {
-            streamingStarted = true;
-            expect(data.sourceLanguage).to.equal('ro-RO');
-            expect(data.targetLanguage).to.equal('en');
-        });
+        const result = nextEvent(harness.socket, 'translation-result');
+        harness.clock.advance(1);
+        const translation = await result;
+        expect(translation.reason).to.equal('pause_detected');
+        expect(translation.translated).to.equal('<en> Astăzi vom citi împreună din cartea lui Iona');
+    });
 
-        clientSocket.emit('start-streaming', {
-            sourceLanguage: 'ro-RO',
-            targetLang: 'en'
-        });
+    it('should end an inactive session after the inactivity timeout', async () => {
+        await harness.startSession({ mode: 'talks' });
+        await harness.sendTranscript('Bună');
 
-        setTimeout(() => {
-            expect(streamingStarted).to.be.true;
-            clientSocket.emit('stop-streaming');
-            done();
-        }, 500);
-    }).timeout(5000);
+        const timeout = nextEvent(harness.socket, 'session-timeout');
+        harness.clock.advance(30 * 60 * 1000);
+        const data = await timeout;
+        expect(data.inactiveMinutes).to.equal(30);
+    });
+
+    it('should stop the session and report the translation count', async () => {
+        await harness.startSession({ mode: 'talks' });
+        await harness.translateSentence('Bună dimineața dragi frați și surori.');
+
+        const stopped = nextEvent(harness.socket, 'session-stopped');
+        harness.socket.emit('stop-session');
+        const data = await stopped;
+        expect(data.translationCount).to.equal(1);
+    });
 });
@@ -0,0 +1,197 @@
+/**
+ * Unit Tests for the Post-Processing Pipeline
+ * LCP extraction, number/date preservation and the staged pipeline on real transcripts
+ */
+
+const { expect } = require('chai');
+const PostProcessor = require('../post-processing');
+const TermMappings = require('../term-mappings');
+const ReligiousTerms = require('../religious-terms');
+const { extractByWordLCP, preserveSourceNumbers, preserveDates, applyFallbackTranslation } = PostProcessor;
+
+describe('Post-Processing', () => {
+
+    describe('extractByWordLCP', () => {
+        it('should return the new tail when the prefix matches', () => {
+            expect(extractByWordLCP(
+                'Dear brothers, today we talk about faith and hope.',
+                'Dear brothers, today we talk'
+            )).to.equal('about faith and hope.');
+        });
+
+        it('should ignore case and edge punctuation when matching', () => {
+            expect(extractByWordLCP('Dear brothers. Today we talk', 'dear brothers today')).to.equal('we talk');
+        });
+
+        it('should return null when the engine rephrased the prefix', () => {
+            expect(extractByWordLCP('Beloved friends, this day we speak of faith', 'Dear brothers, today we talk')).to.be.null;
+        });
+
+        it('should return null when nothing new was translated', () => {
+            expect(extractByWordLCP('Dear brothers', 'Dear brothers')).to.be.null;
+        });
+
+        it('should honor a custom threshold', () => {
+            // 2 of 4 committed words match (50%)
+            const full = 'one two three five six seven';
+            expect(extractByWordLCP(full, 'one two nine four')).to.be.null;
+            expect(extractByWordLCP(full, 'one two nine four', 0.5)).to.equal('three five six seven');
+        });
+    });
+
+    describe('preserveSourceNumbers', () => {
+        it('should restore a drifted number', () => {
+            expect(preserveSourceNumbers('capitolul 12 versetul 4', 'chapter 13 verse 4')).to.equal('chapter 12 verse 4');
+        });
+
+        it('should keep English thousands for Romanian dot-thousands', () => {
+            expect(preserveSourceNumbers('au fost 68.128 de vestitori', 'there were 68,128 publishers'))
+                .to.equal('there were 68,128 publishers');
+        });
+
+        it('should merge digits the engine split apart', () => {
+            expect(preserveSourceNumbers('în anul 1914', 'in the year 19 14')).to.equal('in the year 1914');
+        });
+    });
+
+    describe('preserveDates', () => {
+        it('should restore a missing month', () => {
+            expect(preserveDates('pe 12 martie 2025', 'on 12 2025')).to.equal('on 12 martie 2025');
+        });
+
+        it('should leave complete dates alone', () => {
+            expect(preserveDates('pe 12 martie 2025', 'on March 12, 2025')).to.equal('on March 12, 2025');
+        });
+    });
+
+    describe('applyFallbackTranslation', () => {
+        it('should translate words passed through unchanged, ignoring diacritics', () => {
+            expect(applyFallbackTranslation('gheață', 'gheata', { gheata: 'ice' })).to.equal('ice');
+            expect(applyFallbackTranslation('gheață', 'ice', { gheata: 'ice' })).to.be.null;
+        });
+    });
+
+    describe('PostProcessor', () => {
+        const processor = PostProcessor.fromFile(undefined, {
+            termMappings: TermMappings.fromFile(),
+            religiousTerms: ReligiousTerms.fromFile()
+        });
+
+        it('should emit the whole first translation', () => {
+            const result = processor.process({
+                translatedFull: 'Dear brothers, welcome to the congress.',
+                committed: '',
+                fullText: 'Dragi frați, bun venit la congres.',
+                newText: 'Dragi frați, bun venit la congres.',
+                sourceLang: 'ro-RO',
+                targetLang: 'en'
+            });
+
+            expect(result.emitted).to.equal('Dear brothers, welcome to the convention.');
+            expect(result.lcp).to.equal('first');
+            expect(result.usedLCP).to.be.true;
+            expect(result.applied).to.deep.equal([{ stage: 'termMappings', rules: ['congress'] }]);
+        });
+
+        it('should emit only the tail of a continuing transcript and report each stage', () => {
+            const result = processor.process({
+                translatedFull: 'Dear brothers, welcome to the convention. Our church has 14 publishers and Iehova blesses us.',
+                committed: 'Dear brothers, welcome to the convention.',
+                fullText: 'Dragi frați, bun venit la congres. Congregația noastră are 41 de vestitori și Iehova ne binecuvântează.',
+                newText: 'Congregația noastră are 41 de vestitori și Iehova ne binecuvântează.',
+                sourceLang: 'ro-RO',
+                targetLang: 'en'
+            });
+
+            expect(result.emitted).to.equal('Our congregation has 41 publishers and Jehovah blesses us.');
+            expect(result.lcp).to.equal('matched');
+            expect(result.applied).to.deep.equal([
+                { stage: 'termMappings', rules: ['church-congregation'] },
+                { stage: 'religiousTerms', rules: ['jehovah'] },
+                { stage: 'numbers', rules: ['41'] }
+            ]);
+        });
+
+        it('should emit the full translation when LCP fails', () => {
+            const result = processor.process({
+                translatedFull: 'Beloved friends, welcome.',
+                committed: 'Dear brothers and sisters',
+                fullText: 'Dragi frați și surori, bun venit.',
+                newText: 'bun venit.',
+                sourceLang: 'ro-RO',
+                targetLang: 'en'
+            });
+
+            expect(result.emitted).to.equal('Beloved friends, welcome.');
+            expect(result.lcp).to.equal('failed');
+            expect(result.usedLCP).to.be.false;
+        });
+
+        it('should only apply the Romanian fallback words to ro→en', () => {
+            const input = { translatedFull: 'gheata', committed: '', fullText: 'gheata', newText: 'gheata' };
+            expect(processor.process({ ...input, sourceLang: 'ro-RO', targetLang: 'en' }).emitted).to.equal('ice');
+            expect(processor.process({ ...input, sourceLang: 'ro-RO', targetLang: 'es' }).emitted).to.equal('gheata');
+        });
+
+        it('should not apply English term fixes to other target languages', () => {
+            const result = processor.process({
+                translatedFull: 'the congress', committed: '', fullText: 'congres', newText: 'congres',
+                sourceLang: 'ro-RO', targetLang: 'fr'
+            });
+            expect(result.emitted).to.equal('the congress');
+        });
+    });
+
+    describe('Stage configuration', () => {
+        const config = {
+            defaults: { numbers: { enabled: false } },
+            languagePairs: {
+                '*-en': { numbers: { enabled: true } },
+                'ro-*': { lcp: { threshold: 0.5 } },
+                'ro-en': { dates: { enabled: false } }
+            }
+        };
+
+        it('should resolve overrides from least to most specific', () => {
+            const processor = new PostProcessor({ config });
+            const roEn = processor.getStageConfig('ro-RO', 'en');
+            expect(roEn.numbers.enabled).to.be.true;
+            expect(roEn.dates.enabled).to.be.false;
+            expect(roEn.lcp.threshold).to.equal(0.5);
+
+            const enEs = processor.getStageConfig('en-US', 'es');
+            expect(enEs.numbers.enabled).to.be.false;
+            expect(enEs.lcp.threshold).to.equal(0.75);
+        });
+
+        it('should skip disabled stages', () => {
+            const processor = new PostProcessor({ config });
+            const result = processor.process({
+                translatedFull: 'chapter 13', committed: '', fullText: 'capitolul 12', newText: 'capitolul 12',
+                sourceLang: 'en-US', targetLang: 'es'
+            });
+            expect(result.emitted).to.equal('chapter 13');
+            expect(result.applied).to.deep.equal([]);
+        });
+
+        it('should reject unknown stages, bad pairs and bad thresholds', () => {
+            try {
+                new PostProcessor({
+                    config: {
+                        defaults: { spelling: { enabled: true }, lcp: { threshold: 2 } },
+                        languagePairs: { romanian: {} }
+                    }
+                });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.code).to.equal('POST_PROCESSING_INVALID');
+                expect(error.details).to.have.lengthOf(3);
+            }
+        });
+
+        it('should not allow disabling LCP extraction', () => {
+            expect(() => new PostProcessor({ config: { defaults: { lcp: { enabled: false } } } }))
+                .to.throw(/cannot be disabled/);
+        });
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit Tests for PricingTable
+ * Config validation, version selection and cost computation with monthly free tiers
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const PricingTable = require('../pricing');
+
+function rates(translationPrice = 20, freeChars = 1000) {
+    return {
+        stt: { unit: 'minute', price: 0.024, per: 1, freePerMonth: 60 },
+        translation: { unit: 'character', price: translationPrice, per: 1000000, freePerMonth: freeChars },
+        glossary: { unit: 'character', price: 25, per: 1000000, freePerMonth: 0 }
+    };
+}
+
+function row(date, usageType, amount, sourceLanguage = 'ro-RO', provider = 'google') {
+    return { date, sourceLanguage, provider, usageType, amount };
+}
+
+describe('PricingTable', () => {
+    let pricing;
+
+    beforeEach(() => {
+        pricing = new PricingTable({
+            currency: 'USD',
+            versions: [
+                { version: 'v2', effectiveFrom: '2026-03-15', freeProviders: ['http'], rates: rates(40) },
+                { version: 'v1', effectiveFrom: '2026-01-01', freeProviders: ['http'], rates: rates(20) }
+            ]
+        });
+    });
+
+    describe('Config', () => {
+        it('should load the bundled config', () => {
+            const bundled = PricingTable.fromFile(PricingTable.DEFAULT_FILE);
+            expect(bundled.currency).to.equal('USD');
+            expect(bundled.describe(new Date('2026-01-01')).rates.translation).to.include({ price: 20, per: 1000000, freePerMonth: 500000 });
+        });
+
+        it('should list every problem', () => {
+            const problems = PricingTable.validate({
+                currency: 'dollars',
+                versions: [
+                    { version: 'a', effectiveFrom: '2026-01-01', rates: { ...rates(), stt: { price: -1, per: 0, freePerMonth: 60 }, tts: {} } },
+                    { version: 'a', effectiveFrom: 'January', rates: rates() }
+                ]
+            });
+            expect(problems).to.deep.equal([
+                'currency must be a 3-letter code (e.g. "USD")',
+                'Version "a": rates.stt.price must be a number ≥ 0',
+                'Version "a": rates.stt.per must be a positive number',
+                'Version "a": unknown usage type "tts"',
+                'Version "a": duplicate version',
+                'Version "a": effectiveFrom must be a YYYY-MM-DD date'
+            ]);
+        });
+
+        it('should throw PRICING_INVALID with details', () => {
+            expect(() => new PricingTable({ currency: 'USD', versions: [] })).to.throw()
+                .that.satisfies(error => error.code === 'PRICING_INVALID' && error.details.length === 1);
+            expect(() => PricingTable.fromFile(path.join(__dirname, 'missing-pricing.json')))
+                .to.throw(/Cannot read pricing config/).with.property('code', 'PRICING_INVALID');
+        });
+    });
+
+    describe('Versions', () => {
+        it('should pick the version in effect on a day', () => {
+            expect(pricing.versionFor('2026-03-14').version).to.equal('v1');
+            expect(pricing.versionFor('2026-03-15').version).to.equal('v2');
+            expect(pricing.versionFor(new Date('2025-06-01')).version).to.equal('v1');
+        });
+
+        it('should price each day with its own version', () => {
+            const costs = pricing.computeCosts([
+                row('2026-03-01', 'translation', 1000),
+                row('2026-03-10', 'translation', 50000),
+                row('2026-03-20', 'translation', 50000)
+            ]);
+            expect(costs.versions).to.deep.equal(['v1', 'v2']);
+            expect(costs.days['2026-03-10'].cost).to.equal(1);
+            expect(costs.days['2026-03-20'].cost).to.equal(2);
+            expect(costs.cost).to.equal(3);
+        });
+    });
+
+    describe('Free tiers', () => {
+        it('should use up the free tier in date order, per usage type', () => {
+            const costs = pricing.computeCosts([
+                row('2026-01-02', 'translation', 600),
+                row('2026-01-03', 'translation', 600),
+                row('2026-01-03', 'stt', 30),
+                row('2026-01-04', 'stt', 40)
+            ]);
+            expect(costs.byType.translation).to.deep.equal({ units: 1200, freeUnits: 1000, billableUnits: 200, cost: 0.004 });
+            expect(costs.byType.stt).to.deep.equal({ units: 70, freeUnits: 60, billableUnits: 10, cost: 0.24 });
+            expect(costs.days['2026-01-02'].cost).to.equal(0);
+        });
+
+        it('should start a new free tier every calendar month', () => {
+            const costs = pricing.computeCosts([
+                row('2026-01-31', 'translation', 1000),
+                row('2026-02-01', 'translation', 1000)
+            ]);
+            expect(costs.byType.translation.freeUnits).to.equal(2000);
+            expect(costs.cost).to.equal(0);
+        });
+
+        it('should share the free units of a day across its languages', () => {
+            const costs = pricing.computeCosts([
+                row('2026-01-05', 'translation', 1500, 'ro-RO'),
+                row('2026-01-05', 'translation', 500, 'en-US')
+            ]);
+            expect(costs.languages['ro-RO'].byType.translation).to.include({ freeUnits: 750, billableUnits: 750 });
+            expect(costs.languages['en-US'].byType.translation).to.include({ freeUnits: 250, billableUnits: 250 });
+            expect(costs.languages['ro-RO'].cost).to.equal(0.015);
+        });
+
+        it('should count usage before the range against the free tier only', () => {
+            const rows = [
+                row('2026-01-01', 'translation', 900),
+                row('2026-01-20', 'translation', 300)
+            ];
+            const costs = pricing.computeCosts(rows, { startDate: '2026-01-15', endDate: new Date('2026-01-31') });
+            expect(Object.keys(costs.days)).to.deep.equal(['2026-01-20']);
+            expect(costs.byType.translation).to.deep.equal({ units: 300, freeUnits: 100, billableUnits: 200, cost: 0.004 });
+            expect(PricingTable.monthStart('2026-01-15')).to.equal('2026-01-01');
+        });
+
+        it('should not charge free providers or let them use the free tier', () => {
+            const costs = pricing.computeCosts([
+                row('2026-01-02', 'translation', 5000, 'ro-RO', 'http'),
+                row('2026-01-02', 'translation', 1000, 'ro-RO', 'google')
+            ]);
+            expect(costs.byType.translation).to.deep.equal({ units: 6000, freeUnits: 6000, billableUnits: 0, cost: 0 });
+        });
+    });
+});
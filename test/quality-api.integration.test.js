@@ -0,0 +1,36 @@
+/**
+ * Integration Tests for quality telemetry
+ * Live counters on /api/quality and the record stored when a session ends
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const { useApp, nextEvent } = require('./helpers/app-harness');
+
+describe('Quality API Integration', () => {
+    const harness = useApp();
+
+    it('should report quality counters live and store them when the session ends', async () => {
+        await harness.startSession({ mode: 'talks' });
+        await harness.translateSentence('Astăzi vom citi împreună din cartea lui Iona.');
+        await harness.translateSentence('Iona a fost un profet al lui Dumnezeu.');
+
+        const live = (await harness.get('/api/quality')).body;
+        expect(live.aggregate.translations).to.equal(2);
+        expect(live.aggregate.reasons).to.deep.equal({ sentence_ending: 2 });
+        expect(live.aggregate.lcp.first).to.equal(1);
+        expect(live.sessions).to.have.lengthOf(1);
+        expect(live.sessions[0]).to.include({ mode: 'talks', active: true, emitted: 2 });
+
+        const stopped = nextEvent(harness.socket, 'session-stopped');
+        harness.socket.emit('stop-session');
+        await stopped;
+        expect(harness.billingStore.quality).to.have.lengthOf(1);
+        expect(harness.billingStore.quality[0]).to.include({ mode: 'talks', translations: 2 });
+
+        const report = (await harness.get('/api/quality')).body;
+        expect(report.sessions[0].active).to.be.false;
+        expect(report.stored.sessions).to.equal(1);
+        expect(report.stored.modes.talks.translations).to.equal(2);
+    });
+});
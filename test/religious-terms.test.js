@@ -0,0 +1,88 @@
+/**
+ * Unit Tests for ReligiousTerms
+ * Per-target-language canonical forms, source triggers and Unicode word boundaries
+ */
+
+const { expect } = require('chai');
+const ReligiousTerms = require('../religious-terms');
+
+describe('ReligiousTerms', () => {
+    const terms = ReligiousTerms.fromFile();
+    const fix = (text, sourceText, sourceLang, targetLang) =>
+        terms.apply(text, { sourceText, sourceLang, targetLang }).text;
+
+    describe('config/religious-terms.json', () => {
+        it('should cover every listener language', () => {
+            expect(terms.getTargetLanguages()).to.include.members(['en', 'ro', 'es', 'fr', 'pt', 'ru']);
+        });
+    });
+
+    describe('Canonical forms per target language', () => {
+        const cases = [
+            ['ro', 'Iehvoa este Dumnezău', 'Jehovah is God', 'Iehova este Dumnezeu'],
+            ['es', 'Yahvé ama a su pueblo', 'Jehovah loves his people', 'Jehová ama a su pueblo'],
+            ['fr', 'Yahvé est fidèle', 'Jehovah is faithful', 'Jéhovah est fidèle'],
+            ['pt', 'Javé e Jesus Christ', 'Jehovah and Jesus Christ', 'Jeová e Jesus Cristo'],
+            ['ru', 'Исус Christ', 'Jesus Christ', 'Иисус Христос'],
+            ['es', 'Satán y Jesus', 'Satan and Jesus', 'Satanás y Jesús']
+        ];
+
+        for (const [lang, output, source, expected] of cases) {
+            it(`should fix "${output}" for ${lang}`, () => {
+                expect(fix(output, source, 'en-US', lang)).to.equal(expected);
+            });
+        }
+
+        it('should use triggers in the speaker\'s language', () => {
+            expect(fix('Yahvé es fiel', 'Iehova este fidel', 'ro-RO', 'es')).to.equal('Jehová es fiel');
+            expect(fix('Iehova is faithful', 'Iehova este fidel', 'ro-RO', 'en')).to.equal('Jehovah is faithful');
+        });
+    });
+
+    describe('Safety', () => {
+        it('should leave output alone when the source does not mention the term', () => {
+            expect(fix('Yahvé', 'the divine name', 'en', 'es')).to.equal('Yahvé');
+        });
+
+        it('should not match inside longer words', () => {
+            // "Satan" is a variant for Romanian, but must not touch the canonical "Satana"
+            expect(fix('Satana și Satan', 'Satan', 'en', 'ro')).to.equal('Satana și Satana');
+            // "cer" (heaven) must not touch "cerere" (request)
+            expect(fix('o cerere la cer', 'heaven', 'en', 'ro')).to.equal('o cerere la cerul');
+        });
+
+        it('should respect Cyrillic word boundaries', () => {
+            expect(fix('Исуса', 'Jesus', 'en', 'ru')).to.equal('Исуса');
+        });
+
+        it('should keep a leading capital', () => {
+            expect(fix('Diavol minte', 'The devil lies', 'en', 'ro')).to.equal('Diavolul minte');
+        });
+
+        it('should report which terms fired', () => {
+            const result = terms.apply('Yahvé y Satán', { sourceText: 'Jehovah and Satan', sourceLang: 'en', targetLang: 'es' });
+            expect(result.fired).to.deep.equal(['jehovah', 'satan']);
+        });
+
+        it('should skip languages without a table', () => {
+            expect(fix('Yahweh', 'Jehovah', 'en', 'ja')).to.equal('Yahweh');
+        });
+    });
+
+    describe('Validation', () => {
+        it('should reject a canonical form listed as its own variant', () => {
+            expect(() => new ReligiousTerms({
+                terms: { x: { triggers: { en: ['x'] }, targets: { es: { canonical: 'Jehová', variants: ['jehová'] } } } }
+            })).to.throw().with.property('code', 'RELIGIOUS_TERMS_INVALID');
+        });
+
+        it('should require triggers and targets', () => {
+            try {
+                new ReligiousTerms({ terms: { x: {} } });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.details).to.have.lengthOf(2);
+            }
+        });
+    });
+});
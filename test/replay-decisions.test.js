@@ -0,0 +1,126 @@
+/**
+ * Unit Tests for the Decision Replay Harness
+ * Recording parsing, fake-clock replay (pause timer, latency) and trace formatting
+ */
+
+const { expect } = require('chai');
+const path = require('path');
+const fs = require('fs');
+const { parseRecording, replayDecisions, formatTrace, main } = require('../replay-decisions');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'sermon-ro.jsonl');
+
+function recording(events, session = { sourceLanguage: 'en-US', mode: 'talks' }) {
+    return parseRecording([
+        JSON.stringify({ type: 'session', ...session }),
+        ...events.map(([t, text, isFinal = false]) => JSON.stringify({ type: 'transcript', t, text, isFinal }))
+    ].join('\n'));
+}
+
+describe('Decision Replay', () => {
+
+    describe('parseRecording', () => {
+        it('should read the session header and transcript events in time order', () => {
+            const { session, events } = parseRecording([
+                '{"type": "session", "sourceLanguage": "ro-RO", "mode": "sermon"}',
+                '{"type": "transcript", "t": 900, "text": "b", "isFinal": true}',
+                '',
+                '{"t": 300, "text": "a"}',
+                '{"type": "translation", "t": 950}'
+            ].join('\n'));
+
+            expect(session.mode).to.equal('sermon');
+            expect(events).to.deep.equal([
+                { t: 300, text: 'a', isFinal: false },
+                { t: 900, text: 'b', isFinal: true }
+            ]);
+        });
+
+        it('should report every bad line', () => {
+            try {
+                parseRecording('{"t": 1, "text": "ok"}\nnot json\n{"t": -5, "text": "x"}');
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.code).to.equal('RECORDING_INVALID');
+                expect(error.details).to.deep.equal([
+                    'Line 2: not valid JSON',
+                    'Line 3: transcript events need a time "t" (ms ≥ 0) and a "text"'
+                ]);
+            }
+        });
+    });
+
+    describe('replayDecisions', () => {
+        it('should fire the pause timer on the fake clock', async () => {
+            const { trace } = await replayDecisions(recording([
+                [0, 'we will read together'],
+                [400, 'we will read together from the book of Jonah']
+            ]));
+
+            const last = trace[trace.length - 1];
+            expect(last).to.include({ trigger: 'pause', approved: true, reason: 'pause_detected', t: 4400, event: null });
+            // First word heard at 0, translated when the 4s pause ran out
+            expect(last.latencyMs).to.equal(4400);
+            expect(last.emitted).to.equal('[en] we will read together from the book of Jonah');
+        });
+
+        it('should not fire the pause timer when the text keeps changing', async () => {
+            const { trace } = await replayDecisions(recording([
+                [0, 'we will read'],
+                [3000, 'we will read together'],
+                [6000, 'we will read together from the book of Jonah', true]
+            ]));
+            expect(trace.map(entry => entry.trigger)).to.deep.equal(['interim', 'interim', 'final']);
+            expect(trace[2]).to.include({ approved: true, reason: 'final_result', latencyMs: 6000 });
+        });
+
+        it('should apply the mode and overrides it is given', async () => {
+            const stream = recording([[0, 'Amen brothers', true]]);
+            expect((await replayDecisions(stream)).trace[0].reason).to.equal('too_few_words');
+
+            const { trace, config } = await replayDecisions(stream, { mode: 'interpreter', modeOverrides: { minWords: 2 } });
+            expect(config).to.include({ id: 'interpreter', minWords: 2 });
+            expect(trace[0].approved).to.be.true;
+        });
+
+        it('should summarize decisions and latency for the bundled fixture', async () => {
+            const { summary } = await replayDecisions(parseRecording(fs.readFileSync(FIXTURE, 'utf8')));
+
+            expect(summary.events).to.be.above(50);
+            expect(summary.approved + summary.rejected).to.equal(summary.decisions);
+            expect(summary.approveReasons).to.have.property('sentence_ending');
+            expect(summary.latencyMs.p50).to.be.a('number');
+            expect(summary.latencyMs.max).to.be.at.least(summary.latencyMs.p90);
+        });
+    });
+
+    describe('Traces', () => {
+        it('should be identical across runs and differ only where configurations decide differently', async () => {
+            const stream = parseRecording(fs.readFileSync(FIXTURE, 'utf8'));
+            const talks = formatTrace((await replayDecisions(stream)).trace);
+            const again = formatTrace((await replayDecisions(stream)).trace);
+            const interpreter = formatTrace((await replayDecisions(stream, { mode: 'interpreter' })).trace);
+
+            expect(again).to.deep.equal(talks);
+            expect(interpreter).to.not.deep.equal(talks);
+            // Lines for the same event start the same way, so diff pairs them up
+            expect(interpreter[0].slice(0, 24)).to.equal(talks[0].slice(0, 24));
+        });
+
+        it('should print decisions and the summary from the CLI', async () => {
+            const lines = [];
+            const code = await main([FIXTURE, '--mode', 'sermon'], line => lines.push(line));
+
+            expect(code).to.equal(0);
+            expect(lines.some(line => / APPROVE sentence_ending /.test(line))).to.be.true;
+            expect(lines.some(line => /^mode sermon: interval 25000ms/.test(line))).to.be.true;
+            expect(lines.some(line => /^latency ms: mean \d+/.test(line))).to.be.true;
+        });
+
+        it('should print one JSON object per decision', async () => {
+            const lines = [];
+            await main([FIXTURE, '--json', '--no-summary'], line => lines.push(line));
+            lines.forEach(line => expect(JSON.parse(line)).to.include.keys('t', 'event', 'approved', 'reason'));
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Unit Tests for the Sentence Segmenter
+ * Sentence and clause boundaries, per-language abbreviations and conjunction cues
+ */
+
+const { expect } = require('chai');
+const { segment, splitComplete, isSentenceEnd, getLexicon } = require('../sentence-segmenter');
+
+describe('Sentence Segmenter', () => {
+
+    describe('Sentences', () => {
+        it('should split complete sentences from the unfinished tail with offsets into the text', () => {
+            const text = 'Bună ziua. Astăzi vom vorbi despre';
+            const segments = segment(text, 'ro-RO');
+
+            expect(segments.map(s => [s.text, s.type, s.complete])).to.deep.equal([
+                ['Bună ziua.', 'sentence', true],
+                ['Astăzi vom vorbi despre', null, false]
+            ]);
+            expect(text.slice(segments[1].start, segments[1].end)).to.equal('Astăzi vom vorbi despre');
+        });
+
+        it('should not split after abbreviations of the language, initials or ellipses', () => {
+            expect(segment('Am vorbit cu dl. Popescu despre cap. 3 din Ioan.', 'ro')).to.have.lengthOf(1);
+            expect(segment('We met Dr. Smith and J. Brown yesterday.', 'en-US')).to.have.lengthOf(1);
+            expect(segment('And then... we went home', 'en')).to.have.lengthOf(1);
+        });
+
+        it('should only treat ordinary words as abbreviations before a number or lowercase word', () => {
+            expect(segment('See no. 5 and ch. 3 today.', 'en')).to.have.lengthOf(1);
+            expect(segment('bread, wine, etc. and the rest', 'en')).to.have.lengthOf(1);
+            expect(segment('The answer is no. We went home.', 'en').map(s => s.text)).to.deep.equal(['The answer is no.', 'We went home.']);
+            expect(segment('Pâine, vin etc. Apoi ne-am rugat.', 'ro')).to.have.lengthOf(2);
+        });
+
+        it('should use every lexicon when the language is unknown or missing', () => {
+            expect(segment('Dl. Popescu met Mr. Brown', null)).to.have.lengthOf(1);
+            expect(segment('Dl. Popescu met Mr. Brown', 'fr-FR')).to.have.lengthOf(1);
+            // Romanian abbreviation, English lexicon only
+            expect(segment('We saw dl. Popescu', 'en')).to.have.lengthOf(2);
+        });
+
+        it('should handle closing quotes and CJK punctuation', () => {
+            expect(segment('He said "Amen." Then he left', 'en').map(s => s.text)).to.deep.equal(['He said "Amen."', 'Then he left']);
+            expect(segment('你好。我很好', 'zh').map(s => s.text)).to.deep.equal(['你好。', '我很好']);
+        });
+    });
+
+    describe('Clauses', () => {
+        it('should split before conjunction cues once the clause is long enough', () => {
+            const text = 'astăzi vom citi din evanghelia după Ioan și apoi ne vom ruga împreună';
+            expect(segment(text, 'ro', { clauses: true }).map(s => [s.text, s.type])).to.deep.equal([
+                ['astăzi vom citi din evanghelia după Ioan', 'clause'],
+                ['și apoi ne vom ruga împreună', null]
+            ]);
+            // Short clause: no split before "și"
+            expect(segment('pâine și vin', 'ro', { clauses: true })).to.have.lengthOf(1);
+        });
+
+        it('should split after commas, semicolons and colons', () => {
+            const segments = segment('we read the whole chapter together, then we prayed', 'en', { clauses: true });
+            expect(segments.map(s => s.text)).to.deep.equal(['we read the whole chapter together,', 'then we prayed']);
+        });
+
+        it('should only split clauses when asked', () => {
+            expect(segment('we read the whole chapter together, then we prayed', 'en')).to.have.lengthOf(1);
+        });
+
+        it('should accept cedilla spellings of Romanian cues', () => {
+            const segments = segment('am ajuns acasă foarte târziu aşa că am dormit', 'ro', { clauses: true });
+            expect(segments[1].text).to.equal('aşa că am dormit');
+        });
+    });
+
+    describe('splitComplete / isSentenceEnd', () => {
+        it('should return the complete part and the carried tail', () => {
+            expect(splitComplete('Bună ziua. Astăzi vom vorbi', 'ro')).to.deep.equal({ complete: 'Bună ziua.', tail: 'Astăzi vom vorbi' });
+            expect(splitComplete('Bună ziua.', 'ro')).to.deep.equal({ complete: 'Bună ziua.', tail: '' });
+            expect(splitComplete('fără punctuație aici', 'ro')).to.deep.equal({ complete: '', tail: 'fără punctuație aici' });
+            expect(splitComplete('', 'ro')).to.deep.equal({ complete: '', tail: '' });
+        });
+
+        it('should detect sentence endings like the rules engine expects', () => {
+            expect(isSentenceEnd('Is this a question?  ')).to.be.true;
+            expect(isSentenceEnd('This is...')).to.be.false;
+            expect(isSentenceEnd('Am vorbit cu Dr.', 'ro')).to.be.false;
+            expect(isSentenceEnd('The answer is no.', 'en')).to.be.true;
+            expect(isSentenceEnd('We brought bread, wine, etc.', 'en')).to.be.true;
+            expect(isSentenceEnd('Citim din cap.', 'ro')).to.be.true;
+            expect(isSentenceEnd('')).to.be.false;
+        });
+
+        it('should cache one lexicon per language', () => {
+            expect(getLexicon('ro-RO')).to.equal(getLexicon('ro'));
+            expect(getLexicon('de')).to.equal(getLexicon(null));
+        });
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for Session Export
+ * Subtitle timing, bilingual documents and format/language validation
+ */
+
+const { expect } = require('chai');
+const { exportSession, buildCues, formatTimestamp } = require('../session-export');
+
+describe('Session Export', () => {
+    const start = Date.parse('2026-03-01T10:00:00Z');
+    const at = seconds => new Date(start + seconds * 1000);
+
+    const transcript = {
+        session: {
+            id: 'abc', sourceLanguage: 'ro-RO', targetLanguage: 'en', mode: 'talks', roomCode: 'hall-1', startedAt: at(0)
+        },
+        segments: [
+            {
+                seq: 1, timestamp: at(5), sourceText: 'Dragi frați și surori, bun venit.', reason: 'sentence_ending',
+                translations: { en: 'Dear brothers and sisters, welcome.', es: 'Queridos hermanos y hermanas, bienvenidos.' }
+            },
+            {
+                seq: 2, timestamp: at(6), sourceText: 'Astăzi vorbim despre credință | speranță.', reason: 'max_interval',
+                translations: { en: 'Today we talk about faith | hope.' }
+            }
+        ]
+    };
+
+    describe('Timing', () => {
+        it('should format SRT and WebVTT timestamps', () => {
+            expect(formatTimestamp(3723004, ',')).to.equal('01:02:03,004');
+            expect(formatTimestamp(0, '.')).to.equal('00:00:00.000');
+        });
+
+        it('should time cues from when the chunk was heard to when it was decided', () => {
+            const timed = {
+                session: transcript.session,
+                segments: [
+                    { ...transcript.segments[0], heardAt: at(1.2), decidedAt: at(4.5) },
+                    { ...transcript.segments[1], heardAt: at(4.1), decidedAt: at(4.8) }
+                ]
+            };
+            const [first, second] = buildCues(timed, 'en');
+            expect(first).to.include({ startMs: 1200, endMs: 4500 });
+            // Never overlaps the previous cue, and stays on screen at least a second
+            expect(second).to.include({ startMs: 4500, endMs: 5500 });
+        });
+
+        it('should estimate the timing of segments archived without it', () => {
+            const [first, second] = buildCues(transcript, 'en');
+            // 6 source words at 2.5 words/s ≈ 2.4s of speech before the 5s mark
+            expect(first).to.include({ index: 1, startMs: 2600, endMs: 5000 });
+            // Never overlaps the previous cue
+            expect(second).to.include({ index: 2, startMs: 5000, endMs: 6000 });
+        });
+
+        it('should skip languages a segment has no translation for', () => {
+            const cues = buildCues(transcript, 'es');
+            expect(cues).to.have.lengthOf(1);
+            expect(cues[0].text).to.equal('Queridos hermanos y hermanas, bienvenidos.');
+        });
+    });
+
+    describe('Formats', () => {
+        it('should render SRT in the session target language by default', () => {
+            const { body, contentType, filename } = exportSession(transcript, 'srt');
+            expect(body).to.equal(
+                '1\n00:00:02,600 --> 00:00:05,000\nDear brothers and sisters, welcome.\n\n' +
+                '2\n00:00:05,000 --> 00:00:06,000\nToday we talk about faith | hope.\n'
+            );
+            expect(contentType).to.match(/subrip/);
+            expect(filename).to.equal('gtranslate-session-2026-03-01T10-00-00-en.srt');
+        });
+
+        it('should render WebVTT for another language or the source speech', () => {
+            const vtt = exportSession(transcript, 'vtt', { language: 'source' }).body;
+            expect(vtt.startsWith('WEBVTT\n\n1\n00:00:02.600 --> 00:00:05.000\nDragi frați')).to.be.true;
+            expect(exportSession(transcript, 'vtt', { language: 'es' }).body).to.include('Queridos hermanos');
+        });
+
+        it('should render a side-by-side Markdown table with escaped pipes', () => {
+            const md = exportSession(transcript, 'md').body;
+            expect(md).to.include('| Time | ro-RO | en | es |');
+            expect(md).to.include('| 10:00:06 | Astăzi vorbim despre credință \\| speranță. | Today we talk about faith \\| hope. |  |');
+        });
+
+        it('should escape HTML', () => {
+            const html = exportSession({
+                session: transcript.session,
+                segments: [{ seq: 1, timestamp: at(1), sourceText: '<script>', translations: { en: 'a & b' } }]
+            }, 'html').body;
+            expect(html).to.include('<td>&lt;script&gt;</td><td>a &amp; b</td>');
+            expect(html).not.to.include('<script>');
+        });
+
+        it('should add cue offsets to the JSON export', () => {
+            const json = JSON.parse(exportSession(transcript, 'json').body);
+            expect(json.languages).to.deep.equal(['en', 'es']);
+            expect(json.segments[0]).to.include({ seq: 1, startMs: 2600, endMs: 5000 });
+        });
+    });
+
+    describe('Validation', () => {
+        it('should reject unknown formats and languages not in the session', () => {
+            expect(() => exportSession(transcript, 'docx')).to.throw().with.property('code', 'EXPORT_INVALID');
+            expect(() => exportSession(transcript, 'srt', { language: 'fr' })).to.throw(/not in this session/);
+        });
+    });
+});
@@ -0,0 +1,149 @@
+/**
+ * Unit Tests for SessionRecorder
+ * JSONL capture of transcripts and translations, scrubbing, replay compatibility
+ */
+
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SessionRecorder = require('../session-recorder');
+const { parseRecording, replayDecisions } = require('../replay-decisions');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'sermon-ro.jsonl');
+
+describe('SessionRecorder', () => {
+    let tmpDir;
+    let now;
+
+    const session = { clientId: 'abc123', sourceLanguage: 'ro-RO', targetLanguage: 'en', mode: 'talks' };
+
+    beforeEach(() => {
+        tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'recorder-'));
+        now = 1700000000000;
+    });
+
+    afterEach(() => {
+        fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function readLines(file) {
+        return fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    }
+
+    // Feed the transcript events of a recording into a recorder, at their recorded times
+    function rerecord(recorder, start, events) {
+        events.forEach(event => {
+            now = start + event.t;
+            recorder.recordTranscript(event);
+        });
+    }
+
+    it('should write the session header and events with times relative to the start', async () => {
+        const recorder = SessionRecorder.start(tmpDir, { ...session, modeOverrides: { minWords: 4 } }, { now: () => now });
+        now += 1250;
+        recorder.recordTranscript({ text: 'Bună ziua', isFinal: false });
+        now += 650;
+        recorder.recordTranslation({ original: 'Bună ziua', translated: 'Good day', reason: 'pause_detected', isInterim: true, count: 1 });
+        await recorder.close();
+
+        expect(path.basename(recorder.filePath)).to.equal('2023-11-14T22-13-20-000Z-abc123.jsonl');
+        expect(readLines(recorder.filePath)).to.deep.equal([
+            {
+                type: 'session',
+                startedAt: '2023-11-14T22:13:20.000Z',
+                sourceLanguage: 'ro-RO',
+                targetLanguage: 'en',
+                mode: 'talks',
+                modeOverrides: { minWords: 4 },
+                scrubbed: false
+            },
+            { type: 'transcript', t: 1250, text: 'Bună ziua', isFinal: false },
+            { type: 'translation', t: 1900, original: 'Bună ziua', translated: 'Good day', reason: 'pause_detected', isInterim: true, count: 1 }
+        ]);
+        expect(recorder.events).to.equal(3);
+    });
+
+    it('should produce recordings the replay harness reproduces exactly', async () => {
+        const original = parseRecording(fs.readFileSync(FIXTURE, 'utf8'));
+        const start = now;
+        const recorder = SessionRecorder.start(tmpDir, original.session, { now: () => now });
+        rerecord(recorder, start, original.events);
+        await recorder.close();
+
+        const recorded = parseRecording(fs.readFileSync(recorder.filePath, 'utf8'));
+        expect(recorded.events).to.deep.equal(original.events);
+
+        const before = await replayDecisions(original);
+        const after = await replayDecisions(recorded);
+        expect(after.trace).to.deep.equal(before.trace);
+    });
+
+    describe('Scrubbing', () => {
+        it('should replace words consistently and keep punctuation, case and word lengths', () => {
+            const recorder = new SessionRecorder(path.join(tmpDir, 'scrub.jsonl'), { scrub: true });
+            const scrubbed = recorder.scrubText('Iona a fugit. Iona, capitolul 4!');
+            recorder.close();
+
+            expect(scrubbed).to.match(/^[A-Z][a-z]{3} [a-z] [a-z]{5}\. [A-Z][a-z]{3}, [a-z]{9} \d!$/);
+            const [first, , , second] = scrubbed.split(/[\s.,]+/);
+            expect(first).to.equal(second);
+            expect(scrubbed).to.not.include('Iona');
+        });
+
+        it('should keep interim results extending each other', () => {
+            const recorder = new SessionRecorder(path.join(tmpDir, 'scrub.jsonl'), { scrub: true });
+            const interim = recorder.scrubText('Astăzi vom citi');
+            const final = recorder.scrubText('astăzi vom citi din Iona.');
+            recorder.close();
+
+            expect(final.toLowerCase().startsWith(interim.toLowerCase())).to.be.true;
+        });
+
+        it('should use a different mapping for every recording', () => {
+            const first = new SessionRecorder(path.join(tmpDir, 'a.jsonl'), { scrub: true });
+            const second = new SessionRecorder(path.join(tmpDir, 'b.jsonl'), { scrub: true });
+            expect(first.scrubText('biserica noastră')).to.not.equal(second.scrubText('biserica noastră'));
+            first.close();
+            second.close();
+        });
+
+        it('should scrub transcripts and both sides of translations', async () => {
+            const recorder = SessionRecorder.start(tmpDir, session, { scrub: true, now: () => now });
+            recorder.recordTranscript({ text: 'Bună ziua', isFinal: true });
+            recorder.recordTranslation({ original: 'Bună ziua', translated: 'Good day', reason: 'final_result', isInterim: false, count: 1 });
+            await recorder.close();
+
+            const content = fs.readFileSync(recorder.filePath, 'utf8');
+            expect(content).to.not.match(/Bună|ziua|Good|day/);
+            expect(readLines(recorder.filePath)[0].scrubbed).to.be.true;
+        });
+
+        it('should keep the engine decisions of a sermon replay when scrubbed', async () => {
+            const original = parseRecording(fs.readFileSync(FIXTURE, 'utf8'));
+            const start = now;
+            const recorder = SessionRecorder.start(tmpDir, original.session, { scrub: true, salt: 'fixture', now: () => now });
+            rerecord(recorder, start, original.events);
+            await recorder.close();
+
+            const scrubbed = parseRecording(fs.readFileSync(recorder.filePath, 'utf8'));
+            const decisions = result => result.trace.map(entry => [entry.t, entry.approved]);
+            const before = await replayDecisions(original, { mode: 'sermon' });
+            const after = await replayDecisions(scrubbed, { mode: 'sermon' });
+            expect(decisions(after)).to.deep.equal(decisions(before));
+        });
+    });
+
+    it('should stop recording and log once when the file cannot be written', async () => {
+        const warnings = [];
+        const logger = { warn: (message) => warnings.push(message) };
+        const recorder = new SessionRecorder(path.join(tmpDir, 'missing', 'x.jsonl'), { logger });
+        await new Promise(resolve => setTimeout(resolve, 20));
+
+        recorder.recordTranscript({ text: 'hello', isFinal: false });
+        await recorder.close();
+        expect(recorder.failed).to.be.true;
+        expect(recorder.events).to.equal(0);
+        expect(warnings).to.have.lengthOf(1);
+    });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit Tests for Server-Side STT Adapters
+ * Result parsing, the external-process adapter (with a real child process) and the mock adapter
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const {
+    createSttAdapter,
+    createProcessAdapter,
+    createMockAdapter,
+    parseResultLine
+} = require('../stt-adapters');
+
+// Recognizer stand-in: reports bytes received, prints a Vosk-style final result on stdin EOF
+const FAKE_RECOGNIZER = `
+let bytes = 0;
+process.stdin.on('data', d => {
+    bytes += d.length;
+    console.log(JSON.stringify({ partial: 'heard ' + bytes + ' bytes' }));
+});
+process.stdin.on('end', () => process.stdout.write(JSON.stringify({ text: 'done after ' + bytes + ' bytes' })));
+`;
+
+// Opus decoder stand-in: every input byte becomes one 16-bit sample
+const FAKE_DECODER = `
+process.stdin.on('data', d => process.stdout.write(Buffer.alloc(d.length * 2)));
+`;
+
+function collect(adapter, options = {}) {
+    const results = [];
+    const errors = [];
+    let resolveClosed;
+    const closed = new Promise(resolve => { resolveClosed = resolve; });
+    const stream = adapter.createStream({
+        language: 'ro-RO',
+        encoding: 'pcm16',
+        sampleRate: 16000,
+        onResult: result => results.push(result),
+        onError: error => errors.push(error),
+        onClose: () => resolveClosed(),
+        ...options
+    });
+    return { stream, results, errors, closed };
+}
+
+describe('STT Adapters', () => {
+
+    describe('parseResultLine', () => {
+        it('should read the transcript-result shape, Vosk output and plain text', () => {
+            expect(parseResultLine('{"text": "bună ziua", "isFinal": false}')).to.deep.equal({ text: 'bună ziua', isFinal: false });
+            expect(parseResultLine('{"partial": "bună"}')).to.deep.equal({ text: 'bună', isFinal: false });
+            expect(parseResultLine('{"text": "bună ziua"}')).to.deep.equal({ text: 'bună ziua', isFinal: true });
+            expect(parseResultLine(' bună ziua frați \n')).to.deep.equal({ text: 'bună ziua frați', isFinal: true });
+        });
+
+        it('should skip empty results and broken JSON', () => {
+            expect(parseResultLine('')).to.be.null;
+            expect(parseResultLine('{"partial": ""}')).to.be.null;
+            expect(parseResultLine('{"text": ""}')).to.be.null;
+            expect(parseResultLine('{"text": "unterminated')).to.be.null;
+        });
+    });
+
+    describe('Factory', () => {
+        it('should create each known adapter by name', () => {
+            expect(createSttAdapter('mock').name).to.equal('mock');
+            expect(createSttAdapter('process', { command: 'vosk' }).name).to.equal('process');
+        });
+
+        it('should reject unknown adapters and a process adapter without a command', () => {
+            expect(() => createSttAdapter('deepgram')).to.throw(/Unknown STT adapter/);
+            expect(() => createSttAdapter('process')).to.throw(/requires a command/);
+        });
+    });
+
+    describe('Process adapter', () => {
+        it('should stream audio to the process and emit its results', async () => {
+            const adapter = createProcessAdapter({ command: process.execPath, args: ['-e', FAKE_RECOGNIZER] });
+            const { stream, results, errors, closed } = collect(adapter);
+
+            stream.write(Buffer.alloc(320));
+            stream.end();
+            await closed;
+
+            expect(errors).to.deep.equal([]);
+            expect(results[results.length - 1]).to.deep.equal({ text: 'done after 320 bytes', isFinal: true });
+            expect(results.slice(0, -1).every(result => result.isFinal === false)).to.be.true;
+        });
+
+        it('should fill in per-stream placeholders without a shell', () => {
+            const child = Object.assign(new EventEmitter(), {
+                stdin: new PassThrough(), stdout: new PassThrough(), stderr: new PassThrough(), kill: () => {}
+            });
+            const spawnImpl = sinon.stub().returns(child);
+            const adapter = createProcessAdapter({
+                command: 'python3',
+                args: ['vosk-stt.py', '--lang', '{lang}', '--rate', '{sampleRate}', '--{encoding}', '{language}'],
+                spawnImpl
+            });
+
+            collect(adapter).stream.destroy();
+
+            expect(spawnImpl.firstCall.args[0]).to.equal('python3');
+            expect(spawnImpl.firstCall.args[1]).to.deep.equal(['vosk-stt.py', '--lang', 'ro', '--rate', '16000', '--pcm16', 'ro-RO']);
+        });
+
+        it('should decode Opus in front of the recognizer', async () => {
+            const adapter = createProcessAdapter({
+                command: process.execPath,
+                args: ['-e', FAKE_RECOGNIZER],
+                decoder: { command: process.execPath, args: ['-e', FAKE_DECODER] }
+            });
+            expect(adapter.encodings).to.deep.equal(['pcm16', 'opus']);
+            const { stream, results, errors, closed } = collect(adapter, { encoding: 'opus', sampleRate: 48000 });
+
+            stream.write(Buffer.alloc(160));
+            stream.end();
+            await closed;
+
+            expect(errors).to.deep.equal([]);
+            expect(results[results.length - 1]).to.deep.equal({ text: 'done after 320 bytes', isFinal: true });
+        });
+
+        it('should start the decoder with the stream placeholders and give the recognizer pcm16', () => {
+            const fakeChild = () => Object.assign(new EventEmitter(), {
+                stdin: new PassThrough(), stdout: new PassThrough(), stderr: new PassThrough(), kill: () => {}
+            });
+            const spawnImpl = sinon.stub().callsFake(fakeChild);
+            const adapter = createProcessAdapter({
+                command: 'vosk',
+                args: ['--{encoding}', '--rate', '{sampleRate}'],
+                decoder: { command: 'ffmpeg', args: ['-i', 'pipe:0', '-ar', '{sampleRate}', 'pipe:1'] },
+                spawnImpl
+            });
+
+            collect(adapter, { encoding: 'opus' }).stream.destroy();
+
+            expect(spawnImpl.firstCall.args.slice(0, 2)).to.deep.equal(['vosk', ['--pcm16', '--rate', '16000']]);
+            expect(spawnImpl.secondCall.args.slice(0, 2)).to.deep.equal(['ffmpeg', ['-i', 'pipe:0', '-ar', '16000', 'pipe:1']]);
+            collect(adapter).stream.destroy();
+            expect(spawnImpl.callCount).to.equal(3); // pcm16 needs no decoder
+        });
+
+        it('should report a decoder that fails', async () => {
+            const adapter = createProcessAdapter({
+                command: process.execPath,
+                args: ['-e', FAKE_RECOGNIZER],
+                decoder: { command: process.execPath, args: ['-e', 'console.error("invalid data"); process.exit(1)'] }
+            });
+            const { errors, closed } = collect(adapter, { encoding: 'opus' });
+            await closed;
+
+            expect(errors.map(error => error.message)).to.include('Opus decoder stopped unexpectedly (invalid data)');
+        });
+
+        it('should report a recognizer that exits on its own', async () => {
+            const adapter = createProcessAdapter({
+                command: process.execPath,
+                args: ['-e', 'console.error("model not found"); process.exit(2)']
+            });
+            const { errors, closed } = collect(adapter);
+            await closed;
+
+            expect(errors).to.have.lengthOf(1);
+            expect(errors[0].message).to.include('model not found');
+        });
+
+        it('should report a command that cannot be started', async () => {
+            const adapter = createProcessAdapter({ command: '/nonexistent/recognizer' });
+            const { errors, closed } = collect(adapter);
+            await closed;
+
+            expect(errors[0].message).to.match(/failed to start/);
+        });
+    });
+
+    describe('Mock adapter', () => {
+        it('should report interim results per chunk and a final result on end', () => {
+            const { stream, results } = collect(createMockAdapter());
+            stream.write(Buffer.alloc(16000));
+            stream.write(Buffer.alloc(16000));
+            stream.end();
+
+            expect(results).to.deep.equal([
+                { text: '0.5 seconds of audio', isFinal: false },
+                { text: '1.0 seconds of audio', isFinal: false },
+                { text: '1.0 seconds of audio', isFinal: true }
+            ]);
+        });
+
+        it('should refuse audio that is not 16-bit PCM without a decoder', () => {
+            expect(() => collect(createMockAdapter(), { encoding: 'opus' }))
+                .to.throw(/Unsupported audio encoding "opus"/).with.property('code', 'STT_ENCODING_UNSUPPORTED');
+            expect(() => collect(createProcessAdapter({ command: process.execPath, spawnImpl: sinon.stub() }), { encoding: 'opus' }))
+                .to.throw(/expected: pcm16/);
+        });
+
+        it('should use a fixed transcript when given one', () => {
+            const { stream, results } = collect(createMockAdapter({ text: 'Bună ziua, dragi frați.' }));
+            stream.write(Buffer.alloc(10));
+            stream.end();
+            expect(results[1]).to.deep.equal({ text: 'Bună ziua, dragi frați.', isFinal: true });
+        });
+    });
+});
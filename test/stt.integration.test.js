@@ -0,0 +1,44 @@
+/**
+ * Integration Tests for server-side STT
+ * Streamed audio (audio-start / audio-chunk / audio-stop) through the mock recognizer
+ */
+
+const { describe, it } = require('mocha');
+const { expect } = require('chai');
+const { createMockAdapter } = require('../stt-adapters');
+const { useApp, nextEvent } = require('./helpers/app-harness');
+
+describe('Server-Side STT Integration', () => {
+    const harness = useApp({ sttAdapter: createMockAdapter({ text: 'Astăzi vom citi împreună din cartea lui Iona.' }) });
+
+    it('should advertise the accepted audio encodings', async () => {
+        await harness.close();
+        const info = await harness.open();
+        expect(info.stt).to.deep.equal({ adapter: 'mock', encodings: ['pcm16'] });
+    });
+
+    it('should translate what the recognizer heard in a PCM stream', async () => {
+        await harness.startSession({ mode: 'talks' });
+
+        const started = nextEvent(harness.socket, 'stt-started');
+        harness.socket.emit('audio-start', { encoding: 'pcm16', sampleRate: 16000 });
+        expect(await started).to.include({ adapter: 'mock', encoding: 'pcm16' });
+
+        const result = nextEvent(harness.socket, 'translation-result');
+        harness.socket.emit('audio-chunk', Buffer.alloc(3200));
+        expect((await result).translated).to.equal('<en> Astăzi vom citi împreună din cartea lui Iona.');
+    });
+
+    it('should refuse compressed audio no recognizer can decode', async () => {
+        await harness.startSession({ mode: 'talks' });
+
+        const refused = nextEvent(harness.socket, 'stt-error');
+        harness.socket.emit('audio-start', { encoding: 'opus', sampleRate: 48000 });
+        expect((await refused).message).to.equal('Unsupported audio encoding (expected: pcm16)');
+
+        // Chunks without an accepted stream are ignored
+        harness.socket.emit('audio-chunk', Buffer.alloc(3200));
+        await new Promise(resolve => setTimeout(resolve, 50));
+        expect(harness.translator.calls).to.have.lengthOf(0);
+    });
+});
@@ -0,0 +1,110 @@
+/**
+ * Unit Tests for TermMappings
+ * Loader validation, language-pair/source-condition matching, and a harness that
+ * runs every rule in config/term-mappings.json against its own examples
+ */
+
+const { expect } = require('chai');
+const TermMappings = require('../term-mappings');
+
+function rule(overrides = {}) {
+    return {
+        id: 'congress',
+        languagePair: 'ro-en',
+        pattern: '\\bcongress\\b',
+        flags: 'gi',
+        replacement: 'convention',
+        examples: [{ input: 'the congress', expected: 'the convention' }],
+        ...overrides
+    };
+}
+
+describe('TermMappings', () => {
+
+    describe('config/term-mappings.json', () => {
+        const mappings = TermMappings.fromFile();
+
+        it('should load and validate', () => {
+            expect(mappings.rules.length).to.be.greaterThan(0);
+        });
+
+        for (const result of mappings.runExamples()) {
+            const { ruleId, example } = result;
+            it(`${ruleId}: "${example.input}"${example.source ? ` (source: "${example.source}")` : ''}`, () => {
+                expect(result.actual).to.equal(example.expected);
+            });
+        }
+    });
+
+    describe('Validation', () => {
+        const problemsFor = (rules) => {
+            try {
+                new TermMappings({ rules });
+                return [];
+            } catch (error) {
+                expect(error.code).to.equal('TERM_MAPPINGS_INVALID');
+                return error.details;
+            }
+        };
+
+        it('should accept a valid rule', () => {
+            expect(problemsFor([rule()])).to.deep.equal([]);
+        });
+
+        it('should require a rules array', () => {
+            expect(() => new TermMappings({})).to.throw(/rules/);
+        });
+
+        it('should reject bad patterns, flags and language pairs', () => {
+            expect(problemsFor([rule({ pattern: '(' })])).to.have.lengthOf(1);
+            expect(problemsFor([rule({ flags: 'gx' })])).to.have.lengthOf(1);
+            expect(problemsFor([rule({ languagePair: 'romanian' })])).to.have.lengthOf(1);
+            expect(problemsFor([rule({ sourceCondition: { pattern: '[' } })])).to.have.lengthOf(1);
+        });
+
+        it('should require examples and unique ids', () => {
+            expect(problemsFor([rule({ examples: [] })])).to.have.lengthOf(1);
+            expect(problemsFor([rule(), rule()])).to.deep.equal(['Rule "congress": duplicate id']);
+        });
+
+        it('should report an unreadable file', () => {
+            expect(() => TermMappings.fromFile('/nonexistent/term-mappings.json'))
+                .to.throw().with.property('code', 'TERM_MAPPINGS_INVALID');
+        });
+    });
+
+    describe('apply', () => {
+        const mappings = new TermMappings({
+            rules: [
+                rule(),
+                rule({
+                    id: 'church',
+                    pattern: '\\bchurch\\b',
+                    replacement: 'congregation',
+                    sourceCondition: { pattern: 'congregați', flags: 'gi' },
+                    examples: [{ source: 'congregație', input: 'church', expected: 'congregation' }]
+                }),
+                rule({ id: 'any-to-es', languagePair: '*-es', pattern: 'congreso', replacement: 'asamblea' })
+            ]
+        });
+
+        it('should apply rules for the matching language pair only', () => {
+            const context = { sourceText: '', sourceLang: 'ro-RO', targetLang: 'en' };
+            expect(mappings.apply('the congress', context)).to.deep.equal({ text: 'the convention', fired: ['congress'] });
+            expect(mappings.apply('the congress', { ...context, sourceLang: 'en-US', targetLang: 'ro' }).text).to.equal('the congress');
+        });
+
+        it('should honor wildcard languages', () => {
+            const result = mappings.apply('el congreso', { sourceText: '', sourceLang: 'fr-FR', targetLang: 'es' });
+            expect(result.text).to.equal('el asamblea');
+        });
+
+        it('should only apply conditional rules when the source matches', () => {
+            const context = { sourceLang: 'ro', targetLang: 'en' };
+            expect(mappings.apply('our church', { ...context, sourceText: 'Biserica' }).fired).to.deep.equal([]);
+            // Repeated calls must not be affected by regex lastIndex state
+            expect(mappings.apply('our church', { ...context, sourceText: 'congregația' }).text).to.equal('our congregation');
+            expect(mappings.apply('our church', { ...context, sourceText: 'congregația' }).text).to.equal('our congregation');
+        });
+    });
+});
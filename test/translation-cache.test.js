@@ -0,0 +1,106 @@
+/**
+ * Unit Tests for TranslationCache
+ * LRU bounds, TTL expiry, in-flight sharing and hit/miss counters
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const TranslationCache = require('../translation-cache');
+
+describe('TranslationCache', () => {
+
+    describe('Keys', () => {
+        it('should distinguish target language and glossary', () => {
+            const base = TranslationCache.buildKey('frați', 'ro', 'en');
+            expect(TranslationCache.buildKey('frați', 'ro', 'es')).to.not.equal(base);
+            expect(TranslationCache.buildKey('frați', 'ro', 'en', 'ro-en-religious-terms')).to.not.equal(base);
+            expect(TranslationCache.buildKey('  frați ', 'ro', 'en')).to.equal(base);
+        });
+    });
+
+    describe('getOrTranslate', () => {
+        it('should call the factory once and serve repeats from cache', async () => {
+            const cache = new TranslationCache();
+            const factory = sinon.stub().resolves('brothers');
+            const key = TranslationCache.buildKey('frați', 'ro', 'en');
+
+            const first = await cache.getOrTranslate(key, factory, 5);
+            const second = await cache.getOrTranslate(key, factory, 5);
+
+            expect(first).to.deep.equal({ value: 'brothers', cached: false });
+            expect(second).to.deep.equal({ value: 'brothers', cached: true });
+            expect(factory.callCount).to.equal(1);
+
+            const stats = cache.getStats();
+            expect(stats.hits).to.equal(1);
+            expect(stats.misses).to.equal(1);
+            expect(stats.charsSaved).to.equal(5);
+            expect(stats.hitRate).to.equal(0.5);
+        });
+
+        it('should share one in-flight call between concurrent requests', async () => {
+            const cache = new TranslationCache();
+            let resolveTranslation;
+            const factory = sinon.stub().returns(new Promise(resolve => { resolveTranslation = resolve; }));
+            const key = TranslationCache.buildKey('surori', 'ro', 'es');
+
+            const pending = [cache.getOrTranslate(key, factory), cache.getOrTranslate(key, factory), cache.getOrTranslate(key, factory)];
+            resolveTranslation('hermanas');
+            const results = await Promise.all(pending);
+
+            expect(factory.callCount).to.equal(1);
+            expect(results.map(r => r.value)).to.deep.equal(['hermanas', 'hermanas', 'hermanas']);
+            expect(cache.getStats().hits).to.equal(2);
+        });
+
+        it('should not cache failures', async () => {
+            const cache = new TranslationCache();
+            const key = TranslationCache.buildKey('x', 'ro', 'en');
+            const factory = sinon.stub();
+            factory.onFirstCall().rejects(new Error('503'));
+            factory.onSecondCall().resolves('ok');
+
+            try {
+                await cache.getOrTranslate(key, factory);
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('503');
+            }
+            expect((await cache.getOrTranslate(key, factory)).value).to.equal('ok');
+            expect(cache.getStats().misses).to.equal(2);
+        });
+    });
+
+    describe('Bounds', () => {
+        it('should evict the least recently used entry', () => {
+            const cache = new TranslationCache({ maxEntries: 2 });
+            cache.set('a', 'A');
+            cache.set('b', 'B');
+            cache.get('a'); // 'b' is now least recently used
+            cache.set('c', 'C');
+
+            expect(cache.get('a')).to.equal('A');
+            expect(cache.get('b')).to.be.undefined;
+            expect(cache.get('c')).to.equal('C');
+            expect(cache.getStats().evictions).to.equal(1);
+            expect(cache.getStats().size).to.equal(2);
+        });
+
+        it('should expire entries after the TTL', () => {
+            let now = 1000;
+            const cache = new TranslationCache({ ttlMs: 500, now: () => now });
+            cache.set('a', 'A');
+
+            now = 1499;
+            expect(cache.get('a')).to.equal('A');
+            now = 1500;
+            expect(cache.get('a')).to.be.undefined;
+        });
+
+        it('should cache nothing when maxEntries is 0', () => {
+            const cache = new TranslationCache({ maxEntries: 0 });
+            cache.set('a', 'A');
+            expect(cache.get('a')).to.be.undefined;
+        });
+    });
+});
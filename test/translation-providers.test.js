@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for Translation Providers
+ * Google, mock and HTTP providers must expose the same translate() contract
+ */
+
+const { expect } = require('chai');
+const sinon = require('sinon');
+const {
+    createTranslationProvider,
+    createGoogleProvider,
+    createMockProvider,
+    createHttpProvider
+} = require('../translation-providers');
+
+// Minimal fetch Response stand-in
+function jsonResponse(status, body) {
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        json: async () => body,
+        text: async () => JSON.stringify(body)
+    };
+}
+
+describe('Translation Providers', () => {
+
+    describe('Factory', () => {
+        it('should create each known provider by name', () => {
+            expect(createTranslationProvider('mock').name).to.equal('mock');
+            expect(createTranslationProvider('http', { url: 'http://x/translate', fetchImpl: () => {} }).name).to.equal('http');
+            expect(createTranslationProvider('google', { client: {}, parent: 'projects/p/locations/l' }).name).to.equal('google');
+        });
+
+        it('should reject unknown provider names', () => {
+            expect(() => createTranslationProvider('deepl')).to.throw(/Unknown translation provider/);
+        });
+    });
+
+    describe('Google provider', () => {
+        const parent = 'projects/test/locations/us-central1';
+
+        it('should build a v3 request and return the plain translation', async () => {
+            const client = { translateText: sinon.stub().resolves([{ translations: [{ translatedText: 'Hello' }] }]) };
+            const provider = createGoogleProvider({ client, parent });
+
+            const result = await provider.translate({ text: 'Salut', sourceLanguage: 'ro', targetLanguage: 'en' });
+
+            expect(result).to.deep.equal({ translatedText: 'Hello', usedGlossary: false });
+            const request = client.translateText.firstCall.args[0];
+            expect(request.parent).to.equal(parent);
+            expect(request.sourceLanguageCode).to.equal('ro');
+            expect(request.targetLanguageCode).to.equal('en');
+            expect(request).to.not.have.property('model');
+            expect(request).to.not.have.property('glossaryConfig');
+        });
+
+        it('should prefer glossary translations when a glossary is applied', async () => {
+            const client = {
+                translateText: sinon.stub().resolves([{
+                    translations: [{ translatedText: 'congress' }],
+                    glossaryTranslations: [{ translatedText: 'convention' }]
+                }])
+            };
+            const provider = createGoogleProvider({ client, parent, model: 'nmt' });
+
+            const result = await provider.translate({
+                text: 'congres',
+                sourceLanguage: 'ro',
+                targetLanguage: 'en',
+                glossaryPath: `${parent}/glossaries/ro-en-religious-terms`
+            });
+
+            expect(result).to.deep.equal({ translatedText: 'convention', usedGlossary: true });
+            const request = client.translateText.firstCall.args[0];
+            expect(request.model).to.equal(`${parent}/models/nmt`);
+            expect(request.glossaryConfig.ignoreCase).to.be.true;
+        });
+    });
+
+    describe('Mock provider', () => {
+        it('should echo text with a target-language prefix', async () => {
+            const provider = createMockProvider();
+            const result = await provider.translate({ text: 'Bună ziua', sourceLanguage: 'ro', targetLanguage: 'en' });
+            expect(result.translatedText).to.equal('[en] Bună ziua');
+            expect(result.usedGlossary).to.be.false;
+        });
+
+        it('should use dictionary entries when provided', async () => {
+            const provider = createMockProvider({ dictionary: { 'en:frați': 'brothers', 'surori': 'sisters' } });
+            expect((await provider.translate({ text: 'frați', targetLanguage: 'en' })).translatedText).to.equal('brothers');
+            expect((await provider.translate({ text: 'surori', targetLanguage: 'fr' })).translatedText).to.equal('sisters');
+        });
+    });
+
+    describe('HTTP provider', () => {
+        it('should send a LibreTranslate request', async () => {
+            const fetchImpl = sinon.stub().resolves(jsonResponse(200, { translatedText: 'Good morning ' }));
+            const provider = createHttpProvider({ url: 'http://lt:5000/translate', apiKey: 'k', fetchImpl });
+
+            const result = await provider.translate({ text: 'Bună dimineața', sourceLanguage: 'ro', targetLanguage: 'en' });
+
+            expect(result).to.deep.equal({ translatedText: 'Good morning', usedGlossary: false });
+            const [url, init] = fetchImpl.firstCall.args;
+            expect(url).to.equal('http://lt:5000/translate');
+            expect(JSON.parse(init.body)).to.deep.equal({
+                q: 'Bună dimineața', source: 'ro', target: 'en', format: 'text', api_key: 'k'
+            });
+        });
+
+        it('should send an OpenAI-compatible chat request', async () => {
+            const fetchImpl = sinon.stub().resolves(jsonResponse(200, {
+                choices: [{ message: { content: 'Good evening' } }]
+            }));
+            const provider = createHttpProvider({
+                url: 'http://llm:8080/v1/chat/completions',
+                format: 'openai',
+                apiKey: 'secret',
+                model: 'qwen2.5',
+                fetchImpl
+            });
+
+            const result = await provider.translate({ text: 'Bună seara', sourceLanguage: 'ro', targetLanguage: 'en' });
+
+            expect(result.translatedText).to.equal('Good evening');
+            const init = fetchImpl.firstCall.args[1];
+            expect(init.headers.Authorization).to.equal('Bearer secret');
+            const body = JSON.parse(init.body);
+            expect(body.model).to.equal('qwen2.5');
+            expect(body.messages[1]).to.deep.equal({ role: 'user', content: 'Bună seara' });
+        });
+
+        it('should expose the HTTP status as error.code so it can be retried', async () => {
+            const fetchImpl = sinon.stub().resolves(jsonResponse(503, { error: 'busy' }));
+            const provider = createHttpProvider({ url: 'http://lt/translate', fetchImpl });
+
+            try {
+                await provider.translate({ text: 'x', sourceLanguage: 'ro', targetLanguage: 'en' });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.code).to.equal(503);
+            }
+        });
+
+        it('should expose socket error codes from network failures', async () => {
+            const networkError = new TypeError('fetch failed');
+            networkError.cause = { code: 'ECONNRESET' };
+            const provider = createHttpProvider({ url: 'http://lt/translate', fetchImpl: sinon.stub().rejects(networkError) });
+
+            try {
+                await provider.translate({ text: 'x', sourceLanguage: 'ro', targetLanguage: 'en' });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error.code).to.equal('ECONNRESET');
+            }
+        });
+
+        it('should reject unknown formats', () => {
+            expect(() => createHttpProvider({ url: 'http://x', format: 'soap', fetchImpl: () => {} })).to.throw(/Unknown HTTP provider format/);
+        });
+    });
+});
@@ -295,6 +295,257 @@ describe('TranslationRulesEngine', () => {
         });
     });
 
+    describe('Per-Mode Rules', () => {
+        const interim = text => ({ text, isFinal: false, timeSinceLastChange: 500, trigger: 'interim', clientId: 'test-123' });
+
+        it('should use the mode minWords instead of the fallback constant', () => {
+            const interpreter = new TranslationRulesEngine('interpreter', mockLogger);
+            const talks = new TranslationRulesEngine('talks', mockLogger);
+
+            expect(interpreter.checkQuality('Bless the Lord').meetsMinimum).to.be.true;
+            expect(talks.checkQuality('Bless the Lord').reason).to.equal('too_few_words');
+        });
+
+        it('should honor a minWords session override', () => {
+            const config = { ...new TranslationRulesEngine('talks', mockLogger).getConfig(), minWords: 2 };
+            const engine = new TranslationRulesEngine('talks', mockLogger, config);
+
+            const decision = engine.shouldTranslate({ ...interim('Amen brothers'), isFinal: true, trigger: 'final' });
+            expect(decision.shouldTranslate).to.be.true;
+            expect(decision.reason).to.equal('final_result');
+        });
+
+        it('should hold interval, final and pause triggers until the sentence ends in sentence-strict mode', () => {
+            const engine = new TranslationRulesEngine('sentence-strict', mockLogger);
+            engine.lastTranslationTime = Date.now() - 16000; // past the 15s interval, below the 30s ceiling
+
+            const text = 'and then the disciples went up to the mountain';
+            expect(engine.shouldTranslate(interim(text)).reason).to.equal('waiting_for_sentence_end');
+            expect(engine.shouldTranslate({ ...interim(text), isFinal: true }).reason).to.equal('waiting_for_sentence_end');
+            expect(engine.shouldTranslate({ ...interim(text), timeSinceLastChange: 5000 }).reason).to.equal('waiting_for_sentence_end');
+
+            const decision = engine.shouldTranslate(interim(`${text} to pray.`));
+            expect(decision.shouldTranslate).to.be.true;
+            expect(decision.reason).to.equal('sentence_ending');
+        });
+
+        it('should carry a held final into the next utterance in sentence-strict mode', () => {
+            const engine = new TranslationRulesEngine('sentence-strict', mockLogger);
+
+            const held = engine.shouldTranslate({ ...interim('and then the disciples went up'), isFinal: true, trigger: 'final' });
+            expect(held.reason).to.equal('waiting_for_sentence_end');
+
+            // STT starts over with the next utterance; the held words are translated with it
+            const decision = engine.shouldTranslate({ ...interim('to the mountain to pray.'), isFinal: true, trigger: 'final' });
+            expect(decision.shouldTranslate).to.be.true;
+            expect(decision.newText).to.equal('and then the disciples went up to the mountain to pray.');
+            expect(engine.heldText).to.equal('');
+        });
+
+        it('should translate at the hard ceiling when no punctuation arrives', () => {
+            const engine = new TranslationRulesEngine('sentence-strict', mockLogger);
+            engine.lastTranslationTime = Date.now() - 31000;
+
+            const decision = engine.shouldTranslate(interim('and then the disciples went up to the mountain'));
+            expect(decision.shouldTranslate).to.be.true;
+            expect(decision.reason).to.equal('sentence_ceiling');
+            expect(decision.isComplete).to.be.true;
+
+            engine.lastTranslationTime = Date.now() - 31000;
+            expect(engine.shouldTranslate(interim('and then the disciples went up to the mountain uh')).reason)
+                .to.equal('sentence_ceiling_poor_quality');
+        });
+
+        it('should record every block reason in metrics', () => {
+            const engine = new TranslationRulesEngine('sentence-strict', mockLogger);
+            engine.shouldTranslate(interim('hello'));
+            engine.lastTranslationTime = Date.now() - 16000;
+            engine.shouldTranslate(interim('and then the disciples went up'));
+            engine.shouldTranslate(interim('and then the disciples went up there'));
+
+            expect(engine.getMetrics().blockReasons).to.deep.equal({
+                waiting_for_trigger: 1,
+                waiting_for_sentence_end: 2
+            });
+        });
+
+        it('should report short sentences and pauses without enough words in non-strict modes', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger);
+            expect(engine.shouldTranslate(interim('Amen.')).reason).to.equal('sentence_ending_poor_quality');
+            expect(engine.shouldTranslate({ ...interim('hi there'), timeSinceLastChange: 4500 }).reason).to.equal('pause_poor_quality');
+        });
+    });
+
+    describe('Sentence Segmentation', () => {
+        const interim = text => ({ text, isFinal: false, timeSinceLastChange: 0, trigger: 'interim', clientId: 'test-123' });
+
+        it('should translate complete sentences and carry the unfinished tail', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, null, { language: 'ro-RO' });
+            const first = engine.shouldTranslate(interim('Astăzi vom citi împreună din cartea lui Iona. Iona a fost'));
+
+            expect(first).to.include({
+                shouldTranslate: true,
+                reason: 'sentence_boundary',
+                newText: 'Astăzi vom citi împreună din cartea lui Iona.',
+                completeText: 'Astăzi vom citi împreună din cartea lui Iona.',
+                carryText: 'Iona a fost',
+                isComplete: true
+            });
+
+            const second = engine.shouldTranslate(interim('Astăzi vom citi împreună din cartea lui Iona. Iona a fost un profet trimis la Ninive.'));
+            expect(second.reason).to.equal('sentence_ending');
+            expect(second.newText).to.equal('Iona a fost un profet trimis la Ninive.');
+        });
+
+        it('should wait when the complete sentence is too short on its own', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger);
+            expect(engine.shouldTranslate(interim('Amin. Acum vom cânta')).reason).to.equal('waiting_for_trigger');
+        });
+
+        it('should not split after abbreviations', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, null, { language: 'ro-RO' });
+            expect(engine.detectSentenceEnding('Am vorbit ieri cu dl.')).to.be.false;
+            expect(engine.shouldTranslate(interim('Am vorbit ieri cu dl. Popescu despre')).shouldTranslate).to.be.false;
+        });
+
+        it('should end sentences on words that double as abbreviations', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, null, { language: 'en-US' });
+            expect(engine.detectSentenceEnding('When they asked him again, the answer was no.')).to.be.true;
+            expect(engine.detectSentenceEnding('We brought bread, wine, oil, etc.')).to.be.true;
+        });
+
+        it('should cut at the last clause when the max interval fires on unpunctuated text', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, null, { language: 'ro-RO' });
+            engine.lastTranslationTime = Date.now() - 16000;
+
+            const decision = engine.shouldTranslate(interim('astăzi vom citi din evanghelia după Ioan și apoi ne vom'));
+            expect(decision.reason).to.equal('max_interval');
+            expect(decision.newText).to.equal('astăzi vom citi din evanghelia după Ioan');
+            expect(decision.carryText).to.equal('și apoi ne vom');
+        });
+
+        it('should translate a carried tail with the final result, however short', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, null, { language: 'en' });
+            engine.shouldTranslate(interim('We will read together from the book of Jonah. And then'));
+
+            const decision = engine.shouldTranslate({ ...interim('We will read together from the book of Jonah. And then pray'), isFinal: true });
+            expect(decision.shouldTranslate).to.be.true;
+            expect(decision.reason).to.equal('final_result');
+            expect(decision.newText).to.equal('And then pray');
+            expect(decision.carryText).to.equal('');
+        });
+    });
+
+    describe('Adaptive Timing', () => {
+        let now;
+        const clock = () => now;
+
+        // Speak `wordsPerSecond` for `seconds`, one interim result per second
+        function speak(engine, wordsPerSecond, seconds) {
+            let text = engine.adaptive.lastWordCount ? 'word '.repeat(engine.adaptive.lastWordCount).trim() : '';
+            for (let i = 0; i < seconds; i++) {
+                now += 1000;
+                text = `${text} ${'word '.repeat(wordsPerSecond).trim()}`.trim();
+                engine.shouldTranslate({ text, isFinal: false, timeSinceLastChange: 0, trigger: 'interim', clientId: 'test-123' });
+            }
+        }
+
+        // Talks with the opt-in a session sends (modeOverrides: { adaptiveTiming: true })
+        const adaptiveTalks = () => ({ ...new TranslationRulesEngine('talks', mockLogger).getConfig(), adaptiveTiming: true });
+
+        beforeEach(() => {
+            now = 1000000;
+        });
+
+        it('should lengthen the interval for fast speakers', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, adaptiveTalks(), { clock });
+            speak(engine, 4, 12);
+
+            const timing = engine.getMetrics().adaptiveTiming;
+            expect(timing.wordsPerSecond).to.be.above(3);
+            expect(timing.translationInterval).to.be.above(15000);
+            expect(engine.getConfig().translationInterval).to.equal(timing.translationInterval);
+            expect(timing.changes.find(change => change.field === 'translationInterval'))
+                .to.include({ from: 15000, to: timing.translationInterval, reason: 'fast_speaker' });
+        });
+
+        it('should shorten the interval for slow speakers, within the configured scale', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, adaptiveTalks(), { clock });
+            speak(engine, 1, 12);
+            expect(engine.getConfig().translationInterval).to.be.below(15000);
+            expect(engine.getMetrics().adaptiveTiming.changes.find(change => change.field === 'translationInterval').reason)
+                .to.equal('slow_speaker');
+
+            // 0.6 × 15s is the floor, however slow
+            now += 60000;
+            engine.adaptive.lastAdaptAt = null;
+            speak(engine, 0, 1);
+            expect(engine.getConfig().translationInterval).to.equal(9000);
+        });
+
+        it('should follow the speaker pauses for the pause threshold', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, adaptiveTalks(), { clock });
+            // 2 words per second with a 1s gap every other second
+            for (let i = 0; i < 8; i++) {
+                speak(engine, 2, 1);
+                now += 1000;
+            }
+            const timing = engine.getMetrics().adaptiveTiming;
+            expect(timing.typicalPauseMs).to.equal(2000);
+            expect(timing.pauseDetectionMs).to.equal(5000); // 2s × 2.5
+            expect(timing.changes.map(change => change.reason)).to.include('long_pauses');
+        });
+
+        it('should keep the fixed timing of modes without adaptiveTiming (Talks by default)', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger, null, { clock });
+            speak(engine, 5, 15);
+            expect(engine.getConfig().translationInterval).to.equal(15000);
+            expect(engine.getMetrics().adaptiveTiming).to.include({ enabled: false, wordsPerSecond: null });
+        });
+
+        it('should not change the config object it was given', () => {
+            const config = adaptiveTalks();
+            const engine = new TranslationRulesEngine('talks', mockLogger, config, { clock });
+            speak(engine, 4, 12);
+            expect(config.translationInterval).to.equal(15000);
+        });
+
+        it('should stretch and restore the mode timing for the budget', () => {
+            const config = adaptiveTalks();
+            const engine = new TranslationRulesEngine('talks', mockLogger, config, { clock });
+
+            engine.setTimingFactor(3);
+            expect(engine.getConfig()).to.include({ translationInterval: 45000, pauseDetectionMs: 12000 });
+            expect(engine.getMetrics().adaptiveTiming.lastChange.reason).to.equal('budget_slow_down');
+            expect(config.translationInterval).to.equal(15000);
+
+            // Adaptive timing scales around the stretched interval
+            speak(engine, 4, 12);
+            expect(engine.getConfig().translationInterval).to.be.above(45000);
+
+            engine.setTimingFactor(1);
+            expect(engine.getConfig()).to.include({ translationInterval: 15000, pauseDetectionMs: 4000 });
+        });
+
+        it('should stretch the sentence ceiling when slowing down for the budget', () => {
+            const engine = new TranslationRulesEngine('sentence-strict', mockLogger, null, { clock });
+            const interim = text => ({ text, isFinal: false, timeSinceLastChange: 500, trigger: 'interim', clientId: 'test-123' });
+            engine.setTimingFactor(3);
+            expect(engine.getConfig().maxSentenceWaitMs).to.equal(90000);
+
+            // 31s without punctuation: past the configured 30s ceiling, not the stretched one
+            engine.lastTranslationTime = now - 31000;
+            expect(engine.shouldTranslate(interim('and then the disciples went up to the mountain')).reason)
+                .to.not.equal('sentence_ceiling');
+            engine.lastTranslationTime = now - 91000;
+            expect(engine.shouldTranslate(interim('and then the disciples went up to the mountain')).reason)
+                .to.equal('sentence_ceiling');
+
+            engine.setTimingFactor(1);
+            expect(engine.getConfig().maxSentenceWaitMs).to.equal(30000);
+        });
+    });
+
     describe('New Text Extraction', () => {
         let engine;
 
@@ -326,6 +577,31 @@ describe('TranslationRulesEngine', () => {
         });
     });
 
+    describe('Speech Timing', () => {
+        const interim = text => ({ text, isFinal: false, timeSinceLastChange: 0, trigger: 'interim', clientId: 'test-123' });
+
+        it('should report when a chunk was first heard and when it was decided', () => {
+            let now = 1000;
+            const engine = new TranslationRulesEngine('talks', mockLogger, null, { language: 'ro-RO', clock: () => now });
+
+            engine.shouldTranslate(interim('Astăzi vom citi'));
+            now = 3500;
+            const first = engine.shouldTranslate(interim('Astăzi vom citi împreună din cartea lui Iona. Iona a fost'));
+            expect(first).to.include({ reason: 'sentence_boundary', heardAt: 1000, decidedAt: 3500 });
+
+            // The carried tail was already heard when the first sentence was decided
+            now = 6000;
+            const second = engine.shouldTranslate(interim('Astăzi vom citi împreună din cartea lui Iona. Iona a fost un profet trimis la Ninive.'));
+            expect(second).to.include({ heardAt: 3500, decidedAt: 6000 });
+
+            // Already translated text does not start the next chunk
+            now = 7000;
+            engine.shouldTranslate({ ...interim('Astăzi vom citi împreună din cartea lui Iona. Iona a fost un profet trimis la Ninive.'), isFinal: true });
+            now = 9000;
+            expect(engine.shouldTranslate(interim('Dragi frați și surori, să ne rugăm împreună.'))).to.include({ heardAt: 9000, decidedAt: 9000 });
+        });
+    });
+
     describe('State Management', () => {
         let engine;
 
@@ -754,5 +1030,18 @@ describe('TranslationRulesEngine', () => {
             // CRITICAL: Must detect duplicate even though source texts differ
             expect(isDuplicate).to.be.true;
         });
+
+        it('should keep a separate history per broadcast listener language', () => {
+            const engine = new TranslationRulesEngine('talks', mockLogger);
+            const spanish = { recentTranslations: [] };
+
+            engine.recordTranslatedOutput('Amen.');
+            engine.recordTranslatedOutput('Hoy leeremos juntos del libro de Jonás.', spanish);
+
+            expect(engine.isTranslationDuplicate('Hoy leeremos juntos del libro de Jonás.')).to.be.false;
+            expect(engine.isTranslationDuplicate('Hoy leeremos juntos del libro de Jonás.', spanish)).to.be.true;
+            expect(engine.isTranslationDuplicate('Amen.', spanish)).to.be.false;
+            expect(engine.recentTranslations).to.have.lengthOf(1);
+        });
     });
 });
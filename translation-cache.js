@@ -0,0 +1,127 @@
+/**
+ * Translation Cache
+ * Bounded LRU cache for provider translations, keyed by
+ * (source text, source language, target language, glossary)
+ *
+ * Concurrent requests for the same key share one in-flight provider call, so
+ * listeners and sessions that follow the same stream in the same target language
+ * cost one translation between them. Hit/miss counters are reported in the
+ * billing summary to show how many characters stayed off the free-tier meter.
+ */
+
+class TranslationCache {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxEntries - Maximum cached translations (default 500)
+     * @param {number} options.ttlMs - Entry lifetime in ms (default 10 minutes, 0 = no expiry)
+     * @param {Function} options.now - Clock (injectable for tests)
+     */
+    constructor({ maxEntries = 500, ttlMs = 10 * 60 * 1000, now = Date.now } = {}) {
+        this.maxEntries = maxEntries;
+        this.ttlMs = ttlMs;
+        this.now = now;
+
+        this.entries = new Map();  // key → { value, expiresAt } (Map keeps insertion order = LRU order)
+        this.inFlight = new Map(); // key → Promise
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            evictions: 0,
+            charsSaved: 0
+        };
+    }
+
+    /**
+     * Build a cache key. Glossary is part of the key because the same text
+     * translates differently with and without domain terms.
+     */
+    static buildKey(text, sourceLanguage, targetLanguage, glossary = null) {
+        return JSON.stringify([sourceLanguage, targetLanguage, glossary || '', text.trim()]);
+    }
+
+    /**
+     * Return a cached translation, or run `factory` once and cache its result
+     *
+     * @param {string} key - From buildKey()
+     * @param {Function} factory - async () => translated text (called on miss)
+     * @param {number} chars - Source characters this call represents (for charsSaved)
+     * @returns {Promise<{value: string, cached: boolean}>}
+     */
+    async getOrTranslate(key, factory, chars = 0) {
+        const hit = this.get(key);
+        if (hit !== undefined) {
+            this.stats.hits++;
+            this.stats.charsSaved += chars;
+            return { value: hit, cached: true };
+        }
+
+        // Another caller is already translating this exact text — share its result
+        if (this.inFlight.has(key)) {
+            this.stats.hits++;
+            this.stats.charsSaved += chars;
+            return { value: await this.inFlight.get(key), cached: true };
+        }
+
+        this.stats.misses++;
+        const promise = Promise.resolve().then(factory);
+        this.inFlight.set(key, promise);
+        try {
+            const value = await promise;
+            this.set(key, value);
+            return { value, cached: false };
+        } finally {
+            this.inFlight.delete(key);
+        }
+    }
+
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt && entry.expiresAt <= this.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+
+        // Refresh LRU position
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    set(key, value) {
+        if (this.maxEntries <= 0) return;
+
+        this.entries.delete(key);
+        this.entries.set(key, {
+            value,
+            expiresAt: this.ttlMs > 0 ? this.now() + this.ttlMs : 0
+        });
+
+        while (this.entries.size > this.maxEntries) {
+            const oldestKey = this.entries.keys().next().value;
+            this.entries.delete(oldestKey);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * Drop every entry (e.g. after glossary edits change expected output)
+     */
+    clear() {
+        this.entries.clear();
+    }
+
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0
+        };
+    }
+}
+
+module.exports = TranslationCache;
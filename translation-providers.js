@@ -0,0 +1,224 @@
+/**
+ * Translation Providers
+ * Pluggable translation backends used by translateWithRetry() in server.js
+ *
+ * Every provider exposes the same shape:
+ *   {
+ *     name: 'google' | 'mock' | 'http',
+ *     supportsGlossary: boolean,       // true if hosted glossaries can be passed through
+ *     translate({ text, sourceLanguage, targetLanguage, glossaryPath })
+ *         → Promise<{ translatedText, usedGlossary }>
+ *   }
+ *
+ * Errors are thrown with a `code` property (gRPC code, HTTP status or socket error code)
+ * so the retry and glossary-fallback logic in server.js works the same for every provider.
+ */
+
+const PROVIDER_NAMES = ['google', 'mock', 'http'];
+
+/**
+ * Google Cloud Translation v3 (default provider)
+ * @param {Object} options
+ * @param {Object} options.client - TranslationServiceClient instance
+ * @param {string} options.parent - 'projects/{id}/locations/{location}'
+ * @param {string} options.model - 'advanced' (Google picks best model) or 'nmt'
+ */
+function createGoogleProvider({ client, parent, model = 'advanced' }) {
+    if (!client) throw new Error('Google provider requires a TranslationServiceClient');
+    if (!parent) throw new Error('Google provider requires a project parent path');
+
+    return {
+        name: 'google',
+        supportsGlossary: true,
+
+        async translate({ text, sourceLanguage, targetLanguage, glossaryPath }) {
+            const request = {
+                parent,
+                contents: [text],
+                mimeType: 'text/plain',
+                sourceLanguageCode: sourceLanguage,
+                targetLanguageCode: targetLanguage,
+            };
+
+            // Add model parameter only if using 'nmt' (standard neural translation)
+            // For 'advanced', omit model parameter to use Google's best available model
+            if (model === 'nmt') {
+                request.model = `${parent}/models/nmt`;
+            }
+
+            if (glossaryPath) {
+                request.glossaryConfig = {
+                    glossary: glossaryPath,
+                    ignoreCase: true  // Case-insensitive for JW domain terms
+                };
+            }
+
+            const [response] = await client.translateText(request);
+
+            // When a glossary was applied, prefer glossary_translations (glossary-aware result)
+            const useGlossaryResult = !!(glossaryPath && response.glossaryTranslations?.length);
+            return {
+                translatedText: useGlossaryResult
+                    ? response.glossaryTranslations[0].translatedText
+                    : response.translations[0].translatedText,
+                usedGlossary: useGlossaryResult
+            };
+        }
+    };
+}
+
+/**
+ * Local mock provider — no network, deterministic output
+ * Used for offline development and tests. Looks the text up in `dictionary`
+ * (keyed by `${targetLanguage}:${text}` or plain text), otherwise echoes it
+ * back with a "[target]" prefix.
+ *
+ * @param {Object} options
+ * @param {Object} options.dictionary - Optional fixed translations
+ * @param {number} options.latencyMs - Optional simulated latency
+ */
+function createMockProvider({ dictionary = {}, latencyMs = 0 } = {}) {
+    return {
+        name: 'mock',
+        supportsGlossary: false,
+
+        async translate({ text, targetLanguage }) {
+            if (latencyMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, latencyMs));
+            }
+
+            const translatedText = dictionary[`${targetLanguage}:${text}`]
+                ?? dictionary[text]
+                ?? `[${targetLanguage}] ${text}`;
+
+            return { translatedText, usedGlossary: false };
+        }
+    };
+}
+
+/**
+ * HTTP provider for self-hosted engines
+ *
+ * Formats:
+ *   'libretranslate' — POST { q, source, target, format, api_key } → { translatedText }
+ *   'openai'         — POST chat/completions body → choices[0].message.content
+ *                      (any OpenAI-compatible server: llama.cpp, vLLM, Ollama, ...)
+ *
+ * @param {Object} options
+ * @param {string} options.url - Full endpoint URL (e.g. http://localhost:5000/translate)
+ * @param {string} options.format - 'libretranslate' (default) or 'openai'
+ * @param {string} options.apiKey - Optional API key
+ * @param {string} options.model - Model name for 'openai' format
+ * @param {number} options.timeoutMs - Request timeout (default 15s)
+ * @param {Function} options.fetchImpl - fetch implementation (defaults to global fetch, Node 18+)
+ */
+function createHttpProvider({ url, format = 'libretranslate', apiKey = null, model = null, timeoutMs = 15000, fetchImpl } = {}) {
+    if (!url) throw new Error('HTTP provider requires a URL (TRANSLATION_HTTP_URL)');
+    if (!['libretranslate', 'openai'].includes(format)) {
+        throw new Error(`Unknown HTTP provider format: ${format}. Must be: libretranslate or openai`);
+    }
+
+    const doFetch = fetchImpl || (typeof fetch === 'function' ? fetch : null);
+    if (!doFetch) throw new Error('HTTP provider requires global fetch (Node 18+)');
+
+    function buildRequest(text, sourceLanguage, targetLanguage) {
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (format === 'openai') {
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+            return {
+                headers,
+                body: {
+                    model: model || 'default',
+                    temperature: 0,
+                    messages: [
+                        {
+                            role: 'system',
+                            content: `Translate the user's text from ${sourceLanguage} to ${targetLanguage}. ` +
+                                'Reply with the translation only, without quotes or explanations.'
+                        },
+                        { role: 'user', content: text }
+                    ]
+                }
+            };
+        }
+
+        const body = { q: text, source: sourceLanguage, target: targetLanguage, format: 'text' };
+        if (apiKey) body.api_key = apiKey;
+        return { headers, body };
+    }
+
+    function parseResponse(data) {
+        const translatedText = format === 'openai'
+            ? data?.choices?.[0]?.message?.content
+            : data?.translatedText;
+
+        if (typeof translatedText !== 'string') {
+            throw new Error(`Unexpected ${format} response: missing translated text`);
+        }
+        return translatedText.trim();
+    }
+
+    return {
+        name: 'http',
+        supportsGlossary: false,
+
+        async translate({ text, sourceLanguage, targetLanguage }) {
+            const { headers, body } = buildRequest(text, sourceLanguage, targetLanguage);
+            const controller = typeof AbortController === 'function' ? new AbortController() : null;
+            const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+
+            let response;
+            try {
+                response = await doFetch(url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify(body),
+                    signal: controller ? controller.signal : undefined
+                });
+            } catch (error) {
+                // Surface socket-level codes (ECONNRESET, ETIMEDOUT) so they are retried
+                const wrapped = new Error(`HTTP translation request failed: ${error.message}`);
+                wrapped.code = error.cause?.code || (error.name === 'AbortError' ? 'ETIMEDOUT' : error.code);
+                throw wrapped;
+            } finally {
+                if (timer) clearTimeout(timer);
+            }
+
+            if (!response.ok) {
+                const detail = await response.text().catch(() => '');
+                const error = new Error(`HTTP translation provider returned ${response.status}: ${detail.substring(0, 200)}`);
+                error.code = response.status;
+                throw error;
+            }
+
+            return { translatedText: parseResponse(await response.json()), usedGlossary: false };
+        }
+    };
+}
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'google', 'mock' or 'http'
+ * @param {Object} options - Provider-specific options (see factories above)
+ */
+function createTranslationProvider(name, options = {}) {
+    switch (name) {
+        case 'google':
+            return createGoogleProvider(options);
+        case 'mock':
+            return createMockProvider(options);
+        case 'http':
+            return createHttpProvider(options);
+        default:
+            throw new Error(`Unknown translation provider: ${name}. Must be one of: ${PROVIDER_NAMES.join(', ')}`);
+    }
+}
+
+module.exports = {
+    PROVIDER_NAMES,
+    createTranslationProvider,
+    createGoogleProvider,
+    createMockProvider,
+    createHttpProvider
+};
@@ -4,16 +4,51 @@
  * Ensures consistent behavior across all translation triggers and modes
  */
 
+const ModeConfig = require('./mode-config');
+const FillerLexicon = require('./filler-lexicon');
+const { splitComplete, isSentenceEnd } = require('./sentence-segmenter');
+
+// Adaptive timing: re-evaluate at most this often, ignore changes smaller than this fraction
+const ADAPT_EVERY_MS = 5000;
+const ADAPT_MIN_CHANGE = 0.1;
+// Gaps between new words at least this long count as speaker pauses
+const MIN_PAUSE_GAP_MS = 700;
+const MIN_PAUSE_SAMPLES = 3;
+const MAX_ADAPTIVE_CHANGES = 20;
+
 class TranslationRulesEngine {
-    constructor(mode = 'talks', logger = console) {
+    /**
+     * @param {string} mode - Mode id ('talks', 'earbuds', …)
+     * @param {Object} logger
+     * @param {Object} modeConfig - Resolved mode config (ModeConfig.resolve(), with session
+     *                              overrides); defaults to the mode from config/modes.json
+     * @param {Object} options
+     * @param {Object} options.adaptive - Speaker-rate adaptation settings (ModeConfig#adaptive);
+     *                                    defaults to those of config/modes.json
+     * @param {Function} options.clock - Returns the current time in ms (default Date.now)
+     * @param {string} options.language - Source language (e.g. 'ro-RO') for sentence
+     *                                    segmentation and fillers; all lexicons when not given
+     * @param {FillerLexicon} options.fillers - Filler lexicons (default config/fillers.json)
+     */
+    constructor(mode = 'talks', logger = console, modeConfig = null, options = {}) {
         this.mode = mode;
         this.logger = logger;
-        this.modeConfig = this.getModeConfig(mode);
+        this.clock = options.clock || Date.now;
+        this.language = options.language || null;
+        this.fillers = options.fillers || FillerLexicon.getDefault();
+        // The mode as configured; this.modeConfig is the working copy adaptive timing adjusts
+        this.configuredConfig = modeConfig || this.getModeConfig(mode);
+        this.baseConfig = this.configuredConfig; // Configured timing × timingFactor
+        this.modeConfig = { ...this.baseConfig };
+        this.timingFactor = 1;
 
         // State tracking
         this.lastTranslationTime = null;
-        this.lastTextChangeTime = Date.now();
+        this.lastTextChangeTime = this.clock();
         this.lastTranslatedText = '';
+        this.carriedText = ''; // Unfinished tail left over by the last approval
+        this.heldText = '';    // Final results held for a sentence end (sentence-strict modes)
+        this.chunkHeardAt = null; // When the first untranslated word was heard (segment timing)
         this.accumulatedText = '';
         this.translationCount = 0;
 
@@ -29,47 +64,32 @@ class TranslationRulesEngine {
             blockReasons: {}
         };
 
+        // Speaker rate tracking (adaptive timing)
+        this.adaptive = {
+            settings: options.adaptive || ModeConfig.getDefault().adaptive,
+            wordSamples: [],    // {at, words} — new words per transcript update
+            pauseSamples: [],   // {at, gapMs} — gaps between new words
+            lastWordCount: 0,
+            lastWordAt: null,
+            firstWordAt: null,
+            lastAdaptAt: null,
+            wordsPerSecond: null,
+            typicalPauseMs: null,
+            changes: []         // {at, field, from, to, reason}
+        };
+
         // Quality thresholds
+        // Fallback only — each mode sets its own minWords (config/modes.json)
         this.MIN_WORDS_FOR_TRANSLATION = 6; // Raised from 3: short chunks lack context for accurate chunk translation
         this.MIN_CHARS_FOR_TRANSLATION = 10;
-
-        // Filler words to ignore (language-agnostic common fillers)
-        this.FILLER_WORDS = new Set([
-            // English
-            'uh', 'um', 'ah', 'hmm', 'eh', 'er', 'like', 'you know',
-            // Romanian
-            'ă', 'e', 'ei', 'păi', 'deci', 'adică'
-        ]);
     }
 
     /**
-     * Get mode-specific configuration
+     * Get mode-specific configuration from config/modes.json (see mode-config.js)
+     * Unknown modes fall back to the default mode.
      */
     getModeConfig(mode) {
-        const configs = {
-            talks: {
-                name: 'Talks',
-                translationInterval: 15000,  // 15 seconds (raised from 8s for fast-speaker context)
-                pauseDetectionMs: 4000,      // 4 second pause
-                requireSentenceEnding: false, // Translate even without sentence endings
-                minWords: 6,
-                enableTTS: false,            // Manual TTS control
-                displayVisualCards: true,    // Show translation cards
-                enableSummary: false
-            },
-            earbuds: {
-                name: 'EarBuds',
-                translationInterval: 15000,  // 15 seconds (raised from 8s for fast-speaker context)
-                pauseDetectionMs: 4000,      // 4 second pause
-                requireSentenceEnding: false,
-                minWords: 6,
-                enableTTS: true,             // Always enable TTS
-                displayVisualCards: false,   // Hide translation cards (audio-only)
-                enableSummary: false
-            }
-        };
-
-        return configs[mode] || configs.talks;
+        return ModeConfig.getDefault().getMode(mode);
     }
 
     /**
@@ -86,18 +106,46 @@ class TranslationRulesEngine {
      */
     shouldTranslate(context) {
         this.metrics.totalChecks++;
-        const now = Date.now();
+        const now = this.clock();
+
+        if (this.modeConfig.adaptiveTiming) {
+            this.observeSpeech(context.text, context.isFinal, now);
+        }
 
         // Initialize translation time on first check
         if (!this.lastTranslationTime) {
             this.lastTranslationTime = now;
         }
 
+        // Sentence-strict modes hold final results that do not end a sentence. The next
+        // utterance continues the held text, so the words are not lost when STT starts over.
+        if (!this.heldText) {
+            return this.evaluate(context, now);
+        }
+        const trimmed = context.text.trim();
+        const text = trimmed.toLowerCase().startsWith(this.heldText.toLowerCase())
+            ? trimmed
+            : `${this.heldText} ${trimmed}`.trim();
+        const decision = this.evaluate({ ...context, text }, now);
+        // Translated now, or already by an interim of this utterance
+        if (context.isFinal && (decision.shouldTranslate || decision.reason === 'empty_text')) {
+            this.heldText = '';
+        }
+        return decision;
+    }
+
+    /**
+     * Decide for one transcript (shouldTranslate() with held text already joined in)
+     */
+    evaluate(context, now) {
         // Calculate elapsed time since last translation
         const elapsedSinceLastTranslation = now - this.lastTranslationTime;
 
         // Extract new text that hasn't been translated yet
         const newText = this.getNewText(context.text);
+        if (newText && this.chunkHeardAt === null) {
+            this.chunkHeardAt = now;
+        }
 
         // Run quality checks
         const qualityCheck = this.checkQuality(newText, context.isFinal);
@@ -112,10 +160,44 @@ class TranslationRulesEngine {
             return this.approveTranslation(newText, 'sentence_ending', 1.0, context.clientId, context.text);
         }
 
+        // Priority 1b: Complete sentence(s) followed by an unfinished tail — translate the
+        // sentences, carry the tail into the next decision. Final results end the utterance,
+        // so they are translated whole below.
+        if (!hasSentenceEnding && !context.isFinal) {
+            const split = this.splitAtBoundary(newText, context.text, false);
+            if (split) {
+                return this.approveTranslation(split.newText, 'sentence_boundary', 0.95, context.clientId, split.fullText, split.tail);
+            }
+        }
+
+        // Sentence-strict modes (requireSentenceEnding): interval, final and pause triggers are
+        // held until the text ends a sentence — or until the hard ceiling (maxSentenceWaitMs)
+        if (this.modeConfig.requireSentenceEnding) {
+            const ceilingMs = this.modeConfig.maxSentenceWaitMs || this.modeConfig.translationInterval * 2;
+            if (elapsedSinceLastTranslation >= ceilingMs) {
+                if (qualityCheck.meetsMinimum && !qualityCheck.isFillerOnly) {
+                    return this.approveAtClause(newText, 'sentence_ceiling', 0.85, context);
+                }
+                return this.rejectTranslation('sentence_ceiling_poor_quality', newText);
+            }
+
+            const triggered = elapsedSinceLastTranslation >= this.modeConfig.translationInterval ||
+                context.isFinal ||
+                context.timeSinceLastChange >= this.modeConfig.pauseDetectionMs;
+            // The final result ends the utterance: keep its text for the next one
+            if (context.isFinal && newText && !qualityCheck.isFillerOnly) {
+                this.heldText = context.text.trim();
+            }
+            if (hasSentenceEnding) {
+                return this.rejectTranslation(qualityCheck.reason, newText);
+            }
+            return this.rejectTranslation(triggered ? 'waiting_for_sentence_end' : 'waiting_for_trigger', newText);
+        }
+
         // Priority 2: Maximum interval reached (force translation)
         if (elapsedSinceLastTranslation >= this.modeConfig.translationInterval) {
             if (qualityCheck.meetsMinimum) {
-                return this.approveTranslation(newText, 'max_interval', 0.9, context.clientId, context.text);
+                return this.approveAtClause(newText, 'max_interval', 0.9, context);
             } else {
                 // Max interval reached but text doesn't meet quality - still skip
                 return this.rejectTranslation('max_interval_poor_quality', newText);
@@ -123,8 +205,11 @@ class TranslationRulesEngine {
         }
 
         // Priority 3: Final result from Google (with quality validation)
+        // A tail carried from the previous approval is translated however short it is —
+        // otherwise the end of the utterance would be lost
         if (context.isFinal) {
-            if (qualityCheck.meetsMinimum && !qualityCheck.isFillerOnly) {
+            const endsCarriedTail = this.carriedText && newText.startsWith(this.carriedText);
+            if ((qualityCheck.meetsMinimum || endsCarriedTail) && !qualityCheck.isFillerOnly) {
                 return this.approveTranslation(newText, 'final_result', 0.8, context.clientId, context.text);
             } else {
                 // Final result but poor quality - DO NOT update lastTranslatedText
@@ -144,12 +229,54 @@ class TranslationRulesEngine {
             if (qualityCheck.meetsMinimum) {
                 return this.approveTranslation(newText, 'pause_detected', 0.7, context.clientId, context.text);
             }
+            return this.rejectTranslation('pause_poor_quality', newText);
+        }
+
+        // Sentence ended but the text is too short to translate on its own
+        if (hasSentenceEnding) {
+            return this.rejectTranslation('sentence_ending_poor_quality', newText);
         }
 
         // Default: Wait for one of the above conditions
         return this.rejectTranslation('waiting_for_trigger', newText);
     }
 
+    /**
+     * Approve on a timer, cutting at the last clause or sentence boundary when the part
+     * before it is good enough on its own (the tail waits for the next decision)
+     */
+    approveAtClause(newText, reason, confidence, context) {
+        const split = context.isFinal ? null : this.splitAtBoundary(newText, context.text, true);
+        if (split) {
+            return this.approveTranslation(split.newText, reason, confidence, context.clientId, split.fullText, split.tail);
+        }
+        return this.approveTranslation(newText, reason, confidence, context.clientId, context.text);
+    }
+
+    /**
+     * Split the untranslated text at its last sentence (or clause) boundary
+     *
+     * @param {string} newText - Untranslated end of the transcript (getNewText)
+     * @param {string} fullText - Current transcript
+     * @param {boolean} clauses - Also accept clause boundaries
+     * @returns {{newText: string, fullText: string, tail: string}|null} The complete part, the
+     *          transcript up to the boundary and the carried tail; null when there is no boundary
+     *          or the complete part does not pass the quality checks
+     */
+    splitAtBoundary(newText, fullText, clauses) {
+        if (!newText) return null;
+        const { complete, tail } = splitComplete(newText, this.language, { clauses });
+        const trimmedFull = fullText.trim();
+        if (!complete || !tail || !trimmedFull.endsWith(tail)) return null;
+        if (!this.checkQuality(complete).meetsMinimum) return null;
+
+        return {
+            newText: complete,
+            fullText: trimmedFull.slice(0, trimmedFull.length - tail.length).trim(),
+            tail
+        };
+    }
+
     /**
      * Extract new text that hasn't been translated yet
      */
@@ -250,19 +377,21 @@ class TranslationRulesEngine {
      * Example: "The book of Obadiah, is..." vs "The book of Obadiah is..." both → "Cartea lui Obadia..."
      *
      * @param {string} translation - The translated text to check
+     * @param {Object} history - Holder of `recentTranslations` (default: this engine's own,
+     *   i.e. the presenter's target language; broadcast listener languages keep their own)
      * @returns {boolean} True if this translation was recently shown
      */
-    isTranslationDuplicate(translation) {
+    isTranslationDuplicate(translation, history = this) {
         const normalized = translation.toLowerCase().trim();
-        const now = Date.now();
+        const now = this.clock();
 
         // Clean old entries (older than 15s — TRANSLATION_DEDUP_WINDOW)
-        this.recentTranslations = this.recentTranslations.filter(
+        history.recentTranslations = history.recentTranslations.filter(
             entry => now - entry.timestamp < this.TRANSLATION_DEDUP_WINDOW
         );
 
         // Check for exact match or high similarity
-        for (const entry of this.recentTranslations) {
+        for (const entry of history.recentTranslations) {
             const entryNormalized = entry.text.toLowerCase().trim();
 
             // Exact match (case-insensitive)
@@ -302,23 +431,149 @@ class TranslationRulesEngine {
      * Record a translation output for duplicate detection
      *
      * @param {string} translation - The translated text to record
+     * @param {Object} history - Holder of `recentTranslations` (see isTranslationDuplicate)
      */
-    recordTranslatedOutput(translation) {
-        const now = Date.now();
+    recordTranslatedOutput(translation, history = this) {
+        const now = this.clock();
 
-        this.recentTranslations.push({
+        history.recentTranslations.push({
             text: translation,
             timestamp: now
         });
 
         // Keep only last 15 seconds (TRANSLATION_DEDUP_WINDOW)
-        this.recentTranslations = this.recentTranslations.filter(
+        history.recentTranslations = history.recentTranslations.filter(
             entry => now - entry.timestamp < this.TRANSLATION_DEDUP_WINDOW
         );
 
         this.logger.debug('📝 Recorded translation output', {
             translation: translation.substring(0, 50),
-            queueSize: this.recentTranslations.length
+            queueSize: history.recentTranslations.length
+        });
+    }
+
+    /**
+     * Track speaker rate from a transcript update and adapt the timing to it
+     * `text` is the current utterance (it grows until a final result), so only the
+     * words added since the previous update count.
+     */
+    observeSpeech(text, isFinal, now) {
+        const state = this.adaptive;
+        const settings = state.settings;
+        const wordCount = (text || '').trim().split(/\s+/).filter(Boolean).length;
+
+        // A much shorter transcript is a new utterance (STT restarted), not a revision
+        let added = wordCount - state.lastWordCount;
+        if (wordCount < state.lastWordCount / 2) added = wordCount;
+        state.lastWordCount = isFinal ? 0 : wordCount;
+
+        if (added > 0) {
+            if (state.lastWordAt !== null && now - state.lastWordAt >= MIN_PAUSE_GAP_MS) {
+                state.pauseSamples.push({ at: now, gapMs: now - state.lastWordAt });
+            }
+            if (state.firstWordAt === null) state.firstWordAt = now;
+            state.wordSamples.push({ at: now, words: added });
+            state.lastWordAt = now;
+        }
+
+        const windowStart = now - settings.windowMs;
+        state.wordSamples = state.wordSamples.filter(sample => sample.at > windowStart);
+        state.pauseSamples = state.pauseSamples.filter(sample => sample.at > windowStart);
+
+        if (state.firstWordAt === null || now - state.firstWordAt < settings.minSpeechMs) return;
+        if (state.lastAdaptAt !== null && now - state.lastAdaptAt < ADAPT_EVERY_MS) return;
+        state.lastAdaptAt = now;
+
+        const spanMs = now - Math.max(windowStart, state.firstWordAt);
+        const words = state.wordSamples.reduce((sum, sample) => sum + sample.words, 0);
+        state.wordsPerSecond = Math.round(words / (spanMs / 1000) * 100) / 100;
+
+        const gaps = state.pauseSamples.map(sample => sample.gapMs).sort((a, b) => a - b);
+        state.typicalPauseMs = gaps.length >= MIN_PAUSE_SAMPLES ? gaps[Math.floor(gaps.length / 2)] : null;
+
+        this.adaptTiming(now);
+    }
+
+    /**
+     * Scale translationInterval and pauseDetectionMs to the measured speaker rate
+     * Fast speakers get a longer interval (more context per chunk), slow speakers a shorter
+     * one (lower latency). The pause threshold follows the speaker's typical gap between words.
+     * Both stay within the mode's value × the configured scale.
+     */
+    adaptTiming(now) {
+        const state = this.adaptive;
+        const settings = state.settings;
+        const base = this.baseConfig;
+        const clamp = (value, scale, baseValue) =>
+            Math.round(Math.min(baseValue * scale.max, Math.max(baseValue * scale.min, value)) / 100) * 100;
+
+        const rate = state.wordsPerSecond;
+        let intervalScale = 1;
+        let intervalReason = 'normal_rate';
+        if (rate > settings.fastWordsPerSecond) {
+            intervalScale = rate / settings.fastWordsPerSecond;
+            intervalReason = 'fast_speaker';
+        } else if (rate < settings.slowWordsPerSecond) {
+            intervalScale = rate / settings.slowWordsPerSecond;
+            intervalReason = 'slow_speaker';
+        }
+        this.applyTiming('translationInterval',
+            clamp(base.translationInterval * intervalScale, settings.intervalScale, base.translationInterval),
+            intervalReason, now);
+
+        if (state.typicalPauseMs !== null) {
+            const pause = clamp(state.typicalPauseMs * settings.pauseMultiplier, settings.pauseScale, base.pauseDetectionMs);
+            const pauseReason = pause < base.pauseDetectionMs ? 'short_pauses'
+                : pause > base.pauseDetectionMs ? 'long_pauses' : 'typical_pauses';
+            this.applyTiming('pauseDetectionMs', pause, pauseReason, now);
+        }
+    }
+
+    /**
+     * Stretch the mode's translation interval, pause threshold and sentence ceiling by
+     * `factor` (1 restores them)
+     * Used by the budget guard's slow_down action; adaptive timing keeps scaling around the
+     * stretched values.
+     */
+    setTimingFactor(factor, now = this.clock()) {
+        if (factor === this.timingFactor) return;
+        this.timingFactor = factor;
+        const configured = this.configuredConfig;
+        // maxSentenceWaitMs: without it sentence-strict modes would still translate at the old ceiling
+        const fields = ['translationInterval', 'pauseDetectionMs', 'maxSentenceWaitMs'].filter(field => configured[field]);
+        this.baseConfig = { ...configured };
+        fields.forEach(field => {
+            this.baseConfig[field] = Math.round(configured[field] * factor);
+        });
+        const reason = factor === 1 ? 'budget_restored' : 'budget_slow_down';
+        fields.forEach(field => this.applyTiming(field, this.baseConfig[field], reason, now));
+    }
+
+    /**
+     * Set one timing field if it moved enough (or is back at the mode's value) and record why
+     */
+    applyTiming(field, value, reason, now) {
+        const current = this.modeConfig[field];
+        if (value === current) return;
+        if (value !== this.baseConfig[field] && Math.abs(value - current) / current < ADAPT_MIN_CHANGE) return;
+
+        this.modeConfig[field] = value;
+        const change = {
+            at: now,
+            field,
+            from: current,
+            to: value,
+            reason,
+            wordsPerSecond: this.adaptive.wordsPerSecond,
+            typicalPauseMs: this.adaptive.typicalPauseMs
+        };
+        this.adaptive.changes.push(change);
+        if (this.adaptive.changes.length > MAX_ADAPTIVE_CHANGES) this.adaptive.changes.shift();
+
+        this.logger.info(`🎚️ Adaptive timing: ${field} ${current}ms → ${value}ms (${reason})`, {
+            mode: this.mode,
+            wordsPerSecond: change.wordsPerSecond,
+            typicalPauseMs: change.typicalPauseMs
         });
     }
 
@@ -337,8 +592,9 @@ class TranslationRulesEngine {
         }
 
         // Word count check (most specific - check first)
+        const minWords = this.modeConfig.minWords || this.MIN_WORDS_FOR_TRANSLATION;
         const words = trimmedText.split(/\s+/).filter(w => w.length > 0);
-        if (words.length < this.MIN_WORDS_FOR_TRANSLATION) {
+        if (words.length < minWords) {
             return {
                 meetsMinimum: false,
                 isFillerOnly: false,
@@ -346,13 +602,8 @@ class TranslationRulesEngine {
             };
         }
 
-        // Filler word detection (check content quality)
-        const nonFillerWords = words.filter(word => {
-            const lowerWord = word.toLowerCase().replace(/[.,!?;:]/g, '');
-            return !this.FILLER_WORDS.has(lowerWord);
-        });
-
-        if (nonFillerWords.length === 0) {
+        // Filler word detection (check content quality) — per-language lexicon, phrases included
+        if (this.fillers.isFillerOnly(trimmedText, this.language)) {
             return {
                 meetsMinimum: false,
                 isFillerOnly: true,
@@ -382,6 +633,9 @@ class TranslationRulesEngine {
      */
     resetForNewUtterance() {
         this.lastTranslatedText = '';
+        this.carriedText = '';
+        this.heldText = '';
+        this.chunkHeardAt = null;
         this.accumulatedText = '';
         this.translationCount = 0;
         this.recentTranslations = [];
@@ -389,26 +643,22 @@ class TranslationRulesEngine {
 
     /**
      * Detect sentence endings (. ! ? and regional variants)
+     * Ellipses and abbreviations ("Dr.", "nr.") are not endings — see sentence-segmenter.js
      */
     detectSentenceEnding(text) {
-        const trimmedText = text.trim();
-
-        // Check for sentence-ending punctuation
-        const hasPunctuation = /[.!?。！？]\s*$/.test(trimmedText);
-
-        // Exclude ellipsis (not a real sentence ending)
-        const hasEllipsis = /\.{2,}\s*$/.test(trimmedText);
-
-        return hasPunctuation && !hasEllipsis;
+        return isSentenceEnd(text, this.language);
     }
 
     /**
      * Approve translation (update state and metrics)
      */
-    approveTranslation(newText, reason, confidence, clientId, fullText) {
+    approveTranslation(newText, reason, confidence, clientId, fullText, carryText = '') {
         this.metrics.translationsApproved++;
         const prevTranslationTime = this.lastTranslationTime;
-        this.lastTranslationTime = Date.now();
+        this.lastTranslationTime = this.clock();
+        // Speech timing of this chunk; a carried tail was already heard when it is carried
+        const heardAt = this.chunkHeardAt !== null ? this.chunkHeardAt : this.lastTranslationTime;
+        this.chunkHeardAt = carryText ? this.lastTranslationTime : null;
 
         // CRITICAL: Update lastTranslatedText IMMEDIATELY to prevent race conditions
         // Multiple final results from Google can arrive before first translation completes
@@ -416,6 +666,7 @@ class TranslationRulesEngine {
         if (fullText) {
             this.lastTranslatedText = fullText.length > 500 ? fullText.slice(-500) : fullText;
         }
+        this.carriedText = carryText;
 
         this.logger.info('✅ Translation APPROVED', {
             clientId,
@@ -425,7 +676,8 @@ class TranslationRulesEngine {
             textPreview: newText.substring(0, 50),
             wordCount: newText.split(/\s+/).length,
             elapsedMs: prevTranslationTime ? this.lastTranslationTime - prevTranslationTime : 0,
-            trackedText: this.lastTranslatedText.substring(0, 50)
+            trackedText: this.lastTranslatedText.substring(0, 50),
+            carried: carryText ? carryText.substring(0, 50) : undefined
         });
 
         return {
@@ -433,9 +685,17 @@ class TranslationRulesEngine {
             reason,
             confidence,
             newText,
+            // Transcript up to what is translated now (the carried tail is left out)
+            completeText: fullText || null,
+            carryText,
+            // When the first word of the chunk was heard and when it was approved (ms, engine clock)
+            heardAt,
+            decidedAt: this.lastTranslationTime,
             // Mark as complete for TTS/storage if: sentence ending, final result, max interval, or pause
             // These all represent "good enough" stopping points for the user to hear translation
             isComplete: reason === 'sentence_ending' ||
+                       reason === 'sentence_boundary' ||
+                       reason === 'sentence_ceiling' ||
                        reason === 'final_result' ||
                        reason === 'max_interval' ||
                        reason === 'pause_detected'
@@ -491,7 +751,16 @@ class TranslationRulesEngine {
             translationCount: this.translationCount,
             approvalRate: this.metrics.totalChecks > 0
                 ? this.metrics.translationsApproved / this.metrics.totalChecks
-                : 0
+                : 0,
+            adaptiveTiming: {
+                enabled: !!this.modeConfig.adaptiveTiming,
+                wordsPerSecond: this.adaptive.wordsPerSecond,
+                typicalPauseMs: this.adaptive.typicalPauseMs,
+                translationInterval: this.modeConfig.translationInterval,
+                pauseDetectionMs: this.modeConfig.pauseDetectionMs,
+                lastChange: this.adaptive.changes[this.adaptive.changes.length - 1] || null,
+                changes: [...this.adaptive.changes]
+            }
         };
     }
 }